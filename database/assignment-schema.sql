@@ -0,0 +1,51 @@
+-- Session and interview assignment
+-- sessions.assigned_admin holds the user id of the staff member who owns a
+-- session; interviews.assigned_to (scheduling-schema.sql) holds the email of
+-- the staff member conducting an interview and falls back to the session owner.
+
+CREATE INDEX IF NOT EXISTS idx_sessions_assigned_admin ON sessions(assigned_admin);
+
+CREATE TABLE IF NOT EXISTS assignment_changes (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    session_id UUID NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    interview_id VARCHAR(255), -- NULL for a session assignment; interviews use custom IDs
+    previous_assignee VARCHAR(255), -- Staff email
+    new_assignee VARCHAR(255), -- Staff email; NULL when an interview goes back to the session owner
+    reason TEXT NOT NULL,
+    automatic BOOLEAN NOT NULL DEFAULT false, -- Made by auto-assignment
+    changed_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_assignment_changes_session ON assignment_changes(session_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_assignment_changes_interview ON assignment_changes(interview_id);
+
+COMMENT ON TABLE assignment_changes IS 'Assignments and reassignments of sessions and interviews to staff, with the reason given';
+
+-- Open sessions, open interviews and drafts in review per assignee email, so the
+-- workload is counted in the database. Sessions count for their owner; open
+-- interviews for interviews.assigned_to, else their session's owner. A NULL
+-- assignee_email row counts work without an owner.
+CREATE OR REPLACE FUNCTION staff_workload(closed_session_statuses TEXT[], closed_interview_statuses TEXT[])
+RETURNS TABLE (assignee_email TEXT, open_sessions BIGINT, open_interviews BIGINT, drafts_in_review BIGINT) AS $$
+    WITH session_owners AS (
+        SELECT s.id, s.status, s.pending_review_count, u.email::TEXT AS owner_email
+        FROM sessions s
+        LEFT JOIN users u ON u.id::TEXT = s.assigned_admin::TEXT
+    ),
+    work AS (
+        SELECT so.owner_email AS assignee_email, 1 AS open_sessions, 0 AS open_interviews, COALESCE(so.pending_review_count, 0) AS drafts_in_review
+        FROM session_owners so
+        WHERE NOT (so.status = ANY(closed_session_statuses))
+        UNION ALL
+        SELECT COALESCE(i.assigned_to::TEXT, so.owner_email), 0, 1, 0
+        FROM interviews i
+        LEFT JOIN session_owners so ON so.id::TEXT = i.session_id::TEXT
+        WHERE NOT (i.status = ANY(closed_interview_statuses))
+    )
+    SELECT w.assignee_email, SUM(w.open_sessions)::BIGINT, SUM(w.open_interviews)::BIGINT, SUM(w.drafts_in_review)::BIGINT
+    FROM work w
+    GROUP BY w.assignee_email;
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON FUNCTION staff_workload(TEXT[], TEXT[]) IS 'Open work per assignee email for the staff workload view';
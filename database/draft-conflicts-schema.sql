@@ -0,0 +1,31 @@
+-- Cross-interview conflicts
+-- Contradictions between the drafts of one session (different years for the same
+-- event, different spellings of the same person, conflicting places) and the
+-- resolution the admin picked; resolved conflicts are fed into full story generation
+
+CREATE TABLE IF NOT EXISTS draft_conflicts (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    session_id UUID NOT NULL,
+    conflict_type VARCHAR(30) NOT NULL
+        CHECK (conflict_type IN ('date_mismatch', 'place_mismatch', 'spelling_variant')),
+    category VARCHAR(20) NOT NULL, -- toVerify category: people, places, organizations, dates
+    event VARCHAR(50), -- Life event for date/place mismatches ('birth', 'marriage', ...)
+    fingerprint TEXT NOT NULL, -- Type, event and normalized values; identifies the conflict across detection runs
+    description TEXT,
+    conflicting_values JSONB NOT NULL DEFAULT '[]', -- [{ value, draftId, interviewId, subject?, evidence? }]
+    status VARCHAR(20) NOT NULL DEFAULT 'open'
+        CHECK (status IN ('open', 'resolved', 'dismissed')),
+    resolution_value TEXT, -- The value the admin picked as correct
+    resolution_note TEXT,
+    resolved_by VARCHAR(255),
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(session_id, fingerprint)
+);
+
+CREATE INDEX IF NOT EXISTS idx_draft_conflicts_session ON draft_conflicts(session_id);
+CREATE INDEX IF NOT EXISTS idx_draft_conflicts_status ON draft_conflicts(status);
+
+COMMENT ON TABLE draft_conflicts IS 'Contradictions detected between the drafts of a session and their resolution';
+COMMENT ON COLUMN draft_conflicts.status IS 'open until the admin resolves (picks resolution_value) or dismisses it; open conflicts that are no longer detected are removed';
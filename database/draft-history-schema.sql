@@ -0,0 +1,17 @@
+-- Draft history timeline
+-- Extends the draft_history table from database-schema.sql so every creation,
+-- content edit, note, stage change and regeneration is recorded with a
+-- before/after snapshot of the draft
+
+ALTER TABLE draft_history ADD COLUMN IF NOT EXISTS session_id UUID; -- Lets the timeline be served per session
+ALTER TABLE draft_history ADD COLUMN IF NOT EXISTS actor VARCHAR(255); -- Email or name of whoever made the change ('ai' for callbacks)
+ALTER TABLE draft_history ADD COLUMN IF NOT EXISTS snapshot_before JSONB; -- { stage, version, completion_percentage, content } before the change
+ALTER TABLE draft_history ADD COLUMN IF NOT EXISTS snapshot_after JSONB; -- Same shape, after the change
+
+CREATE INDEX IF NOT EXISTS idx_draft_history_draft_id ON draft_history(draft_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_draft_history_session_id ON draft_history(session_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_draft_history_action ON draft_history(action);
+
+COMMENT ON TABLE draft_history IS 'Append-only timeline of draft changes with before/after snapshots';
+COMMENT ON COLUMN draft_history.action IS 'created, content_updated, note_added, stage_changed, regenerated, migrated';
+COMMENT ON COLUMN draft_history.changes IS 'Summary of the change, e.g. { from, to } for stage changes or changed content fields';
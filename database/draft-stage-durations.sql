@@ -0,0 +1,41 @@
+-- Time drafts spend in each stage
+-- Aggregates the stage changes in draft_history for the dashboard statistics, so
+-- the server receives one row per stage instead of every history entry.
+
+-- A stay counts once the draft has left the stage and its entry into the stage
+-- is also at or after since_date (NULL for all history)
+CREATE OR REPLACE FUNCTION draft_stage_durations(since_date TIMESTAMP WITH TIME ZONE DEFAULT NULL)
+RETURNS TABLE (stage TEXT, average_hours NUMERIC, median_hours NUMERIC, transitions BIGINT) AS $$
+    WITH entries AS (
+        SELECT
+            h.draft_id,
+            h.created_at,
+            CASE WHEN h.action = 'created' THEN h.snapshot_after->>'stage' ELSE h.changes->'stage'->>'to' END AS stage
+        FROM draft_history h
+        WHERE h.action <> 'note_added'
+          AND (since_date IS NULL OR h.created_at >= since_date)
+    ),
+    ordered AS (
+        SELECT e.*, LAG(e.stage) OVER (PARTITION BY e.draft_id ORDER BY e.created_at) AS previous_stage
+        FROM entries e
+        WHERE e.stage IS NOT NULL
+    ),
+    stays AS (
+        SELECT
+            o.stage,
+            o.created_at AS entered_at,
+            LEAD(o.created_at) OVER (PARTITION BY o.draft_id ORDER BY o.created_at) AS left_at
+        FROM ordered o
+        WHERE o.previous_stage IS DISTINCT FROM o.stage
+    )
+    SELECT
+        s.stage,
+        ROUND((AVG(EXTRACT(EPOCH FROM (s.left_at - s.entered_at))) / 3600)::NUMERIC, 1),
+        ROUND((PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM (s.left_at - s.entered_at))) / 3600)::NUMERIC, 1),
+        COUNT(*)
+    FROM stays s
+    WHERE s.left_at IS NOT NULL
+    GROUP BY s.stage;
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON FUNCTION draft_stage_durations(TIMESTAMP WITH TIME ZONE) IS 'Average and median hours drafts stayed in each stage before moving on, from draft_history';
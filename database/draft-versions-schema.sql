@@ -0,0 +1,22 @@
+-- Draft versions table
+-- Regeneration overwrites the draft row in place, so every generated draft
+-- content is snapshotted here to make versions of an interview's draft diffable
+
+CREATE TABLE IF NOT EXISTS draft_versions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    interview_id VARCHAR(255) NOT NULL, -- Interviews use custom IDs, so store as string
+    session_id UUID NOT NULL,
+    draft_id UUID NOT NULL REFERENCES drafts(id) ON DELETE CASCADE,
+    version_number INTEGER NOT NULL, -- 1, 2, 3... per interview
+    reason VARCHAR(50) NOT NULL DEFAULT 'generated', -- 'generated', 'regenerated', 'edited', 'snapshot'
+    admin_instructions TEXT, -- Instructions that produced a regenerated version
+    content JSONB NOT NULL DEFAULT '{}', -- Full draft content at this version
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (interview_id, version_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_draft_versions_draft_id ON draft_versions(draft_id);
+CREATE INDEX IF NOT EXISTS idx_draft_versions_session_id ON draft_versions(session_id);
+
+COMMENT ON TABLE draft_versions IS 'Snapshot of every generated or edited draft content per interview, used for version diffs';
+COMMENT ON COLUMN draft_versions.version_number IS 'Sequential per interview; regenerations, re-uploads and content edits all add a version';
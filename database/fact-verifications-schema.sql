@@ -0,0 +1,31 @@
+-- Fact verification records
+-- One row per item of a draft's content.toVerify (people, places, organizations, dates)
+-- so each fact can be confirmed, corrected or disputed before approval
+
+CREATE TABLE IF NOT EXISTS fact_verifications (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    session_id UUID NOT NULL,
+    draft_id UUID NOT NULL REFERENCES drafts(id) ON DELETE CASCADE,
+    interview_id VARCHAR(255), -- Interviews use custom IDs, so store as string
+    category VARCHAR(20) NOT NULL
+        CHECK (category IN ('people', 'places', 'organizations', 'dates')),
+    original_value TEXT NOT NULL, -- Item as written by the AI in toVerify
+    status VARCHAR(20) NOT NULL DEFAULT 'unverified'
+        CHECK (status IN ('unverified', 'confirmed', 'corrected', 'disputed')),
+    corrected_value TEXT, -- Required when status is 'corrected'
+    is_critical BOOLEAN NOT NULL DEFAULT FALSE, -- Open critical items block approval
+    source TEXT, -- Where the fact was checked (client call, document, relative...)
+    notes TEXT,
+    verified_by VARCHAR(255),
+    verified_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (draft_id, category, original_value)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fact_verifications_session ON fact_verifications(session_id, status);
+CREATE INDEX IF NOT EXISTS idx_fact_verifications_draft ON fact_verifications(draft_id, status);
+
+COMMENT ON TABLE fact_verifications IS 'Verification status of the facts listed in draft content.toVerify';
+COMMENT ON COLUMN fact_verifications.status IS 'unverified and disputed items are open; confirmed and corrected items are closed';
+COMMENT ON COLUMN fact_verifications.is_critical IS 'Defaults to true for people and dates; open critical items block the approved stage';
@@ -0,0 +1,12 @@
+-- Audio metadata read from the container of uploaded recordings
+-- (NULL for text files and for recordings whose container could not be read)
+
+ALTER TABLE file_urls ADD COLUMN IF NOT EXISTS duration_seconds NUMERIC(10, 2);
+ALTER TABLE file_urls ADD COLUMN IF NOT EXISTS bitrate INTEGER; -- bits per second
+ALTER TABLE file_urls ADD COLUMN IF NOT EXISTS sample_rate INTEGER; -- Hz
+ALTER TABLE file_urls ADD COLUMN IF NOT EXISTS channels SMALLINT;
+ALTER TABLE file_urls ADD COLUMN IF NOT EXISTS codec VARCHAR(100); -- 'MPEG 1 Layer 3', 'Opus', 'AAC', ...
+ALTER TABLE file_urls ADD COLUMN IF NOT EXISTS container VARCHAR(100); -- 'MPEG', 'WAVE', 'M4A/mp42', 'Ogg', 'EBML/webm', 'FLAC'
+
+COMMENT ON COLUMN file_urls.duration_seconds IS 'Recording length read from the audio container';
+COMMENT ON COLUMN file_urls.bitrate IS 'Average bitrate in bits per second';
@@ -0,0 +1,23 @@
+-- Storage providers for uploaded files
+-- file_urls rows now name the provider that holds the object; the cloudinary_*
+-- columns are kept for rows stored in Cloudinary and become optional
+
+ALTER TABLE file_urls ADD COLUMN IF NOT EXISTS storage_provider VARCHAR(20) NOT NULL DEFAULT 'cloudinary'
+    CHECK (storage_provider IN ('cloudinary', 'local', 's3'));
+ALTER TABLE file_urls ADD COLUMN IF NOT EXISTS storage_key VARCHAR(500); -- Object key / Cloudinary public ID
+ALTER TABLE file_urls ADD COLUMN IF NOT EXISTS storage_url VARCHAR(1000); -- URL the file is downloaded from
+
+UPDATE file_urls
+SET storage_key = cloudinary_public_id,
+    storage_url = cloudinary_url
+WHERE storage_key IS NULL;
+
+ALTER TABLE file_urls ALTER COLUMN storage_key SET NOT NULL;
+ALTER TABLE file_urls ALTER COLUMN storage_url SET NOT NULL;
+ALTER TABLE file_urls ALTER COLUMN cloudinary_public_id DROP NOT NULL;
+ALTER TABLE file_urls ALTER COLUMN cloudinary_url DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_file_urls_storage_provider ON file_urls(storage_provider);
+
+COMMENT ON TABLE file_urls IS 'Stores information about files uploaded for interviews (Cloudinary, local disk or S3)';
+COMMENT ON COLUMN file_urls.storage_provider IS 'cloudinary, local or s3; see scripts/migrate-storage.js to move files between providers';
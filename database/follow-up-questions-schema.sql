@@ -0,0 +1,31 @@
+-- Follow-up question bank
+-- Follow-up questions from every draft of a session, collected in one place where
+-- admins accept, edit, dismiss or assign them to an upcoming interview
+
+CREATE TABLE IF NOT EXISTS follow_up_questions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    session_id UUID NOT NULL,
+    source_draft_id UUID REFERENCES drafts(id) ON DELETE SET NULL, -- NULL for questions added by hand
+    source_interview_id VARCHAR(255), -- Interview whose draft suggested the question
+    original_text TEXT, -- Question as the draft suggested it
+    question TEXT NOT NULL, -- Current wording (edited by the admin)
+    status VARCHAR(20) NOT NULL DEFAULT 'suggested'
+        CHECK (status IN ('suggested', 'accepted', 'dismissed', 'assigned', 'asked')),
+    assigned_interview_id VARCHAR(255), -- Upcoming interview the question is planned for
+    position INTEGER, -- Order within the interviewer guide
+    notes TEXT, -- Context for the interviewer
+    answer TEXT, -- Answer recorded during the interview
+    asked_at TIMESTAMP WITH TIME ZONE,
+    created_by VARCHAR(255),
+    updated_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(source_draft_id, original_text)
+);
+
+CREATE INDEX IF NOT EXISTS idx_follow_up_questions_session ON follow_up_questions(session_id);
+CREATE INDEX IF NOT EXISTS idx_follow_up_questions_assigned ON follow_up_questions(assigned_interview_id);
+CREATE INDEX IF NOT EXISTS idx_follow_up_questions_status ON follow_up_questions(status);
+
+COMMENT ON TABLE follow_up_questions IS 'Per-session bank of follow-up questions collected from drafts';
+COMMENT ON COLUMN follow_up_questions.status IS 'suggested -> accepted -> assigned -> asked; dismissed questions are kept so they are not suggested again';
@@ -0,0 +1,31 @@
+-- Friend/relative verification invites
+-- A relative receives a scoped, expiring link to upload a recording or written
+-- memories against one interview; only a hash of the link token is stored
+
+CREATE TABLE IF NOT EXISTS friend_invites (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    interview_id VARCHAR(255) NOT NULL, -- Interviews use custom IDs, so store as string
+    session_id UUID NOT NULL,
+    token_hash VARCHAR(64) NOT NULL UNIQUE, -- sha256 of the link token
+    invitee_name VARCHAR(255) NOT NULL,
+    relationship VARCHAR(100), -- 'daughter', 'old friend', ...
+    email VARCHAR(255),
+    phone VARCHAR(50),
+    message TEXT, -- Personal note shown on the invite page
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'opened', 'submitted', 'revoked')),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    invited_by VARCHAR(255),
+    submission JSONB, -- { type: 'recording'|'text_file'|'text', fileMetadata?, text?, textLength?, jobId }
+    opened_at TIMESTAMP WITH TIME ZONE,
+    submitted_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (email IS NOT NULL OR phone IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_friend_invites_interview ON friend_invites(interview_id);
+CREATE INDEX IF NOT EXISTS idx_friend_invites_session ON friend_invites(session_id);
+
+COMMENT ON TABLE friend_invites IS 'Invite links for relatives contributing to a friend_verification interview';
+COMMENT ON COLUMN friend_invites.status IS 'pending -> opened -> submitted; revoked or past expires_at links no longer work';
@@ -0,0 +1,49 @@
+-- Jobs table for the durable background job queue
+-- Replaces the in-memory audio processing queue so queued AI work survives restarts
+
+CREATE TABLE IF NOT EXISTS jobs (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    type VARCHAR(100) NOT NULL, -- 'interview.transcribe', 'interview.generate_draft', 'draft.regenerate', 'full_story.generate'
+    payload JSONB NOT NULL DEFAULT '{}', -- Everything the handler needs to run the job
+    status VARCHAR(20) NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'running', 'retrying', 'completed', 'dead')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(), -- Earliest time the job may run (backoff)
+    locked_by VARCHAR(255), -- Worker that claimed the job
+    locked_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    error_history JSONB NOT NULL DEFAULT '[]', -- [{ attempt, error, failed_at }]
+    result JSONB,
+    reference_type VARCHAR(50), -- 'interview', 'draft', 'session'
+    reference_id VARCHAR(255), -- Interviews use custom IDs, so store as string
+    created_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Indexes for claiming and monitoring
+CREATE INDEX IF NOT EXISTS idx_jobs_claim ON jobs(status, run_at);
+CREATE INDEX IF NOT EXISTS idx_jobs_type ON jobs(type);
+CREATE INDEX IF NOT EXISTS idx_jobs_reference ON jobs(reference_type, reference_id);
+CREATE INDEX IF NOT EXISTS idx_jobs_created_at ON jobs(created_at);
+
+-- Keep updated_at current
+CREATE OR REPLACE FUNCTION update_jobs_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_jobs_updated_at ON jobs;
+CREATE TRIGGER trigger_update_jobs_updated_at
+    BEFORE UPDATE ON jobs
+    FOR EACH ROW
+    EXECUTE FUNCTION update_jobs_updated_at();
+
+COMMENT ON TABLE jobs IS 'Durable background job queue (AI transcription, draft and full story generation)';
+COMMENT ON COLUMN jobs.status IS 'queued -> running -> completed; failed attempts go to retrying with backoff, exhausted jobs go to dead';
+COMMENT ON COLUMN jobs.run_at IS 'Jobs are not claimed before this time; used for exponential backoff';
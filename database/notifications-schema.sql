@@ -0,0 +1,34 @@
+-- Notifications
+-- Every message the system sends (interview reminders, review requests, story
+-- completion); dedupe_key makes sure a reminder goes out only once
+
+CREATE TABLE IF NOT EXISTS notifications (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    template VARCHAR(50) NOT NULL, -- 'interview_reminder_client', 'draft_pending_approval', ...
+    channel VARCHAR(20) NOT NULL DEFAULT 'email',
+    recipient VARCHAR(255) NOT NULL,
+    language VARCHAR(5) NOT NULL DEFAULT 'he',
+    subject TEXT NOT NULL,
+    body_text TEXT NOT NULL,
+    body_html TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'sent', 'failed')),
+    dedupe_key VARCHAR(255) UNIQUE, -- e.g. 'interview_reminder:<interviewId>:<scheduled_date>:<recipient>'
+    session_id UUID,
+    interview_id VARCHAR(255),
+    draft_id UUID,
+    transport VARCHAR(20), -- Transport that delivered the message
+    message_id VARCHAR(255), -- Transport message ID
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_status ON notifications(status);
+CREATE INDEX IF NOT EXISTS idx_notifications_session ON notifications(session_id);
+CREATE INDEX IF NOT EXISTS idx_notifications_created_at ON notifications(created_at);
+
+COMMENT ON TABLE notifications IS 'Outgoing notifications; delivery runs through the notification.send job';
+COMMENT ON COLUMN notifications.status IS 'queued until the transport accepts the message; failed once the job is dead-lettered';
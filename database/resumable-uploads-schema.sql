@@ -0,0 +1,33 @@
+-- Resumable (chunked) uploads of interview recordings
+-- Chunks are stored on the API server's disk (config.uploads.tempDir) until the
+-- whole file is assembled, checked against its sha256 and handed off to storage
+
+CREATE TABLE IF NOT EXISTS interview_uploads (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    interview_id VARCHAR(255) NOT NULL, -- Interviews use custom IDs, so store as string
+    file_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    total_size BIGINT NOT NULL,
+    chunk_size INTEGER NOT NULL,
+    total_chunks INTEGER NOT NULL,
+    checksum VARCHAR(64) NOT NULL, -- sha256 (hex) of the whole file, declared by the client
+    received_chunks INTEGER NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'uploading'
+        CHECK (status IN ('uploading', 'assembling', 'processing', 'completed', 'failed', 'cancelled', 'expired')),
+    session_data JSONB, -- Passed on to transcription once the upload is complete
+    file_metadata JSONB, -- Stored file, once handed off
+    job_id UUID, -- upload.finalize job
+    error_message TEXT,
+    created_by VARCHAR(255),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL, -- Pushed forward by every received chunk
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_interview_uploads_interview ON interview_uploads(interview_id);
+CREATE INDEX IF NOT EXISTS idx_interview_uploads_status_expires ON interview_uploads(status, expires_at);
+
+COMMENT ON TABLE interview_uploads IS 'Resumable chunked uploads of interview recordings';
+COMMENT ON COLUMN interview_uploads.status IS 'uploading -> assembling -> processing -> completed; failed, cancelled or expired uploads are discarded';
+COMMENT ON COLUMN interview_uploads.received_chunks IS 'Chunks received so far (the chunk files on disk are authoritative)';
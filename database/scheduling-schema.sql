@@ -0,0 +1,63 @@
+-- Interview scheduling
+-- Staff availability windows, a log of reschedules and cancellations with their
+-- reasons, and per-staff calendar feed tokens
+
+-- The staff member conducting an interview; falls back to sessions.assigned_admin
+ALTER TABLE interviews ADD COLUMN IF NOT EXISTS assigned_to VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_interviews_scheduled_date ON interviews(scheduled_date);
+CREATE INDEX IF NOT EXISTS idx_interviews_assigned_to ON interviews(assigned_to);
+
+CREATE TABLE IF NOT EXISTS staff_availability (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    staff_email VARCHAR(255) NOT NULL,
+    kind VARCHAR(20) NOT NULL DEFAULT 'available'
+        CHECK (kind IN ('available', 'unavailable')),
+    -- Weekly window: day_of_week + start_time/end_time (wall-clock, SCHEDULING_TIMEZONE)
+    day_of_week SMALLINT CHECK (day_of_week BETWEEN 0 AND 6), -- 0 = Sunday
+    start_time TIME,
+    end_time TIME,
+    -- One-off window (vacation, extra evening): starts_at/ends_at
+    starts_at TIMESTAMP WITH TIME ZONE,
+    ends_at TIMESTAMP WITH TIME ZONE,
+    note TEXT,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (
+        (day_of_week IS NOT NULL AND start_time IS NOT NULL AND end_time IS NOT NULL AND start_time < end_time AND starts_at IS NULL AND ends_at IS NULL)
+        OR (day_of_week IS NULL AND starts_at IS NOT NULL AND ends_at IS NOT NULL AND starts_at < ends_at)
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_staff_availability_staff ON staff_availability(staff_email);
+
+CREATE TABLE IF NOT EXISTS interview_schedule_changes (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    interview_id VARCHAR(255) NOT NULL, -- Interviews use custom IDs, so store as string
+    session_id UUID,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('rescheduled', 'cancelled')),
+    previous_date TIMESTAMP WITH TIME ZONE,
+    new_date TIMESTAMP WITH TIME ZONE,
+    previous_status VARCHAR(50),
+    reason TEXT NOT NULL,
+    clashes JSONB, -- Clashes the admin overrode with force
+    changed_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedule_changes_interview ON interview_schedule_changes(interview_id);
+
+CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    staff_email VARCHAR(255) NOT NULL,
+    token_hash VARCHAR(64) NOT NULL UNIQUE, -- sha256 of the feed token
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_feed_tokens_staff ON calendar_feed_tokens(staff_email);
+
+COMMENT ON TABLE staff_availability IS 'When staff can interview; staff without windows are treated as always available';
+COMMENT ON TABLE interview_schedule_changes IS 'Reschedules and cancellations of interviews with the reason given';
+COMMENT ON TABLE calendar_feed_tokens IS 'Secret tokens for per-staff ICS calendar subscriptions; creating a new token revokes the previous one';
@@ -0,0 +1,84 @@
+-- Search prefilter
+-- Trigram indexes over normalized text, so the search endpoint asks the database
+-- for the documents that can match a query instead of loading every document.
+-- search_normalize mirrors normalizeWord in src/utils/hebrewSearch.js: no niqqud
+-- or accents, no quote marks, lowercase, no Hebrew final letter forms. The
+-- service still matches words and ranks in JS; this only narrows the candidates.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE OR REPLACE FUNCTION search_normalize(value TEXT)
+RETURNS TEXT AS $$
+    SELECT translate(
+        lower(regexp_replace(normalize(COALESCE(value, ''), NFKD), '[\u0300-\u036f\u0591-\u05c7''"׳״\\]', '', 'g')),
+        'ךםןףץ',
+        'כמנפצ'
+    );
+$$ LANGUAGE sql IMMUTABLE PARALLEL SAFE;
+
+CREATE INDEX IF NOT EXISTS idx_interviews_transcription_search
+    ON interviews USING gin (search_normalize(content->>'transcription') gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_drafts_content_search
+    ON drafts USING gin (search_normalize(content::text) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_full_life_stories_search
+    ON full_life_stories USING gin (search_normalize(COALESCE(title, '') || ' ' || COALESCE(subtitle, '') || ' ' || content::text) gin_trgm_ops);
+
+-- IDs of the newest documents of one type whose normalized text matches a pattern
+-- (a regex alternation of the query's word forms). Drafts are searched in their
+-- latest version per interview only; life stories in their current version only.
+CREATE OR REPLACE FUNCTION search_candidates(
+    document_type TEXT,
+    pattern TEXT,
+    session_ids UUID[] DEFAULT NULL,
+    date_from TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    date_to TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    max_documents INTEGER DEFAULT 500
+)
+RETURNS TABLE (id UUID, created_at TIMESTAMP WITH TIME ZONE) AS $$
+BEGIN
+    IF document_type = 'transcript' THEN
+        RETURN QUERY
+        SELECT i.id, i.created_at
+        FROM interviews i
+        WHERE search_normalize(i.content->>'transcription') ~ pattern
+          AND (session_ids IS NULL OR i.session_id = ANY(session_ids))
+          AND (date_from IS NULL OR i.created_at >= date_from)
+          AND (date_to IS NULL OR i.created_at <= date_to)
+        ORDER BY i.created_at DESC
+        LIMIT max_documents;
+    ELSIF document_type = 'draft' THEN
+        RETURN QUERY
+        SELECT d.id, d.created_at
+        FROM drafts d
+        WHERE search_normalize(d.content::text) ~ pattern
+          AND (session_ids IS NULL OR d.session_id = ANY(session_ids))
+          AND (date_from IS NULL OR d.created_at >= date_from)
+          AND (date_to IS NULL OR d.created_at <= date_to)
+          AND NOT EXISTS (
+              SELECT 1
+              FROM drafts newer
+              WHERE newer.session_id = d.session_id
+                AND newer.content->>'interview_id' IS NOT DISTINCT FROM d.content->>'interview_id'
+                AND (newer.version > d.version OR (newer.version = d.version AND newer.created_at > d.created_at))
+          )
+        ORDER BY d.created_at DESC
+        LIMIT max_documents;
+    ELSIF document_type = 'life_story' THEN
+        RETURN QUERY
+        SELECT s.id, s.created_at
+        FROM full_life_stories s
+        WHERE search_normalize(COALESCE(s.title, '') || ' ' || COALESCE(s.subtitle, '') || ' ' || s.content::text) ~ pattern
+          AND s.is_current_version = true
+          AND (session_ids IS NULL OR s.session_id = ANY(session_ids))
+          AND (date_from IS NULL OR s.created_at >= date_from)
+          AND (date_to IS NULL OR s.created_at <= date_to)
+        ORDER BY s.created_at DESC
+        LIMIT max_documents;
+    ELSE
+        RAISE EXCEPTION 'Unknown search document type: %', document_type;
+    END IF;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION search_normalize(TEXT) IS 'Text as the search matches it (see normalizeWord in src/utils/hebrewSearch.js); backs the trigram search indexes';
+COMMENT ON FUNCTION search_candidates(TEXT, TEXT, UUID[], TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, INTEGER) IS 'Newest transcripts, latest draft versions or current life stories that can match a search; ranking happens in the search service';
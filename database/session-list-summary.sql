@@ -0,0 +1,117 @@
+-- Session list summary columns
+-- Values the sessions list sorts and filters on and the dashboard statistics
+-- count, kept on the sessions row by triggers on interviews and drafts so
+-- neither has to load every interview and draft.
+
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS next_interview_date TIMESTAMP WITH TIME ZONE;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS last_activity_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS latest_draft_stage VARCHAR(50);
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS pending_review_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS interview_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS completed_interview_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS interviews_completed BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_sessions_created_at ON sessions(created_at, id);
+CREATE INDEX IF NOT EXISTS idx_sessions_client_name ON sessions(client_name, id);
+CREATE INDEX IF NOT EXISTS idx_sessions_next_interview_date ON sessions(next_interview_date, id);
+CREATE INDEX IF NOT EXISTS idx_sessions_last_activity_at ON sessions(last_activity_at, id);
+CREATE INDEX IF NOT EXISTS idx_sessions_latest_draft_stage ON sessions(latest_draft_stage);
+CREATE INDEX IF NOT EXISTS idx_sessions_priority_level ON sessions((preferences->>'priority_level'));
+CREATE INDEX IF NOT EXISTS idx_sessions_interviews_completed ON sessions(interviews_completed);
+CREATE INDEX IF NOT EXISTS idx_interviews_status ON interviews(status);
+CREATE INDEX IF NOT EXISTS idx_drafts_stage ON drafts(stage);
+
+-- Recompute the summary of one session
+CREATE OR REPLACE FUNCTION refresh_session_summary(target_session_id UUID)
+RETURNS VOID AS $$
+DECLARE
+    total_interviews INTEGER;
+    finished_interviews INTEGER;
+BEGIN
+    SELECT COUNT(*), COUNT(*) FILTER (WHERE status = 'completed')
+    INTO total_interviews, finished_interviews
+    FROM interviews
+    WHERE session_id = target_session_id;
+
+    UPDATE sessions s
+    SET
+        interview_count = total_interviews,
+        completed_interview_count = finished_interviews,
+        interviews_completed = total_interviews > 0 AND finished_interviews = total_interviews,
+        next_interview_date = (
+            SELECT MIN(i.scheduled_date)
+            FROM interviews i
+            WHERE i.session_id = s.id
+              AND i.scheduled_date IS NOT NULL
+              AND i.status IN ('pending', 'scheduled')
+        ),
+        last_activity_at = GREATEST(
+            s.updated_at,
+            (SELECT MAX(i.updated_at) FROM interviews i WHERE i.session_id = s.id),
+            (SELECT MAX(d.updated_at) FROM drafts d WHERE d.session_id = s.id)
+        ),
+        latest_draft_stage = (
+            SELECT d.stage
+            FROM drafts d
+            WHERE d.session_id = s.id
+            ORDER BY d.updated_at DESC NULLS LAST, d.version DESC
+            LIMIT 1
+        ),
+        pending_review_count = (
+            SELECT COUNT(*)
+            FROM drafts d
+            WHERE d.session_id = s.id
+              AND d.stage IN ('pending_review', 'under_review', 'pending_approval')
+        )
+    WHERE s.id = target_session_id;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION refresh_session_summary_from_child()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        PERFORM refresh_session_summary(OLD.session_id);
+    END IF;
+    IF TG_OP IN ('INSERT', 'UPDATE') AND (TG_OP = 'INSERT' OR NEW.session_id IS DISTINCT FROM OLD.session_id) THEN
+        PERFORM refresh_session_summary(NEW.session_id);
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_interviews_session_summary ON interviews;
+CREATE TRIGGER trigger_interviews_session_summary
+    AFTER INSERT OR UPDATE OR DELETE ON interviews
+    FOR EACH ROW
+    EXECUTE FUNCTION refresh_session_summary_from_child();
+
+DROP TRIGGER IF EXISTS trigger_drafts_session_summary ON drafts;
+CREATE TRIGGER trigger_drafts_session_summary
+    AFTER INSERT OR UPDATE OR DELETE ON drafts
+    FOR EACH ROW
+    EXECUTE FUNCTION refresh_session_summary_from_child();
+
+-- Edits to the session itself count as activity
+CREATE OR REPLACE FUNCTION update_session_last_activity()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.last_activity_at = GREATEST(NEW.last_activity_at, NEW.updated_at, NEW.created_at);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_sessions_last_activity ON sessions;
+CREATE TRIGGER trigger_sessions_last_activity
+    BEFORE INSERT OR UPDATE ON sessions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_session_last_activity();
+
+-- Backfill existing sessions
+SELECT refresh_session_summary(id) FROM sessions;
+
+COMMENT ON COLUMN sessions.next_interview_date IS 'Earliest scheduled_date of a pending/scheduled interview (overdue ones included); maintained by trigger';
+COMMENT ON COLUMN sessions.last_activity_at IS 'Latest update to the session, its interviews or its drafts; maintained by trigger';
+COMMENT ON COLUMN sessions.latest_draft_stage IS 'Stage of the most recently updated draft; maintained by trigger';
+COMMENT ON COLUMN sessions.pending_review_count IS 'Drafts in pending_review, under_review or pending_approval; maintained by trigger';
+COMMENT ON COLUMN sessions.interviews_completed IS 'True when the session has interviews and all of them are completed; maintained by trigger';
@@ -0,0 +1,38 @@
+-- Transcript segments
+-- Segment-level transcripts (start/end time, speaker, text) from the transcription
+-- workflow. Admins rename speakers and correct segment text; the flat
+-- interviews.content.transcription is regenerated from the segments.
+
+CREATE TABLE IF NOT EXISTS transcript_segments (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    interview_id VARCHAR(255) NOT NULL,
+    position INTEGER NOT NULL, -- Order within the transcript
+    start_time NUMERIC(10, 2), -- Seconds from the start of the recording
+    end_time NUMERIC(10, 2),
+    speaker_key VARCHAR(100), -- Label from the transcriber (e.g. SPEAKER_00); NULL when not diarized
+    text TEXT NOT NULL, -- Current text (edited by the admin)
+    original_text TEXT, -- Text as transcribed, kept once the segment is edited
+    edited_by VARCHAR(255),
+    edited_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(interview_id, position)
+);
+
+CREATE INDEX IF NOT EXISTS idx_transcript_segments_interview ON transcript_segments(interview_id);
+
+CREATE TABLE IF NOT EXISTS transcript_speakers (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    interview_id VARCHAR(255) NOT NULL,
+    speaker_key VARCHAR(100) NOT NULL,
+    display_name VARCHAR(255), -- e.g. 'Interviewer', 'Grandma Rachel'; NULL until renamed
+    updated_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(interview_id, speaker_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_transcript_speakers_interview ON transcript_speakers(interview_id);
+
+COMMENT ON TABLE transcript_segments IS 'Timestamped, speaker-labelled transcript segments of an interview recording';
+COMMENT ON TABLE transcript_speakers IS 'Display names for the speaker labels of an interview transcript';
+COMMENT ON COLUMN transcript_segments.original_text IS 'Set on the first edit so corrections can be compared with the transcriber output';
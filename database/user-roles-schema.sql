@@ -0,0 +1,9 @@
+-- User roles
+-- users.role holds one of the roles defined in src/services/roleService.js:
+-- admin, senior_reviewer, editor, interviewer, client or user. The permissions
+-- of each role live in code; this file only indexes the column for the
+-- role assignment list.
+
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+
+COMMENT ON COLUMN users.role IS 'admin, senior_reviewer, editor, interviewer, client or user; permissions per role are defined in roleService';
@@ -0,0 +1,33 @@
+-- Webhook inbox: every inbound AI callback is stored before it is acknowledged
+-- Used to dedupe retried deliveries and to inspect / re-run failed processing
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    webhook_type VARCHAR(50) NOT NULL, -- 'transcription', 'draft', 'life_story'
+    delivery_id VARCHAR(255) NOT NULL, -- X-Delivery-Id header, body deliveryId, or a random 'unkeyed:' id (never deduped)
+    payload JSONB NOT NULL,
+    reference_id VARCHAR(255), -- Interview or session the callback is about
+    status VARCHAR(20) NOT NULL DEFAULT 'received'
+        CHECK (status IN ('received', 'processing', 'processed', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    error_stack TEXT,
+    duplicate_count INTEGER NOT NULL DEFAULT 0, -- Retries of this delivery that were ignored
+    last_duplicate_at TIMESTAMP WITH TIME ZONE,
+    signature_timestamp BIGINT, -- Timestamp from the verified signature header
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    processing_started_at TIMESTAMP WITH TIME ZONE,
+    processed_at TIMESTAMP WITH TIME ZONE,
+    reprocessed_by VARCHAR(255), -- Admin who last re-ran processing
+    UNIQUE (webhook_type, delivery_id)
+);
+
+-- AI payload schema (see src/utils/aiPayloadSchemas.js)
+ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS schema_version VARCHAR(50); -- e.g. 'draft.v2'; legacy payloads are 'draft.v1'
+ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS validation_warnings JSONB DEFAULT '[]'; -- Guesses made while adapting a legacy payload
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status, received_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_reference ON webhook_deliveries(reference_id);
+
+COMMENT ON TABLE webhook_deliveries IS 'Inbox of received AI callback webhooks with processing outcome';
+COMMENT ON COLUMN webhook_deliveries.delivery_id IS 'Idempotency key; a repeated delivery_id for the same webhook_type is not processed again';
@@ -0,0 +1,66 @@
+/**
+ * Move stored interview files between storage providers
+ *
+ *   npm run storage:migrate -- --from cloudinary --to s3 [--dry-run] [--delete-source] [--limit 100]
+ *
+ * Copies every file_urls object held by --from to --to and rewrites the URLs in
+ * file_urls and in the interviews' file_upload metadata. Set STORAGE_PROVIDER to
+ * the new provider afterwards so new uploads go there too.
+ */
+
+const storageService = require('../src/services/storageService');
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--delete-source') args.deleteSource = true;
+    else if (['--from', '--to', '--limit'].includes(arg)) args[arg.slice(2)] = argv[++i];
+    else {
+      console.error(`Unknown argument: ${arg}`);
+      process.exit(1);
+    }
+  }
+  return args;
+};
+
+(async () => {
+  const { from, to, limit, dryRun, deleteSource } = parseArgs(process.argv.slice(2));
+
+  if (!from || !to) {
+    console.error('Usage: npm run storage:migrate -- --from <cloudinary|local|s3> --to <cloudinary|local|s3> [--dry-run] [--delete-source] [--limit N]');
+    process.exit(1);
+  }
+
+  console.log(`Moving stored files from ${from} to ${to}${dryRun ? ' (dry run)' : ''}...`);
+
+  const result = await storageService.migrateFiles({
+    from,
+    to,
+    limit,
+    dryRun,
+    deleteSource,
+    onProgress: (file, outcome) => {
+      if (outcome.success) {
+        console.log(`  ✅ ${file.storage_key} -> ${outcome.url}`);
+      } else {
+        console.log(`  ❌ ${file.storage_key}: ${outcome.error}`);
+      }
+    }
+  });
+
+  if (!result.success) {
+    console.error(`Storage migration failed: ${result.error}`);
+    process.exit(1);
+  }
+
+  if (dryRun) {
+    result.data.files.forEach(file => console.log(`  ${file.key} (interview ${file.interviewId})`));
+    console.log(`${result.data.total} file(s) would be moved.`);
+    return;
+  }
+
+  console.log(`Moved ${result.data.migrated} of ${result.data.total} file(s)${result.data.failed.length ? `, ${result.data.failed.length} failed` : ''}.`);
+  process.exit(result.data.failed.length > 0 ? 1 : 0);
+})();
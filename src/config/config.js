@@ -1,3 +1,5 @@
+const path = require('path');
+
 /**
  * Application configuration
  * In production, these values should come from environment variables
@@ -36,5 +38,208 @@ module.exports = {
     // Retry configuration
     maxRetries: parseInt(process.env.AI_MAX_RETRIES) || 2,
     retryDelay: parseInt(process.env.AI_RETRY_DELAY) || 2000, // 2 seconds
+
+    // Offline simulator: answers transcription, draft and life story requests locally
+    // and posts n8n-style callbacks to our own webhook routes (no network needed)
+    simulator: {
+      enabled: process.env.AI_SIMULATOR_ENABLED === 'true',
+
+      // Delay before each callback is delivered
+      callbackDelay: parseInt(process.env.AI_SIMULATOR_DELAY) || 3000, // 3 seconds
+
+      // Where our webhook routes are reachable from this process
+      callbackBaseUrl: process.env.AI_SIMULATOR_CALLBACK_URL || `http://localhost:${process.env.PORT || 5000}`,
+
+      // Draft payload shape: 'rotate' cycles through the versioned 'v2' schema and every
+      // legacy variant n8n has been seen to send ('object', 'json_block', 'text_prefix',
+      // 'plain_json', 'markdown')
+      draftFormat: process.env.AI_SIMULATOR_DRAFT_FORMAT || 'rotate',
+
+      // Share of callbacks reporting a failed AI step (0-1)
+      failureRate: parseFloat(process.env.AI_SIMULATOR_FAILURE_RATE) || 0,
+
+      // Share of callbacks delivered twice with the same delivery ID, like an n8n retry (0-1)
+      duplicateRate: parseFloat(process.env.AI_SIMULATOR_DUPLICATE_RATE) || 0
+    }
+  },
+
+  // AI callback webhook signing
+  webhooks: {
+    // Active HMAC secrets: current first, previous kept during rotation
+    secrets: [process.env.WEBHOOK_SECRET, process.env.WEBHOOK_SECRET_PREVIOUS].filter(Boolean),
+
+    // Reject callbacks whose signature timestamp is further than this from now
+    toleranceSeconds: parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300, // 5 minutes
+
+    // When false, unsigned callbacks are accepted if no secret is configured (local development only)
+    requireSignature: process.env.WEBHOOK_REQUIRE_SIGNATURE !== 'false'
+  },
+
+  // Background job queue (AI transcription, draft and full story generation)
+  jobs: {
+    // Jobs processed at the same time by this worker
+    maxConcurrent: parseInt(process.env.JOB_MAX_CONCURRENT) || 2,
+
+    // How often to look for due jobs
+    pollInterval: parseInt(process.env.JOB_POLL_INTERVAL) || 5000, // 5 seconds
+
+    // Attempts before a job is moved to the dead-letter state
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 5,
+
+    // Exponential backoff between attempts: base * 2^(attempt - 1), capped
+    backoffBaseDelay: parseInt(process.env.JOB_BACKOFF_BASE_DELAY) || 10000, // 10 seconds
+    backoffMaxDelay: parseInt(process.env.JOB_BACKOFF_MAX_DELAY) || 900000, // 15 minutes
+
+    // A running job whose lock is older than this is assumed abandoned
+    lockTimeout: parseInt(process.env.JOB_LOCK_TIMEOUT) || 1800000 // 30 minutes
+  },
+
+  // Invite links for friend/relative verification interviews
+  friendInvites: {
+    // Days an invite link stays valid
+    expiryDays: parseInt(process.env.FRIEND_INVITE_EXPIRY_DAYS) || 14,
+
+    // Public page the relative opens; the token is appended as /friend/<token>
+    linkBaseUrl: process.env.FRIEND_INVITE_LINK_BASE_URL || process.env.FRONTEND_URL || 'http://localhost:3000',
+
+    // Largest recording a relative may upload
+    maxUploadBytes: parseInt(process.env.FRIEND_INVITE_MAX_UPLOAD_BYTES) || 100 * 1024 * 1024 // 100MB
+  },
+
+  // Interview calendar
+  scheduling: {
+    // Availability windows are wall-clock times in this timezone
+    timezone: process.env.SCHEDULING_TIMEZONE || 'Asia/Jerusalem',
+
+    // Used when an interview has no duration
+    defaultDurationMinutes: parseInt(process.env.SCHEDULING_DEFAULT_DURATION_MINUTES) || 60,
+
+    // Base URL of this API for calendar feed links (/api/schedule/feed/<token>.ics)
+    feedBaseUrl: process.env.SCHEDULING_FEED_BASE_URL || process.env.SITE_URL || 'http://localhost:5000',
+
+    // How far back the calendar feed reaches
+    feedPastDays: parseInt(process.env.SCHEDULING_FEED_PAST_DAYS) || 30
+  },
+
+  // Email notifications (reminders, review requests, story completion)
+  notifications: {
+    enabled: process.env.NOTIFICATIONS_ENABLED !== 'false',
+
+    // 'smtp' sends real email; 'file' writes .eml files to outboxDir; 'console' prints them
+    transport: process.env.NOTIFICATION_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console'),
+
+    from: process.env.NOTIFICATION_FROM || 'Legamunity <no-reply@legamunity.com>',
+
+    // Language of messages to staff; clients get their session's preferred language
+    staffLanguage: process.env.NOTIFICATION_STAFF_LANGUAGE || 'he',
+
+    // Who is told that a draft is waiting for approval
+    reviewerEmails: (process.env.NOTIFICATION_REVIEWER_EMAILS || '')
+      .split(',')
+      .map(email => email.trim())
+      .filter(Boolean),
+
+    // Interview reminders go out this many hours before scheduled_date
+    reminderHoursBefore: parseInt(process.env.NOTIFICATION_REMINDER_HOURS_BEFORE) || 24,
+    reminderCheckInterval: parseInt(process.env.NOTIFICATION_REMINDER_CHECK_INTERVAL) || 15 * 60 * 1000, // 15 minutes
+
+    // Links in messages point here
+    appUrl: process.env.FRONTEND_URL || 'http://localhost:3000',
+
+    outboxDir: process.env.NOTIFICATION_OUTBOX_DIR || path.join(__dirname, '../../notifications-outbox'),
+
+    smtp: {
+      host: process.env.SMTP_HOST || null,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true', // true for port 465, STARTTLS otherwise
+      user: process.env.SMTP_USER || null,
+      pass: process.env.SMTP_PASS || null
+    }
+  },
+
+  // Where uploaded recordings and documents are stored
+  storage: {
+    // 'cloudinary', 'local' (this server's disk) or 's3' (AWS S3 or any S3-compatible store, e.g. MinIO)
+    provider: process.env.STORAGE_PROVIDER || 'cloudinary',
+
+    cloudinary: {
+      cloudName: process.env.CLOUDINARY_CLOUD_NAME,
+      apiKey: process.env.CLOUDINARY_API_KEY,
+      apiSecret: process.env.CLOUDINARY_API_SECRET
+    },
+
+    local: {
+      dir: process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '../../uploads/storage'),
+
+      // Files are served from /api/files; the AI service downloads recordings from here
+      baseUrl: process.env.STORAGE_LOCAL_BASE_URL || `${process.env.BACKEND_URL || 'http://localhost:5000'}/api/files`
+    },
+
+    s3: {
+      bucket: process.env.STORAGE_S3_BUCKET,
+      region: process.env.STORAGE_S3_REGION || 'us-east-1',
+
+      // Set for S3-compatible stores (e.g. http://localhost:9000 for MinIO); empty for AWS
+      endpoint: process.env.STORAGE_S3_ENDPOINT || null,
+      forcePathStyle: process.env.STORAGE_S3_FORCE_PATH_STYLE
+        ? process.env.STORAGE_S3_FORCE_PATH_STYLE === 'true'
+        : !!process.env.STORAGE_S3_ENDPOINT,
+
+      accessKeyId: process.env.STORAGE_S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.STORAGE_S3_SECRET_ACCESS_KEY,
+
+      // Public base URL of the bucket (CDN or bucket URL); derived from endpoint/region when empty.
+      // The AI service downloads recordings from these URLs, so objects must be readable there
+      publicUrl: process.env.STORAGE_S3_PUBLIC_URL || null
+    }
+  },
+
+  // Resumable (chunked) uploads for long interview recordings
+  uploads: {
+    // Clients send the recording in chunks of this size (the last one may be smaller)
+    chunkSizeBytes: parseInt(process.env.UPLOAD_CHUNK_SIZE_BYTES) || 8 * 1024 * 1024, // 8MB
+
+    // Largest recording accepted through a resumable upload
+    maxFileBytes: parseInt(process.env.UPLOAD_MAX_FILE_BYTES) || 2 * 1024 * 1024 * 1024, // 2GB
+
+    // Received chunks are kept here until the upload is handed off
+    tempDir: process.env.UPLOAD_TEMP_DIR || path.join(__dirname, '../../uploads/resumable'),
+
+    // An upload with no new chunk for this long is discarded
+    expiryHours: parseInt(process.env.UPLOAD_EXPIRY_HOURS) || 24
+  },
+
+  // Search across transcripts, drafts and life stories
+  search: {
+    // Newest matching documents of each type that a search ranks (capped at 1000, the PostgREST row limit)
+    maxDocumentsPerType: parseInt(process.env.SEARCH_MAX_DOCUMENTS_PER_TYPE) || 500,
+
+    // Length of result snippets
+    snippetWords: parseInt(process.env.SEARCH_SNIPPET_WORDS) || 30
+  },
+
+  // Session ownership and workload balancing
+  assignment: {
+    // Give new sessions to the interviewer with the fewest open interviews instead of their creator
+    autoAssignSessions: process.env.ASSIGNMENT_AUTO_ASSIGN_SESSIONS === 'true'
+  },
+
+  // Document export configuration
+  exports: {
+    pdf: {
+      pageSize: process.env.PDF_PAGE_SIZE || 'A4',
+
+      // Fonts must cover both Hebrew and Latin glyphs
+      fontRegular: process.env.PDF_FONT_REGULAR ||
+        path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf', 'DejaVuSans.ttf'),
+      fontBold: process.env.PDF_FONT_BOLD ||
+        path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf', 'DejaVuSans-Bold.ttf')
+    },
+
+    // EPUB / HTML reader edition
+    reader: {
+      imageTimeout: parseInt(process.env.READER_IMAGE_TIMEOUT) || 15000, // 15 seconds
+      maxImageBytes: parseInt(process.env.READER_MAX_IMAGE_BYTES) || 10 * 1024 * 1024 // 10MB
+    }
   }
 };
@@ -772,7 +772,7 @@ const testRecordingsEndpoint = async (req, res) => {
  */
 const updateConfig = async (req, res) => {
   try {
-    const { endpointUrl, recordingsEndpointUrl, apiKey, mockMode, requestTimeout } = req.body;
+    const { endpointUrl, recordingsEndpointUrl, apiKey, mockMode, requestTimeout, simulator } = req.body;
     
     const newConfig = {};
     if (endpointUrl !== undefined) newConfig.endpointUrl = endpointUrl;
@@ -780,6 +780,7 @@ const updateConfig = async (req, res) => {
     if (apiKey !== undefined) newConfig.apiKey = apiKey;
     if (mockMode !== undefined) newConfig.mockMode = mockMode;
     if (requestTimeout !== undefined) newConfig.requestTimeout = requestTimeout;
+    if (simulator !== undefined) newConfig.simulator = simulator;
     
     console.log('🔧 Updating AI service configuration:', newConfig);
     const updatedConfig = aiService.updateConfig(newConfig);
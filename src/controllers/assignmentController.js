@@ -0,0 +1,137 @@
+const assignmentService = require('../services/assignmentService');
+
+const sendError = (res, result) => res.status(result.notFound ? 404 : (result.invalid ? 400 : 500)).json({
+  success: false,
+  message: result.error
+});
+
+/**
+ * @desc    Assign or reassign a session to a staff member (assignee: user id or email, reason)
+ * @route   PUT /api/sessions-supabase/:id/assignment
+ * @access  Staff with sessions.manage
+ */
+const assignSession = async (req, res) => {
+  try {
+    const { assignee, reason } = req.body;
+
+    const result = await assignmentService.assignSession(req.params.id, {
+      assignee,
+      reason,
+      actor: { uid: req.user.uid, email: req.user.email }
+    });
+
+    if (!result.success) {
+      return sendError(res, result);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      message: result.unchanged ? 'Session is already assigned to this staff member' : 'Session assigned'
+    });
+  } catch (error) {
+    console.error('Error assigning session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error assigning session',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Assign or reassign the staff member conducting an interview (assignee: user id, email or null, reason)
+ * @route   PUT /api/sessions-supabase/interviews/:id/assignment
+ * @access  Staff with sessions.manage
+ */
+const assignInterview = async (req, res) => {
+  try {
+    const { assignee, reason } = req.body;
+
+    const result = await assignmentService.assignInterview(req.params.id, {
+      assignee: assignee || null,
+      reason,
+      actor: { uid: req.user.uid, email: req.user.email }
+    });
+
+    if (!result.success) {
+      return sendError(res, result);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      message: result.unchanged ? 'Interview is already assigned to this staff member' : 'Interview assigned'
+    });
+  } catch (error) {
+    console.error('Error assigning interview:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error assigning interview',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Assignment history of a session and its interviews
+ * @route   GET /api/sessions-supabase/:id/assignments
+ * @access  Staff with sessions.view
+ */
+const getAssignmentChanges = async (req, res) => {
+  try {
+    const result = await assignmentService.getAssignmentChanges(req.params.id);
+
+    if (!result.success) {
+      return sendError(res, result);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      count: result.data.length
+    });
+  } catch (error) {
+    console.error('Error fetching assignment history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching assignment history',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Open sessions, open interviews and drafts in review per staff member
+ * @route   GET /api/sessions-supabase/workload
+ * @access  Staff with sessions.view
+ */
+const getWorkload = async (req, res) => {
+  try {
+    const result = await assignmentService.getWorkload();
+
+    if (!result.success) {
+      return sendError(res, result);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      count: result.data.staff.length
+    });
+  } catch (error) {
+    console.error('Error fetching workload:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching workload',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  assignSession,
+  assignInterview,
+  getAssignmentChanges,
+  getWorkload
+};
@@ -0,0 +1,168 @@
+const supabase = require('../config/database');
+const draftConflictService = require('../services/draftConflictService');
+
+const getInterviewSessionId = async (interviewId) => {
+  const { data: interview, error } = await supabase
+    .from('interviews')
+    .select('id, session_id')
+    .eq('id', interviewId)
+    .single();
+
+  if (error || !interview) {
+    return null;
+  }
+
+  return interview.session_id;
+};
+
+const isValidStatusFilter = (status) => status === 'all' || draftConflictService.STATUSES.includes(status);
+
+/**
+ * Detect conflicts for a session and respond with the matching records
+ * @param {Object} res - Express response
+ * @param {Object} filters - { sessionId, interviewId?, status }
+ */
+const respondWithConflicts = async (res, filters) => {
+  const detection = await draftConflictService.detectSessionConflicts(filters.sessionId);
+  if (!detection.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Error detecting conflicts',
+      error: detection.error
+    });
+  }
+
+  const result = await draftConflictService.getConflicts(filters);
+  if (!result.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Error fetching conflicts',
+      error: result.error
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: result.data,
+    count: result.data.length,
+    open: result.data.filter(conflict => conflict.status === 'open').length
+  });
+};
+
+/**
+ * @desc    Conflicts between this interview's draft and the other drafts of its session
+ * @route   GET /api/interviews/:id/conflicts?status=all|open|resolved|dismissed
+ * @access  Admin
+ */
+const getInterviewConflicts = async (req, res) => {
+  try {
+    const { id: interviewId } = req.params;
+    const { status = 'all' } = req.query;
+
+    if (!isValidStatusFilter(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Use all or one of: ${draftConflictService.STATUSES.join(', ')}`
+      });
+    }
+
+    const sessionId = await getInterviewSessionId(interviewId);
+    if (!sessionId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Interview not found'
+      });
+    }
+
+    await respondWithConflicts(res, { sessionId, interviewId, status });
+  } catch (error) {
+    console.error('Error fetching interview conflicts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching conflicts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Conflicts between the drafts of a session
+ * @route   GET /api/sessions-supabase/:id/conflicts?status=all|open|resolved|dismissed
+ * @access  Admin
+ */
+const getSessionConflicts = async (req, res) => {
+  try {
+    const { id: sessionId } = req.params;
+    const { status = 'all' } = req.query;
+
+    if (!isValidStatusFilter(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Use all or one of: ${draftConflictService.STATUSES.join(', ')}`
+      });
+    }
+
+    await respondWithConflicts(res, { sessionId, status });
+  } catch (error) {
+    console.error('Error fetching session conflicts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching conflicts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Resolve (pick the correct value), dismiss or reopen a conflict
+ * @route   PUT /api/interviews/:id/conflicts/:conflictId
+ * @access  Admin
+ */
+const resolveConflict = async (req, res) => {
+  try {
+    const { id: interviewId, conflictId } = req.params;
+    const { status, resolutionValue, note } = req.body;
+
+    const sessionId = await getInterviewSessionId(interviewId);
+    if (!sessionId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Interview not found'
+      });
+    }
+
+    const result = await draftConflictService.resolveConflict(conflictId, {
+      status,
+      resolutionValue,
+      note,
+      resolvedBy: req.user?.email
+    }, sessionId);
+
+    if (!result.success) {
+      const statusCode = result.notFound ? 404 : (result.invalid ? 400 : 500);
+      return res.status(statusCode).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      message: `Conflict ${result.data.status === 'open' ? 'reopened' : result.data.status}`
+    });
+  } catch (error) {
+    console.error('Error resolving conflict:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resolving conflict',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getInterviewConflicts,
+  getSessionConflicts,
+  resolveConflict
+};
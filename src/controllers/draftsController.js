@@ -1,3 +1,8 @@
+const exportService = require('../services/exportService');
+const { buildDraftDocument } = require('../utils/storyDocument');
+const draftHistoryService = require('../services/draftHistoryService');
+const stageValidationService = require('../services/stageValidationService');
+
 // Mock data for drafts - in production this would come from a database
 const mockDrafts = [
   {
@@ -397,33 +402,59 @@ exports.getDraftById = async (req, res) => {
 
 /**
  * @desc    Update draft content
- * @route   PUT /api/admin/drafts/:id
+ * @route   PUT /api/sessions-supabase/:id/drafts/:draftId/content
  * @access  Admin
  */
 exports.updateDraftContent = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { content } = req.body;
+    const { id: sessionId, draftId } = req.params;
+    const { content, reason } = req.body;
 
-    const draftIndex = mockDrafts.findIndex(d => d.id === id);
-    if (draftIndex === -1) {
+    if (!content || typeof content !== 'object' || Array.isArray(content)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Content object is required'
+      });
+    }
+
+    const supabaseService = require('../services/supabaseService');
+    const draftResult = await supabaseService.getDraftById(draftId);
+
+    if (!draftResult.success || draftResult.data.session_id !== sessionId) {
       return res.status(404).json({
         success: false,
         message: 'Draft not found'
       });
     }
 
-    // Update the draft
-    mockDrafts[draftIndex] = {
-      ...mockDrafts[draftIndex],
-      content: { ...mockDrafts[draftIndex].content, ...content },
-      updatedAt: new Date().toISOString(),
-      version: mockDrafts[draftIndex].version + 1
-    };
+    // Drafts under review or signed off are frozen until moved back to an editable stage
+    const permission = stageValidationService.validateUserPermission(draftResult.data.stage, 'edit', req.user);
+    if (!permission.allowed) {
+      return res.status(409).json({
+        success: false,
+        message: `Drafts in stage '${draftResult.data.stage}' cannot be edited`
+      });
+    }
+
+    // Approval and rejection records are written by stage changes only
+    const editableContent = { ...content };
+    delete editableContent.approval_metadata;
+    delete editableContent.rejection_metadata;
+
+    const result = await supabaseService.updateDraft(draftId, {
+      content: { ...draftResult.data.content, ...editableContent }
+    }, req.user?.email, reason);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error || 'Failed to update draft'
+      });
+    }
 
     res.status(200).json({
       success: true,
-      data: mockDrafts[draftIndex],
+      data: result.data,
       message: 'Draft updated successfully'
     });
   } catch (error) {
@@ -502,16 +533,20 @@ exports.updateDraftStage = async (req, res) => {
 
 /**
  * @desc    Export draft
- * @route   POST /api/admin/drafts/:id/export
+ * @route   POST /api/sessions-supabase/:id/drafts/:draftId/export
+ * @route   GET /api/sessions-supabase/:id/drafts/:draftId/export/:format
  * @access  Admin
  */
 exports.exportDraft = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { format } = req.body;
+    const { id: sessionId, draftId } = req.params;
+    const format = req.params.format || req.body?.format;
 
-    const draft = mockDrafts.find(d => d.id === id);
-    if (!draft) {
+    const supabaseService = require('../services/supabaseService');
+    const draftResult = await supabaseService.getDraftById(draftId);
+    const draft = draftResult.success ? draftResult.data : null;
+
+    if (!draft || draft.session_id !== sessionId) {
       return res.status(404).json({
         success: false,
         message: 'Draft not found'
@@ -520,18 +555,27 @@ exports.exportDraft = async (req, res) => {
 
     if (format === 'json') {
       res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Content-Disposition', `attachment; filename="draft-${id}.json"`);
+      res.setHeader('Content-Disposition', `attachment; filename="draft-${draftId}.json"`);
       res.status(200).json(draft);
-    } else if (format === 'pdf') {
-      // In a real implementation, you would generate a PDF here
-      // For now, we'll return a mock response
-      res.setHeader('Content-Type', 'application/pdf');
-      res.setHeader('Content-Disposition', `attachment; filename="draft-${id}.pdf"`);
-      res.status(200).send('Mock PDF content - implement PDF generation here');
+    } else if (exportService.getExportFormat(format)) {
+      const { contentType, readerEdition } = exportService.getExportFormat(format);
+
+      if (readerEdition && draft.stage !== 'approved') {
+        return res.status(409).json({
+          success: false,
+          message: 'Reader editions are only available for approved drafts'
+        });
+      }
+
+      const fileBuffer = await exportService.renderDocument(buildDraftDocument(draft), format);
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="draft-${draftId}.${format}"`);
+      res.setHeader('Content-Length', fileBuffer.length);
+      res.status(200).send(fileBuffer);
     } else {
       res.status(400).json({
         success: false,
-        message: 'Invalid export format. Use "json" or "pdf"'
+        message: `Invalid export format. Use one of: json, ${exportService.getSupportedFormats().join(', ')}`
       });
     }
   } catch (error) {
@@ -544,46 +588,47 @@ exports.exportDraft = async (req, res) => {
   }
 };
 
+// Shared query options for the history timelines
+const getHistoryOptions = (query) => ({
+  limit: query.limit,
+  offset: query.offset,
+  action: query.action,
+  includeSnapshots: query.includeSnapshots === 'true'
+});
+
 /**
- * @desc    Get draft history
- * @route   GET /api/admin/drafts/:id/history
+ * @desc    Get draft history (paginated timeline, newest first)
+ * @route   GET /api/sessions-supabase/:id/drafts/:draftId/history
  * @access  Admin
  */
 exports.getDraftHistory = async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    // Mock history data - in production this would come from a database
-    const mockHistory = [
-      {
-        id: 'history-001',
-        draftId: id,
-        action: 'created',
-        timestamp: '2025-01-20T10:00:00Z',
-        userId: 'system',
-        changes: 'Draft created from interview data'
-      },
-      {
-        id: 'history-002',
-        draftId: id,
-        action: 'content_updated',
-        timestamp: '2025-01-22T14:30:00Z',
-        userId: 'admin-001',
-        changes: 'Updated professional section with additional skills'
-      },
-      {
-        id: 'history-003',
-        draftId: id,
-        action: 'stage_changed',
-        timestamp: '2025-01-25T14:30:00Z',
-        userId: 'admin-001',
-        changes: 'Changed stage from first_draft to under_review'
-      }
-    ];
+    const { id: sessionId, draftId } = req.params;
+
+    const supabaseService = require('../services/supabaseService');
+    const draftResult = await supabaseService.getDraftById(draftId);
+
+    if (!draftResult.success || draftResult.data.session_id !== sessionId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Draft not found'
+      });
+    }
+
+    const result = await draftHistoryService.getDraftHistory(draftId, getHistoryOptions(req.query));
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Error fetching draft history',
+        error: result.error
+      });
+    }
 
     res.status(200).json({
       success: true,
-      data: mockHistory
+      data: result.data.history,
+      pagination: result.data.pagination
     });
   } catch (error) {
     console.error('Error fetching draft history:', error);
@@ -595,6 +640,38 @@ exports.getDraftHistory = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get the draft history of every draft in a session
+ * @route   GET /api/sessions-supabase/:id/drafts/history
+ * @access  Admin
+ */
+exports.getSessionDraftHistory = async (req, res) => {
+  try {
+    const result = await draftHistoryService.getSessionHistory(req.params.id, getHistoryOptions(req.query));
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Error fetching session draft history',
+        error: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.data.history,
+      pagination: result.data.pagination
+    });
+  } catch (error) {
+    console.error('Error fetching session draft history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching session draft history',
+      error: error.message
+    });
+  }
+};
+
 /**
  * @desc    Get all drafts for a specific session
  * @route   GET /api/sessions-supabase/:id/drafts
@@ -680,9 +757,9 @@ const addNoteToDraft = async (req, res) => {
 };
 
 /**
- * @desc    Update draft stage (approve/reject)
+ * @desc    Update draft stage (review, submit for approval, approve/reject)
  * @route   PUT /api/sessions-supabase/:id/drafts/:draftId/stage
- * @access  Admin
+ * @access  Staff (drafts.submit_for_approval for pending_approval, drafts.approve to approve/reject, else drafts.edit)
  */
 const updateDraftStage = async (req, res) => {
   try {
@@ -696,7 +773,7 @@ const updateDraftStage = async (req, res) => {
       });
     }
 
-    const validStages = ['approved', 'rejected', 'pending_review', 'under_review'];
+    const validStages = ['approved', 'rejected', 'pending_review', 'under_review', 'pending_approval'];
     if (!validStages.includes(stage)) {
       return res.status(400).json({
         success: false,
@@ -704,6 +781,16 @@ const updateDraftStage = async (req, res) => {
       });
     }
 
+    // Fail fast on the target stage; the move from the current stage is checked when updating
+    const permission = stageValidationService.validateStagePermission(stage, req.user);
+    if (!permission.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: permission.reason,
+        requiredPermissions: [permission.requiredPermission]
+      });
+    }
+
     if (stage === 'rejected' && !rejectionReason) {
       return res.status(400).json({
         success: false,
@@ -712,13 +799,39 @@ const updateDraftStage = async (req, res) => {
     }
 
     const supabaseService = require('../services/supabaseService');
+
     const result = await supabaseService.updateDraftStage(draftId, {
       stage,
       rejectionReason,
       approvedBy,
-      rejectedBy
+      rejectedBy,
+      changedBy: req.user?.email,
+      user: req.user
     });
 
+    if (result.forbidden) {
+      return res.status(403).json({
+        success: false,
+        message: result.error,
+        requiredPermissions: [result.requiredPermission]
+      });
+    }
+
+    if (result.notFound) {
+      return res.status(404).json({
+        success: false,
+        message: 'Draft not found'
+      });
+    }
+
+    if (result.conflict) {
+      return res.status(409).json({
+        success: false,
+        message: result.error,
+        openCriticalVerifications: result.openCriticalVerifications
+      });
+    }
+
     if (!result.success) {
       return res.status(400).json({
         success: false,
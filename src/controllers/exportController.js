@@ -0,0 +1,161 @@
+const fullLifeStoriesService = require('../services/fullLifeStoriesService');
+const exportService = require('../services/exportService');
+const { buildStoryDocument, buildExportFileName } = require('../utils/storyDocument');
+
+/**
+ * Export Controller
+ * Handles downloadable exports of full life stories
+ */
+
+// Reader editions go to families, so only finished stories can be exported
+const READER_EDITION_STATUSES = ['approved', 'published'];
+
+/**
+ * Render a full life story in the requested format and send it as an attachment
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} story - Full life story record
+ * @param {string} format - Export format key
+ */
+const sendStoryExport = async (req, res, story, format) => {
+  const { contentType, readerEdition } = exportService.getExportFormat(format);
+
+  if (readerEdition && !READER_EDITION_STATUSES.includes(story.status)) {
+    return res.status(409).json({
+      success: false,
+      error: `Reader editions are only available for approved stories (current status: ${story.status})`
+    });
+  }
+
+  const document = buildStoryDocument(story);
+
+  if (document.chapters.length === 0) {
+    return res.status(422).json({
+      success: false,
+      error: 'Full life story has no content to export'
+    });
+  }
+
+  const fileBuffer = await exportService.renderDocument(document, format);
+  const fileName = buildExportFileName(document, format);
+
+  console.log(`📄 Exported full life story ${story.id} to ${format.toUpperCase()} (${fileBuffer.length} bytes)`);
+
+  // Export bookkeeping is informational - never fail the download over it
+  const recordResult = await fullLifeStoriesService.recordExportFormat(story.id, format, req.user?.email);
+  if (!recordResult.success) {
+    console.warn(`⚠️ Could not record ${format} export for full life story ${story.id}:`, recordResult.error);
+  }
+
+  if (readerEdition) {
+    const deliveryResult = await fullLifeStoriesService.updateDeliveryStatus(story.id, format, {
+      status: 'ready',
+      generated_at: new Date().toISOString(),
+      generated_by: req.user?.email || null,
+      file_name: fileName,
+      file_size: fileBuffer.length
+    });
+    if (!deliveryResult.success) {
+      console.warn(`⚠️ Could not update ${format} delivery status for full life story ${story.id}:`, deliveryResult.error);
+    }
+  }
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.setHeader('Content-Length', fileBuffer.length);
+  res.status(200).send(fileBuffer);
+};
+
+/**
+ * Validate the requested export format
+ * @param {Object} res - Express response object
+ * @param {string} format - Requested format
+ * @returns {boolean} - True when supported (otherwise a 400 has been sent)
+ */
+const ensureSupportedFormat = (res, format) => {
+  if (exportService.getExportFormat(format)) {
+    return true;
+  }
+
+  res.status(400).json({
+    success: false,
+    error: `Invalid export format. Use one of: ${exportService.getSupportedFormats().join(', ')}`
+  });
+  return false;
+};
+
+/**
+ * Export a full life story
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const exportFullLifeStory = async (req, res) => {
+  try {
+    const { id, format } = req.params;
+
+    if (!ensureSupportedFormat(res, format)) return;
+
+    console.log(`📄 Exporting full life story to ${format}:`, id);
+
+    const result = await fullLifeStoriesService.getFullLifeStoryById(id);
+
+    if (!result.success || !result.data) {
+      return res.status(404).json({
+        success: false,
+        error: result.error || 'Full life story not found'
+      });
+    }
+
+    await sendStoryExport(req, res, result.data, format);
+  } catch (error) {
+    console.error('❌ Error in exportFullLifeStory controller:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export full life story'
+    });
+  }
+};
+
+/**
+ * Export the current full life story of a session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const exportSession = async (req, res) => {
+  try {
+    const { id, format } = req.params;
+
+    if (!ensureSupportedFormat(res, format)) return;
+
+    console.log(`📄 Exporting current full life story of session to ${format}:`, id);
+
+    const result = await fullLifeStoriesService.getCurrentFullLifeStory(id);
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    if (!result.data) {
+      return res.status(404).json({
+        success: false,
+        error: 'No full life story has been generated for this session'
+      });
+    }
+
+    await sendStoryExport(req, res, result.data, format);
+  } catch (error) {
+    console.error('❌ Error in exportSession controller:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export session'
+    });
+  }
+};
+
+module.exports = {
+  exportFullLifeStory,
+  exportSession
+};
@@ -0,0 +1,114 @@
+const supabaseService = require('../services/supabaseService');
+const factVerificationService = require('../services/factVerificationService');
+
+/**
+ * @desc    List verification items of a session (open items by default)
+ * @route   GET /api/sessions-supabase/:id/verifications?status=open|all|<status>&category=&draftId=&critical=true
+ * @access  Admin
+ */
+const getSessionVerifications = async (req, res) => {
+  try {
+    const { id: sessionId } = req.params;
+    const { status = 'open', category, draftId, critical } = req.query;
+
+    if (status !== 'open' && status !== 'all' && !factVerificationService.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Use open, all or one of: ${factVerificationService.STATUSES.join(', ')}`
+      });
+    }
+
+    if (category && !factVerificationService.CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid category. Must be one of: ${factVerificationService.CATEGORIES.join(', ')}`
+      });
+    }
+
+    // Drafts generated before verification tracking get their records on first listing
+    const draftsResult = await supabaseService.getDraftsBySessionId(sessionId);
+    if (draftsResult.success) {
+      for (const draft of draftsResult.data) {
+        await factVerificationService.syncDraft(draft);
+      }
+    }
+
+    const result = await factVerificationService.getVerifications({
+      sessionId,
+      draftId,
+      status,
+      category,
+      criticalOnly: critical === 'true'
+    });
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Error fetching verification items',
+        error: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      count: result.data.length,
+      openCritical: result.data.filter(item =>
+        item.is_critical && factVerificationService.OPEN_STATUSES.includes(item.status)).length
+    });
+  } catch (error) {
+    console.error('Error fetching verification items:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching verification items',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Confirm, correct or dispute a verification item
+ * @route   PUT /api/sessions-supabase/:id/verifications/:verificationId
+ * @access  Admin
+ */
+const updateVerification = async (req, res) => {
+  try {
+    const { id: sessionId, verificationId } = req.params;
+    const { status, correctedValue, source, notes, critical } = req.body;
+
+    const result = await factVerificationService.updateVerification(verificationId, {
+      status,
+      correctedValue,
+      source,
+      notes,
+      critical,
+      verifiedBy: req.user?.email || req.user?.displayName
+    }, sessionId);
+
+    if (!result.success) {
+      const statusCode = result.notFound ? 404 : (result.invalid ? 400 : 500);
+      return res.status(statusCode).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      message: `Verification item ${result.data.status}`
+    });
+  } catch (error) {
+    console.error('Error updating verification item:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating verification item',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getSessionVerifications,
+  updateVerification
+};
@@ -0,0 +1,271 @@
+const supabaseService = require('../services/supabaseService');
+const followUpQuestionService = require('../services/followUpQuestionService');
+
+const sendGuide = (res, result, format) => {
+  if (!result.success) {
+    return res.status(result.notFound ? 404 : 500).json({
+      success: false,
+      message: result.error
+    });
+  }
+
+  if (format === 'markdown') {
+    res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+    return res.status(200).send(result.data.markdown);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: result.data
+  });
+};
+
+/**
+ * @desc    List the follow-up question bank of a session
+ * @route   GET /api/sessions-supabase/:id/questions?status=all|open|<status>&interviewId=
+ * @access  Admin
+ */
+const getSessionQuestions = async (req, res) => {
+  try {
+    const { id: sessionId } = req.params;
+    const { status = 'all', interviewId } = req.query;
+
+    if (status !== 'all' && status !== 'open' && !followUpQuestionService.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Use all, open or one of: ${followUpQuestionService.STATUSES.join(', ')}`
+      });
+    }
+
+    // Drafts generated before the question bank existed are collected on first listing
+    const draftsResult = await supabaseService.getDraftsBySessionId(sessionId);
+    if (draftsResult.success) {
+      for (const draft of draftsResult.data) {
+        await followUpQuestionService.syncDraft(draft);
+      }
+    }
+
+    const result = await followUpQuestionService.getQuestions({ sessionId, status, interviewId });
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Error fetching follow-up questions',
+        error: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      count: result.data.length
+    });
+  } catch (error) {
+    console.error('Error fetching follow-up questions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching follow-up questions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Add a question to the bank by hand
+ * @route   POST /api/sessions-supabase/:id/questions
+ * @access  Admin
+ */
+const createSessionQuestion = async (req, res) => {
+  try {
+    const { question, assignedInterviewId, notes } = req.body;
+
+    const result = await followUpQuestionService.createQuestion({
+      sessionId: req.params.id,
+      question,
+      assignedInterviewId,
+      notes,
+      createdBy: req.user?.email || req.user?.displayName
+    });
+
+    if (!result.success) {
+      return res.status(result.invalid ? 400 : 500).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result.data,
+      message: 'Question added to the bank'
+    });
+  } catch (error) {
+    console.error('Error adding follow-up question:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding follow-up question',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Accept, edit, dismiss or assign a question to an upcoming interview
+ * @route   PUT /api/sessions-supabase/:id/questions/:questionId
+ * @access  Admin
+ */
+const updateSessionQuestion = async (req, res) => {
+  try {
+    const { id: sessionId, questionId } = req.params;
+    const { status, question, assignedInterviewId, position, notes, answer } = req.body;
+
+    const result = await followUpQuestionService.updateQuestion(questionId, {
+      status,
+      question,
+      assignedInterviewId,
+      position,
+      notes,
+      answer,
+      updatedBy: req.user?.email || req.user?.displayName
+    }, sessionId);
+
+    if (!result.success) {
+      const statusCode = result.notFound ? 404 : (result.invalid ? 400 : 500);
+      return res.status(statusCode).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      message: `Question ${result.data.status}`
+    });
+  } catch (error) {
+    console.error('Error updating follow-up question:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating follow-up question',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Interviewer guide for the next scheduled interview of a session
+ * @route   GET /api/sessions-supabase/:id/interviewer-guide?interviewId=&format=json|markdown
+ * @access  Admin
+ */
+const getSessionInterviewerGuide = async (req, res) => {
+  try {
+    const { interviewId, format } = req.query;
+    const result = await followUpQuestionService.getInterviewerGuide(req.params.id, interviewId || null);
+    sendGuide(res, result, format);
+  } catch (error) {
+    console.error('Error building interviewer guide:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building interviewer guide',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Interviewer guide for one interview
+ * @route   GET /api/interviews/:id/guide?format=json|markdown
+ * @access  Admin
+ */
+const getInterviewGuide = async (req, res) => {
+  try {
+    const interview = await followUpQuestionService.getInterview(req.params.id);
+    if (!interview) {
+      return res.status(404).json({
+        success: false,
+        message: 'Interview not found'
+      });
+    }
+
+    const result = await followUpQuestionService.getInterviewerGuide(interview.session_id, interview.id);
+    sendGuide(res, result, req.query.format);
+  } catch (error) {
+    console.error('Error building interviewer guide:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building interviewer guide',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Record a question asked during an interview: a bank question (questionId)
+ *          or a new one (question), with the answer when given
+ * @route   POST /api/interviews/:id/question
+ * @access  Admin
+ */
+const recordInterviewQuestion = async (req, res) => {
+  try {
+    const { id: interviewId } = req.params;
+    const { questionId, question, answer, notes } = req.body;
+    const actor = req.user?.email || req.user?.displayName;
+
+    const interview = await followUpQuestionService.getInterview(interviewId);
+    if (!interview) {
+      return res.status(404).json({
+        success: false,
+        message: 'Interview not found'
+      });
+    }
+
+    const result = questionId
+      ? await followUpQuestionService.updateQuestion(questionId, {
+        question,
+        answer,
+        notes,
+        status: 'asked',
+        assignedInterviewId: interview.id,
+        updatedBy: actor
+      }, interview.session_id)
+      : await followUpQuestionService.createQuestion({
+        sessionId: interview.session_id,
+        question,
+        assignedInterviewId: interview.id,
+        notes,
+        answer,
+        asked: true,
+        createdBy: actor
+      });
+
+    if (!result.success) {
+      const statusCode = result.notFound ? 404 : (result.invalid ? 400 : 500);
+      return res.status(statusCode).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(questionId ? 200 : 201).json({
+      success: true,
+      data: result.data,
+      message: 'Question saved'
+    });
+  } catch (error) {
+    console.error('Error saving interview question:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving interview question',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getSessionQuestions,
+  createSessionQuestion,
+  updateSessionQuestion,
+  getSessionInterviewerGuide,
+  getInterviewGuide,
+  recordInterviewQuestion
+};
@@ -0,0 +1,375 @@
+const supabase = require('../config/database');
+const friendInviteService = require('../services/friendInviteService');
+const loggingService = require('../services/loggingService');
+const { processInterviewSubmission } = require('./sessionControllerSupabase');
+
+// Interview statuses during which a new submission would overwrite work in progress
+const PROCESSING_STATUSES = ['uploading', 'transcribing', 'generating_draft'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const getInterviewWithSession = async (interviewId) => {
+  const { data: interview, error } = await supabase
+    .from('interviews')
+    .select('id, session_id, type, status, content')
+    .eq('id', interviewId)
+    .single();
+
+  if (error || !interview) {
+    return null;
+  }
+
+  const { data: session } = await supabase
+    .from('sessions')
+    .select('id, client_name, preferences')
+    .eq('id', interview.session_id)
+    .single();
+
+  return { interview, session: session || { id: interview.session_id } };
+};
+
+const isFriendInterview = (interview) =>
+  interview.type === 'friend_verification' || interview.content?.isFriendInterview === true;
+
+/**
+ * @desc    Invite a friend or relative to contribute to a verification interview
+ * @route   POST /api/interviews/:id/friend
+ * @access  Admin
+ */
+const createFriendInvite = async (req, res) => {
+  try {
+    const { id: interviewId } = req.params;
+    const { name, relationship, email, phone, message, expiresInDays } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name of the person to invite is required'
+      });
+    }
+
+    if (!email && !phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'An email or phone number is required'
+      });
+    }
+
+    if (email && !EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid email address'
+      });
+    }
+
+    const found = await getInterviewWithSession(interviewId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Interview not found'
+      });
+    }
+
+    if (!isFriendInterview(found.interview)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invites can only be sent for friend_verification interviews'
+      });
+    }
+
+    const result = await friendInviteService.createInvite({
+      interviewId,
+      sessionId: found.interview.session_id,
+      name: String(name).trim(),
+      relationship,
+      email,
+      phone,
+      message,
+      expiresInDays,
+      invitedBy: req.user?.email
+    });
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create invite',
+        error: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...result.data.invite,
+        link: result.data.link
+      },
+      message: 'Invite created - share the link with the invited person'
+    });
+  } catch (error) {
+    console.error('Error creating friend invite:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create invite',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    List invites sent for an interview
+ * @route   GET /api/interviews/:id/friends
+ * @access  Admin
+ */
+const getFriendInvites = async (req, res) => {
+  try {
+    const result = await friendInviteService.getInvitesByInterview(req.params.id);
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch invites',
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.data,
+      count: result.data.length
+    });
+  } catch (error) {
+    console.error('Error fetching friend invites:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invites',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Cancel an unused invite
+ * @route   DELETE /api/interviews/:id/friend/:inviteId
+ * @access  Admin
+ */
+const revokeFriendInvite = async (req, res) => {
+  try {
+    const { id: interviewId, inviteId } = req.params;
+    const result = await friendInviteService.revokeInvite(interviewId, inviteId);
+
+    if (!result.success) {
+      const statusCode = result.notFound ? 404 : (result.conflict ? 409 : 500);
+      return res.status(statusCode).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.data,
+      message: 'Invite cancelled'
+    });
+  } catch (error) {
+    console.error('Error revoking friend invite:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel invite',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Show an invite to the invited person
+ * @route   GET /api/friend-invites/:token
+ * @access  Public (invite token)
+ */
+const getInviteByToken = async (req, res) => {
+  try {
+    const result = await friendInviteService.getInviteByToken(req.params.token);
+
+    if (!result.success) {
+      const statusCode = result.notFound ? 404 : (result.gone ? 410 : 500);
+      return res.status(statusCode).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const invite = result.data;
+    await friendInviteService.markOpened(invite);
+
+    const found = await getInterviewWithSession(invite.interview_id);
+
+    res.json({
+      success: true,
+      data: {
+        inviteeName: invite.invitee_name,
+        relationship: invite.relationship,
+        message: invite.message,
+        clientName: found?.session?.client_name || null,
+        preferredLanguage: found?.session?.preferences?.preferred_language || null,
+        expiresAt: invite.expires_at
+      }
+    });
+  } catch (error) {
+    console.error('Error opening friend invite:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open invite',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Resolve the invite token before the request body is read, so uploads on
+ * unknown, used, revoked or expired links are refused without buffering the file
+ * Sets req.invite for submitContribution
+ */
+const resolveInvite = async (req, res, next) => {
+  try {
+    const result = await friendInviteService.getInviteByToken(req.params.token);
+
+    if (!result.success) {
+      const statusCode = result.notFound ? 404 : (result.gone ? 410 : 500);
+      return res.status(statusCode).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    req.invite = result.data;
+    next();
+  } catch (error) {
+    console.error('Error resolving friend invite:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve invite',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Submit a recording (file) or written memories (memories) through an invite
+ * @route   POST /api/friend-invites/:token/submission
+ * @access  Public (invite token)
+ */
+const submitContribution = async (req, res) => {
+  try {
+    const file = req.file;
+    const memories = typeof req.body?.memories === 'string' ? req.body.memories.trim() : '';
+
+    if (!file && !memories) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a recording or write your memories'
+      });
+    }
+
+    const invite = req.invite;
+    const found = await getInterviewWithSession(invite.interview_id);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'The interview for this invite no longer exists'
+      });
+    }
+
+    if (PROCESSING_STATUSES.includes(found.interview.status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another contribution is still being processed, please try again in a few minutes'
+      });
+    }
+
+    // Only one submission gets the invite; a concurrent or repeated one is refused
+    const claim = await friendInviteService.markSubmitted(invite.id);
+    if (!claim.success) {
+      return res.status(claim.gone ? 410 : 500).json({
+        success: false,
+        message: claim.error
+      });
+    }
+
+    const submissionType = !file ? 'text' : (file.mimetype.startsWith('audio/') ? 'recording' : 'text_file');
+    const friendContribution = {
+      inviteId: invite.id,
+      name: invite.invitee_name,
+      relationship: invite.relationship,
+      type: submissionType,
+      submittedAt: new Date().toISOString()
+    };
+
+    // Several relatives can contribute to one interview; earlier contributions are kept in the list
+    const content = found.interview.content || {};
+    const previousContributions = Array.isArray(content.friend_contributions)
+      ? content.friend_contributions
+      : (content.friend_contribution ? [content.friend_contribution] : []);
+
+    let processed;
+    try {
+      processed = await processInterviewSubmission(invite.interview_id, {
+        file,
+        text: memories,
+        sessionData: {
+          sessionId: found.session.id,
+          clientName: found.session.client_name,
+          preferred_language: found.session.preferences?.preferred_language || 'auto-detect',
+          notes: `Contribution from ${invite.invitee_name}${invite.relationship ? ` (${invite.relationship})` : ''} about ${found.session.client_name || 'the client'}`,
+          friendContribution
+        },
+        uploadedBy: `friend-invite:${invite.id}`,
+        createdBy: `friend-invite:${invite.id}`,
+        contentExtras: {
+          isFriendInterview: true,
+          // The contribution being processed; its draft is tagged with it
+          friend_contribution: friendContribution,
+          friend_contributions: [...previousContributions, friendContribution]
+        }
+      });
+    } catch (error) {
+      await friendInviteService.releaseInvite(invite.id);
+      throw error;
+    }
+
+    // The contribution itself stays on the invite, whatever later submissions do to the interview
+    await friendInviteService.saveSubmission(invite.id, {
+      type: submissionType,
+      fileMetadata: processed.fileMetadata,
+      text: file ? null : memories,
+      textLength: file ? null : memories.length,
+      jobId: processed.jobResult.data.id
+    });
+
+    await loggingService.logSystemEvent('friend_contribution_received', {
+      inviteId: invite.id,
+      interviewId: invite.interview_id,
+      sessionId: found.session.id,
+      type: submissionType
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Thank you! Your contribution was received'
+    });
+  } catch (error) {
+    console.error('Error submitting friend contribution:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit contribution',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createFriendInvite,
+  getFriendInvites,
+  revokeFriendInvite,
+  getInviteByToken,
+  resolveInvite,
+  submitContribution
+};
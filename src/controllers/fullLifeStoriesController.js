@@ -1,4 +1,5 @@
 const fullLifeStoriesService = require('../services/fullLifeStoriesService');
+const jobQueueService = require('../services/jobQueueService');
 
 /**
  * Full Life Stories Controller
@@ -312,9 +313,8 @@ const regenerateFullLifeStory = async (req, res) => {
       });
     }
 
-    // Use AI service for regeneration with notes feedback
-    const aiService = require('../services/aiService');
-    console.log('🤖 AI Service: Regenerating full life story with feedback...');
+    // Queue AI regeneration with notes feedback
+    console.log('🤖 Queueing full life story regeneration with feedback...');
 
     const fullStoryData = {
       sessionId: story.session_id,
@@ -344,7 +344,11 @@ const regenerateFullLifeStory = async (req, res) => {
       }
     };
 
-    const regeneratedStory = await aiService.generateFullLifeStory(fullStoryData);
+    const jobResult = await jobQueueService.enqueue('full_story.generate', { fullStoryData }, {
+      referenceType: 'session',
+      referenceId: story.session_id,
+      createdBy: req.user?.email
+    });
 
     // Create new version with AI-regenerated content
     // Ensure title is never null by providing a fallback
@@ -390,12 +394,13 @@ const regenerateFullLifeStory = async (req, res) => {
 
     // const regenerationResult = await fullLifeStoriesService.createFullLifeStory(storyData);
 
-    if (regeneratedStory.message) {
+    if (jobResult.success) {
       res.json({
         success: true,
         message: 'Full life story regeneration started successfully',
         data: {
           originalVersion: story,
+          jobId: jobResult.data.id
         }
       });
     } else {
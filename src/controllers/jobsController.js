@@ -0,0 +1,140 @@
+const jobQueueService = require('../services/jobQueueService');
+
+/**
+ * Jobs Controller
+ * Handles monitoring and recovery of background jobs
+ */
+
+/**
+ * Get job queue status (counts per state and worker activity)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getQueueStatus = async (req, res) => {
+  try {
+    const result = await jobQueueService.getQueueStatus();
+
+    if (result.success) {
+      res.json({
+        success: true,
+        data: result.data
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('❌ Error in getQueueStatus controller:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * List jobs with filtering and pagination
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getJobs = async (req, res) => {
+  try {
+    const { status, type, referenceType, referenceId, limit, offset } = req.query;
+
+    const result = await jobQueueService.getJobs({
+      status,
+      type,
+      referenceType,
+      referenceId,
+      limit,
+      offset
+    });
+
+    if (result.success) {
+      res.json({
+        success: true,
+        data: result.data,
+        pagination: result.pagination
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('❌ Error in getJobs controller:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get a single job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getJobById = async (req, res) => {
+  try {
+    const result = await jobQueueService.getJobById(req.params.id);
+
+    if (result.success) {
+      res.json({
+        success: true,
+        data: result.data
+      });
+    } else {
+      res.status(404).json({
+        success: false,
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('❌ Error in getJobById controller:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Re-queue a dead-lettered job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const retryJob = async (req, res) => {
+  try {
+    const result = await jobQueueService.retryJob(req.params.id);
+
+    if (result.success) {
+      res.json({
+        success: true,
+        message: 'Job re-queued successfully',
+        data: result.data
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('❌ Error in retryJob controller:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getQueueStatus,
+  getJobs,
+  getJobById,
+  retryJob
+};
@@ -0,0 +1,71 @@
+const notificationService = require('../services/notificationService');
+
+/**
+ * Notifications Controller
+ * Handles monitoring of outgoing notifications and manual reminder runs
+ */
+
+/**
+ * List recent notifications (filter by status, sessionId)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getNotifications = async (req, res) => {
+  try {
+    const { status, sessionId, limit } = req.query;
+
+    const result = await notificationService.getNotifications({ status, sessionId, limit });
+
+    if (result.success) {
+      res.json({
+        success: true,
+        data: result.data
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('❌ Error in getNotifications controller:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Queue reminders for upcoming interviews now instead of waiting for the next check
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const runReminders = async (req, res) => {
+  try {
+    const result = await notificationService.sendInterviewReminders();
+
+    if (result.success) {
+      res.json({
+        success: true,
+        data: result.data
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('❌ Error in runReminders controller:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  runReminders
+};
@@ -0,0 +1,262 @@
+const resumableUploadService = require('../services/resumableUploadService');
+const jobQueueService = require('../services/jobQueueService');
+const loggingService = require('../services/loggingService');
+const { processInterviewSubmission } = require('./sessionControllerSupabase');
+
+const statusCodeFor = (result) => {
+  if (result.notFound) return 404;
+  if (result.tooLarge) return 413;
+  if (result.invalid) return 400;
+  if (result.conflict || result.incomplete) return 409;
+  return 500;
+};
+
+/**
+ * @desc    Start a resumable upload of an interview recording (or resume the same file)
+ * @route   POST /api/sessions-supabase/interviews/:id/uploads
+ * @access  Admin
+ */
+const startUpload = async (req, res) => {
+  try {
+    const { fileName, mimeType, totalSize, checksum, sessionData } = req.body;
+
+    const result = await resumableUploadService.createUpload(req.params.id, {
+      fileName,
+      mimeType,
+      totalSize,
+      checksum,
+      sessionData,
+      createdBy: req.user?.email
+    });
+
+    if (!result.success) {
+      return res.status(statusCodeFor(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(result.resumed ? 200 : 201).json({
+      success: true,
+      resumed: result.resumed,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error starting resumable upload:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start upload',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get upload progress, including the chunks still missing
+ * @route   GET /api/sessions-supabase/interviews/:id/uploads/:uploadId
+ * @access  Admin
+ */
+const getUpload = async (req, res) => {
+  try {
+    const result = await resumableUploadService.getUpload(req.params.id, req.params.uploadId);
+
+    if (!result.success) {
+      return res.status(statusCodeFor(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error fetching upload:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch upload',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Upload one chunk (raw bytes, sha256 in the X-Chunk-Checksum header)
+ * @route   PUT /api/sessions-supabase/interviews/:id/uploads/:uploadId/chunks/:index
+ * @access  Admin
+ */
+const uploadChunk = async (req, res) => {
+  try {
+    const result = await resumableUploadService.receiveChunk(
+      req.params.id,
+      req.params.uploadId,
+      req.params.index,
+      req,
+      req.get('X-Chunk-Checksum')
+    );
+
+    if (!result.success) {
+      return res.status(statusCodeFor(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const { receivedChunks, missingChunks, receivedBytes, percent } = result.data;
+
+    res.json({
+      success: true,
+      data: {
+        uploadId: result.data.id,
+        receivedChunks: receivedChunks.length,
+        totalChunks: result.data.total_chunks,
+        missingChunks,
+        receivedBytes,
+        percent
+      }
+    });
+  } catch (error) {
+    console.error('Error receiving upload chunk:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to store chunk',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Assemble and validate the uploaded chunks, then hand the recording off to storage and transcription
+ * @route   POST /api/sessions-supabase/interviews/:id/uploads/:uploadId/complete
+ * @access  Admin
+ */
+const completeUpload = async (req, res) => {
+  try {
+    const result = await resumableUploadService.assembleUpload(req.params.id, req.params.uploadId);
+
+    if (!result.success) {
+      return res.status(statusCodeFor(result)).json({
+        success: false,
+        message: result.error,
+        ...(result.missingChunks && { missingChunks: result.missingChunks })
+      });
+    }
+
+    const upload = result.data;
+
+    const jobResult = await jobQueueService.enqueue('upload.finalize', {
+      interviewId: upload.interview_id,
+      uploadId: upload.id
+    }, {
+      referenceType: 'interview',
+      referenceId: upload.interview_id,
+      createdBy: req.user?.email
+    });
+
+    if (!jobResult.success) {
+      await resumableUploadService.markFailed(upload.id, `Failed to queue upload processing: ${jobResult.error}`);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to queue upload processing',
+        error: jobResult.error
+      });
+    }
+
+    const processing = await resumableUploadService.markProcessing(upload, jobResult.data.id);
+
+    res.status(202).json({
+      success: true,
+      message: 'Upload complete, the recording is being stored and transcribed',
+      data: {
+        upload: processing,
+        jobId: jobResult.data.id
+      }
+    });
+  } catch (error) {
+    console.error('Error completing upload:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete upload',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Cancel an unfinished upload and discard its chunks
+ * @route   DELETE /api/sessions-supabase/interviews/:id/uploads/:uploadId
+ * @access  Admin
+ */
+const cancelUpload = async (req, res) => {
+  try {
+    const result = await resumableUploadService.cancelUpload(req.params.id, req.params.uploadId);
+
+    if (!result.success) {
+      return res.status(statusCodeFor(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error cancelling upload:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel upload',
+      error: error.message
+    });
+  }
+};
+
+// Background job: store the assembled recording and queue its transcription
+const finalizeUpload = async ({ interviewId, uploadId }) => {
+  const result = await resumableUploadService.getUpload(interviewId, uploadId);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  const upload = result.data;
+  if (upload.status === 'completed') {
+    return { fileMetadata: upload.file_metadata };
+  }
+
+  const file = await resumableUploadService.getAssembledFile(upload);
+  const sessionData = upload.session_data || {};
+
+  const { fileMetadata, jobResult } = await processInterviewSubmission(interviewId, {
+    file,
+    sessionData,
+    uploadedBy: upload.created_by || 'system',
+    createdBy: upload.created_by
+  });
+
+  await resumableUploadService.markCompleted(uploadId, fileMetadata);
+
+  await loggingService.logFileUploaded(
+    null,
+    upload.created_by,
+    sessionData.sessionId || sessionData.id || null,
+    interviewId,
+    fileMetadata
+  );
+
+  return { fileMetadata, transcriptionJobId: jobResult.data.id };
+};
+
+jobQueueService.registerHandler('upload.finalize', {
+  handle: finalizeUpload,
+  onDead: ({ uploadId }, job, error) => resumableUploadService.markFailed(uploadId, error?.message || 'Upload processing failed')
+});
+
+module.exports = {
+  startUpload,
+  getUpload,
+  uploadChunk,
+  completeUpload,
+  cancelUpload
+};
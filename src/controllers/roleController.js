@@ -0,0 +1,105 @@
+const roleService = require('../services/roleService');
+
+const sendError = (res, result) => res.status(result.notFound ? 404 : (result.invalid ? 400 : 500)).json({
+  success: false,
+  message: result.error
+});
+
+/**
+ * @desc    Role and permissions of the signed-in user
+ * @route   GET /api/roles/me
+ * @access  Private
+ */
+const getMyPermissions = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      role: req.user.role,
+      permissions: roleService.getPermissions(req.user.role)
+    }
+  });
+};
+
+/**
+ * @desc    The role/permission matrix
+ * @route   GET /api/roles
+ * @access  Staff with roles.manage
+ */
+const getRoleMatrix = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: roleService.getMatrix()
+  });
+};
+
+/**
+ * @desc    List users with their roles (?role to filter)
+ * @route   GET /api/roles/assignments
+ * @access  Staff with roles.manage
+ */
+const getAssignments = async (req, res) => {
+  try {
+    const result = await roleService.listAssignments({ role: req.query.role });
+
+    if (!result.success) {
+      return sendError(res, result);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      count: result.data.length
+    });
+  } catch (error) {
+    console.error('Error fetching role assignments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching role assignments',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Assign a role to a user
+ * @route   PUT /api/roles/assignments/:userId
+ * @access  Staff with roles.manage
+ */
+const assignRole = async (req, res) => {
+  try {
+    const { role, reason } = req.body;
+
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role is required'
+      });
+    }
+
+    const result = await roleService.assignRole(req.params.userId, role, req.user, reason || null);
+
+    if (!result.success) {
+      return sendError(res, result);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      message: result.unchanged ? 'User already has this role' : 'Role assigned'
+    });
+  } catch (error) {
+    console.error('Error assigning role:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error assigning role',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getMyPermissions,
+  getRoleMatrix,
+  getAssignments,
+  assignRole
+};
@@ -0,0 +1,411 @@
+const schedulingService = require('../services/schedulingService');
+const loggingService = require('../services/loggingService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse the from/to query range; defaults to the next 30 days
+ * @param {Object} query - Request query
+ * @returns {Object} - { from, to } or { error }
+ */
+const parseRange = (query) => {
+  const from = query.from ? new Date(query.from) : new Date();
+  const to = query.to ? new Date(query.to) : new Date(from.getTime() + 30 * DAY);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+    return { error: 'from and to must be valid dates with from before to' };
+  }
+  if (to - from > 366 * DAY) {
+    return { error: 'The range cannot be longer than a year' };
+  }
+
+  return { from, to };
+};
+
+/**
+ * @desc    Interview calendar with clashes marked (?from, ?to, ?staff, ?includeCancelled=true)
+ * @route   GET /api/schedule
+ * @access  Admin
+ */
+const getCalendar = async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ success: false, message: range.error });
+    }
+
+    const result = await schedulingService.getCalendar({
+      ...range,
+      staffEmail: req.query.staff || null,
+      includeCancelled: req.query.includeCancelled === 'true'
+    });
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Error loading calendar',
+        error: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      count: result.data.events.length
+    });
+  } catch (error) {
+    console.error('Error loading calendar:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error loading calendar',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Double-booked interviews per staff member (?from, ?to, ?staff)
+ * @route   GET /api/schedule/clashes
+ * @access  Admin
+ */
+const getClashes = async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ success: false, message: range.error });
+    }
+
+    const result = await schedulingService.getCalendar({ ...range, staffEmail: req.query.staff || null });
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Error checking clashes',
+        error: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.data.clashes,
+      count: result.data.clashes.length
+    });
+  } catch (error) {
+    console.error('Error checking clashes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking clashes',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Availability windows of a staff member (?staff, defaults to the current user)
+ * @route   GET /api/schedule/availability
+ * @access  Admin
+ */
+const getAvailability = async (req, res) => {
+  try {
+    const staffEmail = req.query.staff || req.user.email;
+    const result = await schedulingService.getAvailability(staffEmail);
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Error fetching availability',
+        error: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      staffEmail
+    });
+  } catch (error) {
+    console.error('Error fetching availability:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching availability',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Add a weekly (dayOfWeek, startTime, endTime) or one-off (startsAt, endsAt) window
+ * @route   POST /api/schedule/availability
+ * @access  Admin
+ */
+const addAvailability = async (req, res) => {
+  try {
+    const { staffEmail, kind, dayOfWeek, startTime, endTime, startsAt, endsAt, note } = req.body;
+
+    const result = await schedulingService.addAvailability({
+      staffEmail: staffEmail || req.user.email,
+      kind,
+      dayOfWeek,
+      startTime,
+      endTime,
+      startsAt,
+      endsAt,
+      note,
+      createdBy: req.user.email
+    });
+
+    if (!result.success) {
+      return res.status(result.invalid ? 400 : 500).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result.data,
+      message: 'Availability window added'
+    });
+  } catch (error) {
+    console.error('Error adding availability:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding availability',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Remove an availability window (?staff, defaults to the current user)
+ * @route   DELETE /api/schedule/availability/:windowId
+ * @access  Admin
+ */
+const deleteAvailability = async (req, res) => {
+  try {
+    const result = await schedulingService.deleteAvailability(req.params.windowId, req.query.staff || req.user.email);
+
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 500).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Availability window removed'
+    });
+  } catch (error) {
+    console.error('Error removing availability:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing availability',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Move an interview (scheduledDate, durationMinutes, reason, force)
+ * @route   PUT /api/schedule/interviews/:interviewId/reschedule
+ * @access  Admin
+ */
+const rescheduleInterview = async (req, res) => {
+  try {
+    const { interviewId } = req.params;
+    const { scheduledDate, durationMinutes, reason, force } = req.body;
+
+    const result = await schedulingService.rescheduleInterview(interviewId, {
+      scheduledDate,
+      durationMinutes,
+      reason,
+      force: force === true,
+      changedBy: req.user.email
+    });
+
+    if (!result.success) {
+      if (result.conflict) {
+        return res.status(409).json({
+          success: false,
+          message: result.error,
+          ...result.conflict,
+          hint: 'Send force: true to schedule anyway'
+        });
+      }
+      const statusCode = result.notFound ? 404 : (result.invalid ? 400 : 500);
+      return res.status(statusCode).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await loggingService.logInterviewUpdated(req.user.uid, req.user.email, result.data.session_id, interviewId, {
+      action: 'rescheduled',
+      scheduledDate: result.data.scheduled_date,
+      reason,
+      forced: force === true && (result.warnings.clashes.length > 0 || !result.warnings.availability.available)
+    }, req.ip, req.get('User-Agent'));
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      warnings: result.warnings,
+      message: 'Interview rescheduled'
+    });
+  } catch (error) {
+    console.error('Error rescheduling interview:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rescheduling interview',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Cancel an interview (reason)
+ * @route   PUT /api/schedule/interviews/:interviewId/cancel
+ * @access  Admin
+ */
+const cancelInterview = async (req, res) => {
+  try {
+    const { interviewId } = req.params;
+    const result = await schedulingService.cancelInterview(interviewId, {
+      reason: req.body.reason,
+      changedBy: req.user.email
+    });
+
+    if (!result.success) {
+      const statusCode = result.notFound ? 404 : (result.invalid ? 400 : 500);
+      return res.status(statusCode).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await loggingService.logInterviewUpdated(req.user.uid, req.user.email, result.data.session_id, interviewId, {
+      action: 'cancelled',
+      reason: req.body.reason
+    }, req.ip, req.get('User-Agent'));
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      message: 'Interview cancelled'
+    });
+  } catch (error) {
+    console.error('Error cancelling interview:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling interview',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Reschedule/cancel history of an interview
+ * @route   GET /api/schedule/interviews/:interviewId/changes
+ * @access  Admin
+ */
+const getScheduleChanges = async (req, res) => {
+  try {
+    const result = await schedulingService.getScheduleChanges(req.params.interviewId);
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Error fetching schedule changes',
+        error: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      count: result.data.length
+    });
+  } catch (error) {
+    console.error('Error fetching schedule changes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching schedule changes',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create the current user's calendar feed link (replaces the previous link)
+ * @route   POST /api/schedule/feed-token
+ * @access  Admin
+ */
+const createFeedToken = async (req, res) => {
+  try {
+    const result = await schedulingService.createFeedToken(req.user.email);
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Error creating calendar feed',
+        error: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result.data,
+      message: 'Subscribe to this URL in your calendar app; previous links no longer work'
+    });
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating calendar feed',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    ICS calendar feed of a staff member
+ * @route   GET /api/schedule/feed/:token.ics
+ * @access  Public (feed token)
+ */
+const getFeed = async (req, res) => {
+  try {
+    const result = await schedulingService.getFeed(req.params.token);
+
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 500).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="interviews.ics"');
+    res.status(200).send(result.data);
+  } catch (error) {
+    console.error('Error serving calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error serving calendar feed',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getCalendar,
+  getClashes,
+  getAvailability,
+  addAvailability,
+  deleteAvailability,
+  rescheduleInterview,
+  cancelInterview,
+  getScheduleChanges,
+  createFeedToken,
+  getFeed
+};
@@ -0,0 +1,50 @@
+const searchService = require('../services/searchService');
+
+/**
+ * Search Controller
+ * Handles full-text search across transcripts, drafts and life stories
+ */
+
+/**
+ * Search transcripts, drafts and life stories
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const search = async (req, res) => {
+  try {
+    const { q, types, sessionId, assignedAdmin, dateFrom, dateTo, limit, offset } = req.query;
+
+    const result = await searchService.search({
+      query: q,
+      types: types ? String(types).split(',').map(type => type.trim()).filter(Boolean) : null,
+      sessionId,
+      assignedAdmin,
+      dateFrom,
+      dateTo,
+      limit,
+      offset
+    });
+
+    if (result.success) {
+      res.json({
+        success: true,
+        data: result.data
+      });
+    } else {
+      res.status(result.invalid ? 400 : 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('❌ Error in search controller:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  search
+};
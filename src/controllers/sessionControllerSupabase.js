@@ -1,13 +1,18 @@
 const supabaseService = require('../services/supabaseService');
 const loggingService = require('../services/loggingService');
 const fullLifeStoriesService = require('../services/fullLifeStoriesService');
+const jobQueueService = require('../services/jobQueueService');
+const draftConflictService = require('../services/draftConflictService');
+const schedulingService = require('../services/schedulingService');
+const assignmentService = require('../services/assignmentService');
+const { durationMinutes } = require('../utils/audioMetadata');
 
 /**
  * Supabase Sessions Controller
  * Handles all session-related operations using Supabase database
  */
 
-// @desc    Get all sessions with optional filtering and pagination
+// @desc    Get one page of sessions with filtering, sorting and cursor pagination
 // @route   GET /api/admin/sessions
 // @access  Admin
 const getAllSessions = async (req, res) => {
@@ -15,26 +20,58 @@ const getAllSessions = async (req, res) => {
     const {
       page = 1,
       limit = 10,
+      cursor,
+      view = 'full',
       status,
+      assigned_admin,
       priority_level,
       session_type,
       preferred_language,
+      latest_draft_stage,
+      has_pending_review,
+      created_from,
+      created_to,
+      next_interview_from,
+      next_interview_to,
+      last_activity_from,
+      last_activity_to,
       search,
+      scope = 'mine',
       sort_by = 'created_at',
       sort_order = 'desc'
     } = req.query;
 
+    if (!['mine', 'all'].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: 'scope must be mine or all'
+      });
+    }
+
     // Build filters object
     const filters = {};
     if (status) filters.status = status;
+    if (assigned_admin) filters.assignedAdmin = assigned_admin;
+    // "My sessions" unless another owner or all sessions are asked for
+    else if (scope === 'mine') filters.assignedTo = { userId: req.user.uid, email: req.user.email };
     if (priority_level) filters.priority_level = priority_level;
     if (session_type) filters.session_type = session_type;
     if (preferred_language) filters.preferred_language = preferred_language;
+    if (latest_draft_stage) filters.latestDraftStage = String(latest_draft_stage).split(',').map(stage => stage.trim()).filter(Boolean);
+    if (has_pending_review === 'true' || has_pending_review === 'false') filters.hasPendingReview = has_pending_review === 'true';
+    if (created_from) filters.createdFrom = created_from;
+    if (created_to) filters.createdTo = created_to;
+    if (next_interview_from) filters.nextInterviewFrom = next_interview_from;
+    if (next_interview_to) filters.nextInterviewTo = next_interview_to;
+    if (last_activity_from) filters.lastActivityFrom = last_activity_from;
+    if (last_activity_to) filters.lastActivityTo = last_activity_to;
 
     // Get sessions from Supabase
-    const result = await supabaseService.getSessions({
+    const result = await supabaseService.listSessions({
       page: parseInt(page),
       limit: parseInt(limit),
+      cursor,
+      view,
       filters,
       search,
       sortBy: sort_by,
@@ -42,9 +79,9 @@ const getAllSessions = async (req, res) => {
     });
 
     if (!result.success) {
-      return res.status(500).json({
+      return res.status(result.invalid ? 400 : 500).json({
         success: false,
-        message: 'Failed to fetch sessions',
+        message: result.invalid ? result.error : 'Failed to fetch sessions',
         error: result.error
       });
     }
@@ -53,6 +90,7 @@ const getAllSessions = async (req, res) => {
       success: true,
       data: result.data,
       pagination: result.pagination,
+      scope: filters.assignedTo ? 'mine' : 'all',
       message: `Retrieved ${result.data.length} sessions`
     });
 
@@ -182,6 +220,14 @@ const createSession = async (req, res) => {
       // Don't fail the session creation if interview creation fails
     }
 
+    // Hand the session to the least-loaded interviewer when auto-assignment is on
+    const autoAssignment = await assignmentService.autoAssignSession(sessionId, { uid: req.user.uid, email: req.user.email });
+    if (!autoAssignment.success) {
+      console.warn('⚠️ Session created without auto-assignment:', autoAssignment.error);
+    } else if (!autoAssignment.skipped) {
+      result.data.assigned_admin = autoAssignment.data.assignee.id;
+    }
+
     // Log session creation
     try {
       console.log('Attempting to log session creation:', {
@@ -308,10 +354,16 @@ const updateSessionScheduling = async (req, res) => {
       });
     }
 
+    // Bulk updates can move interviews onto each other; report double bookings instead of hiding them
+    const clashes = await schedulingService.getSessionClashes(id);
+
     res.json({
       success: true,
       data: result.data,
-      message: 'Session scheduling updated successfully and pending interviews changed to scheduled'
+      clashes,
+      message: clashes.length > 0
+        ? `Session scheduling updated; ${clashes.length} interview clash(es) need attention`
+        : 'Session scheduling updated successfully and pending interviews changed to scheduled'
     });
 
   } catch (error) {
@@ -458,6 +510,9 @@ const getSessionStats = async (req, res) => {
         totalDrafts: 0,
         approvedDrafts: 0,
         draftApprovalRate: 0,
+        draftsByStage: {},
+        averageTimeInStage: [],
+        interviewsAwaitingTranscription: 0,
         recentActivity: {
           interviews: 0,
           drafts: 0
@@ -576,17 +631,17 @@ const uploadInterviewFile = async (req, res) => {
       return uploadInterviewFileAsync(req, res);
     }
 
-    // Import AI service and Cloudinary service
+    // Import AI service and storage service
     const aiService = require('../services/aiService');
-    const cloudinaryService = require('../services/cloudinaryService');
+    const storageService = require('../services/storageService');
 
     // Determine file type
     const audioTypes = ['audio/mpeg', 'audio/wav', 'audio/mp4','audio/x-m4a', 'audio/aac', 'audio/ogg', 'audio/webm', 'audio/flac', 'audio/m4a'];
     const isAudioFile = audioTypes.includes(file.mimetype);
     const fileType = isAudioFile ? 'audio' : 'text';
     
-    // Upload file to Cloudinary
-    const uploadResult = await cloudinaryService.uploadFile(file, interviewId, fileType);
+    // Upload file to the configured storage provider
+    const uploadResult = await storageService.uploadFile(file, interviewId, fileType);
     
     // console.log('Upload result:', uploadResult);
 
@@ -601,12 +656,14 @@ const uploadInterviewFile = async (req, res) => {
     // Get file metadata from upload result
     const fileMetadata = {
       originalName: uploadResult.data.original_filename,
-      fileName: uploadResult.data.cloudinary_public_id,
+      fileName: uploadResult.data.storage_key,
       fileSize: uploadResult.data.file_size,
       mimeType: uploadResult.data.mime_type,
       uploadedAt: new Date().toISOString(),
       uploadedBy: req.user?.uid || 'system',
-      storageUrl: uploadResult.data.cloudinary_url
+      storageUrl: uploadResult.data.storage_url,
+      storageProvider: uploadResult.data.storage_provider,
+      ...(isAudioFile && { audio: uploadResult.data.audio_metadata })
     };
 
     let transcription = null;
@@ -629,7 +686,7 @@ const uploadInterviewFile = async (req, res) => {
 
     // Step 2: Generate AI draft from processed content
     // Calculate actual file duration and word count
-    const calculatedDuration = isAudioFile ? _getFileDuration(file) : _getEstimatedReadingDuration(processedContent);
+    const calculatedDuration = isAudioFile ? _getFileDuration(file, fileMetadata.audio) : _getEstimatedReadingDuration(processedContent);
     const calculatedWordCount = _getFileWordCount(isAudioFile ? transcription : processedContent);
 
     const interviewMetadata = {
@@ -638,6 +695,7 @@ const uploadInterviewFile = async (req, res) => {
       type: isAudioFile ? 'audio_interview' : 'text_interview',
       fileType: file.mimetype,
       duration: calculatedDuration,
+      ...(fileMetadata.audio && { audio: fileMetadata.audio }),
       wordCount: calculatedWordCount,
       client_name: sessionData.clientName,
       sessionId: sessionData.sessionId,
@@ -790,7 +848,8 @@ const uploadInterviewFile = async (req, res) => {
       session_id: targetSessionId,
       version: nextVersion,
       stage: 'first_draft',
-      content: draftContent
+      content: draftContent,
+      created_by: req.user?.email || null
     };
 
     const draftResult = await supabaseService.createDraft(draftData);
@@ -801,7 +860,7 @@ const uploadInterviewFile = async (req, res) => {
       // The interview was already updated successfully
     }
 
-    // Log file upload with Cloudinary URL
+    // Log file upload with storage URL
     await req.logFileUploaded(targetSessionId, interviewId, fileMetadata);
 
     // Log draft generation
@@ -809,7 +868,7 @@ const uploadInterviewFile = async (req, res) => {
       await req.logDraftGenerated(targetSessionId, interviewId, generatedDraft);
     }
     
-    // Log Cloudinary file URL to database
+    // Check the file_urls record
     try {
       const { data: fileUrlData, error: fileUrlError } = await supabase
         .from('file_urls')
@@ -821,8 +880,8 @@ const uploadInterviewFile = async (req, res) => {
         console.error('Error checking file_urls:', fileUrlError);
       }
       
-      // Log successful Cloudinary integration
-      console.log('File successfully uploaded to Cloudinary:', fileMetadata.storageUrl);
+      // Log successful storage upload
+      console.log(`File successfully uploaded to ${fileMetadata.storageProvider} storage:`, fileMetadata.storageUrl);
     } catch (fileUrlError) {
       console.error('Error checking file_urls table:', fileUrlError);
       // Don't fail the entire process if this check fails
@@ -851,9 +910,14 @@ const uploadInterviewFile = async (req, res) => {
   }
 };
 
-const _getFileDuration = (file) => {
-  // For audio files, simulate realistic duration calculation based on file size
-  // In a real implementation, this would use a library like ffprobe to get actual duration
+const _getFileDuration = (file, audioMetadata) => {
+  // Length read from the audio container (see utils/audioMetadata)
+  const measuredMinutes = durationMinutes(audioMetadata);
+  if (measuredMinutes) {
+    return measuredMinutes;
+  }
+
+  // Unreadable container: estimate from the file size
   const avgBitrate = 128; // kbps for typical audio
   const fileSizeKB = file.size / 1024;
   const estimatedDurationSeconds = (fileSizeKB * 8) / avgBitrate;
@@ -975,9 +1039,8 @@ const generateFullLifeStory = async (req, res) => {
       });
     }
 
-    // Step 3: Generate full life story using AI service
-    const aiService = require('../services/aiService');
-    console.log('🤖 Generating full life story for session:', sessionId);
+    // Step 3: Queue full life story generation
+    console.log('🤖 Queueing full life story generation for session:', sessionId);
 
     const fullStoryData = {
       sessionId,
@@ -995,6 +1058,8 @@ const generateFullLifeStory = async (req, res) => {
         duration: interview.duration
       })),
       sessionNotes: session.notes,
+      // Facts the admin settled where interviews contradicted each other
+      conflictResolutions: await draftConflictService.getResolutionsForStory(sessionId),
       // notes,
       totalInterviews: interviews.length,
       completedInterviews: interviews.filter(i => i.status === 'completed').length
@@ -1002,6 +1067,20 @@ const generateFullLifeStory = async (req, res) => {
 
     // console.log('🤖 Full life story data:', fullStoryData);
 
+    const jobResult = await jobQueueService.enqueue('full_story.generate', { fullStoryData }, {
+      referenceType: 'session',
+      referenceId: sessionId,
+      createdBy: req.user?.email
+    });
+
+    if (!jobResult.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to queue full life story generation',
+        error: jobResult.error
+      });
+    }
+
     if (global.io) {
       const broadcastData = {
         sessionId: sessionId,
@@ -1012,13 +1091,9 @@ const generateFullLifeStory = async (req, res) => {
       global.io.emit('full-life-story-generation-started', broadcastData);
       console.log(`📡 WebSocket broadcast sent for full life story generation started: ${sessionId}`);
     }
-    
-    const fullLifeStory = await aiService.generateFullLifeStory(fullStoryData);
-
-    // AI Generated Draft Structure validation (removed verbose logging)
 
-    // The regenerated draft will be processed by the webhook and createDraftEntry
-    // which will handle the regeneration logic and WebSocket events
+    // The generated story will be processed by the webhook and _createFullLifeStoryEntry
+    // which will handle versioning and WebSocket events
     
     res.status(200).json({
       success: true,
@@ -1026,6 +1101,7 @@ const generateFullLifeStory = async (req, res) => {
       data: {
         stage: 'processing',
         sessionId: sessionId,
+        jobId: jobResult.data.id
       }
     });
 
@@ -1218,15 +1294,34 @@ const regenerateDraft = async (req, res) => {
       regenerationType: 'regenerate',
       previousDraftId: draftId,
       adminInstructions: instructions || '',
+      requestedBy: req.user?.email || null,
       notes: processedNotes || [],
       preferred_language: session.preferences.preferred_language || 'auto-detect',
       client_name: session.client_name,
       regeneratedAt: new Date().toISOString()
     };
 
-    // Step 5: Generate new draft with enhanced context
-    const aiService = require('../services/aiService');
-    
+    // Step 5: Queue generation of the new draft with enhanced context
+    const jobResult = await jobQueueService.enqueue('draft.regenerate', {
+      sessionId,
+      draftId,
+      interviewId: sourceInterviewId,
+      originalContent,
+      metadata: enhancedMetadata
+    }, {
+      referenceType: 'draft',
+      referenceId: draftId,
+      createdBy: req.user?.email
+    });
+
+    if (!jobResult.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to queue draft regeneration',
+        error: jobResult.error
+      });
+    }
+
     // Emit WebSocket event for regeneration started
     if (global.io) {
       const broadcastData = {
@@ -1240,10 +1335,6 @@ const regenerateDraft = async (req, res) => {
       global.io.emit('draft-regeneration-started', broadcastData);
       console.log(`📡 WebSocket broadcast sent for regeneration started: ${draftId}`);
     }
-    
-    const regeneratedDraft = await aiService.generateDraft(originalContent, enhancedMetadata);
-
-    // AI Generated Draft Structure validation (removed verbose logging)
 
     // The regenerated draft will be processed by the webhook and createDraftEntry
     // which will handle the regeneration logic and WebSocket events
@@ -1253,7 +1344,8 @@ const regenerateDraft = async (req, res) => {
       message: 'Draft regeneration started',
       data: {
         stage: 'processing',
-        draftId: draftId
+        draftId: draftId,
+        jobId: jobResult.data.id
       }
     });
 
@@ -1283,63 +1375,15 @@ const uploadInterviewFileAsync = async (req, res) => {
       });
     }
 
-    // Import services
-    const cloudinaryService = require('../services/cloudinaryService');
     const supabase = require('../config/database');
 
-    // Determine file type
-    const audioTypes = ['audio/mpeg', 'audio/wav', 'audio/mp4','audio/x-m4a', 'audio/aac', 'audio/ogg', 'audio/webm', 'audio/flac', 'audio/m4a'];
-    const isAudioFile = audioTypes.includes(file.mimetype);
-    const fileType = isAudioFile ? 'audio' : 'text';
-
-    // STAGE 1: Update status to 'uploading'
-    await updateInterviewStatus(interviewId, 'uploading');
-
-    // STAGE 1: Upload file to Cloudinary (fast operation)
-    const uploadResult = await cloudinaryService.uploadFile(file, interviewId, fileType);
-    
-    if (!uploadResult.success) {
-      await updateInterviewStatus(interviewId, 'error', { 
-        error_message: 'Failed to upload file to cloud storage',
-        error_occurred_at: new Date().toISOString()
-      });
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to upload file to cloud storage',
-        error: uploadResult.error
-      });
-    }
-    
-    // Prepare file metadata
-    const fileMetadata = {
-      originalName: uploadResult.data.original_filename,
-      fileName: uploadResult.data.cloudinary_public_id,
-      fileSize: uploadResult.data.file_size,
-      mimeType: uploadResult.data.mime_type,
-      uploadedAt: new Date().toISOString(),
+    const { isAudioFile, fileMetadata, jobResult } = await processInterviewSubmission(interviewId, {
+      file,
+      sessionData,
       uploadedBy: req.user?.uid || 'system',
-      storageUrl: uploadResult.data.cloudinary_url
-    };
-
-    // STAGE 2: Update status to 'transcribing' and save file metadata
-    await updateInterviewStatus(interviewId, 'transcribing', { 
-      file_upload: fileMetadata,
-      processing_started_at: new Date().toISOString()
+      createdBy: req.user?.email
     });
 
-    // STAGE 2: Trigger AI transcription (async - no wait)
-    if (isAudioFile) {
-      triggerAITranscription(interviewId, fileMetadata.storageUrl, sessionData);
-    } else {
-      // For text files, skip transcription and go directly to draft generation
-      const textContent = file.buffer.toString('utf8');
-      await updateInterviewStatus(interviewId, 'generating_draft', { 
-        transcription: textContent,
-        transcription_completed_at: new Date().toISOString()
-      });
-      triggerDraftGeneration(interviewId, textContent, sessionData);
-    }
-
     // Get updated interview data to return to frontend
     const { data: updatedInterview } = await supabase
       .from('sessions')
@@ -1360,7 +1404,8 @@ const uploadInterviewFileAsync = async (req, res) => {
           file_upload: fileMetadata,
           processing_started_at: new Date().toISOString()
         },
-        fileMetadata 
+        fileMetadata,
+        jobId: jobResult.data.id
       }
     });
 
@@ -1387,6 +1432,113 @@ const uploadInterviewFileAsync = async (req, res) => {
   }
 };
 
+// Helper function to run an uploaded recording or text through the AI pipeline:
+// store the file, then queue transcription (audio) or draft generation (text).
+// Written text without a file (e.g. memories sent by a relative) skips the upload.
+// Returns { isAudioFile, fileMetadata, jobResult }; throws if anything fails.
+const processInterviewSubmission = async (interviewId, { file, text, sessionData, uploadedBy = 'system', createdBy, contentExtras = {} }) => {
+  const storageService = require('../services/storageService');
+
+  // Determine file type
+  const audioTypes = ['audio/mpeg', 'audio/wav', 'audio/mp4','audio/x-m4a', 'audio/aac', 'audio/ogg', 'audio/webm', 'audio/flac', 'audio/m4a'];
+  const isAudioFile = !!file && audioTypes.includes(file.mimetype);
+  const fileType = isAudioFile ? 'audio' : 'text';
+  let fileMetadata = null;
+
+  if (file) {
+    // STAGE 1: Update status to 'uploading'
+    await updateInterviewStatus(interviewId, 'uploading', contentExtras);
+
+    // STAGE 1: Upload file to storage (fast operation)
+    const uploadResult = await storageService.uploadFile(file, interviewId, fileType);
+
+    if (!uploadResult.success) {
+      await updateInterviewStatus(interviewId, 'error', { 
+        error_message: 'Failed to upload file to cloud storage',
+        error_occurred_at: new Date().toISOString()
+      });
+      throw new Error(`Failed to upload file to cloud storage: ${uploadResult.error}`);
+    }
+
+    // Prepare file metadata
+    fileMetadata = {
+      originalName: uploadResult.data.original_filename,
+      fileName: uploadResult.data.storage_key,
+      fileSize: uploadResult.data.file_size,
+      mimeType: uploadResult.data.mime_type,
+      uploadedAt: new Date().toISOString(),
+      uploadedBy,
+      storageUrl: uploadResult.data.storage_url,
+      storageProvider: uploadResult.data.storage_provider,
+      ...(isAudioFile && { audio: uploadResult.data.audio_metadata })
+    };
+  }
+
+  // STAGE 2: Queue AI processing (processed by the job queue - survives restarts)
+  let jobResult;
+  if (isAudioFile) {
+    // Update status to 'transcribing' and save file metadata
+    await updateInterviewStatus(interviewId, 'transcribing', { 
+      ...contentExtras,
+      file_upload: fileMetadata,
+      processing_started_at: new Date().toISOString()
+    });
+    await _saveRecordingDuration(interviewId, fileMetadata.audio);
+
+    jobResult = await jobQueueService.enqueue('interview.transcribe', {
+      interviewId,
+      fileUrl: fileMetadata.storageUrl,
+      sessionData,
+      audioMetadata: fileMetadata.audio || null
+    }, {
+      referenceType: 'interview',
+      referenceId: interviewId,
+      createdBy
+    });
+  } else {
+    // For text, skip transcription and go directly to draft generation
+    const textContent = file ? file.buffer.toString('utf8') : text;
+    await updateInterviewStatus(interviewId, 'generating_draft', { 
+      ...contentExtras,
+      ...(fileMetadata && { file_upload: fileMetadata }),
+      processing_started_at: new Date().toISOString(),
+      transcription: textContent,
+      transcription_completed_at: new Date().toISOString()
+    });
+    jobResult = await jobQueueService.enqueue('interview.generate_draft', {
+      interviewId,
+      transcriptionText: textContent,
+      sessionData
+    }, {
+      referenceType: 'interview',
+      referenceId: interviewId,
+      createdBy
+    });
+  }
+
+  if (!jobResult.success) {
+    throw new Error(`Failed to queue AI processing: ${jobResult.error}`);
+  }
+
+  return { isAudioFile, fileMetadata, jobResult };
+};
+
+// Helper function to record the measured length of an uploaded recording as the interview duration
+const _saveRecordingDuration = async (interviewId, audioMetadata) => {
+  const minutes = durationMinutes(audioMetadata);
+  if (!minutes) return;
+
+  const supabase = require('../config/database');
+  const { error } = await supabase
+    .from('interviews')
+    .update({ duration: minutes })
+    .eq('id', interviewId);
+
+  if (error) {
+    console.error('Error saving recording duration:', error);
+  }
+};
+
 // Helper function to update interview status
 const updateInterviewStatus = async (interviewId, status, additionalData = {}) => {
   const supabase = require('../config/database');
@@ -1445,8 +1597,10 @@ const updateInterviewStatus = async (interviewId, status, additionalData = {}) =
   }
 };
 
-// Helper function to trigger AI transcription (async)
-const triggerAITranscription = async (interviewId, fileUrl, sessionData) => {
+// Helper function to trigger AI transcription (run by the 'interview.transcribe' job)
+// Errors are thrown so the job queue can retry; the interview is only marked
+// as failed once the job is dead-lettered
+const triggerAITranscription = async (interviewId, fileUrl, sessionData, audioMetadata = null) => {
   try {
     const aiService = require('../services/aiService');
     
@@ -1455,10 +1609,14 @@ const triggerAITranscription = async (interviewId, fileUrl, sessionData) => {
       id: interviewId,
       name: `Interview ${interviewId}`,
       type: 'audio_interview',
+      // Measured from the recording (duration in minutes, like interviews.duration)
+      ...(audioMetadata && { duration: durationMinutes(audioMetadata), audio: audioMetadata }),
       client_name: sessionData.clientName,
       sessionId: sessionData.sessionId,
       notes: sessionData.notes || 'No notes provided',
       preferred_language: sessionData.preferred_language || 'auto-detect',
+      // Recordings and memories sent by relatives through an invite link
+      ...(sessionData.friendContribution && { friendContribution: sessionData.friendContribution }),
       webhookUrl: `${process.env.BACKEND_URL || 'http://localhost:3001'}/api/webhooks/transcription-complete`
     };
 
@@ -1473,16 +1631,11 @@ const triggerAITranscription = async (interviewId, fileUrl, sessionData) => {
     
   } catch (error) {
     console.error('Error triggering AI transcription:', error);
-    const notes = ['Transcription failed: ' + error.message || 'Unknown error' + ' at ' + new Date().toISOString()];
-    await updateInterviewStatus(interviewId, 'error', { 
-      status: 'error',
-      notes
-    });
     throw error;
   }
 };
 
-// Helper function to trigger draft generation (async)
+// Helper function to trigger draft generation (run by the 'interview.generate_draft' job)
 const triggerDraftGeneration = async (interviewId, transcriptionText, sessionData) => {
   try {
     const aiService = require('../services/aiService');
@@ -1495,6 +1648,8 @@ const triggerDraftGeneration = async (interviewId, transcriptionText, sessionDat
       sessionId: sessionData.sessionId,
       notes: sessionData.notes || 'No notes provided',
       preferred_language: sessionData.preferred_language || 'auto-detect',
+      // Recordings and memories sent by relatives through an invite link
+      ...(sessionData.friendContribution && { friendContribution: sessionData.friendContribution }),
       webhookUrl: `${process.env.BACKEND_URL || 'http://localhost:3001'}/api/webhooks/draft-complete`
     };
 
@@ -1509,15 +1664,21 @@ const triggerDraftGeneration = async (interviewId, transcriptionText, sessionDat
     
   } catch (error) {
     console.error('Error triggering draft generation:', error);
-    const notes = ['Draft generation failed: ' + error.message || 'Unknown error' + ' at ' + new Date().toISOString()];
-    await updateInterviewStatus(interviewId, 'error', { 
-      status: 'error',
-      notes
-    });
     throw error;
   }
 };
 
+// Helper function to mark an interview as failed once its AI job is dead-lettered
+const markInterviewJobFailed = async (interviewId, stageLabel, error) => {
+  const notes = [`${stageLabel} failed: ${error?.message || 'Unknown error'} at ${new Date().toISOString()}`];
+  await updateInterviewStatus(interviewId, 'error', {
+    status: 'error',
+    notes,
+    error_message: `${stageLabel} failed after several attempts`,
+    error_occurred_at: new Date().toISOString()
+  });
+};
+
 // Helper function to handle transcription completion
 const handleTranscriptionComplete = async (interviewId, transcription, sessionData) => {
   try {
@@ -1529,8 +1690,19 @@ const handleTranscriptionComplete = async (interviewId, transcription, sessionDa
       transcription_completed_at: new Date().toISOString()
     });
     
-    // Trigger draft generation
-    await triggerDraftGeneration(interviewId, transcription, sessionData);
+    // Queue draft generation
+    const jobResult = await jobQueueService.enqueue('interview.generate_draft', {
+      interviewId,
+      transcriptionText: transcription,
+      sessionData
+    }, {
+      referenceType: 'interview',
+      referenceId: interviewId
+    });
+
+    if (!jobResult.success) {
+      throw new Error(jobResult.error);
+    }
     
   } catch (error) {
     console.error('Error handling transcription completion:', error);
@@ -1660,6 +1832,53 @@ const getInterviewStatus = async (req, res) => {
   }
 };
 
+// Background job handlers for AI processing
+jobQueueService.registerHandler('interview.transcribe', {
+  handle: ({ interviewId, fileUrl, sessionData, audioMetadata }) => triggerAITranscription(interviewId, fileUrl, sessionData, audioMetadata),
+  onDead: ({ interviewId }, job, error) => markInterviewJobFailed(interviewId, 'Transcription', error)
+});
+
+jobQueueService.registerHandler('interview.generate_draft', {
+  handle: ({ interviewId, transcriptionText, sessionData }) => triggerDraftGeneration(interviewId, transcriptionText, sessionData),
+  onDead: ({ interviewId }, job, error) => markInterviewJobFailed(interviewId, 'Draft generation', error)
+});
+
+jobQueueService.registerHandler('draft.regenerate', {
+  handle: ({ originalContent, metadata }) => {
+    const aiService = require('../services/aiService');
+    return aiService.generateDraft(originalContent, metadata);
+  },
+  onDead: ({ sessionId, draftId, interviewId }, job, error) => {
+    if (global.io) {
+      global.io.emit('draft-regeneration-failed', {
+        sessionId,
+        draftId,
+        interviewId,
+        error: error?.message,
+        jobId: job.id,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+});
+
+jobQueueService.registerHandler('full_story.generate', {
+  handle: ({ fullStoryData }) => {
+    const aiService = require('../services/aiService');
+    return aiService.generateFullLifeStory(fullStoryData);
+  },
+  onDead: ({ fullStoryData }, job, error) => {
+    if (global.io) {
+      global.io.emit('full-life-story-generation-failed', {
+        sessionId: fullStoryData?.sessionId,
+        error: error?.message,
+        jobId: job.id,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+});
+
 module.exports = {
   getAllSessions,
   getSessionById,
@@ -1672,6 +1891,7 @@ module.exports = {
   updateInterview,
   uploadInterviewFile,
   uploadInterviewFileAsync, // New async upload method
+  processInterviewSubmission,
   getInterviewStatus, // New status polling endpoint
   deleteInterview,
   generateFullLifeStory,
@@ -1,5 +1,6 @@
 const supabaseAuthService = require('../services/supabaseAuthService');
 const loggingService = require('../services/loggingService');
+const roleService = require('../services/roleService');
 
 /**
  * Supabase Authentication Controller
@@ -42,13 +43,20 @@ class SupabaseAuthController {
         });
       }
 
-      // For admin registration, verify the request is from an admin
-      if (role === 'admin') {
+      if (role && !roleService.ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid role. Must be one of: ${roleService.ROLES.join(', ')}`
+        });
+      }
+
+      // For admin and staff registration, verify the request is from an admin
+      if (role && !['user', 'client'].includes(role)) {
         const authHeader = req.headers.authorization;
         if (!authHeader) {
           return res.status(401).json({
             success: false,
-            message: 'Admin registration requires authentication'
+            message: 'Staff registration requires authentication'
           });
         }
 
@@ -261,6 +269,13 @@ class SupabaseAuthController {
         });
       }
 
+      if (!roleService.ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid role. Must be one of: ${roleService.ROLES.join(', ')}`
+        });
+      }
+
       // Extract admin user ID from token
       const token = authHeader.split(' ')[1];
       const adminVerification = await supabaseAuthService.verifyToken(token);
@@ -0,0 +1,138 @@
+const transcriptService = require('../services/transcriptService');
+
+const sendError = (res, result) => res.status(result.notFound ? 404 : (result.invalid ? 400 : 500)).json({
+  success: false,
+  message: result.error
+});
+
+/**
+ * @desc    Get the timestamped transcript segments and speakers of an interview
+ * @route   GET /api/interviews/:id/transcript
+ * @access  Admin
+ */
+const getTranscript = async (req, res) => {
+  try {
+    const result = await transcriptService.getTranscript(req.params.id);
+
+    if (!result.success) {
+      return sendError(res, result);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      count: result.data.segments.length
+    });
+  } catch (error) {
+    console.error('Error fetching transcript:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching transcript',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Rename a speaker (e.g. SPEAKER_01 -> "Grandma Rachel")
+ * @route   PUT /api/interviews/:id/transcript/speakers/:speakerKey
+ * @access  Admin
+ */
+const renameSpeaker = async (req, res) => {
+  try {
+    const { id: interviewId, speakerKey } = req.params;
+
+    const result = await transcriptService.renameSpeaker(
+      interviewId,
+      speakerKey,
+      req.body.displayName,
+      req.user?.email
+    );
+
+    if (!result.success) {
+      return sendError(res, result);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      message: 'Speaker renamed'
+    });
+  } catch (error) {
+    console.error('Error renaming speaker:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error renaming speaker',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Correct the text or speaker of a transcript segment
+ * @route   PUT /api/interviews/:id/transcript/segments/:segmentId
+ * @access  Admin
+ */
+const updateSegment = async (req, res) => {
+  try {
+    const { id: interviewId, segmentId } = req.params;
+    const { text, speakerKey } = req.body;
+
+    const result = await transcriptService.updateSegment(interviewId, segmentId, { text, speakerKey }, req.user?.email);
+
+    if (!result.success) {
+      return sendError(res, result);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      message: 'Segment updated'
+    });
+  } catch (error) {
+    console.error('Error updating transcript segment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating transcript segment',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Rebuild the interview's flat transcription from its segments and speaker names
+ * @route   POST /api/interviews/:id/transcript/regenerate
+ * @access  Admin
+ */
+const regenerateTranscription = async (req, res) => {
+  try {
+    const result = await transcriptService.regenerateTranscription(req.params.id, {
+      userId: req.user?.uid,
+      userEmail: req.user?.email
+    });
+
+    if (!result.success) {
+      return sendError(res, result);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      message: 'Transcription regenerated from segments'
+    });
+  } catch (error) {
+    console.error('Error regenerating transcription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error regenerating transcription',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getTranscript,
+  renameSpeaker,
+  updateSegment,
+  regenerateTranscription
+};
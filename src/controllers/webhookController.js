@@ -6,6 +6,19 @@
 const { createFullLifeStory } = require('../services/fullLifeStoriesService');
 const supabaseService = require('../services/supabaseService');
 const supabaseSessionController = require('./supabaseSessionController');
+const webhookInboxService = require('../services/webhookInboxService');
+const draftVersionService = require('../services/draftVersionService');
+const draftHistoryService = require('../services/draftHistoryService');
+const factVerificationService = require('../services/factVerificationService');
+const followUpQuestionService = require('../services/followUpQuestionService');
+const loggingService = require('../services/loggingService');
+const notificationService = require('../services/notificationService');
+const transcriptService = require('../services/transcriptService');
+const { normalizeDraftPayload, normalizeLifeStoryPayload } = require('../utils/aiPayloadSchemas');
+const { normalizeSegments, buildFlatTranscription } = require('../utils/transcriptSegments');
+
+// A delivery stuck in 'processing' this long (e.g. server restart) may be re-run
+const STALE_PROCESSING_MS = 15 * 60 * 1000;
 
 // Helper function to update interview status and broadcast via WebSocket
 const updateInterviewStatus = async (interviewId, status, additionalData = {}) => {
@@ -62,166 +75,13 @@ const updateInterviewStatus = async (interviewId, status, additionalData = {}) =
     }
 };
 
-// Helper function to process draft data (moved from aiService)
-const processDraftData = async (draft, interviewId, metadata) => {
+// Helper function to build the stored draft structure from a validated payload
+// (see utils/aiPayloadSchemas.js for the accepted payload versions)
+const processDraftData = async (payload) => {
+    const { draft, interviewId, metadata } = payload;
 
-    let extractedData = null;
-    let rawContent = '';
-
-    // Handle string draft data with potential formatting issues
-    if (typeof draft === 'string') {
-        const draftStr = draft.trim();
-        let jsonContent = null;
-
-        // Case 1: Draft starts with ```json markdown code block
-        if (draftStr.startsWith('```json')) {
-            try {
-                const jsonMatch = draftStr.match(/```json\s*([\s\S]*?)\s*```/);
-                if (jsonMatch && jsonMatch[1]) {
-                    jsonContent = jsonMatch[1].trim();
-                }
-            } catch (error) {
-                console.log('⚠️ Failed to extract JSON from markdown code block:', error.message);
-            }
-        }
-        // Case 2: Draft starts with ''json or other text prefix
-        else if (draftStr.includes('json') && draftStr.includes('{')) {
-            try {
-                // Find the first { character and extract from there
-                const jsonStartIndex = draftStr.indexOf('{');
-                if (jsonStartIndex !== -1) {
-                    jsonContent = draftStr.substring(jsonStartIndex);
-                }
-            } catch (error) {
-                console.log('⚠️ Failed to extract JSON after text prefix:', error.message);
-            }
-        }
-        // Case 3: Draft is a plain JSON string
-        else if (draftStr.startsWith('{')) {
-            jsonContent = draftStr;
-        }
-
-        // Try to parse the extracted JSON content
-        if (jsonContent) {
-            try {
-                extractedData = JSON.parse(jsonContent);
-            } catch (parseError) {
-                console.log('⚠️ Failed to parse extracted JSON content:', parseError.message);
-                rawContent = draftStr; // Fall back to using raw content
-            }
-        } else {
-            // No JSON found, use as raw content
-            rawContent = draftStr;
-            console.log('⚠️ No valid JSON structure found, using as raw text');
-        }
-    }
-    // Check if draft is the direct AI response object
-    else if (draft && typeof draft === 'object' && (draft.summary_markdown || draft.title || draft.keywords)) {
-        // Direct AI response format
-        extractedData = draft;
-    }
-    // Legacy handling for wrapped responses
-    else if (draft.output) {
-        let outputContent = draft.output;
-
-        if (typeof outputContent === 'string') {
-            outputContent = outputContent.replace(/\\n/g, '\n').replace(/\\\\/g, '\\');
-        }
-        // Handle JSON string response
-        else if (typeof outputContent === 'string' && outputContent.trim().startsWith('{')) {
-            try {
-                extractedData = JSON.parse(outputContent);
-            } catch (parseError) {
-                rawContent = outputContent;
-            }
-        }
-        // Check for JSON in markdown code blocks
-        else if (typeof outputContent === 'string' && outputContent.includes('```json')) {
-            try {
-                const jsonMatch = outputContent.match(/```json\s*([\s\S]*?)\s*```/);
-                if (jsonMatch && jsonMatch[1]) {
-                    const jsonContent = jsonMatch[1].trim();
-                    extractedData = JSON.parse(jsonContent);
-                }
-            } catch (parseError) {
-                console.log('⚠️ Error parsing JSON from markdown, using raw content');
-                rawContent = outputContent;
-            }
-        }
-        else {
-            rawContent = outputContent;
-        }
-    } else {
-        rawContent = draft.message?.content || draft.content || draft.text || '';
-    }
-
-
-    // Process extracted data
-    let finalTitle = '';
-    let finalStoryText = '';
-    let finalKeywords = [];
-    let finalFollowUps = [];
-    let finalToVerify = { people: [], places: [], organizations: [], dates: [] };
-
-    if (extractedData && Object.keys(extractedData).length > 0) {
-
-        // Extract title
-        finalTitle = extractedData.title || extractedData.story_title || '';
-
-        // Extract main story text - prioritize summary_markdown from new AI format
-        if (extractedData.summary_markdown) {
-            finalStoryText = extractedData.summary_markdown;
-        } else {
-            finalStoryText = extractedData.story_text || extractedData.content || extractedData.text || '';
-        }
-
-        // Extract keywords - handle various formats including capitalized and hyphenated keys
-        if (Array.isArray(extractedData.keywords)) {
-            finalKeywords = extractedData.keywords;
-        } else if (Array.isArray(extractedData.Keywords)) {
-            finalKeywords = extractedData.Keywords;
-        } else if (Array.isArray(extractedData['key-themes'])) {
-            finalKeywords = extractedData['key-themes'];
-        } else if (Array.isArray(extractedData.keyThemes)) {
-            finalKeywords = extractedData.keyThemes;
-        } else {
-            finalKeywords = extractedData.key_themes || extractedData.themes || [];
-        }
-
-        // Extract follow-up questions - handle various formats including capitalized and hyphenated keys
-        if (Array.isArray(extractedData.follow_ups)) {
-            finalFollowUps = extractedData.follow_ups;
-        } else if (Array.isArray(extractedData['Follow-ups'])) {
-            finalFollowUps = extractedData['Follow-ups'];
-        } else if (Array.isArray(extractedData.followups)) {
-            finalFollowUps = extractedData.followups;
-        } else {
-            finalFollowUps = extractedData.followup_questions || extractedData.questions || [];
-        }
-
-        // Extract verification data - handle various formats including capitalized and hyphenated keys
-        let toVerifyData = null;
-        if (extractedData.to_verify) {
-            toVerifyData = extractedData.to_verify;
-        } else if (extractedData['To-Verify']) {
-            toVerifyData = extractedData['To-Verify'];
-        } else if (extractedData.toVerify) {
-            toVerifyData = extractedData.toVerify;
-        }
-
-        if (toVerifyData) {
-            finalToVerify.people = toVerifyData.People || toVerifyData.people || [];
-            finalToVerify.places = toVerifyData.Places || toVerifyData.places || [];
-            finalToVerify.organizations = toVerifyData.Organizations || toVerifyData.organizations || [];
-            finalToVerify.dates = toVerifyData.Dates || toVerifyData.dates || [];
-        }
-    } else if (rawContent) {
-        finalStoryText = rawContent;
-        const lines = rawContent.split('\n').filter(line => line.trim().length > 0);
-        if (lines.length > 0) {
-            finalTitle = lines[0].replace(/^#\s+/, '').trim();
-        }
-    }
+    const finalTitle = draft.title;
+    const finalStoryText = draft.markdown;
 
     // Parse sections from story text if it contains markdown headers
     let extractedSections = {};
@@ -258,9 +118,9 @@ const processDraftData = async (draft, interviewId, metadata) => {
             summary: finalStoryText.substring(0, 200) + (finalStoryText.length > 200 ? '...' : ''),
             fullMarkdown: finalStoryText,
             sections: extractedSections,
-            keyThemes: finalKeywords,
-            followUps: finalFollowUps,
-            toVerify: finalToVerify,
+            keyThemes: draft.keywords,
+            followUps: draft.followUps,
+            toVerify: draft.toVerify,
             categories: [],
             metadata: {
                 wordCount: calculatedWordCount,
@@ -270,11 +130,14 @@ const processDraftData = async (draft, interviewId, metadata) => {
                 processingMethod: 'AI_REAL_GENERATION_V2',
                 aiModel: draft.model || 'Transcribe and generate',
                 confidence: draft.confidence || null,
+                payloadSchemaVersion: payload.schemaVersion,
+                payloadWarnings: payload.warnings,
                 // Preserve regeneration metadata if present
                 ...(metadata.regenerationType && {
                     regenerationType: metadata.regenerationType,
                     previousDraftId: metadata.previousDraftId,
                     adminInstructions: metadata.adminInstructions,
+                    requestedBy: metadata.requestedBy,
                     regeneratedAt: metadata.regeneratedAt,
                     isRegeneration: true
                 })
@@ -284,7 +147,7 @@ const processDraftData = async (draft, interviewId, metadata) => {
         version: '1.0',
         createdAt: new Date().toISOString()
     };
-    
+
     return normalizedDraft;
 };
 
@@ -302,7 +165,7 @@ const createDraftEntry = async (interviewId, processedDraft) => {
 
         if (!interview) {
             console.error('Interview not found for draft creation');
-            return;
+            throw new Error(`Interview not found for draft creation: ${interviewId}`);
         }
 
         const existingDraftsResult = await supabaseService.getDraftsBySessionId(interview.session_id);
@@ -326,11 +189,17 @@ const createDraftEntry = async (interviewId, processedDraft) => {
                 keyThemes: processedDraft.content.keyThemes,
                 followUps: processedDraft.content.followUps,
                 toVerify: processedDraft.content.toVerify,
+                // Drafts from a relative's invite-link submission are tagged as friend contributions
+                ...(interview.content?.friend_contribution && {
+                    friendContribution: interview.content.friend_contribution
+                }),
                 metadata: {
                     wordCount: processedDraft.content.metadata.wordCount,
                     estimatedReadingTime: processedDraft.content.metadata.estimatedReadingTime,
                     aiModel: processedDraft.content.metadata.aiModel,
-                    confidence: processedDraft.content.metadata.confidence
+                    confidence: processedDraft.content.metadata.confidence,
+                    payloadSchemaVersion: processedDraft.content.metadata.payloadSchemaVersion,
+                    payloadWarnings: processedDraft.content.metadata.payloadWarnings
                 }
             },
             completion_percentage: 100.0, // Draft is complete when created
@@ -351,6 +220,8 @@ const createDraftEntry = async (interviewId, processedDraft) => {
 
         console.log(`✅ Draft entry created successfully: ${data.id}`);
 
+        let versionRecorded = false;
+
         // Check if this is a regeneration and handle regeneration-specific logic
         if (processedDraft.content?.metadata?.regenerationType === 'regenerate') {
             const previousDraftId = processedDraft.content.metadata.previousDraftId;
@@ -358,7 +229,7 @@ const createDraftEntry = async (interviewId, processedDraft) => {
             // Get the current regeneration count from the existing draft
             const { data: existingDraft, error: fetchError } = await supabase
                 .from('drafts')
-                .select('content')
+                .select('*')
                 .eq('id', previousDraftId)
                 .single();
 
@@ -387,6 +258,13 @@ const createDraftEntry = async (interviewId, processedDraft) => {
                 console.log(`🔄 Regeneration completed: Updating draft ${previousDraftId} regeneration count from ${currentRegenerationCount} to ${newRegenerationCount}`);
                 console.log(`🔄 Updated metadata:`, JSON.stringify(draftData.content.metadata, null, 2));
 
+                // Keep the content we are about to overwrite as a version
+                await draftVersionService.ensureSnapshot({
+                    id: previousDraftId,
+                    session_id: interview.session_id,
+                    content: existingDraft.content
+                });
+
                 // Update the existing draft with new content and regeneration metadata
                 const { error: updateError } = await supabase
                     .from('drafts')
@@ -407,10 +285,56 @@ const createDraftEntry = async (interviewId, processedDraft) => {
 
                     // Use the previous draft ID for WebSocket emission
                     data.id = previousDraftId;
+
+                    await draftVersionService.recordVersion({
+                        interviewId,
+                        sessionId: interview.session_id,
+                        draftId: previousDraftId,
+                        content: draftData.content,
+                        reason: 'regenerated',
+                        adminInstructions: draftData.content.metadata.adminInstructions
+                    });
+                    versionRecorded = true;
+
+                    await draftHistoryService.recordChange({
+                        draftId: previousDraftId,
+                        action: 'regenerated',
+                        actor: processedDraft.content.metadata.requestedBy || 'ai',
+                        before: existingDraft,
+                        after: { ...existingDraft, content: draftData.content, completion_percentage: 100.0 },
+                        changes: { regenerationCount: newRegenerationCount },
+                        reason: draftData.content.metadata.adminInstructions || null
+                    });
                 }
             }
         }
 
+        if (!versionRecorded) {
+            await draftVersionService.recordVersion({
+                interviewId,
+                sessionId: interview.session_id,
+                draftId: data.id,
+                content: draftData.content
+            });
+
+            await draftHistoryService.recordChange({
+                draftId: data.id,
+                action: 'created',
+                actor: 'ai',
+                after: data,
+                changes: { interviewId }
+            });
+        }
+
+        // Track the toVerify items and collect the follow-ups of the (re)generated content
+        const syncedDraft = {
+            id: data.id,
+            session_id: interview.session_id,
+            content: draftData.content
+        };
+        await factVerificationService.syncDraft(syncedDraft);
+        await followUpQuestionService.syncDraft(syncedDraft);
+
         // Emit WebSocket event for draft completion (including regeneration)
         if (global.io) {
             const isRegeneration = processedDraft.content?.metadata?.regenerationType === 'regenerate';
@@ -440,78 +364,13 @@ const createDraftEntry = async (interviewId, processedDraft) => {
     }
 };
 
-const _processStoryData = async (story, sessionId, metadata) => {
+// Helper function to build the stored full life story from a validated payload
+// (content was unwrapped from the legacy shapes by utils/aiPayloadSchemas.js)
+const _processStoryData = async (payload) => {
     try {
         let startTime = Date.now();
-
-        // Extract and parse AI content from response
-        let aiContent = story;
-
-        // Handle the case when story is an array of objects with output fields
-        if (Array.isArray(story) && story.length > 0 && story[0].output) {
-            // Combine all outputs from the array
-            const allOutputs = story
-                .filter(item => item && item.output)
-                .map(item => item.output)
-                .join('\n\n');
-
-            aiContent = allOutputs;
-        }
-        // Handle the new response structure: [{"output\":\"...content...\"}]
-        else if (Array.isArray(story) && story.length > 0 && story[0].data) {
-            try {
-                // Parse the JSON string in data field
-                const parsedData = JSON.parse(story[0].data);
-
-                // Extract all outputs from the parsed data array
-                if (Array.isArray(parsedData) && parsedData.length > 0) {
-                    // Check if we have multiple outputs to combine
-                    if (parsedData.length > 1) {
-                        // Combine all outputs from the array
-                        const allOutputs = parsedData
-                            .filter(item => item && item.output)
-                            .map(item => item.output)
-                            .join('\n\n');
-
-                        aiContent = allOutputs;
-                    } else if (parsedData[0].output) {
-                        // Single output case
-                        aiContent = parsedData[0].output;
-                    }
-                }
-            } catch (parseError) {
-                console.error('❌ Error parsing AI response data:', parseError.message);
-                console.log('⚠️ Using raw result as fallback');
-            }
-        }
-        // Handle legacy response formats
-        else if (story.output) {
-            aiContent = story.output;
-        }
-        // Handle nested response structure (similar to draft generator)
-        else if (story.result) {
-            if (story.result.message?.content) {
-                aiContent = story.result.message.content;
-            } else if (story.result.output) {
-                aiContent = story.result.output;
-            } else if (story.result.content) {
-                aiContent = story.result.content;
-            } else {
-                aiContent = story.result;
-            }
-        }
-
-        // If content is wrapped in markdown code blocks, extract it
-        if (typeof aiContent === 'string' && aiContent.includes('```json')) {
-            const jsonMatch = aiContent.match(/```json\s*([\s\S]*?)\s*```/);
-            if (jsonMatch) {
-                try {
-                    aiContent = JSON.parse(jsonMatch[1]);
-                } catch (parseError) {
-                    console.warn('⚠️ Failed to parse JSON from markdown, using raw content');
-                }
-            }
-        }
+        const { story, sessionId, metadata } = payload;
+        const aiContent = story.content;
 
         const processingTime = Date.now() - startTime;
         // console.log(`✅ AI Service: Full life story generated in ${processingTime}ms`);
@@ -621,23 +480,26 @@ const _processStoryData = async (story, sessionId, metadata) => {
         }
 
         const normalizedStory = {
-            title: aiContent.title || aiContent.storyTitle || extractedTitle || `Generated Life Story - ${new Date().toLocaleDateString()}`,
-            content: aiContent.content || aiContent.story || aiContent,
-            chapters: aiContent.chapters || extractedChapters || [],
-            timeline: aiContent.timeline || [],
-            keyMoments: aiContent.keyMoments || aiContent.highlights || [],
-            themes: aiContent.themes || aiContent.keyThemes || extractedThemes || [],
+            title: story.title || extractedTitle || `Generated Life Story - ${new Date().toLocaleDateString()}`,
+            subtitle: story.subtitle || undefined,
+            content: aiContent,
+            chapters: story.chapters || extractedChapters || [],
+            timeline: story.timeline || [],
+            keyMoments: story.keyMoments || [],
+            themes: story.themes || extractedThemes || [],
             status: 'generated',
             version: 1,
             metadata: {
                 processingTime,
                 generatedAt: new Date().toISOString(),
                 wordCount: typeof aiContent === 'string' ? aiContent.split(/\s+/).length : 0,
-                aiModel: aiContent.metadata?.aiModel || 'n8n-workflow',
+                aiModel: story.aiModel || 'n8n-workflow',
                 sourceSessionId: sessionId,
                 basedOnDrafts: metadata.approvedDrafts?.length || 0,
                 totalInterviews: metadata.totalInterviews || 0,
-                completedInterviews: metadata.completedInterviews || 0
+                completedInterviews: metadata.completedInterviews || 0,
+                payloadSchemaVersion: payload.schemaVersion,
+                payloadWarnings: payload.warnings
             }
         };
 
@@ -653,10 +515,7 @@ const _createFullLifeStoryEntry = async (sessionId, fullLifeStory, metadata) =>
         const sessionResult = await supabaseService.getSessionById(sessionId);
         if (!sessionResult.success) {
             console.error('Session not found:', sessionId);
-            return res.status(404).json({
-                success: false,
-                message: 'Session not found'
-            });
+            throw new Error(`Session not found: ${sessionId}`);
         }
 
         const session = sessionResult.data;
@@ -703,13 +562,11 @@ const _createFullLifeStoryEntry = async (sessionId, fullLifeStory, metadata) =>
 
         if (!saveResult.success) {
             console.error('Failed to save full life story to database:', saveResult.error);
-            return res.status(500).json({
-                success: false,
-                message: 'Failed to save generated full life story',
-                error: saveResult.error
-            });
+            throw new Error(`Failed to save generated full life story: ${saveResult.error}`);
         }
 
+        await notificationService.notifyStoryCompleted(saveResult.data);
+
         // Step 5: Log the generation event
         // try {
         //     await req.logEvent({
@@ -754,34 +611,32 @@ const _createFullLifeStoryEntry = async (sessionId, fullLifeStory, metadata) =>
 
 
 
-// Helper function to trigger draft generation
+// Helper function to queue draft generation
+// The 'interview.generate_draft' job handler (sessionControllerSupabase) calls the AI service
 const triggerDraftGeneration = async (interviewId, transcriptionText, sessionData) => {
     try {
-        const aiService = require('../services/aiService');
-
-        const interviewMetadata = {
-            id: interviewId,
-            name: `Interview ${interviewId}`,
-            type: 'life_story',
-            client_name: sessionData.clientName,
-            sessionId: sessionData.sessionId,
-            notes: sessionData.notes || 'No notes provided',
-            preferred_language: sessionData.preferred_language || 'auto-detect',
-            webhookUrl: `${process.env.BACKEND_URL || 'http://localhost:3001'}/api/webhooks/draft-complete`
-        };
+        const jobQueueService = require('../services/jobQueueService');
 
-        console.log(`📝 Starting async draft generation for interview ${interviewId}`);
+        console.log(`📝 Queueing draft generation for interview ${interviewId}`);
 
-        // Call n8n draft generation endpoint - this returns immediately after accepting the job
-        const response = await aiService.generateDraft(transcriptionText, interviewMetadata);
+        const jobResult = await jobQueueService.enqueue('interview.generate_draft', {
+            interviewId,
+            transcriptionText,
+            sessionData
+        }, {
+            referenceType: 'interview',
+            referenceId: interviewId
+        });
+
+        if (!jobResult.success) {
+            throw new Error(jobResult.error);
+        }
 
-        // The response indicates the job was accepted, not that draft is complete
-        console.log(`✅ Draft generation job accepted for interview ${interviewId}`);
         // Don't handle completion here - wait for webhook callback
 
     } catch (error) {
-        console.error('Error triggering draft generation:', error);
-        const notes = ['Draft generation failed: ' + error.message || 'Unknown error' + ' at ' + new Date().toISOString()];
+        console.error('Error queueing draft generation:', error);
+        const notes = ['Draft generation failed: ' + (error.message || 'Unknown error') + ' at ' + new Date().toISOString()];
         await updateInterviewStatus(interviewId, 'error', {
             status: 'error',
             notes
@@ -789,29 +644,71 @@ const triggerDraftGeneration = async (interviewId, transcriptionText, sessionDat
     }
 };
 
-// @desc    Handle transcription completion webhook from n8n AI workflow
-// @route   POST /api/webhooks/transcription-complete
-// @access  Public (with validation)
-const handleTranscriptionWebhook = async (req, res) => {
-    // Always respond immediately to acknowledge webhook receipt
-    res.json({
-        success: true,
-        message: 'Transcription webhook received',
-        processed_at: new Date().toISOString()
-    });
+// Extract the interview or session ID a callback refers to
+const getWebhookReferenceId = (webhookType, body) => {
+    let metadata = body?.metadata;
+    if (typeof metadata === 'string') {
+        try {
+            metadata = JSON.parse(metadata);
+        } catch (parseError) {
+            return null;
+        }
+    }
+
+    return webhookType === 'life_story' ? metadata?.sessionId || null : metadata?.id || null;
+};
+
+// Payload schema validators by inbox webhook type (transcription payloads are not versioned)
+const PAYLOAD_SCHEMAS = {
+    draft: normalizeDraftPayload,
+    life_story: normalizeLifeStoryPayload
+};
+
+// Build an error describing why a payload failed schema validation
+const payloadValidationError = (webhookType, validation) => {
+    const details = validation.errors.map(e => `${e.path || 'body'} ${e.message}`).join('; ');
+    const error = new Error(`Invalid ${webhookType} payload (${validation.schemaVersion || 'unknown version'}): ${details}`);
+    error.validationErrors = validation.errors;
+    return error;
+};
+
+// Tell the frontend about a rejected callback when it names no usable interview/session
+const broadcastInvalidPayload = (body) => {
+    if (!global.io || !body?.metadata || typeof body.metadata !== 'object') return;
+
+    // If there's any other identifier we can use, try to broadcast
+    const fallbackId = body.metadata.id || body.metadata.sessionId || body.metadata.requestId;
+    if (fallbackId) {
+        const errorData = {
+            interviewId: fallbackId,
+            status: 'error',
+            error_message: 'AI processing returned an invalid result. Please try again.',
+            error_type: 'invalid_ai_payload',
+            timestamp: new Date().toISOString()
+        };
 
+        global.io.to(`interview-${fallbackId}`).emit('interview-status-update', errorData);
+        console.log(`📡 WebSocket error broadcast sent for ID ${fallbackId}: invalid_ai_payload`);
+    }
+};
+
+// Process a transcription callback payload - throws when processing fails
+const processTranscriptionPayload = async (body) => {
     try {
-        const { transcription, metadata } = req.body;
+        const { metadata, segments } = body;
         const interviewId = metadata?.id;
 
+        // Segment-only callbacks carry no flat text, so build it from the segments
+        const transcription = body.transcription || buildFlatTranscription(normalizeSegments(segments)) || null;
+
         // Validate required fields
         if (!interviewId) {
             console.error('Missing required field: interviewId in metadata');
 
             // Try to broadcast a general error if we can't identify the specific interview
-            if (global.io && req.body?.metadata) {
+            if (global.io && body?.metadata) {
                 // If there's any other identifier we can use, try to broadcast
-                const fallbackId = req.body.metadata.sessionId || req.body.metadata.requestId;
+                const fallbackId = body.metadata.sessionId || body.metadata.requestId;
                 if (fallbackId) {
                     const errorData = {
                         interviewId: fallbackId,
@@ -825,7 +722,7 @@ const handleTranscriptionWebhook = async (req, res) => {
                     console.log(`📡 WebSocket error broadcast sent for fallback ID ${fallbackId}: missing_interview_id`);
                 }
             }
-            return;
+            throw new Error('Missing required field: metadata.id');
         }
 
         console.log(`🎵 Webhook: Transcription ${transcription ? 'completed' : 'failed'} for interview ${interviewId}`);
@@ -841,6 +738,14 @@ const handleTranscriptionWebhook = async (req, res) => {
                 transcription_metadata: metadata || {}
             });
 
+            // Segments are optional; the flat transcription above is enough to continue
+            if (Array.isArray(segments) && segments.length > 0) {
+                const segmentsResult = await transcriptService.saveSegments(interviewId, segments);
+                if (!segmentsResult.success) {
+                    console.warn(`⚠️ Transcript segments for interview ${interviewId} were not stored: ${segmentsResult.error}`);
+                }
+            }
+
             // Get session data for draft generation
             const supabase = require('../config/database');
             const { data: interview } = await supabase
@@ -887,13 +792,13 @@ const handleTranscriptionWebhook = async (req, res) => {
         console.error('Error processing transcription webhook:', error);
 
         // Try to update interview status to error if possible
-        if (req.body?.metadata?.id) {
+        if (body?.metadata?.id) {
             try {
                 const notes = [`Webhook processing failed: ${error.message} at ${new Date().toISOString()}`];
-                await updateInterviewStatus(req.body.metadata.id, 'error', { notes });
+                await updateInterviewStatus(body.metadata.id, 'error', { notes });
 
                 // Also broadcast error via WebSocket for immediate frontend notification
-                const interviewId = req.body.metadata.id;
+                const interviewId = body.metadata.id;
                 if (global.io) {
                     const errorData = {
                         interviewId,
@@ -910,57 +815,29 @@ const handleTranscriptionWebhook = async (req, res) => {
                 console.error('Failed to update interview status after webhook error:', statusError);
             }
         }
+
+        throw error;
     }
 };
 
-// @desc    Handle draft generation completion webhook from n8n AI workflow
-// @route   POST /api/webhooks/draft-complete
-// @access  Public (with validation)
-const handleDraftWebhook = async (req, res) => {
-    // Always respond immediately to acknowledge webhook receipt
-    res.json({
-        success: true,
-        message: 'Draft webhook received',
-        processed_at: new Date().toISOString()
-    });
-
+// Process a draft callback payload - throws when processing fails
+const processDraftPayload = async (body) => {
     try {
-        const { draft, metadata } = req.body;
-        const interviewId = metadata?.id;
-
-        // Validate required fields
-        if (!interviewId) {
-            console.error('Missing required field: interviewId in metadata');
-
-            // Try to broadcast a general error if we can't identify the specific interview
-            if (global.io && req.body?.metadata) {
-                // If there's any other identifier we can use, try to broadcast
-                const fallbackId = req.body.metadata.sessionId || req.body.metadata.requestId;
-                if (fallbackId) {
-                    const errorData = {
-                        interviewId: fallbackId,
-                        status: 'error',
-                        error_message: 'Processing failed due to missing interview ID. Please try again.',
-                        error_type: 'missing_interview_id',
-                        timestamp: new Date().toISOString()
-                    };
-
-                    global.io.to(`interview-${fallbackId}`).emit('interview-status-update', errorData);
-                    console.log(`📡 WebSocket error broadcast sent for fallback ID ${fallbackId}: missing_interview_id`);
-                }
-            }
-            return;
+        const payload = normalizeDraftPayload(body);
+        if (!payload.valid) {
+            throw payloadValidationError('draft', payload);
         }
 
-        console.log(`📝 Webhook: Draft generation ${draft ? 'completed' : 'failed'} for interview ${interviewId}`);
+        const { interviewId, metadata } = payload;
 
+        console.log(`📝 Webhook: Draft generation ${payload.failed ? 'failed' : 'completed'} for interview ${interviewId} (${payload.schemaVersion})`);
 
-        if (draft) {
+        if (!payload.failed) {
             // Draft generation successful
             console.log(`✅ Draft generation completed for interview ${interviewId}`);
 
-            // Extract and process the AI draft data
-            const processedDraft = await processDraftData(draft, interviewId, metadata);
+            // Build the stored draft from the validated payload
+            const processedDraft = await processDraftData(payload);
 
             // Update interview status to completed with processed draft
             await updateInterviewStatus(interviewId, 'completed', {
@@ -978,7 +855,7 @@ const handleDraftWebhook = async (req, res) => {
         } else {
             // Draft generation failed
             console.error(`❌ Draft generation failed for interview ${interviewId}`);
-            const notes = ['Draft generation failed at ' + new Date().toISOString()];
+            const notes = ['Draft generation failed' + (payload.failureReason ? `: ${payload.failureReason}` : '') + ' at ' + new Date().toISOString()];
             await updateInterviewStatus(interviewId, 'error', { notes });
 
             // Also broadcast error via WebSocket for immediate frontend notification
@@ -1000,13 +877,13 @@ const handleDraftWebhook = async (req, res) => {
         console.error('Error processing draft webhook:', error);
 
         // Try to update interview status to error if possible
-        if (req.body?.metadata?.id) {
+        if (body?.metadata?.id) {
             try {
                 const notes = [`Draft webhook processing failed: ${error.message} at ${new Date().toISOString()}`];
-                await updateInterviewStatus(req.body.metadata.id, 'error', { notes });
+                await updateInterviewStatus(body.metadata.id, 'error', { notes });
 
                 // Also broadcast error via WebSocket for immediate frontend notification
-                const interviewId = req.body.metadata.id;
+                const interviewId = body.metadata.id;
                 if (global.io) {
                     const errorData = {
                         interviewId,
@@ -1023,84 +900,38 @@ const handleDraftWebhook = async (req, res) => {
                 console.error('Failed to update interview status after draft webhook error:', statusError);
             }
         }
+
+        throw error;
     }
 };
 
-const handleLifeStoryWebhook = async (req, res) => {
-    res.json({
-        success: true,
-        message: 'Full life story webhook received',
-        processed_at: new Date().toISOString()
-    });
-
+// Process a full life story callback payload - throws when processing fails
+const processLifeStoryPayload = async (body) => {
     try {
-        const { story, metadata } = req.body;
-        
-        // Handle metadata that could be either a string or an object
-        let parsedMetadata = metadata;
-        if (typeof metadata === 'string') {
-            try {
-                parsedMetadata = JSON.parse(metadata);
-            } catch (parseError) {
-                console.error('Error parsing metadata string:', parseError);
-            }
+        const payload = normalizeLifeStoryPayload(body);
+        if (!payload.valid) {
+            throw payloadValidationError('life_story', payload);
         }
-        
-        const sessionId = parsedMetadata.sessionId;
 
-        // Validate required fields
-        if (!sessionId) {
-            console.error('Missing required field: sessionId in metadata');
+        const { sessionId } = payload;
 
-            // Try to broadcast a general error if we can't identify the specific interview
-            if (global.io && req.body?.metadata) {
-                // If there's any other identifier we can use, try to broadcast
-                const fallbackId = req.body.metadata.sessionId || req.body.metadata.requestId;
-                if (fallbackId) {
-                    const errorData = {
-                        interviewId: fallbackId,
-                        status: 'error',
-                        error_message: 'Processing failed due to missing interview ID. Please try again.',
-                        error_type: 'missing_interview_id',
-                        timestamp: new Date().toISOString()
-                    };
+        console.log(`📝 Webhook: Full life story generation ${payload.failed ? 'failed' : 'completed'} for session ${sessionId} (${payload.schemaVersion})`);
 
-                    global.io.to(`interview-${fallbackId}`).emit('interview-status-update', errorData);
-                    console.log(`📡 WebSocket error broadcast sent for fallback ID ${fallbackId}: missing_interview_id`);
-                }
-            }
-            return;
-        }
-
-        console.log(`📝 Webhook: Full life story generation ${story ? 'completed' : 'failed'} for session ${sessionId}`);
-
-        if (story) {
+        if (!payload.failed) {
             // Story generation successful
             console.log(`✅ Story generation completed for session ${sessionId}`);
 
-            // Handle story that could be either a string or an object
-            let parsedStory = story;
-            if (typeof story === 'string') {
-                try {
-                    parsedStory = JSON.parse(story);
-                } catch (parseError) {
-                    console.error('Error parsing story string:', parseError);
-                    // Keep original string if parsing fails
-                }
-            }
-
-            // Extract and process the AI draft data
-            const processedStory = await _processStoryData(parsedStory, sessionId, parsedMetadata);
+            // Build the stored story from the validated payload
+            const processedStory = await _processStoryData(payload);
 
             // Create draft entry in drafts table
-            await _createFullLifeStoryEntry(sessionId, processedStory, parsedMetadata);
+            await _createFullLifeStoryEntry(sessionId, processedStory, payload.metadata);
 
             console.log(`🎉 Full life story processing completed successfully via webhook`);
 
         } else {
             // Story generation failed
-            console.error(`❌ Story generation failed for session ${sessionId}`);
-            const notes = ['Story generation failed at ' + new Date().toISOString()];
+            console.error(`❌ Story generation failed for session ${sessionId}${payload.failureReason ? `: ${payload.failureReason}` : ''}`);
 
             // Also broadcast error via WebSocket for immediate frontend notification
             if (global.io) {
@@ -1120,10 +951,10 @@ const handleLifeStoryWebhook = async (req, res) => {
     } catch (error) {
         console.error('Error processing Full Life Story webhook:', error);
 
-        if (req.body?.metadata?.id) {
+        if (body?.metadata?.id) {
             try {
                 // Also broadcast error via WebSocket for immediate frontend notification
-                const sessionId = req.body.metadata.id;
+                const sessionId = body.metadata.id;
                 if (global.io) {
                     const errorData = {
                         sessionId,
@@ -1140,8 +971,191 @@ const handleLifeStoryWebhook = async (req, res) => {
                 console.error('Failed to update session status after full life story webhook error:', statusError);
             }
         }
+
+        throw error;
+    }
+};
+
+// Payload processors by inbox webhook type
+const PAYLOAD_PROCESSORS = {
+    transcription: processTranscriptionPayload,
+    draft: processDraftPayload,
+    life_story: processLifeStoryPayload
+};
+
+// Run processing for a stored delivery and record the outcome in the inbox
+const runDelivery = async (delivery, reprocessedBy = null) => {
+    const processor = PAYLOAD_PROCESSORS[delivery.webhook_type];
+    if (!processor) {
+        throw new Error(`Unknown webhook type: ${delivery.webhook_type}`);
+    }
+
+    const started = await webhookInboxService.markProcessing(delivery, reprocessedBy);
+    if (!started.success) {
+        console.warn(`⚠️ Could not mark webhook delivery ${delivery.id} as processing: ${started.error}`);
+    }
+
+    let processingError = null;
+    try {
+        await processor(delivery.payload);
+    } catch (error) {
+        processingError = error;
+    }
+
+    const outcome = await webhookInboxService.recordOutcome(delivery.id, processingError);
+
+    if (processingError) {
+        console.error(`❌ Webhook delivery ${delivery.id} (${delivery.webhook_type}) failed: ${processingError.message}`);
+
+        loggingService.logSystemEvent('webhook_processing_failed', {
+            deliveryId: delivery.id,
+            webhookType: delivery.webhook_type,
+            referenceId: delivery.reference_id,
+            error: processingError.message,
+            reprocessedBy
+        }, 'error');
+    } else {
+        console.log(`✅ Webhook delivery ${delivery.id} (${delivery.webhook_type}) processed`);
+    }
+
+    return {
+        success: !processingError,
+        error: processingError ? processingError.message : undefined,
+        data: outcome.success ? outcome.data : delivery
+    };
+};
+
+// Store an inbound callback in the inbox, acknowledge it, then process it once
+const receiveWebhook = async (webhookType, req, res, message) => {
+    const validation = PAYLOAD_SCHEMAS[webhookType] ? PAYLOAD_SCHEMAS[webhookType](req.body) : null;
+
+    const inboxResult = await webhookInboxService.recordDelivery({
+        webhookType,
+        deliveryId: webhookInboxService.getDeliveryId(req),
+        payload: req.body,
+        referenceId: getWebhookReferenceId(webhookType, req.body),
+        signatureTimestamp: req.webhookSignature?.timestamp,
+        schemaVersion: validation?.schemaVersion,
+        validationWarnings: validation?.warnings
+    });
+
+    // Not acknowledged, so the sender retries instead of the callback being lost
+    if (!inboxResult.success) {
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to store webhook delivery'
+        });
+    }
+
+    const { delivery, duplicate } = inboxResult.data;
+
+    // Rejected payloads are kept in the inbox as failed so they can be inspected
+    if (validation && !validation.valid) {
+        console.error(`❌ Invalid ${webhookType} webhook payload (${delivery.delivery_id}):`, validation.errors);
+
+        if (!duplicate) {
+            await webhookInboxService.recordOutcome(delivery.id, payloadValidationError(webhookType, validation));
+            broadcastInvalidPayload(req.body);
+
+            loggingService.logSystemEvent('ai_payload_rejected', {
+                deliveryId: delivery.id,
+                webhookType,
+                schemaVersion: validation.schemaVersion,
+                errors: validation.errors
+            }, 'error');
+        }
+
+        return res.status(422).json({
+            success: false,
+            error: `Invalid ${webhookType} payload`,
+            schemaVersion: validation.schemaVersion,
+            errors: validation.errors,
+            deliveryId: delivery.delivery_id
+        });
+    }
+
+    if (duplicate) {
+        console.log(`🔁 Duplicate ${webhookType} webhook ignored: ${delivery.delivery_id} (status: ${delivery.status})`);
+        return res.json({
+            success: true,
+            message: `${message} (duplicate delivery ignored)`,
+            duplicate: true,
+            deliveryId: delivery.delivery_id,
+            processed_at: new Date().toISOString()
+        });
+    }
+
+    // Legacy shapes are accepted, but every guess made while parsing them is reported
+    if (validation?.warnings.length > 0) {
+        console.warn(`⚠️ ${webhookType} webhook payload warnings (${delivery.delivery_id}):`, validation.warnings);
+
+        loggingService.logSystemEvent('ai_payload_warnings', {
+            deliveryId: delivery.id,
+            webhookType,
+            referenceId: delivery.reference_id,
+            schemaVersion: validation.schemaVersion,
+            warnings: validation.warnings
+        }, 'warning');
+    }
+
+    // Respond before processing to acknowledge webhook receipt
+    res.json({
+        success: true,
+        message,
+        deliveryId: delivery.delivery_id,
+        ...(validation && {
+            schemaVersion: validation.schemaVersion,
+            warnings: validation.warnings
+        }),
+        processed_at: new Date().toISOString()
+    });
+
+    await runDelivery(delivery);
+};
+
+// @desc    Handle transcription completion webhook from n8n AI workflow
+// @route   POST /api/webhooks/transcription-complete
+// @access  Public (with validation)
+const handleTranscriptionWebhook = async (req, res) => {
+    await receiveWebhook('transcription', req, res, 'Transcription webhook received');
+};
+
+// @desc    Handle draft generation completion webhook from n8n AI workflow
+// @route   POST /api/webhooks/draft-complete
+// @access  Public (with validation)
+const handleDraftWebhook = async (req, res) => {
+    await receiveWebhook('draft', req, res, 'Draft webhook received');
+};
+
+// @desc    Handle full life story generation completion webhook from n8n AI workflow
+// @route   POST /api/webhooks/life-story-complete
+// @access  Public (with validation)
+const handleLifeStoryWebhook = async (req, res) => {
+    await receiveWebhook('life_story', req, res, 'Full life story webhook received');
+};
+
+// Re-run processing for a stored delivery (admin recovery)
+const reprocessDelivery = async (deliveryId, reprocessedBy) => {
+    const deliveryResult = await webhookInboxService.getDeliveryById(deliveryId);
+    if (!deliveryResult.success) {
+        return deliveryResult;
     }
-}
+
+    const delivery = deliveryResult.data;
+    const startedAt = delivery.processing_started_at ? new Date(delivery.processing_started_at).getTime() : 0;
+    const isStale = delivery.status === 'processing' && Date.now() - startedAt > STALE_PROCESSING_MS;
+
+    if (delivery.status === 'processed' || (delivery.status === 'processing' && !isStale)) {
+        return {
+            success: false,
+            error: `Webhook delivery is ${delivery.status} and cannot be re-run`
+        };
+    }
+
+    console.log(`🔄 Re-running webhook delivery ${delivery.id} (${delivery.webhook_type}) for ${reprocessedBy || 'unknown'}`);
+
+    return runDelivery(delivery, reprocessedBy);
+};
 
 // @desc    Health check for webhook endpoints
 // @route   GET /api/webhooks/health
@@ -1162,5 +1176,6 @@ module.exports = {
     handleTranscriptionWebhook,
     handleDraftWebhook,
     handleLifeStoryWebhook,
+    reprocessDelivery,
     webhookHealthCheck
 };
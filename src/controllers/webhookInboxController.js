@@ -0,0 +1,117 @@
+const webhookInboxService = require('../services/webhookInboxService');
+const webhookController = require('./webhookController');
+
+/**
+ * Webhook Inbox Controller
+ * Handles inspection and replay of stored AI callback deliveries
+ */
+
+/**
+ * List webhook deliveries (failed ones by default)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getDeliveries = async (req, res) => {
+  try {
+    const { status = 'failed', webhookType, referenceId, limit, offset } = req.query;
+
+    const result = await webhookInboxService.getDeliveries({
+      status: status === 'all' ? null : status,
+      webhookType,
+      referenceId,
+      limit,
+      offset
+    });
+
+    if (result.success) {
+      res.json({
+        success: true,
+        data: result.data,
+        pagination: result.pagination
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('❌ Error in getDeliveries controller:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get a single webhook delivery including its payload
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getDeliveryById = async (req, res) => {
+  try {
+    const result = await webhookInboxService.getDeliveryById(req.params.id);
+
+    if (result.success) {
+      res.json({
+        success: true,
+        data: result.data
+      });
+    } else {
+      res.status(404).json({
+        success: false,
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('❌ Error in getDeliveryById controller:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Re-run processing of a stored delivery and return the outcome
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const reprocessDelivery = async (req, res) => {
+  try {
+    const result = await webhookController.reprocessDelivery(req.params.id, req.user?.email);
+
+    if (result.success) {
+      res.json({
+        success: true,
+        message: 'Webhook delivery processed successfully',
+        data: result.data
+      });
+    } else if (result.data) {
+      // Processing ran but failed again - the delivery holds the new error
+      res.status(422).json({
+        success: false,
+        error: result.error,
+        data: result.data
+      });
+    } else {
+      res.status(result.error === 'Webhook delivery not found' ? 404 : 400).json({
+        success: false,
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('❌ Error in reprocessDelivery controller:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getDeliveries,
+  getDeliveryById,
+  reprocessDelivery
+};
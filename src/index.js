@@ -20,6 +20,15 @@ const webhookRoutes = require('./routes/webhooks'); // New webhook routes
 // const adminRoutes = require('./routes/admin'); // Temporarily disabled due to missing controllers
 const logsRoutes = require('./routes/logs');
 const migrationRoutes = require('./routes/migration');
+const jobsRoutes = require('./routes/jobs');
+const friendInviteRoutes = require('./routes/friendInvites');
+const scheduleRoutes = require('./routes/schedule');
+const notificationRoutes = require('./routes/notifications');
+const searchRoutes = require('./routes/search');
+const roleRoutes = require('./routes/roles');
+const jobQueueService = require('./services/jobQueueService');
+const notificationService = require('./services/notificationService');
+const config = require('./config/config');
 const { loggingMiddleware, errorLoggingMiddleware, requestLoggingMiddleware } = require('./middleware/loggingMiddleware');
 
 // Initialize express app
@@ -64,7 +73,15 @@ app.use(cors({
 })); // Enable CORS with configurable origins
 
 app.use(morgan('dev')); // HTTP request logging
-app.use(express.json({ limit: '50mb' })); // Parse JSON bodies with larger limit
+app.use(express.json({
+  limit: '50mb',
+  // Keep the exact bytes of AI callbacks for webhook signature verification
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks')) {
+      req.rawBody = buf;
+    }
+  }
+})); // Parse JSON bodies with larger limit
 app.use(express.urlencoded({ limit: '50mb', extended: true })); // Parse URL-encoded bodies
 
 // Custom logging middleware
@@ -82,6 +99,22 @@ app.use('/api/webhooks', webhookRoutes); // New webhook routes for AI callbacks
 // app.use('/api/admin', adminRoutes); // Temporarily disabled due to missing controllers
 app.use('/api/logs', logsRoutes);
 app.use('/api/migration', migrationRoutes);
+app.use('/api/jobs', jobsRoutes); // Background job queue monitoring
+app.use('/api/friend-invites', friendInviteRoutes); // Public invite links for relatives
+app.use('/api/schedule', scheduleRoutes); // Interview calendar, availability and ICS feeds
+app.use('/api/notifications', notificationRoutes); // Outgoing email notifications and reminders
+app.use('/api/search', searchRoutes); // Search across transcripts, drafts and life stories
+app.use('/api/roles', roleRoutes); // Staff roles, permissions and role assignments
+app.use('/api/files', express.static(config.storage.local.dir, { // Files kept by the local storage provider
+  index: false,
+  dotfiles: 'deny',
+  // Uploads come from outside (e.g. friend invites), so never let the browser render them on our origin
+  setHeaders: (res) => {
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Content-Disposition', 'attachment');
+    res.setHeader('Content-Security-Policy', "default-src 'none'; sandbox");
+  }
+}));
 
 // API root route
 app.get('/api', (req, res) => {
@@ -109,6 +142,7 @@ const frontendRoutes = [
   '/admin/conflicts',
   '/admin/analytics',
   '/admin/full-life-stories',
+  '/friend/:token',
   '/profile', 
   '/settings'
 ];
@@ -179,6 +213,16 @@ global.io = io;
 server.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`🔌 WebSocket server ready for real-time updates`);
+
+  if (config.ai.simulator.enabled) {
+    console.log(`🧪 AI simulator enabled - n8n callbacks are faked locally via ${config.ai.simulator.callbackBaseUrl}`);
+  }
+
+  // Start the background job worker (recovers jobs interrupted by the last shutdown)
+  jobQueueService.start();
+
+  // Remind clients and interviewers before scheduled interviews
+  notificationService.startReminderScheduler();
 });
 
 // Set server timeout to 5 minutes for AI processing
@@ -0,0 +1,31 @@
+const roleService = require('../services/roleService');
+
+/**
+ * Middleware to check that the user's role grants every listed permission
+ * Must be used after verifyToken (either auth or supabaseAuth)
+ * @param {...string} permissions - Permission keys from roleService.PERMISSIONS
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  const missing = permissions.filter(permission => !roleService.hasPermission(req.user.role, permission));
+
+  if (missing.length > 0) {
+    return res.status(403).json({
+      success: false,
+      message: `Access denied. Your role (${req.user.role || 'none'}) lacks permission: ${missing.join(', ')}`,
+      requiredPermissions: missing
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requirePermission
+};
@@ -0,0 +1,72 @@
+const config = require('../config/config');
+const loggingService = require('../services/loggingService');
+const { SIGNATURE_HEADER, verifySignature } = require('../utils/webhookSignature');
+
+/**
+ * Middleware to verify signed AI callbacks
+ * Requires a valid X-Legamunity-Signature header signed with the current or
+ * previous webhook secret and a timestamp inside the replay window.
+ * Relies on req.rawBody captured by the JSON body parser (see index.js).
+ */
+const verifyWebhookSignature = (req, res, next) => {
+  const { secrets, toleranceSeconds, requireSignature } = config.webhooks;
+
+  if (secrets.length === 0) {
+    if (!requireSignature) {
+      console.warn(`⚠️ Webhook signature check skipped for ${req.originalUrl} - no WEBHOOK_SECRET configured`);
+      return next();
+    }
+
+    console.error('❌ Webhook rejected: WEBHOOK_SECRET is not configured');
+    return res.status(503).json({
+      success: false,
+      error: 'Webhook signing is not configured'
+    });
+  }
+
+  if (!req.rawBody) {
+    console.error('❌ Webhook rejected: raw request body not available for signature check');
+    return res.status(400).json({
+      success: false,
+      error: 'Unable to verify webhook signature'
+    });
+  }
+
+  const result = verifySignature({
+    header: req.get(SIGNATURE_HEADER),
+    rawBody: req.rawBody,
+    secrets,
+    toleranceSeconds
+  });
+
+  if (!result.valid) {
+    console.warn(`🚫 Webhook rejected for ${req.originalUrl}: ${result.reason}`);
+
+    loggingService.logSystemEvent('webhook_rejected', {
+      path: req.originalUrl,
+      reason: result.reason,
+      ipAddress: req.ip
+    }, 'warning');
+
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid webhook signature',
+      reason: result.reason
+    });
+  }
+
+  if (result.keyIndex > 0) {
+    console.warn(`🔑 Webhook ${req.originalUrl} signed with the previous secret - update the sender before retiring it`);
+  }
+
+  req.webhookSignature = {
+    timestamp: result.timestamp,
+    keyIndex: result.keyIndex
+  };
+
+  next();
+};
+
+module.exports = {
+  verifyWebhookSignature
+};
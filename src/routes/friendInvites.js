@@ -0,0 +1,47 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const config = require('../config/config');
+const friendInviteController = require('../controllers/friendInviteController');
+
+/**
+ * Friend Invite Routes
+ * Public pages behind a relative's invite link; the link token is the only credential
+ */
+
+// Recordings and written memories from relatives
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.friendInvites.maxUploadBytes
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = [
+      'audio/mpeg', 'audio/wav', 'audio/mp4', 'audio/aac', 'audio/ogg', 'audio/webm', 'audio/m4a', 'audio/x-m4a', 'audio/flac',
+      'text/plain'
+    ];
+
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Unsupported file type'), false);
+    }
+  }
+});
+
+/**
+ * @route GET /api/friend-invites/:token
+ * @desc Show the invite (who invited, for whom) and mark it as opened
+ * @access Public (invite token)
+ */
+router.get('/:token', friendInviteController.getInviteByToken);
+
+/**
+ * @route POST /api/friend-invites/:token/submission
+ * @desc Submit a recording (multipart field "file") or written memories (field "memories");
+ *       the token is checked before the upload is read
+ * @access Public (invite token)
+ */
+router.post('/:token/submission', friendInviteController.resolveInvite, upload.single('file'), friendInviteController.submitContribution);
+
+module.exports = router;
@@ -1,64 +1,73 @@
 const express = require('express');
 const router = express.Router();
 const fullLifeStoriesController = require('../controllers/fullLifeStoriesController');
-const { verifyToken, requireAdmin } = require('../middleware/supabaseAuth');
+const exportController = require('../controllers/exportController');
+const { verifyToken } = require('../middleware/supabaseAuth');
+const { requirePermission } = require('../middleware/permissions');
 
 /**
  * Full Life Stories Routes
- * All routes require admin authentication
+ * All routes require a staff role with sessions.view; changes need stories.generate
  */
 
 // Apply authentication middleware to all routes
 router.use(verifyToken);
-router.use(requireAdmin);
+router.use(requirePermission('sessions.view'));
 
 /**
  * @route GET /api/admin/full-life-stories
  * @desc Get all full life stories with filtering and pagination
- * @access Admin only
+ * @access Staff with sessions.view
  */
 router.get('/', fullLifeStoriesController.getAllFullLifeStories);
 
 /**
  * @route GET /api/admin/full-life-stories/stats
  * @desc Get full life stories statistics
- * @access Admin only
+ * @access Staff with sessions.view
  */
 router.get('/stats', fullLifeStoriesController.getFullLifeStoriesStats);
 
 /**
  * @route GET /api/admin/full-life-stories/:id
  * @desc Get full life story by ID
- * @access Admin only
+ * @access Staff with sessions.view
  */
 router.get('/:id', fullLifeStoriesController.getFullLifeStoryById);
 
+/**
+ * @route GET /api/admin/full-life-stories/:id/export/:format
+ * @desc Download full life story as PDF, DOCX, or (approved stories only) EPUB/HTML reader edition
+ * @access Staff with sessions.view
+ */
+router.get('/:id/export/:format', exportController.exportFullLifeStory);
+
 /**
  * @route PUT /api/admin/full-life-stories/:id/status
  * @desc Update full life story status (approve/reject)
- * @access Admin only
+ * @access Staff with stories.generate
  */
-router.put('/:id/status', fullLifeStoriesController.updateFullLifeStoryStatus);
+router.put('/:id/status', requirePermission('stories.generate'), fullLifeStoriesController.updateFullLifeStoryStatus);
 
 /**
  * @route POST /api/admin/full-life-stories/:id/notes
  * @desc Add note to full life story
- * @access Admin only
+ * @access Staff with stories.generate
  */
-router.post('/:id/notes', fullLifeStoriesController.addNoteToFullLifeStory);
+router.post('/:id/notes', requirePermission('stories.generate'), fullLifeStoriesController.addNoteToFullLifeStory);
 
 /**
  * @route POST /api/admin/full-life-stories/:id/regenerate
  * @desc Regenerate full life story
- * @access Admin only
+ * @access Staff with stories.generate
  */
-router.post('/:id/regenerate', fullLifeStoriesController.regenerateFullLifeStory);
+router.post('/:id/regenerate', requirePermission('stories.generate'), fullLifeStoriesController.regenerateFullLifeStory);
 
 /**
  * @route DELETE /api/admin/full-life-stories/:id
  * @desc Archive full life story (soft delete)
- * @access Admin only
+ * @access Staff with stories.generate
  */
-router.delete('/:id', fullLifeStoriesController.archiveFullLifeStory);
+router.delete('/:id', requirePermission('stories.generate'), fullLifeStoriesController.archiveFullLifeStory);
 
 module.exports = router;
@@ -1,11 +1,17 @@
 const express = require('express');
 const router = express.Router();
 // const interviewController = require('../controllers/interviewController');
-const { verifyToken, requireAdmin } = require('../middleware/auth');
+const { verifyToken } = require('../middleware/supabaseAuth');
+const { requirePermission } = require('../middleware/permissions');
 const upload = require('../middleware/upload');
 
 // Import the normalized interview service
 const interviewService = require('../services/interviewService');
+const draftVersionService = require('../services/draftVersionService');
+const friendInviteController = require('../controllers/friendInviteController');
+const draftConflictController = require('../controllers/draftConflictController');
+const followUpQuestionController = require('../controllers/followUpQuestionController');
+const transcriptController = require('../controllers/transcriptController');
 
 /**
  * @route GET /api/interviews
@@ -17,9 +23,9 @@ const interviewService = require('../services/interviewService');
 /**
  * @route GET /api/interviews/session/:sessionId
  * @desc Get all interviews for a specific session (normalized table)
- * @access Admin only
+ * @access Staff with sessions.view
  */
-router.get('/session/:sessionId', verifyToken, requireAdmin, async (req, res) => {
+router.get('/session/:sessionId', verifyToken, requirePermission('sessions.view'), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const result = await interviewService.getInterviewsBySessionId(sessionId);
@@ -50,9 +56,9 @@ router.get('/session/:sessionId', verifyToken, requireAdmin, async (req, res) =>
 /**
  * @route POST /api/interviews
  * @desc Create a new interview (normalized table)
- * @access Admin only
+ * @access Staff with sessions.manage
  */
-router.post('/', verifyToken, requireAdmin, async (req, res) => {
+router.post('/', verifyToken, requirePermission('sessions.manage'), async (req, res) => {
   try {
     const { session_id, ...interviewData } = req.body;
     const result = await interviewService.createInterview(session_id, interviewData);
@@ -83,9 +89,9 @@ router.post('/', verifyToken, requireAdmin, async (req, res) => {
 /**
  * @route PUT /api/interviews/:id
  * @desc Update an interview (normalized table)
- * @access Admin only
+ * @access Staff with sessions.manage
  */
-router.put('/:id', verifyToken, requireAdmin, async (req, res) => {
+router.put('/:id', verifyToken, requirePermission('sessions.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
@@ -117,9 +123,9 @@ router.put('/:id', verifyToken, requireAdmin, async (req, res) => {
 /**
  * @route DELETE /api/interviews/:id
  * @desc Delete an interview (normalized table)
- * @access Admin only
+ * @access Staff with sessions.manage
  */
-router.delete('/:id', verifyToken, requireAdmin, async (req, res) => {
+router.delete('/:id', verifyToken, requirePermission('sessions.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const result = await interviewService.deleteInterview(id);
@@ -190,15 +196,101 @@ router.delete('/:id', verifyToken, requireAdmin, async (req, res) => {
 // router.post('/:interviewId/upload', verifyToken, requireAdmin, upload.single('file'), interviewController.uploadInterviewFile);
 
 /**
- * @route POST /api/interviews/:id/question
- * @desc Save question and answer during interview
- * @access Admin only
+ * @route GET /api/interviews/:id/drafts/versions
+ * @desc List the stored versions of the interview's draft
+ * @access Staff with sessions.view
  */
-router.post('/:id/question', (req, res) => {
-  // Placeholder until we implement the controller
-  res.status(501).json({ message: 'Not implemented yet' });
+router.get('/:id/drafts/versions', verifyToken, requirePermission('sessions.view'), async (req, res) => {
+  try {
+    const result = await draftVersionService.getVersions(req.params.id);
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch draft versions',
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.data,
+      count: result.data.length
+    });
+  } catch (error) {
+    console.error('Error fetching draft versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch draft versions',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/interviews/:id/drafts/diff?from=1&to=2
+ * @desc Section-aware, word-level diff between two versions of the interview's draft
+ *       (defaults to the latest version against the previous one)
+ * @access Staff with sessions.view
+ */
+router.get('/:id/drafts/diff', verifyToken, requirePermission('sessions.view'), async (req, res) => {
+  try {
+    const parseVersion = (value) => (value === undefined ? undefined : parseInt(value, 10));
+    const from = parseVersion(req.query.from);
+    const to = parseVersion(req.query.to);
+
+    if ([from, to].some(value => value !== undefined && (!Number.isInteger(value) || value < 1))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be positive version numbers'
+      });
+    }
+
+    if (from !== undefined && to !== undefined && from === to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be different versions'
+      });
+    }
+
+    const result = await draftVersionService.diffVersions(req.params.id, { from, to });
+
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 500).json({
+        success: false,
+        message: result.notFound ? result.error : 'Failed to diff draft versions',
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error diffing draft versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to diff draft versions',
+      error: error.message
+    });
+  }
 });
 
+/**
+ * @route POST /api/interviews/:id/question
+ * @desc Save question and answer during interview (questionId from the question bank, or question; answer, notes)
+ * @access Staff with sessions.manage
+ */
+router.post('/:id/question', verifyToken, requirePermission('sessions.manage'), followUpQuestionController.recordInterviewQuestion);
+
+/**
+ * @route GET /api/interviews/:id/guide
+ * @desc Interviewer guide with the follow-up questions assigned to this interview (?format=markdown)
+ * @access Staff with sessions.view
+ */
+router.get('/:id/guide', verifyToken, requirePermission('sessions.view'), followUpQuestionController.getInterviewGuide);
+
 /**
  * @route POST /api/interviews/:id/complete
  * @desc Mark interview as complete
@@ -211,32 +303,66 @@ router.post('/:id/complete', (req, res) => {
 
 /**
  * @route POST /api/interviews/:id/friend
- * @desc Invite friend for interview verification
- * @access Admin only
+ * @desc Invite a friend or relative (name, relationship, email/phone) to contribute to a
+ *       friend_verification interview; returns a scoped, expiring invite link
+ * @access Staff with sessions.manage
  */
-router.post('/:id/friend', (req, res) => {
-  // Placeholder until we implement the controller
-  res.status(501).json({ message: 'Not implemented yet' });
-});
+router.post('/:id/friend', verifyToken, requirePermission('sessions.manage'), friendInviteController.createFriendInvite);
+
+/**
+ * @route GET /api/interviews/:id/friends
+ * @desc List invites sent for an interview
+ * @access Staff with sessions.view
+ */
+router.get('/:id/friends', verifyToken, requirePermission('sessions.view'), friendInviteController.getFriendInvites);
+
+/**
+ * @route DELETE /api/interviews/:id/friend/:inviteId
+ * @desc Cancel an unused invite
+ * @access Staff with sessions.manage
+ */
+router.delete('/:id/friend/:inviteId', verifyToken, requirePermission('sessions.manage'), friendInviteController.revokeFriendInvite);
 
 /**
  * @route GET /api/interviews/:id/conflicts
- * @desc Get conflicts for an interview
- * @access Admin only
+ * @desc Get conflicts between this interview's draft and the rest of its session (?status=all|open|resolved|dismissed)
+ * @access Staff with sessions.view
  */
-router.get('/:id/conflicts', (req, res) => {
-  // Placeholder until we implement the controller
-  res.status(501).json({ message: 'Not implemented yet' });
-});
+router.get('/:id/conflicts', verifyToken, requirePermission('sessions.view'), draftConflictController.getInterviewConflicts);
 
 /**
  * @route PUT /api/interviews/:id/conflicts/:conflictId
- * @desc Resolve a conflict
- * @access Admin only
+ * @desc Resolve a conflict (status: resolved|dismissed|open, resolutionValue, note)
+ * @access Staff with drafts.edit
  */
-router.put('/:id/conflicts/:conflictId', (req, res) => {
-  // Placeholder until we implement the controller
-  res.status(501).json({ message: 'Not implemented yet' });
-});
+router.put('/:id/conflicts/:conflictId', verifyToken, requirePermission('drafts.edit'), draftConflictController.resolveConflict);
+
+/**
+ * @route GET /api/interviews/:id/transcript
+ * @desc Get the timestamped transcript segments and speakers of an interview
+ * @access Staff with sessions.view
+ */
+router.get('/:id/transcript', verifyToken, requirePermission('sessions.view'), transcriptController.getTranscript);
+
+/**
+ * @route PUT /api/interviews/:id/transcript/speakers/:speakerKey
+ * @desc Rename a transcript speaker (displayName)
+ * @access Staff with transcripts.edit
+ */
+router.put('/:id/transcript/speakers/:speakerKey', verifyToken, requirePermission('transcripts.edit'), transcriptController.renameSpeaker);
+
+/**
+ * @route PUT /api/interviews/:id/transcript/segments/:segmentId
+ * @desc Edit a transcript segment (text, speakerKey)
+ * @access Staff with transcripts.edit
+ */
+router.put('/:id/transcript/segments/:segmentId', verifyToken, requirePermission('transcripts.edit'), transcriptController.updateSegment);
+
+/**
+ * @route POST /api/interviews/:id/transcript/regenerate
+ * @desc Rebuild content.transcription from the segments and speaker names
+ * @access Staff with transcripts.edit
+ */
+router.post('/:id/transcript/regenerate', verifyToken, requirePermission('transcripts.edit'), transcriptController.regenerateTranscription);
 
 module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const jobsController = require('../controllers/jobsController');
+const { verifyToken, requireAdmin } = require('../middleware/supabaseAuth');
+
+/**
+ * Background Job Routes
+ * All routes require admin authentication
+ */
+
+// Apply authentication middleware to all routes
+router.use(verifyToken);
+router.use(requireAdmin);
+
+/**
+ * @route GET /api/jobs/status
+ * @desc Get job queue status (counts per state, worker activity)
+ * @access Admin only
+ */
+router.get('/status', jobsController.getQueueStatus);
+
+/**
+ * @route GET /api/jobs
+ * @desc List jobs (filter by status, type, referenceType, referenceId)
+ * @access Admin only
+ */
+router.get('/', jobsController.getJobs);
+
+/**
+ * @route GET /api/jobs/:id
+ * @desc Get job by ID, including attempts and error history
+ * @access Admin only
+ */
+router.get('/:id', jobsController.getJobById);
+
+/**
+ * @route POST /api/jobs/:id/retry
+ * @desc Re-queue a dead-lettered job
+ * @access Admin only
+ */
+router.post('/:id/retry', jobsController.retryJob);
+
+module.exports = router;
@@ -1,11 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const logsController = require('../controllers/logsController');
-const { verifyToken, requireAdmin } = require('../middleware/auth');
+const { verifyToken, requireAdmin } = require('../middleware/supabaseAuth');
+const { requirePermission } = require('../middleware/permissions');
 
-// All log routes require authentication and admin privileges
+// All log routes require authentication and the logs.view permission
 router.use(verifyToken);
-router.use(requireAdmin);
+router.use(requirePermission('logs.view'));
 
 // GET /api/logs - Get logs with filtering and pagination
 router.get('/', logsController.getLogs);
@@ -26,6 +27,6 @@ router.get('/user/:userId', logsController.getUserActivity);
 router.get('/session/:sessionId', logsController.getSessionLogs);
 
 // POST /api/logs - Create manual log entry (for testing/special cases)
-router.post('/', logsController.createLog);
+router.post('/', requireAdmin, logsController.createLog);
 
 module.exports = router;
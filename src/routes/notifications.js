@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const notificationsController = require('../controllers/notificationsController');
+const { verifyToken, requireAdmin } = require('../middleware/supabaseAuth');
+
+/**
+ * Notification Routes
+ * All routes require admin authentication
+ */
+
+// Apply authentication middleware to all routes
+router.use(verifyToken);
+router.use(requireAdmin);
+
+/**
+ * @route GET /api/notifications
+ * @desc List recent notifications with delivery status (filter by status, sessionId)
+ * @access Admin only
+ */
+router.get('/', notificationsController.getNotifications);
+
+/**
+ * @route POST /api/notifications/reminders/run
+ * @desc Queue reminders for interviews starting within the reminder window
+ * @access Admin only
+ */
+router.post('/reminders/run', notificationsController.runReminders);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const roleController = require('../controllers/roleController');
+const { verifyToken } = require('../middleware/supabaseAuth');
+const { requirePermission } = require('../middleware/permissions');
+
+/**
+ * Role Routes
+ * Role/permission matrix and role assignments
+ */
+
+// Apply authentication middleware to all routes
+router.use(verifyToken);
+
+/**
+ * @route GET /api/roles/me
+ * @desc Role and permissions of the signed-in user
+ * @access Private
+ */
+router.get('/me', roleController.getMyPermissions);
+
+/**
+ * @route GET /api/roles
+ * @desc Roles and the permissions each grants
+ * @access Staff with roles.manage
+ */
+router.get('/', requirePermission('roles.manage'), roleController.getRoleMatrix);
+
+/**
+ * @route GET /api/roles/assignments
+ * @desc Users with their roles and permissions (?role to filter)
+ * @access Staff with roles.manage
+ */
+router.get('/assignments', requirePermission('roles.manage'), roleController.getAssignments);
+
+/**
+ * @route PUT /api/roles/assignments/:userId
+ * @desc Assign a role to a user (role, reason); the change is logged
+ * @access Staff with roles.manage
+ */
+router.put('/assignments/:userId', requirePermission('roles.manage'), roleController.assignRole);
+
+module.exports = router;
@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const scheduleController = require('../controllers/scheduleController');
+const { verifyToken } = require('../middleware/supabaseAuth');
+const { requirePermission } = require('../middleware/permissions');
+
+/**
+ * Interview Schedule Routes
+ * Calendar, availability, reschedule/cancel and calendar feeds
+ */
+
+/**
+ * @route GET /api/schedule/feed/:token.ics
+ * @desc ICS calendar feed of a staff member's interviews
+ * @access Public (feed token)
+ */
+router.get('/feed/:token.ics', scheduleController.getFeed);
+
+// Everything below requires a staff role with sessions.view
+router.use(verifyToken);
+router.use(requirePermission('sessions.view'));
+
+/**
+ * @route GET /api/schedule
+ * @desc Interview calendar with clashes marked (?from, ?to, ?staff, ?includeCancelled=true)
+ * @access Staff with sessions.view
+ */
+router.get('/', scheduleController.getCalendar);
+
+/**
+ * @route GET /api/schedule/clashes
+ * @desc Overlapping interviews of the same staff member (?from, ?to, ?staff)
+ * @access Staff with sessions.view
+ */
+router.get('/clashes', scheduleController.getClashes);
+
+/**
+ * @route GET /api/schedule/availability
+ * @desc Availability windows of a staff member (?staff, defaults to the current user)
+ * @access Staff with sessions.view
+ */
+router.get('/availability', scheduleController.getAvailability);
+
+/**
+ * @route POST /api/schedule/availability
+ * @desc Add a weekly (dayOfWeek, startTime, endTime) or one-off (startsAt, endsAt) window; kind: available|unavailable
+ * @access Staff with sessions.manage
+ */
+router.post('/availability', requirePermission('sessions.manage'), scheduleController.addAvailability);
+
+/**
+ * @route DELETE /api/schedule/availability/:windowId
+ * @desc Remove an availability window
+ * @access Staff with sessions.manage
+ */
+router.delete('/availability/:windowId', requirePermission('sessions.manage'), scheduleController.deleteAvailability);
+
+/**
+ * @route PUT /api/schedule/interviews/:interviewId/reschedule
+ * @desc Move an interview (scheduledDate, durationMinutes, reason); 409 on clashes unless force: true
+ * @access Staff with sessions.manage
+ */
+router.put('/interviews/:interviewId/reschedule', requirePermission('sessions.manage'), scheduleController.rescheduleInterview);
+
+/**
+ * @route PUT /api/schedule/interviews/:interviewId/cancel
+ * @desc Cancel an interview (reason)
+ * @access Staff with sessions.manage
+ */
+router.put('/interviews/:interviewId/cancel', requirePermission('sessions.manage'), scheduleController.cancelInterview);
+
+/**
+ * @route GET /api/schedule/interviews/:interviewId/changes
+ * @desc Reschedule/cancel history of an interview
+ * @access Staff with sessions.view
+ */
+router.get('/interviews/:interviewId/changes', scheduleController.getScheduleChanges);
+
+/**
+ * @route POST /api/schedule/feed-token
+ * @desc Create the current user's calendar feed link (replaces the previous one)
+ * @access Staff with sessions.view
+ */
+router.post('/feed-token', scheduleController.createFeedToken);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/searchController');
+const { verifyToken } = require('../middleware/supabaseAuth');
+const { requirePermission } = require('../middleware/permissions');
+
+/**
+ * Search Routes
+ * All routes require a staff role with sessions.view
+ */
+
+// Apply authentication middleware to all routes
+router.use(verifyToken);
+router.use(requirePermission('sessions.view'));
+
+/**
+ * @route GET /api/search
+ * @desc Ranked search over transcripts, drafts and life stories with highlighted snippets
+ *       (q, types=transcript,draft,life_story, sessionId, assignedAdmin, dateFrom, dateTo, limit, offset)
+ * @access Staff with sessions.view
+ */
+router.get('/', searchController.search);
+
+module.exports = router;
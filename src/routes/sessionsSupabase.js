@@ -1,80 +1,115 @@
 const express = require('express');
 const router = express.Router();
 const sessionController = require('../controllers/sessionControllerSupabase');
+const resumableUploadController = require('../controllers/resumableUploadController');
+const assignmentController = require('../controllers/assignmentController');
 const { verifyToken, requireAdmin } = require('../middleware/supabaseAuth');
+const { requirePermission } = require('../middleware/permissions');
 
 /**
  * Supabase Sessions Routes
- * All routes require admin authentication
+ * All routes require a staff role with sessions.view; changes need the
+ * permission named on each route (see roleService)
  */
 
 // Apply authentication middleware to all routes
 router.use(verifyToken);
-router.use(requireAdmin);
+router.use(requirePermission('sessions.view'));
 
 /**
  * @route GET /api/admin/sessions/stats
  * @desc Get session statistics
- * @access Admin only
+ * @access Staff with sessions.view
  */
 router.get('/stats', sessionController.getSessionStats);
 
+/**
+ * @route GET /api/sessions-supabase/workload
+ * @desc Open sessions, open interviews and drafts in review per staff member
+ * @access Staff with sessions.view
+ */
+router.get('/workload', assignmentController.getWorkload);
+
 /**
  * @route GET /api/admin/sessions
- * @desc Get all sessions with filtering and pagination
- * @access Admin only
+ * @desc Get a page of sessions (limit, cursor or page; sort_by created_at|client_name|next_interview_date|last_activity_at,
+ *       sort_order; view full|list; scope mine (default: sessions you own or conduct an interview of) or all;
+ *       filters status, assigned_admin, priority_level, session_type, preferred_language,
+ *       latest_draft_stage, has_pending_review, search, created_/next_interview_/last_activity_ from|to)
+ * @access Staff with sessions.view
  */
 router.get('/', sessionController.getAllSessions);
 
 /**
  * @route GET /api/admin/sessions/:id
  * @desc Get session by ID
- * @access Admin only
+ * @access Staff with sessions.view
  */
 router.get('/:id', sessionController.getSessionById);
 
 /**
  * @route POST /api/admin/sessions
  * @desc Create a new session
- * @access Admin only
+ * @access Staff with sessions.manage
  */
-router.post('/', sessionController.createSession);
+router.post('/', requirePermission('sessions.manage'), sessionController.createSession);
 
 /**
  * @route PUT /api/admin/sessions/:id
  * @desc Update session
- * @access Admin only
+ * @access Staff with sessions.manage
  */
-router.put('/:id', sessionController.updateSession);
+router.put('/:id', requirePermission('sessions.manage'), sessionController.updateSession);
 
 /**
  * @route PUT /api/admin/sessions/:id/scheduling
  * @desc Update session scheduling
- * @access Admin only
+ * @access Staff with sessions.manage
  */
-router.put('/:id/scheduling', sessionController.updateSessionScheduling);
+router.put('/:id/scheduling', requirePermission('sessions.manage'), sessionController.updateSessionScheduling);
+
+/**
+ * @route PUT /api/sessions-supabase/:id/assignment
+ * @desc Assign or reassign the session to a staff member (assignee: user id or email, reason); the change is logged
+ * @access Staff with sessions.manage
+ */
+router.put('/:id/assignment', requirePermission('sessions.manage'), assignmentController.assignSession);
+
+/**
+ * @route GET /api/sessions-supabase/:id/assignments
+ * @desc Assignment history of the session and its interviews
+ * @access Staff with sessions.view
+ */
+router.get('/:id/assignments', assignmentController.getAssignmentChanges);
 
 /**
  * @route POST /api/admin/sessions/:id/interviews
  * @desc Add interview to session
- * @access Admin only
+ * @access Staff with sessions.manage
  */
-router.post('/:id/interviews', sessionController.addInterviewToSession);
+router.post('/:id/interviews', requirePermission('sessions.manage'), sessionController.addInterviewToSession);
 
 /**
  * @route PUT /api/admin/sessions/interviews/:id
  * @desc Update individual interview
- * @access Admin only
+ * @access Staff with sessions.manage
  */
-router.put('/interviews/:id', sessionController.updateInterview);
+router.put('/interviews/:id', requirePermission('sessions.manage'), sessionController.updateInterview);
 
 /**
  * @route GET /api/admin/sessions/interviews/:id/status
  * @desc Get interview processing status for real-time updates
- * @access Admin only
+ * @access Staff with sessions.view
  */
 router.get('/interviews/:id/status', sessionController.getInterviewStatus);
 
+/**
+ * @route PUT /api/sessions-supabase/interviews/:id/assignment
+ * @desc Assign or reassign who conducts the interview (assignee: user id, email or null for the session owner, reason)
+ * @access Staff with sessions.manage
+ */
+router.put('/interviews/:id/assignment', requirePermission('sessions.manage'), assignmentController.assignInterview);
+
 // Upload file for interview
 const multer = require('multer');
 const upload = multer({
@@ -113,69 +148,195 @@ const upload = multer({
   }
 });
 
-router.post('/interviews/:id/upload', upload.single('file'), sessionController.uploadInterviewFile);
+router.post('/interviews/:id/upload', requirePermission('interviews.upload'), upload.single('file'), sessionController.uploadInterviewFile);
 
 /**
  * @route POST /api/admin/sessions/interviews/:id/upload-async
  * @desc Upload file for interview with ASYNC AI processing (no timeout)
- * @access Admin only
+ * @access Staff with interviews.upload
+ */
+router.post('/interviews/:id/upload-async', requirePermission('interviews.upload'), upload.single('file'), sessionController.uploadInterviewFileAsync);
+
+/**
+ * @route POST /api/sessions-supabase/interviews/:id/uploads
+ * @desc Start a resumable (chunked) upload of a long recording, or resume the same file
+ * @access Staff with interviews.upload
  */
-router.post('/interviews/:id/upload-async', upload.single('file'), sessionController.uploadInterviewFileAsync);
+router.post('/interviews/:id/uploads', requirePermission('interviews.upload'), resumableUploadController.startUpload);
+
+/**
+ * @route GET /api/sessions-supabase/interviews/:id/uploads/:uploadId
+ * @desc Get resumable upload progress and the chunks still missing
+ * @access Staff with interviews.upload
+ */
+router.get('/interviews/:id/uploads/:uploadId', requirePermission('interviews.upload'), resumableUploadController.getUpload);
+
+/**
+ * @route PUT /api/sessions-supabase/interviews/:id/uploads/:uploadId/chunks/:index
+ * @desc Upload one chunk as application/octet-stream with its sha256 in X-Chunk-Checksum
+ * @access Staff with interviews.upload
+ */
+router.put('/interviews/:id/uploads/:uploadId/chunks/:index', requirePermission('interviews.upload'), resumableUploadController.uploadChunk);
+
+/**
+ * @route POST /api/sessions-supabase/interviews/:id/uploads/:uploadId/complete
+ * @desc Assemble and validate the recording, then queue storage and transcription
+ * @access Staff with interviews.upload
+ */
+router.post('/interviews/:id/uploads/:uploadId/complete', requirePermission('interviews.upload'), resumableUploadController.completeUpload);
+
+/**
+ * @route DELETE /api/sessions-supabase/interviews/:id/uploads/:uploadId
+ * @desc Cancel an unfinished upload
+ * @access Staff with interviews.upload
+ */
+router.delete('/interviews/:id/uploads/:uploadId', requirePermission('interviews.upload'), resumableUploadController.cancelUpload);
 
 /**
  * @route POST /api/sessions-supabase/:sessionId/drafts/:draftId/regenerate
  * @desc Regenerate an existing draft with additional notes and instructions
- * @access Admin only
+ * @access Staff with drafts.edit
  */
-router.post('/:sessionId/drafts/:draftId/regenerate', sessionController.regenerateDraft);
+router.post('/:sessionId/drafts/:draftId/regenerate', requirePermission('drafts.edit'), sessionController.regenerateDraft);
 
 /**
  * @route POST /api/admin/sessions/:id/generate-full-story
  * @desc Generate full life story from all session data and approved drafts
- * @access Admin only
+ * @access Staff with stories.generate
  */
-router.post('/:id/generate-full-story', sessionController.generateFullLifeStory);
+router.post('/:id/generate-full-story', requirePermission('stories.generate'), sessionController.generateFullLifeStory);
 
 /**
  * @route GET /api/admin/sessions/:id/full-stories
  * @desc Get all full life stories for a session (with version history)
- * @access Admin only
+ * @access Staff with sessions.view
  */
 router.get('/:id/full-stories', sessionController.getSessionFullStories);
 
+/**
+ * @route GET /api/sessions-supabase/:id/export/:format
+ * @desc Download the current full life story of a session as PDF, DOCX, EPUB or HTML
+ * @access Staff with sessions.view
+ */
+router.get('/:id/export/:format', require('../controllers/exportController').exportSession);
+
 /**
  * @route DELETE /api/admin/sessions/:id
  * @desc Delete session
  * @access Admin only
  */
-router.delete('/:id', sessionController.deleteSession);
+router.delete('/:id', requireAdmin, sessionController.deleteSession);
 
 /**
  * @route DELETE /api/admin/sessions/:id/interviews/:interviewId
  * @desc Delete interview from session
- * @access Admin only
+ * @access Staff with sessions.manage
  */
-router.delete('/:id/interviews/:interviewId', sessionController.deleteInterview);
+router.delete('/:id/interviews/:interviewId', requirePermission('sessions.manage'), sessionController.deleteInterview);
 
 /**
  * @route GET /api/sessions-supabase/:id/drafts
  * @desc Get all drafts for a specific session
- * @access Admin only
+ * @access Staff with sessions.view
  */
 router.get('/:id/drafts', require('../controllers/draftsController').getDraftsBySession);
 
+/**
+ * @route GET /api/sessions-supabase/:id/drafts/history
+ * @desc Paginated history of every draft in a session (?limit, ?offset, ?action, ?includeSnapshots=true)
+ * @access Staff with sessions.view
+ */
+router.get('/:id/drafts/history', verifyToken, require('../controllers/draftsController').getSessionDraftHistory);
+
+/**
+ * @route GET /api/sessions-supabase/:id/drafts/:draftId/history
+ * @desc Paginated history of a draft with before/after snapshots (?limit, ?offset, ?action, ?includeSnapshots=true)
+ * @access Staff with sessions.view
+ */
+router.get('/:id/drafts/:draftId/history', verifyToken, require('../controllers/draftsController').getDraftHistory);
+
+/**
+ * @route PUT /api/sessions-supabase/:id/drafts/:draftId/content
+ * @desc Edit draft content (only in stages that allow editing: first_draft, in_progress, rejected)
+ * @access Staff with drafts.edit
+ */
+router.put('/:id/drafts/:draftId/content', verifyToken, requirePermission('drafts.edit'), require('../controllers/draftsController').updateDraftContent);
+
+/**
+ * @route POST /api/sessions-supabase/:id/drafts/:draftId/export
+ * @desc Export a draft as JSON, PDF, DOCX, EPUB or HTML
+ * @access Staff with sessions.view
+ */
+router.post('/:id/drafts/:draftId/export', verifyToken, require('../controllers/draftsController').exportDraft);
+
+/**
+ * @route GET /api/sessions-supabase/:id/drafts/:draftId/export/:format
+ * @desc Download a draft as JSON, PDF, DOCX, EPUB or HTML
+ * @access Staff with sessions.view
+ */
+router.get('/:id/drafts/:draftId/export/:format', require('../controllers/draftsController').exportDraft);
+
 /**
  * @route POST /api/sessions-supabase/:id/drafts/:draftId/notes
  * @desc Add note to a specific draft
- * @access Admin only
+ * @access Staff with drafts.edit
  */
-router.post('/:id/drafts/:draftId/notes', verifyToken, require('../controllers/draftsController').addNoteToDraft);
+router.post('/:id/drafts/:draftId/notes', verifyToken, requirePermission('drafts.edit'), require('../controllers/draftsController').addNoteToDraft);
 
 /**
  * @route PUT /api/sessions-supabase/:id/drafts/:draftId/stage
  * @desc Update draft stage (approve/reject)
- * @access Admin only
+ * @access Staff (the permission depends on the target stage: drafts.edit, drafts.submit_for_approval or drafts.approve)
  */
 router.put('/:id/drafts/:draftId/stage', verifyToken, require('../controllers/draftsController').updateDraftStage);
 
+/**
+ * @route GET /api/sessions-supabase/:id/verifications
+ * @desc List fact verification items of a session (open items by default; ?status=all|<status>, ?category, ?draftId, ?critical=true)
+ * @access Staff with sessions.view
+ */
+router.get('/:id/verifications', require('../controllers/factVerificationController').getSessionVerifications);
+
+/**
+ * @route PUT /api/sessions-supabase/:id/verifications/:verificationId
+ * @desc Confirm, correct or dispute a fact (status, correctedValue, source, notes, critical)
+ * @access Staff with drafts.edit
+ */
+router.put('/:id/verifications/:verificationId', requirePermission('drafts.edit'), require('../controllers/factVerificationController').updateVerification);
+
+/**
+ * @route GET /api/sessions-supabase/:id/conflicts
+ * @desc Detect and list contradictions between the session's drafts (?status=all|open|resolved|dismissed)
+ * @access Staff with sessions.view
+ */
+router.get('/:id/conflicts', require('../controllers/draftConflictController').getSessionConflicts);
+
+/**
+ * @route GET /api/sessions-supabase/:id/questions
+ * @desc List the follow-up question bank collected from the session's drafts (?status=all|open|<status>, ?interviewId)
+ * @access Staff with sessions.view
+ */
+router.get('/:id/questions', require('../controllers/followUpQuestionController').getSessionQuestions);
+
+/**
+ * @route POST /api/sessions-supabase/:id/questions
+ * @desc Add a question to the bank by hand (question, assignedInterviewId, notes)
+ * @access Staff with sessions.manage
+ */
+router.post('/:id/questions', requirePermission('sessions.manage'), require('../controllers/followUpQuestionController').createSessionQuestion);
+
+/**
+ * @route PUT /api/sessions-supabase/:id/questions/:questionId
+ * @desc Accept, edit, dismiss or assign a question (status, question, assignedInterviewId, position, notes)
+ * @access Staff with sessions.manage
+ */
+router.put('/:id/questions/:questionId', requirePermission('sessions.manage'), require('../controllers/followUpQuestionController').updateSessionQuestion);
+
+/**
+ * @route GET /api/sessions-supabase/:id/interviewer-guide
+ * @desc Interviewer guide for the next scheduled interview (?interviewId to pick one, ?format=markdown)
+ * @access Staff with sessions.view
+ */
+router.get('/:id/interviewer-guide', require('../controllers/followUpQuestionController').getSessionInterviewerGuide);
+
 module.exports = router;
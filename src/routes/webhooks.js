@@ -1,11 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const webhookController = require('../controllers/webhookController');
+const webhookInboxController = require('../controllers/webhookInboxController');
+const { verifyWebhookSignature } = require('../middleware/webhookSignature');
+const { verifyToken, requireAdmin } = require('../middleware/supabaseAuth');
 
 /**
  * Webhook Routes for AI Processing Callbacks
  * These endpoints receive callbacks from n8n AI workflow
- * No authentication required for webhooks (but should validate source in production)
+ * Callbacks must carry a timestamped HMAC signature (see middleware/webhookSignature.js)
+ * Every callback is stored in the webhook inbox and processed once per delivery ID
+ * (X-Delivery-Id header, body deliveryId or metadata.deliveryId). aiService sends a
+ * deliveryId in the metadata of every n8n call; workflows must echo it back.
+ * Callbacks without one are never deduped.
  */
 
 /**
@@ -18,43 +25,65 @@ router.get('/health', webhookController.webhookHealthCheck);
 /**
  * @route POST /api/webhooks/transcription-complete
  * @desc Handle transcription completion callback from n8n AI workflow
- * @access Public (with validation)
+ * @access Signed callback (X-Legamunity-Signature)
  * @body {
  *   interviewId: string,
  *   transcription: string,
+ *   segments?: [{ start: number, end: number, speaker?: string, text: string }],
  *   success: boolean,
  *   error?: string,
- *   metadata?: object
+ *   metadata?: object // echoes the request metadata, including deliveryId
  * }
  */
-router.post('/transcription-complete', webhookController.handleTranscriptionWebhook);
+router.post('/transcription-complete', verifyWebhookSignature, webhookController.handleTranscriptionWebhook);
 
 /**
  * @route POST /api/webhooks/draft-complete
  * @desc Handle draft generation completion callback from n8n AI workflow
- * @access Public (with validation)
+ * @access Signed callback (X-Legamunity-Signature)
  * @body {
  *   interviewId: string,
  *   draft: object,
  *   success: boolean,
  *   error?: string,
- *   metadata?: object
+ *   metadata?: object // echoes the request metadata, including deliveryId
  * }
  */
-router.post('/draft-complete', webhookController.handleDraftWebhook);
+router.post('/draft-complete', verifyWebhookSignature, webhookController.handleDraftWebhook);
 
 /**
  * @route POST /api/webhooks/life-story-complete
  * @desc Handle life story generation completion callback from n8n AI workflow
- * @access Public (with validation)
+ * @access Signed callback (X-Legamunity-Signature)
  * @body {
  *   interviewId: string,
  *   lifeStory: object,
  *   success: boolean,
  *   error?: string,
- *   metadata?: object
+ *   metadata?: object // echoes the request metadata, including deliveryId
  * }
  */
-router.post('/life-story-complete', webhookController.handleLifeStoryWebhook);
+router.post('/life-story-complete', verifyWebhookSignature, webhookController.handleLifeStoryWebhook);
+
+/**
+ * @route GET /api/webhooks/deliveries
+ * @desc List stored webhook deliveries (status defaults to 'failed'; use status=all for every delivery)
+ * @access Admin only
+ */
+router.get('/deliveries', verifyToken, requireAdmin, webhookInboxController.getDeliveries);
+
+/**
+ * @route GET /api/webhooks/deliveries/:id
+ * @desc Get a stored webhook delivery including its payload and last error
+ * @access Admin only
+ */
+router.get('/deliveries/:id', verifyToken, requireAdmin, webhookInboxController.getDeliveryById);
+
+/**
+ * @route POST /api/webhooks/deliveries/:id/reprocess
+ * @desc Re-run processing of a failed (or stuck) webhook delivery
+ * @access Admin only
+ */
+router.post('/deliveries/:id/reprocess', verifyToken, requireAdmin, webhookInboxController.reprocessDelivery);
 
 module.exports = router;
@@ -4,9 +4,19 @@
  */
 
 const axios = require('axios');
+const crypto = require('crypto');
 const FormData = require('form-data');
 const fs = require('fs');
 const config = require('../config/config');
+const aiSimulatorService = require('./aiSimulatorService');
+
+/**
+ * New delivery ID for an n8n call
+ * Sent in the call's metadata; the workflow echoes it back with its callback so
+ * the webhook inbox processes a retried callback only once.
+ * @returns {string} - Delivery ID
+ */
+const createDeliveryId = () => `n8n-${crypto.randomUUID()}`;
 
 /**
  * Utility function to sleep for a given duration
@@ -188,7 +198,14 @@ const transcribeAudio = async (fileUrl, metadata) => {
   //   return mockTranscribeAudio(audioFilePath);
   // }
 
-  const result = await uploadFileToAI(fileUrl, 'transcribe', metadata);
+  const callMetadata = { ...(metadata || {}), deliveryId: createDeliveryId() };
+
+  // Offline simulator answers through the transcription webhook, like n8n
+  if (config.ai.simulator.enabled) {
+    return aiSimulatorService.simulateTranscription(fileUrl, callMetadata);
+  }
+
+  const result = await uploadFileToAI(fileUrl, 'transcribe', callMetadata);
 
   console.log('✅ n8n AI transcription responded');
   console.log(result);
@@ -301,6 +318,13 @@ const generateDraft = async (content, interviewMetadata) => {
   //   return mockGenerateDraft(content, interviewMetadata);
   // }
 
+  const deliveryId = createDeliveryId();
+
+  // Offline simulator answers through the draft webhook, like n8n
+  if (config.ai.simulator.enabled) {
+    return aiSimulatorService.simulateDraft(content, { ...interviewMetadata, deliveryId });
+  }
+
   const startTime = Date.now();
   console.log('🚀 Calling real AI draft generator endpoint...');
 
@@ -322,6 +346,7 @@ const generateDraft = async (content, interviewMetadata) => {
       location: interviewMetadata.location,
       notes: interviewMetadata.notes,
       webhookUrl: interviewMetadata.webhookUrl,
+      deliveryId,
       // Include regeneration metadata if present
       ...(interviewMetadata.regenerationType && {
         regenerationType: interviewMetadata.regenerationType,
@@ -353,7 +378,7 @@ const generateDraft = async (content, interviewMetadata) => {
       // Trigger webhook directly with the draft data
       const webhookPayload = {
         draft: response.data,
-        metadata: { id: interviewMetadata.id }
+        metadata: { id: interviewMetadata.id, deliveryId }
       };
 
       // Call our own webhook endpoint
@@ -460,11 +485,17 @@ const healthCheck = async () => {
   const status = {
     service: 'AI Service',
     status: 'unknown',
-    mode: config.ai.mockMode ? 'mock' : 'real',
+    mode: config.ai.simulator.enabled ? 'simulator' : config.ai.mockMode ? 'mock' : 'real',
     endpoint: config.ai.endpointUrl,
     timestamp: new Date().toISOString()
   };
 
+  if (config.ai.simulator.enabled) {
+    status.status = 'healthy';
+    status.message = `Running offline simulator (callbacks to ${config.ai.simulator.callbackBaseUrl})`;
+    return status;
+  }
+
   if (config.ai.mockMode) {
     status.status = 'healthy';
     status.message = 'Running in mock mode';
@@ -497,6 +528,7 @@ const healthCheck = async () => {
 const getConfig = () => {
   return {
     mockMode: config.ai.mockMode,
+    simulator: { ...config.ai.simulator },
     endpointConfigured: !!config.ai.endpointUrl,
     endpointUrl: config.ai.endpointUrl ? config.ai.endpointUrl.replace(/\/+$/, '') : null, // Remove trailing slashes
     hasApiKey: !!config.ai.apiKey,
@@ -524,6 +556,9 @@ const updateConfig = (newConfig) => {
   if (newConfig.requestTimeout !== undefined) {
     config.ai.requestTimeout = newConfig.requestTimeout;
   }
+  if (newConfig.simulator !== undefined) {
+    Object.assign(config.ai.simulator, newConfig.simulator);
+  }
 
   console.log('🔧 AI Service configuration updated:', getConfig());
   return getConfig();
@@ -538,6 +573,13 @@ const generateFullLifeStory = async (fullStoryData) => {
   console.log('🤖 AI Service: Generating full life story...');
   const startTime = Date.now();
 
+  const storyMetadata = { ...fullStoryData, deliveryId: createDeliveryId() };
+
+  // Offline simulator answers through the life story webhook, like n8n
+  if (config.ai.simulator.enabled) {
+    return aiSimulatorService.simulateFullLifeStory(storyMetadata);
+  }
+
   // Determine which endpoint URL to use
   const fullStoryEndpointUrl = process.env.AI_FULL_LIFE_STORY_GENERETOR_ENDPOINT_URL;
 
@@ -551,11 +593,12 @@ const generateFullLifeStory = async (fullStoryData) => {
   const payload = {
     operation: 'generate_full_story',
     sessionId: fullStoryData.sessionId,
-    metadata: fullStoryData,
+    metadata: storyMetadata,
     notes: nyNote,
     clientInfo: fullStoryData.clientInfo,
     approvedDrafts: fullStoryData.approvedDrafts,
     sessionNotes: fullStoryData.sessionNotes,
+    conflictResolutions: fullStoryData.conflictResolutions || [],
     totalInterviews: fullStoryData.totalInterviews,
     completedInterviews: fullStoryData.completedInterviews,
     generatedAt: new Date().toISOString(),
@@ -586,7 +629,7 @@ const generateFullLifeStory = async (fullStoryData) => {
       // Trigger webhook directly with the draft data
       const webhookPayload = {
         story: response.data,
-        metadata: fullStoryData
+        metadata: storyMetadata
       };
 
       // Call our own webhook endpoint
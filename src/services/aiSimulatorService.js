@@ -0,0 +1,459 @@
+/**
+ * AI Simulator Service
+ * Offline stand-in for the n8n AI workflows. Accepts transcription, draft and
+ * full life story requests, then - like n8n - answers later by POSTing callbacks
+ * to our own webhook routes, so the whole upload → transcription → draft → story
+ * pipeline runs locally without network access.
+ *
+ * Payloads deliberately reproduce the shapes n8n has been seen to send
+ * (```json-wrapped strings, text prefixes, { output } wrappers, stringified
+ * metadata), so the webhook parsing paths are exercised too.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config/config');
+const { SIGNATURE_HEADER, buildSignatureHeader } = require('../utils/webhookSignature');
+
+// 'v2' sends the versioned schema (utils/aiPayloadSchemas.js); the rest are legacy v1 shapes
+const DRAFT_FORMATS = ['v2', 'object', 'json_block', 'text_prefix', 'plain_json', 'markdown'];
+const STORY_FORMATS = ['v2', 'markdown', 'output_array', 'data_array', 'result'];
+
+// Round-robin position per payload kind when rotating formats
+const rotation = { draft: 0, story: 0 };
+
+/**
+ * Pick the payload format for the next callback
+ * @param {string} kind - 'draft' | 'story'
+ * @param {Array<string>} formats - Available formats
+ * @param {string} configured - Configured format or 'rotate'
+ * @returns {string} - Format name
+ */
+const nextFormat = (kind, formats, configured) => {
+  if (formats.includes(configured)) return configured;
+
+  const format = formats[rotation[kind] % formats.length];
+  rotation[kind]++;
+  return format;
+};
+
+const isHebrew = (language, text = '') => {
+  if (language && /^(he|heb|hebrew)/i.test(language)) return true;
+  if (language && language !== 'auto-detect') return false;
+  return /[\u0590-\u05FF]/.test(text);
+};
+
+const shouldSimulate = (rate) => rate > 0 && Math.random() < rate;
+
+/**
+ * Deliver a callback to one of our webhook routes, signed like n8n would sign it
+ * @param {string} path - Webhook route path
+ * @param {Object} body - Callback payload
+ * @param {string} deliveryId - Simulated n8n execution ID
+ */
+const postCallback = async (path, body, deliveryId) => {
+  const url = `${config.ai.simulator.callbackBaseUrl.replace(/\/+$/, '')}${path}`;
+  const rawBody = JSON.stringify(body);
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Delivery-Id': deliveryId
+  };
+
+  if (config.webhooks.secrets.length > 0) {
+    headers[SIGNATURE_HEADER] = buildSignatureHeader(rawBody, config.webhooks.secrets[0]);
+  }
+
+  try {
+    const response = await axios.post(url, rawBody, { headers, timeout: 10000 });
+    console.log(`🧪 [SIMULATOR] Callback ${path} delivered (${deliveryId}): ${response.data?.message || response.status}`);
+  } catch (error) {
+    console.error(`❌ [SIMULATOR] Callback ${path} failed (${deliveryId}): ${error.response?.status || error.message}`);
+  }
+};
+
+/**
+ * Schedule a callback after the configured delay, optionally delivering it twice
+ * @param {string} path - Webhook route path
+ * @param {Object} body - Callback payload
+ * @param {string} [deliveryId] - Delivery ID sent with the request, echoed back like n8n does
+ * @returns {string} - Delivery ID of the scheduled callback
+ */
+const scheduleCallback = (path, body, deliveryId = `sim-${crypto.randomUUID()}`) => {
+  const { callbackDelay, duplicateRate } = config.ai.simulator;
+
+  setTimeout(async () => {
+    await postCallback(path, body, deliveryId);
+
+    if (shouldSimulate(duplicateRate)) {
+      console.log(`🧪 [SIMULATOR] Re-sending ${deliveryId} to simulate an n8n retry`);
+      await postCallback(path, body, deliveryId);
+    }
+  }, callbackDelay);
+
+  return deliveryId;
+};
+
+/**
+ * Build a sample interview transcript
+ * @param {Object} metadata - Interview metadata
+ * @returns {string} - Transcript text
+ */
+const buildTranscription = (metadata) => {
+  const clientName = metadata.client_name || metadata.clientName;
+
+  if (isHebrew(metadata.preferred_language)) {
+    const name = clientName || 'המרואיין';
+    return [
+      `מראיין: ${name}, אשמח לשמוע איפה נולדת ואיך נראתה הילדות.`,
+      `${name}: נולדתי בבודפשט בשנת 1938. גדלתי בבית קטן עם ההורים ושתי אחיות, וסבתא שלי גרה איתנו.`,
+      'מראיין: מה זכור לך מהעלייה לארץ?',
+      `${name}: עלינו בשנת 1949 באונייה לחיפה. גרנו במעברה כמעט שנתיים, ואחר כך עברנו לקיבוץ בעמק יזרעאל.`,
+      'מראיין: ובמה עבדת לאורך השנים?',
+      `${name}: שירתתי בצבא בחיל ההנדסה, ואחר כך למדתי בטכניון ועבדתי בהנדסה בחברת החשמל ארבעים שנה.`
+    ].join('\n');
+  }
+
+  const name = clientName || 'Interviewee';
+  return [
+    `Interviewer: ${name}, tell me where you were born and what your childhood was like.`,
+    `${name}: I was born in Budapest in 1938. We lived in a small house with my parents, my two sisters and my grandmother.`,
+    'Interviewer: What do you remember about coming to Israel?',
+    `${name}: We arrived in Haifa by ship in 1949. We lived in a transit camp for almost two years and then moved to a kibbutz in the Jezreel Valley.`,
+    'Interviewer: What work did you do over the years?',
+    `${name}: I served in the army engineering corps, then studied at the Technion and worked as an engineer at the electric company for forty years.`
+  ].join('\n');
+};
+
+/**
+ * Split a sample transcript into timestamped segments, like a diarizing transcriber
+ * Speaker names are replaced by transcriber labels (the interviewer speaks first).
+ * @param {string} transcription - Transcript from buildTranscription
+ * @returns {Array} - [{ start, end, speaker, text }]
+ */
+const buildSegments = (transcription) => {
+  let time = 0;
+
+  return transcription.split('\n').map((line, index) => {
+    const text = line.replace(/^[^:]{1,40}:\s*/, '').trim();
+    // Roughly two and a half words per second of speech
+    const duration = Math.max(2, Math.round(text.split(/\s+/).length / 2.5 * 100) / 100);
+    const segment = {
+      start: time,
+      end: Math.round((time + duration) * 100) / 100,
+      speaker: index % 2 === 0 ? 'SPEAKER_00' : 'SPEAKER_01',
+      text
+    };
+    time = Math.round((segment.end + 0.5) * 100) / 100;
+    return segment;
+  });
+};
+
+/**
+ * Build the structured draft the draft generator workflow returns
+ * @param {string} text - Transcript or interview text
+ * @param {Object} metadata - Interview metadata
+ * @returns {Object} - { title, summary_markdown, keywords, follow_ups, to_verify }
+ */
+const buildDraft = (text, metadata) => {
+  const hebrew = isHebrew(metadata.preferred_language, text);
+  const clientName = metadata.client_name || metadata.clientName || (hebrew ? 'המרואיין' : 'the interviewee');
+  const excerpt = String(text || '')
+    .split('\n')
+    .map(line => line.replace(/^[^:]{1,40}:\s*/, '').trim())
+    .filter(Boolean)
+    .slice(0, 4)
+    .join(' ');
+
+  if (hebrew) {
+    return {
+      title: `סיפור החיים של ${clientName}`,
+      summary_markdown: [
+        `# סיפור החיים של ${clientName}`,
+        '',
+        '## ילדות',
+        excerpt || 'פרטים על הילדות והמשפחה.',
+        '',
+        '## עלייה והשתלבות',
+        'המשפחה עלתה לארץ, עברה תקופה קשה במעברה ומצאה בית בקיבוץ.',
+        '',
+        '## קריירה',
+        'אחרי השירות הצבאי והלימודים, עבודה ארוכת שנים בהנדסה.'
+      ].join('\n'),
+      keywords: ['ילדות', 'משפחה', 'עלייה', 'קריירה'],
+      follow_ups: ['מה היו שמות האחיות?', 'איך נראו החיים בקיבוץ?'],
+      to_verify: {
+        people: [clientName],
+        places: ['בודפשט', 'חיפה', 'עמק יזרעאל'],
+        organizations: ['הטכניון', 'חברת החשמל'],
+        dates: ['1938', '1949']
+      }
+    };
+  }
+
+  return {
+    title: `The Life Story of ${clientName}`,
+    summary_markdown: [
+      `# The Life Story of ${clientName}`,
+      '',
+      '## Childhood',
+      excerpt || 'Details about childhood and family.',
+      '',
+      '## Immigration',
+      'The family immigrated, spent a hard period in a transit camp and found a home on a kibbutz.',
+      '',
+      '## Career',
+      'After army service and university, a long career as an engineer.'
+    ].join('\n'),
+    keywords: ['childhood', 'family', 'immigration', 'career'],
+    follow_ups: ['What were your sisters\' names?', 'What was daily life like on the kibbutz?'],
+    to_verify: {
+      people: [clientName],
+      places: ['Budapest', 'Haifa', 'Jezreel Valley'],
+      organizations: ['Technion', 'Israel Electric Corporation'],
+      dates: ['1938', '1949']
+    }
+  };
+};
+
+/**
+ * Wrap a draft in one of the payload shapes n8n sends
+ * @param {Object} draft - Structured draft
+ * @param {string} format - Payload format
+ * @returns {Object|string} - Draft payload
+ */
+const formatDraft = (draft, format) => {
+  const json = JSON.stringify(draft, null, 2);
+
+  switch (format) {
+    case 'json_block': {
+      // Prompt-drift variant: capitalized and hyphenated keys inside a code block
+      const drifted = {
+        title: draft.title,
+        story_text: draft.summary_markdown,
+        Keywords: draft.keywords,
+        'Follow-ups': draft.follow_ups,
+        'To-Verify': {
+          People: draft.to_verify.people,
+          Places: draft.to_verify.places,
+          Organizations: draft.to_verify.organizations,
+          Dates: draft.to_verify.dates
+        }
+      };
+      return '```json\n' + JSON.stringify(drifted, null, 2) + '\n```';
+    }
+    case 'text_prefix':
+      return "''json\n" + json;
+    case 'plain_json':
+      return json;
+    case 'markdown':
+      return draft.summary_markdown;
+    case 'object':
+    default:
+      return draft;
+  }
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Replace a value where it stands as a whole word (not inside a longer word or number)
+ * @param {string} text - Text
+ * @param {string} value - Value to replace
+ * @param {string} replacement - Replacement
+ * @returns {string} - Updated text
+ */
+const replaceWholeWord = (text, value, replacement) =>
+  text.replace(new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(value)}(?![\\p{L}\\p{N}])`, 'gu'), () => replacement);
+
+/**
+ * Apply the admin's conflict resolutions to a chapter, the way the real generator
+ * is instructed to: a wrong year or place is corrected only in the sentence that
+ * stated it, a misspelled name wherever it appears as a whole word
+ * @param {string} text - Chapter text
+ * @param {Array<Object>} resolutions - Conflict resolutions from full story data
+ * @returns {string} - Text using the resolved values
+ */
+const applyConflictResolutions = (text, resolutions = []) => {
+  const corrections = resolutions.flatMap(resolution => (resolution.occurrences || [])
+    .filter(occurrence => occurrence.value && occurrence.value !== resolution.resolvedValue)
+    .map(occurrence => ({ ...occurrence, resolvedValue: resolution.resolvedValue })));
+
+  // All corrections of one sentence are applied together, so each still finds the sentence as written.
+  // Within the sentence the value may carry Hebrew prefixes ("בחיפה"), so no word boundaries there
+  const bySentence = new Map();
+  corrections.filter(correction => correction.evidence).forEach(correction => {
+    bySentence.set(correction.evidence, [...(bySentence.get(correction.evidence) || []), correction]);
+  });
+
+  let result = text;
+  bySentence.forEach((sentenceCorrections, sentence) => {
+    const corrected = sentenceCorrections.reduce((updated, correction) =>
+      updated.split(correction.value).join(correction.resolvedValue), sentence);
+    result = result.split(sentence).join(corrected);
+  });
+
+  return corrections
+    .filter(correction => !correction.evidence)
+    .reduce((updated, correction) => replaceWholeWord(updated, correction.value, correction.resolvedValue), result);
+};
+
+/**
+ * Build full life story markdown from the approved drafts
+ * @param {Object} fullStoryData - Session data with approved drafts
+ * @returns {string} - Story markdown
+ */
+const buildStoryMarkdown = (fullStoryData) => {
+  const drafts = fullStoryData.approvedDrafts || [];
+  const sampleText = drafts.map(d => d.draft?.content?.fullMarkdown || d.transcription || '').join(' ');
+  const hebrew = isHebrew(fullStoryData.clientInfo?.preferences?.preferred_language, sampleText);
+  const clientName = fullStoryData.clientInfo?.name || (hebrew ? 'המרואיין' : 'the interviewee');
+
+  const chapters = drafts.map((entry, index) => {
+    const draftContent = entry.draft?.content || {};
+    const body = (draftContent.fullMarkdown || entry.transcription || '')
+      .replace(/^#{1,6}\s+/gm, '')
+      .trim();
+    const resolvedBody = applyConflictResolutions(body, fullStoryData.conflictResolutions);
+    const title = entry.draft?.title || entry.interviewName || (hebrew ? `פרק ${index + 1}` : `Chapter ${index + 1}`);
+
+    return `## ${title}\n\n${resolvedBody || (hebrew ? 'תוכן הפרק.' : 'Chapter content.')}`;
+  });
+
+  if (chapters.length === 0) {
+    chapters.push(hebrew ? '## פתיחה\n\nסיפור החיים המלא.' : '## Introduction\n\nThe complete life story.');
+  }
+
+  const heading = hebrew ? `# סיפור החיים של ${clientName}` : `# The Life Story of ${clientName}`;
+  return [heading, '', ...chapters].join('\n\n');
+};
+
+/**
+ * Wrap a story in one of the payload shapes n8n sends
+ * @param {string} markdown - Story markdown
+ * @param {string} format - Payload format
+ * @returns {*} - Story payload
+ */
+const formatStory = (markdown, format) => {
+  const [intro, ...rest] = markdown.split(/\n(?=## )/);
+
+  switch (format) {
+    case 'output_array':
+      // One item per LLM call, combined by the webhook handler
+      return [{ output: intro }, ...rest.map(part => ({ output: part }))];
+    case 'data_array':
+      return [{ data: JSON.stringify([{ output: intro }, ...rest.map(part => ({ output: part }))]) }];
+    case 'result':
+      return { result: { message: { content: markdown } } };
+    case 'markdown':
+    default:
+      return markdown;
+  }
+};
+
+/**
+ * Simulate the transcription workflow
+ * @param {string} fileUrl - Uploaded audio file URL
+ * @param {Object} metadata - Interview metadata (id, client_name, preferred_language, ...)
+ * @returns {Promise<Object>} - Immediate acknowledgement, like n8n's
+ */
+const simulateTranscription = async (fileUrl, metadata = {}) => {
+  const failed = shouldSimulate(config.ai.simulator.failureRate);
+
+  const transcription = failed ? null : buildTranscription(metadata);
+
+  const deliveryId = scheduleCallback('/api/webhooks/transcription-complete', {
+    transcription,
+    ...(transcription && { segments: buildSegments(transcription) }),
+    metadata: { ...metadata, fileUrl, simulated: true }
+  }, metadata.deliveryId);
+
+  console.log(`🧪 [SIMULATOR] Transcription accepted for interview ${metadata.id}${failed ? ' (will report failure)' : ''}`);
+
+  return { message: 'Workflow was started', simulated: true, deliveryId };
+};
+
+/**
+ * Simulate the draft generator workflow
+ * @param {string} content - Transcript or interview text
+ * @param {Object} interviewMetadata - Interview metadata, including regeneration fields
+ * @returns {Promise<Object>} - Immediate acknowledgement, like n8n's
+ */
+const simulateDraft = async (content, interviewMetadata = {}) => {
+  const failed = shouldSimulate(config.ai.simulator.failureRate);
+  const format = nextFormat('draft', DRAFT_FORMATS, config.ai.simulator.draftFormat);
+
+  const metadata = {
+    id: interviewMetadata.id,
+    sessionId: interviewMetadata.sessionId,
+    deliveryId: interviewMetadata.deliveryId,
+    simulated: true,
+    ...(interviewMetadata.regenerationType && {
+      regenerationType: interviewMetadata.regenerationType,
+      previousDraftId: interviewMetadata.previousDraftId,
+      adminInstructions: interviewMetadata.adminInstructions,
+      regeneratedAt: interviewMetadata.regeneratedAt
+    })
+  };
+
+  const draft = buildDraft(content, interviewMetadata);
+  const body = format === 'v2'
+    ? {
+      schemaVersion: 'draft.v2',
+      status: failed ? 'failed' : 'completed',
+      ...(failed ? { error: 'Simulated draft generation failure' } : { draft: { ...draft, model: 'ai-simulator', confidence: 0.9 } }),
+      metadata
+    }
+    : { draft: failed ? null : formatDraft(draft, format), metadata };
+
+  const deliveryId = scheduleCallback('/api/webhooks/draft-complete', body, interviewMetadata.deliveryId);
+
+  console.log(`🧪 [SIMULATOR] Draft generation accepted for interview ${interviewMetadata.id} (format: ${format})${failed ? ' (will report failure)' : ''}`);
+
+  return { message: 'Workflow was started', simulated: true, deliveryId };
+};
+
+/**
+ * Simulate the full life story generator workflow
+ * @param {Object} fullStoryData - Session data with approved drafts
+ * @returns {Promise<Object>} - Immediate acknowledgement, like n8n's
+ */
+const simulateFullLifeStory = async (fullStoryData = {}) => {
+  const failed = shouldSimulate(config.ai.simulator.failureRate);
+  const format = nextFormat('story', STORY_FORMATS, null);
+  const metadata = { ...fullStoryData, simulated: true };
+  const markdown = buildStoryMarkdown(fullStoryData);
+
+  const body = format === 'v2'
+    ? {
+      schemaVersion: 'life_story.v2',
+      status: failed ? 'failed' : 'completed',
+      ...(failed ? { error: 'Simulated story generation failure' } : {
+        story: {
+          title: (markdown.match(/^#\s+(.+)$/m) || [])[1] || 'Life Story',
+          markdown,
+          model: 'ai-simulator'
+        }
+      }),
+      metadata
+    }
+    : {
+      story: failed ? null : formatStory(markdown, format),
+      // Legacy workflows forward the request metadata as a JSON string
+      metadata: rotation.story % 2 === 0 ? JSON.stringify(metadata) : metadata
+    };
+
+  const deliveryId = scheduleCallback('/api/webhooks/life-story-complete', body, fullStoryData.deliveryId);
+
+  console.log(`🧪 [SIMULATOR] Full life story accepted for session ${fullStoryData.sessionId} (format: ${format})${failed ? ' (will report failure)' : ''}`);
+
+  return { message: 'Workflow was started', simulated: true, deliveryId };
+};
+
+module.exports = {
+  simulateTranscription,
+  simulateDraft,
+  simulateFullLifeStory,
+  DRAFT_FORMATS,
+  STORY_FORMATS
+};
@@ -0,0 +1,357 @@
+/**
+ * Assignment Service
+ * Who owns each session and who conducts each interview, reassignment with a
+ * reason, per-staff workload and auto-assignment of new sessions.
+ * sessions.assigned_admin stores the owner's user id; interviews.assigned_to
+ * stores the conducting staff member's email (as the calendar does) and falls
+ * back to the session owner when empty.
+ */
+
+const supabase = require('../config/database');
+const config = require('../config/config');
+const roleService = require('./roleService');
+const loggingService = require('./loggingService');
+const staffDirectoryService = require('./staffDirectoryService');
+
+const CLOSED_SESSION_STATUSES = ['completed', 'cancelled', 'archived'];
+const CLOSED_INTERVIEW_STATUSES = ['completed', 'cancelled'];
+
+// Staff are users whose role opens the back office; interviews go to those who record them
+const isStaff = (user) => roleService.hasPermission(user.role, 'sessions.view');
+const canConduct = (user) => roleService.hasPermission(user.role, 'interviews.upload');
+
+const STAFF_ROLES = roleService.ROLES.filter(role => isStaff({ role }));
+
+const getStaff = async () => {
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, name, email, role')
+    .in('role', STAFF_ROLES)
+    .order('name', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Find a staff member by user id or email
+ * @param {string} idOrEmail - User id or email
+ * @returns {Promise<Object|null>} - { id, name, email, role } or null
+ */
+const findStaff = async (idOrEmail) => {
+  const value = String(idOrEmail || '').trim();
+  if (!value) return null;
+
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, name, email, role')
+    .eq(value.includes('@') ? 'email' : 'id', value)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data && isStaff(data) ? data : null;
+};
+
+const recordChange = async (change) => {
+  const { error } = await supabase.from('assignment_changes').insert(change);
+  if (error) {
+    console.error('⚠️ Failed to record assignment change:', error.message);
+  }
+};
+
+/**
+ * Assign a session to a staff member
+ * @param {string} sessionId - Session ID
+ * @param {Object} assignment - Assignment data
+ * @param {string} assignment.assignee - User id or email of the new owner
+ * @param {string} assignment.reason - Why the session is (re)assigned
+ * @param {Object} [assignment.actor] - { uid, email } of the staff member making the change
+ * @param {boolean} [assignment.automatic] - Made by auto-assignment
+ * @returns {Promise<Object>} - Result with { session, previousAssignee, assignee }
+ */
+const assignSession = async (sessionId, { assignee, reason, actor = {}, automatic = false }) => {
+  try {
+    if (!reason || !String(reason).trim()) {
+      return { success: false, error: 'A reason is required', invalid: true };
+    }
+
+    const { data: session, error: sessionError } = await supabase
+      .from('sessions')
+      .select('id, client_name, assigned_admin')
+      .eq('id', sessionId)
+      .maybeSingle();
+
+    if (sessionError) throw sessionError;
+    if (!session) {
+      return { success: false, error: 'Session not found', notFound: true };
+    }
+
+    const staff = await findStaff(assignee);
+    if (!staff) {
+      return { success: false, error: 'Assignee must be a staff member (user id or email)', invalid: true };
+    }
+
+    const previousEmail = (await staffDirectoryService.getUserEmails([session.assigned_admin])).get(session.assigned_admin) || null;
+
+    if (session.assigned_admin === staff.id) {
+      return { success: true, data: { session, previousAssignee: previousEmail, assignee: staff }, unchanged: true };
+    }
+
+    const { data: updated, error: updateError } = await supabase
+      .from('sessions')
+      .update({ assigned_admin: staff.id, updated_at: new Date().toISOString() })
+      .eq('id', sessionId)
+      .select('id, client_name, assigned_admin, status')
+      .single();
+
+    if (updateError) throw updateError;
+
+    await recordChange({
+      session_id: sessionId,
+      interview_id: null,
+      previous_assignee: previousEmail,
+      new_assignee: staff.email,
+      reason: String(reason).trim(),
+      automatic,
+      changed_by: actor.email || null
+    });
+
+    await loggingService.logEvent({
+      eventType: 'session',
+      eventAction: previousEmail ? 'reassigned' : 'assigned',
+      userId: actor.uid,
+      userEmail: actor.email,
+      sessionId,
+      eventData: { from: previousEmail, to: staff.email, reason: String(reason).trim(), automatic },
+      severity: 'info'
+    });
+
+    console.log(`👤 Session ${sessionId} assigned to ${staff.email}${previousEmail ? ` (was ${previousEmail})` : ''}`);
+
+    return { success: true, data: { session: updated, previousAssignee: previousEmail, assignee: staff } };
+
+  } catch (error) {
+    console.error('❌ Error assigning session:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Assign an interview to the staff member who conducts it
+ * @param {string} interviewId - Interview ID
+ * @param {Object} assignment - Assignment data
+ * @param {string|null} assignment.assignee - User id or email; null hands the interview back to the session owner
+ * @param {string} assignment.reason - Why the interview is (re)assigned
+ * @param {Object} [assignment.actor] - { uid, email } of the staff member making the change
+ * @returns {Promise<Object>} - Result with { interview, previousAssignee, assignee }
+ */
+const assignInterview = async (interviewId, { assignee, reason, actor = {} }) => {
+  try {
+    if (!reason || !String(reason).trim()) {
+      return { success: false, error: 'A reason is required', invalid: true };
+    }
+
+    const { data: interview, error: interviewError } = await supabase
+      .from('interviews')
+      .select('id, session_id, name, status, assigned_to')
+      .eq('id', interviewId)
+      .maybeSingle();
+
+    if (interviewError) throw interviewError;
+    if (!interview) {
+      return { success: false, error: 'Interview not found', notFound: true };
+    }
+
+    if (CLOSED_INTERVIEW_STATUSES.includes(interview.status)) {
+      return { success: false, error: `A ${interview.status} interview cannot be reassigned`, invalid: true };
+    }
+
+    let staff = null;
+    if (assignee) {
+      staff = await findStaff(assignee);
+      if (!staff || !canConduct(staff)) {
+        return { success: false, error: 'Assignee must be a staff member who conducts interviews (user id or email)', invalid: true };
+      }
+    }
+
+    const newEmail = staff ? staff.email : null;
+    if ((interview.assigned_to || null) === newEmail) {
+      return { success: true, data: { interview, previousAssignee: interview.assigned_to || null, assignee: staff }, unchanged: true };
+    }
+
+    const { data: updated, error: updateError } = await supabase
+      .from('interviews')
+      .update({ assigned_to: newEmail, updated_at: new Date().toISOString() })
+      .eq('id', interviewId)
+      .select('id, session_id, name, status, scheduled_date, assigned_to')
+      .single();
+
+    if (updateError) throw updateError;
+
+    await recordChange({
+      session_id: interview.session_id,
+      interview_id: String(interviewId),
+      previous_assignee: interview.assigned_to || null,
+      new_assignee: newEmail,
+      reason: String(reason).trim(),
+      automatic: false,
+      changed_by: actor.email || null
+    });
+
+    await loggingService.logEvent({
+      eventType: 'interview',
+      eventAction: interview.assigned_to ? 'reassigned' : 'assigned',
+      userId: actor.uid,
+      userEmail: actor.email,
+      sessionId: interview.session_id,
+      interviewId: String(interviewId),
+      eventData: { from: interview.assigned_to || null, to: newEmail, reason: String(reason).trim() },
+      severity: 'info'
+    });
+
+    console.log(`👤 Interview ${interviewId} assigned to ${newEmail || 'the session owner'}`);
+
+    return { success: true, data: { interview: updated, previousAssignee: interview.assigned_to || null, assignee: staff } };
+
+  } catch (error) {
+    console.error('❌ Error assigning interview:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Assignment history of a session and its interviews
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} - Result with changes, newest first
+ */
+const getAssignmentChanges = async (sessionId) => {
+  try {
+    const { data, error } = await supabase
+      .from('assignment_changes')
+      .select('*')
+      .eq('session_id', sessionId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    return { success: true, data: data || [] };
+
+  } catch (error) {
+    console.error('❌ Error fetching assignment changes:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Open work per staff member
+ * Open interviews count for the staff member conducting them (or the session owner
+ * when unassigned); drafts in review count for the session owner.
+ * @returns {Promise<Object>} - Result with { staff: [{ userId, name, email, role, openSessions,
+ *   openInterviews, draftsInReview }], unassigned: { sessions, interviews } }
+ */
+const getWorkload = async () => {
+  try {
+    // Counted per assignee email in the database (staff_workload, see database/assignment-schema.sql)
+    const [staff, workloadResult] = await Promise.all([
+      getStaff(),
+      supabase.rpc('staff_workload', {
+        closed_session_statuses: CLOSED_SESSION_STATUSES,
+        closed_interview_statuses: CLOSED_INTERVIEW_STATUSES
+      })
+    ]);
+
+    if (workloadResult.error) throw workloadResult.error;
+
+    const counts = new Map(staff.map(member => [member.email, { openSessions: 0, openInterviews: 0, draftsInReview: 0 }]));
+    const unassigned = { sessions: 0, interviews: 0 };
+
+    (workloadResult.data || []).forEach(row => {
+      const entry = counts.get(row.assignee_email);
+      if (!entry) {
+        // No owner, or one who is no longer staff
+        unassigned.sessions += Number(row.open_sessions);
+        unassigned.interviews += Number(row.open_interviews);
+        return;
+      }
+      entry.openSessions = Number(row.open_sessions);
+      entry.openInterviews = Number(row.open_interviews);
+      entry.draftsInReview = Number(row.drafts_in_review);
+    });
+
+    return {
+      success: true,
+      data: {
+        staff: staff.map(member => ({
+          userId: member.id,
+          name: member.name,
+          email: member.email,
+          role: member.role,
+          ...counts.get(member.email)
+        })),
+        unassigned
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Error computing workload:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * The interviewer with the fewest open interviews (then open sessions, then name)
+ * @returns {Promise<Object|null>} - Workload entry of the interviewer, or null when there are none
+ */
+const findLeastLoadedInterviewer = async () => {
+  const workload = await getWorkload();
+  if (!workload.success) throw new Error(workload.error);
+
+  const [leastLoaded] = workload.data.staff
+    .filter(member => member.role === 'interviewer')
+    .sort((a, b) => a.openInterviews - b.openInterviews
+      || a.openSessions - b.openSessions
+      || String(a.name || a.email).localeCompare(String(b.name || b.email)));
+
+  return leastLoaded || null;
+};
+
+/**
+ * Give a new session to the least-loaded interviewer when auto-assignment is on
+ * @param {string} sessionId - Session ID
+ * @param {Object} [actor] - { uid, email } of the staff member who created the session
+ * @returns {Promise<Object>} - Result of assignSession, or { success: true, skipped: true }
+ */
+const autoAssignSession = async (sessionId, actor = {}) => {
+  try {
+    if (!config.assignment.autoAssignSessions) {
+      return { success: true, skipped: true };
+    }
+
+    const interviewer = await findLeastLoadedInterviewer();
+    if (!interviewer) {
+      console.warn('⚠️ Auto-assignment skipped: no interviewers');
+      return { success: true, skipped: true };
+    }
+
+    return assignSession(sessionId, {
+      assignee: interviewer.userId,
+      reason: `Auto-assigned to the least-loaded interviewer (${interviewer.openInterviews} open interviews)`,
+      actor,
+      automatic: true
+    });
+
+  } catch (error) {
+    console.error('❌ Error auto-assigning session:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+module.exports = {
+  findStaff,
+  assignSession,
+  assignInterview,
+  getAssignmentChanges,
+  getWorkload,
+  findLeastLoadedInterviewer,
+  autoAssignSession
+};
@@ -0,0 +1,97 @@
+/**
+ * DOCX Export Service
+ * Renders story documents (see utils/storyDocument.js) to Word files so
+ * editors can polish content offline. Word handles bidi layout itself, so
+ * RTL documents only need bidirectional paragraphs and RTL runs.
+ */
+
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  HeadingLevel,
+  AlignmentType,
+  PageBreak
+} = require('docx');
+
+const FONT = 'Arial'; // Available everywhere and covers Hebrew
+
+class DocxExportService {
+  /**
+   * Render a document model to a DOCX buffer
+   * @param {Object} document - Document model from storyDocument
+   * @returns {Promise<Buffer>} - DOCX file contents
+   */
+  async renderDocx(document) {
+    const rtl = document.direction === 'rtl';
+    const children = [];
+
+    children.push(this._paragraph(document.title || '', rtl, {
+      heading: HeadingLevel.TITLE,
+      alignment: AlignmentType.CENTER
+    }));
+
+    if (document.subtitle) {
+      children.push(this._paragraph(document.subtitle, rtl, {
+        style: 'Subtitle',
+        alignment: AlignmentType.CENTER
+      }));
+    }
+
+    (document.chapters || []).forEach(chapter => {
+      children.push(new Paragraph({ children: [new PageBreak()] }));
+
+      if (chapter.title) {
+        children.push(this._paragraph(chapter.title, rtl, { heading: HeadingLevel.HEADING_1 }));
+      }
+
+      for (const block of chapter.blocks) {
+        if (block.type === 'heading') {
+          children.push(this._paragraph(block.text, rtl, { heading: HeadingLevel.HEADING_2 }));
+        } else if (block.type === 'image') {
+          // Photos are only embedded in the reader editions (EPUB/HTML)
+          continue;
+        } else if (block.type === 'list_item') {
+          children.push(this._paragraph(block.text, rtl, { bullet: { level: 0 } }));
+        } else {
+          children.push(this._paragraph(block.text, rtl, { spacing: { after: 160, line: 320 } }));
+        }
+      }
+    });
+
+    const doc = new Document({
+      creator: 'Legamunity',
+      title: document.title || 'Life Story',
+      styles: {
+        default: {
+          document: {
+            run: {
+              font: { ascii: FONT, hAnsi: FONT, cs: FONT },
+              size: 24, // half-points
+              rightToLeft: rtl
+            }
+          }
+        }
+      },
+      sections: [{ children }]
+    });
+
+    return Packer.toBuffer(doc);
+  }
+
+  /**
+   * Build a paragraph with direction set for its content
+   * @private
+   */
+  _paragraph(text, rtl, options = {}) {
+    // Without explicit alignment a bidirectional paragraph starts at the right margin
+    return new Paragraph({
+      ...options,
+      bidirectional: rtl,
+      children: [new TextRun({ text, rightToLeft: rtl })]
+    });
+  }
+}
+
+module.exports = new DocxExportService();
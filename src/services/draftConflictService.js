@@ -0,0 +1,274 @@
+/**
+ * Draft Conflict Service
+ * Detects contradictions between the drafts of a session and keeps them as
+ * conflict records the admin resolves (draft_conflicts table).
+ */
+
+const supabase = require('../config/database');
+const { detectConflicts } = require('../utils/conflictDetection');
+
+const STATUSES = ['open', 'resolved', 'dismissed'];
+
+/**
+ * Latest non-rejected draft of every interview in a session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Array<Object>>} - [{ draftId, interviewId, content }]
+ */
+const getCurrentDrafts = async (sessionId) => {
+  const { data, error } = await supabase
+    .from('drafts')
+    .select('id, version, stage, content')
+    .eq('session_id', sessionId)
+    .order('version', { ascending: false });
+
+  if (error) throw error;
+
+  const byInterview = new Map();
+  (data || []).forEach(draft => {
+    const interviewId = draft.content?.interview_id ? String(draft.content.interview_id) : null;
+    if (!interviewId || draft.stage === 'rejected' || byInterview.has(interviewId)) return;
+    byInterview.set(interviewId, { draftId: draft.id, interviewId, content: draft.content });
+  });
+
+  return [...byInterview.values()];
+};
+
+/**
+ * Corrections made during fact verification, so a corrected fact is compared by its correct value
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Function>} - (draftId, category, value) => value to compare
+ */
+const getCorrectionResolver = async (sessionId) => {
+  const { data, error } = await supabase
+    .from('fact_verifications')
+    .select('draft_id, category, original_value, corrected_value')
+    .eq('session_id', sessionId)
+    .eq('status', 'corrected');
+
+  if (error) {
+    console.warn('⚠️ Could not load fact corrections for conflict detection:', error.message);
+    return (draftId, category, value) => value;
+  }
+
+  const corrections = new Map((data || []).map(record => [
+    `${record.draft_id}\u0000${record.category}\u0000${record.original_value}`,
+    record.corrected_value
+  ]));
+
+  return (draftId, category, value) => corrections.get(`${draftId}\u0000${category}\u0000${value}`) || value;
+};
+
+/**
+ * Run detection for a session and bring the conflict records up to date
+ * New conflicts are created, open ones refreshed, and open ones that are no longer
+ * detected removed. Resolved and dismissed conflicts are never reopened.
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} - Result with { detected, created, removed }
+ */
+const detectSessionConflicts = async (sessionId) => {
+  try {
+    const drafts = await getCurrentDrafts(sessionId);
+    const detected = drafts.length > 1
+      ? detectConflicts(drafts, await getCorrectionResolver(sessionId))
+      : [];
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('draft_conflicts')
+      .select('id, fingerprint, status')
+      .eq('session_id', sessionId);
+
+    if (fetchError) throw fetchError;
+
+    const existingByFingerprint = new Map((existing || []).map(record => [record.fingerprint, record]));
+    const detectedFingerprints = new Set(detected.map(conflict => conflict.fingerprint));
+    const now = new Date().toISOString();
+
+    const toCreate = [];
+    for (const conflict of detected) {
+      const record = existingByFingerprint.get(conflict.fingerprint);
+
+      if (!record) {
+        toCreate.push({
+          session_id: sessionId,
+          conflict_type: conflict.conflictType,
+          category: conflict.category,
+          event: conflict.event,
+          fingerprint: conflict.fingerprint,
+          description: conflict.description,
+          conflicting_values: conflict.values,
+          status: 'open'
+        });
+      } else if (record.status === 'open') {
+        const { error } = await supabase
+          .from('draft_conflicts')
+          .update({ description: conflict.description, conflicting_values: conflict.values, updated_at: now })
+          .eq('id', record.id);
+        if (error) throw error;
+      }
+    }
+
+    const toRemove = (existing || [])
+      .filter(record => record.status === 'open' && !detectedFingerprints.has(record.fingerprint))
+      .map(record => record.id);
+
+    if (toCreate.length > 0) {
+      // Detection runs on every read, so a concurrent request may have created the same conflict already
+      const { error } = await supabase
+        .from('draft_conflicts')
+        .upsert(toCreate, { onConflict: 'session_id,fingerprint', ignoreDuplicates: true });
+      if (error) throw error;
+    }
+
+    if (toRemove.length > 0) {
+      const { error } = await supabase.from('draft_conflicts').delete().in('id', toRemove);
+      if (error) throw error;
+    }
+
+    if (toCreate.length > 0 || toRemove.length > 0) {
+      console.log(`🔀 Conflicts for session ${sessionId}: ${toCreate.length} new, ${toRemove.length} no longer present`);
+    }
+
+    return {
+      success: true,
+      data: { detected: detected.length, created: toCreate.length, removed: toRemove.length }
+    };
+
+  } catch (error) {
+    console.error('❌ Error detecting draft conflicts:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * List conflict records
+ * @param {Object} filters - Query filters
+ * @param {string} filters.sessionId - Session ID
+ * @param {string} [filters.interviewId] - Only conflicts involving this interview
+ * @param {string} [filters.status] - 'all' or one of STATUSES
+ * @returns {Promise<Object>} - Result with conflicts
+ */
+const getConflicts = async ({ sessionId, interviewId, status = 'all' }) => {
+  try {
+    let query = supabase
+      .from('draft_conflicts')
+      .select('*')
+      .eq('session_id', sessionId);
+
+    if (status && status !== 'all') query = query.eq('status', status);
+
+    const { data, error } = await query.order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    const conflicts = interviewId
+      ? (data || []).filter(conflict => (conflict.conflicting_values || [])
+        .some(value => String(value.interviewId) === String(interviewId)))
+      : (data || []);
+
+    return { success: true, data: conflicts };
+
+  } catch (error) {
+    console.error('❌ Error fetching draft conflicts:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Resolve, dismiss or reopen a conflict
+ * @param {string} conflictId - Conflict ID
+ * @param {Object} update - Resolution
+ * @param {string} update.status - One of STATUSES
+ * @param {string} [update.resolutionValue] - Correct value (required for 'resolved')
+ * @param {string} [update.note] - Admin note, passed on to full story generation
+ * @param {string} [update.resolvedBy] - Admin making the decision
+ * @param {string} [sessionId] - When given, the conflict must belong to this session
+ * @returns {Promise<Object>} - Result with the updated conflict
+ */
+const resolveConflict = async (conflictId, { status, resolutionValue, note, resolvedBy }, sessionId = null) => {
+  try {
+    if (!STATUSES.includes(status)) {
+      return { success: false, error: `Invalid status. Must be one of: ${STATUSES.join(', ')}`, invalid: true };
+    }
+
+    if (status === 'resolved' && !(resolutionValue && String(resolutionValue).trim())) {
+      return { success: false, error: 'A resolution value is required when resolving a conflict', invalid: true };
+    }
+
+    let query = supabase.from('draft_conflicts').select('id').eq('id', conflictId);
+    if (sessionId) query = query.eq('session_id', sessionId);
+
+    const { error: fetchError } = await query.single();
+    if (fetchError) {
+      if (fetchError.code === 'PGRST116') {
+        return { success: false, error: 'Conflict not found', notFound: true };
+      }
+      throw fetchError;
+    }
+
+    const closed = status !== 'open';
+    const { data, error } = await supabase
+      .from('draft_conflicts')
+      .update({
+        status,
+        resolution_value: status === 'resolved' ? String(resolutionValue).trim() : null,
+        resolution_note: closed ? (note || null) : null,
+        resolved_by: closed ? (resolvedBy || null) : null,
+        resolved_at: closed ? new Date().toISOString() : null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', conflictId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { success: true, data };
+
+  } catch (error) {
+    console.error('❌ Error resolving draft conflict:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Resolved conflicts of a session in the shape full story generation consumes
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Array<Object>>} - [{ type, category, event, subject, conflictingValues, occurrences, resolvedValue, note, instruction }]
+ */
+const getResolutionsForStory = async (sessionId) => {
+  const result = await getConflicts({ sessionId, status: 'resolved' });
+  if (!result.success) return [];
+
+  return result.data.map(conflict => {
+    const conflictingValues = [...new Set((conflict.conflicting_values || []).map(value => value.value))];
+    const others = conflictingValues.filter(value => value !== conflict.resolution_value);
+    const factSubject = (conflict.conflicting_values || [])[0]?.subject;
+    const of = factSubject && factSubject !== 'storyteller' ? ` of ${factSubject}` : '';
+    const subject = conflict.event ? `the ${conflict.event} ${conflict.category === 'dates' ? 'year' : 'place'}${of}` : `the ${conflict.category} name`;
+
+    // Where each wrong value was stated, so only those mentions are corrected
+    const occurrences = (conflict.conflicting_values || [])
+      .filter(value => value.value !== conflict.resolution_value)
+      .map(value => ({ value: value.value, evidence: value.evidence || null, draftId: value.draftId }));
+
+    return {
+      type: conflict.conflict_type,
+      category: conflict.category,
+      event: conflict.event,
+      subject: factSubject || null,
+      conflictingValues,
+      occurrences,
+      resolvedValue: conflict.resolution_value,
+      note: conflict.resolution_note,
+      instruction: `Use "${conflict.resolution_value}" for ${subject}${others.length ? ` (not ${others.map(value => `"${value}"`).join(', ')})` : ''}`
+    };
+  });
+};
+
+module.exports = {
+  STATUSES,
+  detectSessionConflicts,
+  getConflicts,
+  resolveConflict,
+  getResolutionsForStory
+};
@@ -0,0 +1,201 @@
+/**
+ * Draft History Service
+ * Append-only timeline of draft changes (draft_history table) with
+ * before/after snapshots, served per draft and per session.
+ */
+
+const supabase = require('../config/database');
+
+const HISTORY_ACTIONS = ['created', 'content_updated', 'note_added', 'stage_changed', 'regenerated', 'migrated'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const TIMELINE_COLUMNS = 'id, draft_id, session_id, action, actor, user_id, changes, reason, created_at';
+
+/**
+ * Reduce a draft row to the fields worth keeping in a snapshot
+ * @param {Object} draft - Draft row
+ * @returns {Object|null} - Snapshot
+ */
+const snapshotDraft = (draft) => {
+  if (!draft) return null;
+
+  return {
+    stage: draft.stage,
+    version: draft.version,
+    completion_percentage: draft.completion_percentage,
+    content: draft.content || {}
+  };
+};
+
+/**
+ * Summarize which top-level content fields differ between two snapshots
+ * @param {Object} before - Snapshot before the change
+ * @param {Object} after - Snapshot after the change
+ * @returns {Array<string>} - Changed content field names
+ */
+const getChangedContentFields = (before, after) => {
+  const beforeContent = before?.content || {};
+  const afterContent = after?.content || {};
+  const keys = new Set([...Object.keys(beforeContent), ...Object.keys(afterContent)]);
+
+  return [...keys].filter(key => JSON.stringify(beforeContent[key]) !== JSON.stringify(afterContent[key]));
+};
+
+/**
+ * Record a draft change
+ * History must never block the change itself, so failures are logged and returned.
+ * @param {Object} entry - History entry
+ * @param {string} entry.draftId - Draft ID
+ * @param {string} [entry.sessionId] - Session ID (taken from the snapshots when omitted)
+ * @param {string} entry.action - One of HISTORY_ACTIONS
+ * @param {string} [entry.actor] - Email or name of whoever made the change
+ * @param {Object} [entry.before] - Draft row before the change
+ * @param {Object} [entry.after] - Draft row after the change
+ * @param {Object} [entry.changes] - Extra change summary
+ * @param {string} [entry.reason] - Why the change was made
+ * @returns {Promise<Object>} - Result with the stored entry
+ */
+const recordChange = async ({ draftId, sessionId, action, actor, before, after, changes = {}, reason = null }) => {
+  try {
+    const snapshotBefore = snapshotDraft(before);
+    const snapshotAfter = snapshotDraft(after);
+
+    const summary = { ...changes };
+    if (snapshotBefore && snapshotAfter) {
+      summary.contentFields = getChangedContentFields(snapshotBefore, snapshotAfter);
+      if (snapshotBefore.stage !== snapshotAfter.stage) {
+        summary.stage = { from: snapshotBefore.stage, to: snapshotAfter.stage };
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('draft_history')
+      .insert({
+        draft_id: draftId,
+        session_id: sessionId || after?.session_id || before?.session_id || null,
+        action,
+        actor: actor || null,
+        changes: summary,
+        reason,
+        snapshot_before: snapshotBefore,
+        snapshot_after: snapshotAfter
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { success: true, data };
+
+  } catch (error) {
+    console.error(`❌ Error recording draft history (${action} on ${draftId}):`, error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Fetch a page of history entries
+ * @param {string} column - 'draft_id' or 'session_id'
+ * @param {string} value - Draft or session ID
+ * @param {Object} [options] - Query options
+ * @param {number} [options.limit] - Page size
+ * @param {number} [options.offset] - Entries to skip
+ * @param {string} [options.action] - Only this action
+ * @param {boolean} [options.includeSnapshots] - Include before/after snapshots
+ * @returns {Promise<Object>} - Result with entries and pagination
+ */
+const getTimeline = async (column, value, { limit = DEFAULT_PAGE_SIZE, offset = 0, action, includeSnapshots = false } = {}) => {
+  try {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const start = Math.max(parseInt(offset, 10) || 0, 0);
+
+    let query = supabase
+      .from('draft_history')
+      .select(includeSnapshots ? `${TIMELINE_COLUMNS}, snapshot_before, snapshot_after` : TIMELINE_COLUMNS, { count: 'exact' })
+      .eq(column, value);
+
+    if (action) {
+      query = query.eq('action', action);
+    }
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(start, start + pageSize - 1);
+
+    if (error) throw error;
+
+    const total = count ?? (data || []).length;
+
+    return {
+      success: true,
+      data: {
+        history: data || [],
+        pagination: {
+          total,
+          limit: pageSize,
+          offset: start,
+          hasMore: start + (data || []).length < total
+        }
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Error fetching draft history:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Paginated timeline of one draft, newest first
+ * @param {string} draftId - Draft ID
+ * @param {Object} [options] - See getTimeline
+ * @returns {Promise<Object>} - Result with entries and pagination
+ */
+const getDraftHistory = (draftId, options) => getTimeline('draft_id', draftId, options);
+
+/**
+ * Paginated timeline of every draft in a session, newest first
+ * @param {string} sessionId - Session ID
+ * @param {Object} [options] - See getTimeline
+ * @returns {Promise<Object>} - Result with entries and pagination
+ */
+const getSessionHistory = (sessionId, options) => getTimeline('session_id', sessionId, options);
+
+/**
+ * Average time drafts spent in each stage before moving on
+ * Aggregated in the database (draft_stage_durations, see database/draft-stage-durations.sql)
+ * from the stage changes recorded since the given date; a stay counts once the draft has
+ * left the stage and its entry into the stage is also in range.
+ * @param {Object} [options] - Options
+ * @param {string} [options.since] - Only changes at or after this date
+ * @returns {Promise<Object>} - Result with [{ stage, averageHours, medianHours, transitions }]
+ */
+const getStageDurations = async ({ since } = {}) => {
+  try {
+    const { data, error } = await supabase.rpc('draft_stage_durations', { since_date: since || null });
+    if (error) throw error;
+
+    return {
+      success: true,
+      data: (data || []).map(row => ({
+        stage: row.stage,
+        averageHours: Number(row.average_hours),
+        medianHours: Number(row.median_hours),
+        transitions: Number(row.transitions)
+      }))
+    };
+
+  } catch (error) {
+    console.error('❌ Error computing time in stage:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+module.exports = {
+  HISTORY_ACTIONS,
+  recordChange,
+  getDraftHistory,
+  getSessionHistory,
+  getStageDurations
+};
@@ -0,0 +1,225 @@
+/**
+ * Draft Version Service
+ * Keeps a snapshot of every generated or edited draft content per interview
+ * so versions can be compared after a regeneration or edit overwrites the draft row.
+ */
+
+const supabase = require('../config/database');
+const { diffDrafts } = require('../utils/draftDiff');
+
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Store a snapshot of draft content as the next version of an interview's draft
+ * @param {Object} version - Version data
+ * @param {string} version.interviewId - Interview the draft was generated from
+ * @param {string} version.sessionId - Session ID
+ * @param {string} version.draftId - Draft row holding the content
+ * @param {Object} version.content - Draft content JSONB
+ * @param {string} [version.reason] - 'generated' | 'regenerated' | 'edited' | 'snapshot'
+ * @param {string} [version.adminInstructions] - Instructions behind a regeneration
+ * @returns {Promise<Object>} - Result with the stored version
+ */
+const recordVersion = async ({ interviewId, sessionId, draftId, content, reason = 'generated', adminInstructions = null }) => {
+  try {
+    // Two concurrent callbacks can pick the same number; retry once with a fresh count
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const { data: latest, error: latestError } = await supabase
+        .from('draft_versions')
+        .select('version_number')
+        .eq('interview_id', String(interviewId))
+        .order('version_number', { ascending: false })
+        .limit(1);
+
+      if (latestError) throw latestError;
+
+      const { data, error } = await supabase
+        .from('draft_versions')
+        .insert({
+          interview_id: String(interviewId),
+          session_id: sessionId,
+          draft_id: draftId,
+          version_number: (latest?.[0]?.version_number || 0) + 1,
+          reason,
+          admin_instructions: adminInstructions || null,
+          content: content || {}
+        })
+        .select()
+        .single();
+
+      if (!error) {
+        console.log(`🗂️ Draft version ${data.version_number} stored for interview ${interviewId} (${reason})`);
+        return { success: true, data };
+      }
+
+      if (error.code !== UNIQUE_VIOLATION) throw error;
+    }
+
+    throw new Error('Could not allocate a draft version number');
+
+  } catch (error) {
+    console.error('❌ Error recording draft version:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Snapshot a draft's current content unless a version already exists for it
+ * Drafts generated before versioning have no snapshot; regeneration and manual
+ * edits call this first so the content they are about to overwrite stays diffable.
+ * @param {Object} draft - Draft row ({ id, session_id, content })
+ * @returns {Promise<Object>} - Result with the existing or stored version
+ */
+const ensureSnapshot = async (draft) => {
+  try {
+    const { data: existing, error } = await supabase
+      .from('draft_versions')
+      .select('id, version_number')
+      .eq('draft_id', draft.id)
+      .limit(1);
+
+    if (error) throw error;
+
+    if (existing && existing.length > 0) {
+      return { success: true, data: existing[0] };
+    }
+
+    return recordVersion({
+      interviewId: draft.content?.interview_id,
+      sessionId: draft.session_id,
+      draftId: draft.id,
+      content: draft.content,
+      reason: 'snapshot'
+    });
+
+  } catch (error) {
+    console.error('❌ Error snapshotting draft:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * List the versions of an interview's draft (without content)
+ * @param {string} interviewId - Interview ID
+ * @returns {Promise<Object>} - Result with versions, oldest first
+ */
+const getVersions = async (interviewId) => {
+  try {
+    const { data, error } = await supabase
+      .from('draft_versions')
+      .select('id, interview_id, session_id, draft_id, version_number, reason, admin_instructions, created_at')
+      .eq('interview_id', String(interviewId))
+      .order('version_number', { ascending: true });
+
+    if (error) throw error;
+
+    return { success: true, data: data || [] };
+
+  } catch (error) {
+    console.error('❌ Error fetching draft versions:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get one version of an interview's draft including its content
+ * @param {string} interviewId - Interview ID
+ * @param {number} versionNumber - Version number
+ * @returns {Promise<Object>} - Result with the version
+ */
+const getVersion = async (interviewId, versionNumber) => {
+  try {
+    const { data, error } = await supabase
+      .from('draft_versions')
+      .select('*')
+      .eq('interview_id', String(interviewId))
+      .eq('version_number', versionNumber)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return { success: false, error: `Draft version ${versionNumber} not found`, notFound: true };
+      }
+      throw error;
+    }
+
+    return { success: true, data };
+
+  } catch (error) {
+    console.error('❌ Error fetching draft version:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Diff two versions of an interview's draft
+ * Defaults to the latest version against the one before it.
+ * @param {string} interviewId - Interview ID
+ * @param {Object} [range] - Versions to compare
+ * @param {number} [range.from] - Older version number
+ * @param {number} [range.to] - Newer version number
+ * @returns {Promise<Object>} - Result with { from, to, diff }
+ */
+const diffVersions = async (interviewId, { from, to } = {}) => {
+  try {
+    let toNumber = to;
+    let fromNumber = from;
+
+    if (!toNumber) {
+      const versionsResult = await getVersions(interviewId);
+      if (!versionsResult.success) return versionsResult;
+
+      const versions = versionsResult.data;
+      if (versions.length === 0) {
+        return { success: false, error: 'No draft versions found for this interview', notFound: true };
+      }
+      toNumber = versions[versions.length - 1].version_number;
+    }
+
+    if (!fromNumber) {
+      fromNumber = toNumber - 1;
+    }
+
+    if (fromNumber < 1) {
+      return { success: false, error: 'Only one draft version exists for this interview', notFound: true };
+    }
+
+    const [fromResult, toResult] = await Promise.all([
+      getVersion(interviewId, fromNumber),
+      getVersion(interviewId, toNumber)
+    ]);
+
+    if (!fromResult.success) return fromResult;
+    if (!toResult.success) return toResult;
+
+    const describe = (version) => ({
+      versionNumber: version.version_number,
+      draftId: version.draft_id,
+      reason: version.reason,
+      adminInstructions: version.admin_instructions,
+      createdAt: version.created_at
+    });
+
+    return {
+      success: true,
+      data: {
+        interviewId,
+        from: describe(fromResult.data),
+        to: describe(toResult.data),
+        diff: diffDrafts(fromResult.data.content, toResult.data.content)
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Error diffing draft versions:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+module.exports = {
+  recordVersion,
+  ensureSnapshot,
+  getVersions,
+  getVersion,
+  diffVersions
+};
@@ -0,0 +1,64 @@
+/**
+ * Export Service
+ * Single registry of downloadable formats shared by draft and full life
+ * story exports. Each format renders a document model from
+ * utils/storyDocument.js to a file buffer.
+ */
+
+const pdfExportService = require('./pdfExportService');
+const docxExportService = require('./docxExportService');
+const readerEditionService = require('./readerEditionService');
+
+const EXPORT_FORMATS = {
+  pdf: {
+    contentType: 'application/pdf',
+    render: document => pdfExportService.renderPdf(document)
+  },
+  docx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    render: document => docxExportService.renderDocx(document)
+  },
+  epub: {
+    contentType: 'application/epub+zip',
+    readerEdition: true,
+    render: document => readerEditionService.renderEpub(document)
+  },
+  html: {
+    contentType: 'text/html; charset=utf-8',
+    readerEdition: true,
+    render: document => readerEditionService.renderHtml(document)
+  }
+};
+
+/**
+ * Get the definition of an export format
+ * @param {string} format - Format key (pdf, docx, epub, html)
+ * @returns {Object|null} - { contentType, readerEdition, render } or null when unsupported
+ */
+const getExportFormat = (format) => EXPORT_FORMATS[format] || null;
+
+/**
+ * List supported export format keys
+ * @returns {Array<string>} - Format keys
+ */
+const getSupportedFormats = () => Object.keys(EXPORT_FORMATS);
+
+/**
+ * Render a document model in the given format
+ * @param {Object} document - Document model
+ * @param {string} format - Format key
+ * @returns {Promise<Buffer>} - Rendered file
+ */
+const renderDocument = async (document, format) => {
+  const exportFormat = getExportFormat(format);
+  if (!exportFormat) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+  return exportFormat.render(document);
+};
+
+module.exports = {
+  getExportFormat,
+  getSupportedFormats,
+  renderDocument
+};
@@ -0,0 +1,225 @@
+/**
+ * Fact Verification Service
+ * Turns the plain toVerify string arrays of a draft into trackable
+ * verification records (fact_verifications table).
+ */
+
+const supabase = require('../config/database');
+
+const CATEGORIES = ['people', 'places', 'organizations', 'dates'];
+const STATUSES = ['unverified', 'confirmed', 'corrected', 'disputed'];
+const OPEN_STATUSES = ['unverified', 'disputed'];
+
+// Wrong names and dates are what clients dispute most, so they must be checked before approval
+const CRITICAL_CATEGORIES = ['people', 'dates'];
+
+const itemText = (item) => {
+  if (item && typeof item === 'object') {
+    return item.name || item.value || item.text || JSON.stringify(item);
+  }
+  return String(item || '').trim();
+};
+
+/**
+ * Create verification records for toVerify items a draft does not have yet
+ * Untouched records whose item disappeared (e.g. after a regeneration) are removed;
+ * records somebody already worked on are kept.
+ * @param {Object} draft - Draft row ({ id, session_id, content })
+ * @returns {Promise<Object>} - Result with { created, removed }
+ */
+const syncDraft = async (draft) => {
+  try {
+    const toVerify = draft.content?.toVerify || {};
+
+    const wanted = [];
+    CATEGORIES.forEach(category => {
+      const items = Array.isArray(toVerify[category]) ? toVerify[category] : [];
+      items.map(itemText).filter(Boolean).forEach(value => {
+        if (!wanted.some(w => w.category === category && w.original_value === value)) {
+          wanted.push({ category, original_value: value });
+        }
+      });
+    });
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('fact_verifications')
+      .select('id, category, original_value, status, verified_by')
+      .eq('draft_id', draft.id);
+
+    if (fetchError) throw fetchError;
+
+    const key = (record) => `${record.category}\u0000${record.original_value}`;
+    const existingKeys = new Set((existing || []).map(key));
+    const wantedKeys = new Set(wanted.map(key));
+
+    const toCreate = wanted
+      .filter(item => !existingKeys.has(key(item)))
+      .map(item => ({
+        session_id: draft.session_id,
+        draft_id: draft.id,
+        interview_id: draft.content?.interview_id ? String(draft.content.interview_id) : null,
+        category: item.category,
+        original_value: item.original_value,
+        status: 'unverified',
+        is_critical: CRITICAL_CATEGORIES.includes(item.category)
+      }));
+
+    const toRemove = (existing || [])
+      .filter(record => !wantedKeys.has(key(record)) && record.status === 'unverified' && !record.verified_by)
+      .map(record => record.id);
+
+    if (toCreate.length > 0) {
+      const { error } = await supabase.from('fact_verifications').insert(toCreate);
+      if (error) throw error;
+    }
+
+    if (toRemove.length > 0) {
+      const { error } = await supabase.from('fact_verifications').delete().in('id', toRemove);
+      if (error) throw error;
+    }
+
+    if (toCreate.length > 0 || toRemove.length > 0) {
+      console.log(`🔎 Verification items synced for draft ${draft.id}: +${toCreate.length} / -${toRemove.length}`);
+    }
+
+    return { success: true, data: { created: toCreate.length, removed: toRemove.length } };
+
+  } catch (error) {
+    console.error('❌ Error syncing verification items:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * List verification records
+ * @param {Object} filters - Filters
+ * @param {string} [filters.sessionId] - Session ID
+ * @param {string} [filters.draftId] - Draft ID
+ * @param {string} [filters.status] - 'open' (default), 'all' or a single status
+ * @param {string} [filters.category] - Only this category
+ * @param {boolean} [filters.criticalOnly] - Only critical items
+ * @returns {Promise<Object>} - Result with records
+ */
+const getVerifications = async ({ sessionId, draftId, status = 'open', category, criticalOnly = false } = {}) => {
+  try {
+    let query = supabase
+      .from('fact_verifications')
+      .select('*');
+
+    if (sessionId) query = query.eq('session_id', sessionId);
+    if (draftId) query = query.eq('draft_id', draftId);
+    if (category) query = query.eq('category', category);
+    if (criticalOnly) query = query.eq('is_critical', true);
+
+    if (status === 'open') {
+      query = query.in('status', OPEN_STATUSES);
+    } else if (status && status !== 'all') {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query
+      .order('category', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    return { success: true, data: data || [] };
+
+  } catch (error) {
+    console.error('❌ Error fetching verification items:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Record the outcome of checking a fact
+ * @param {string} verificationId - Verification record ID
+ * @param {Object} update - Update data
+ * @param {string} [update.status] - New status
+ * @param {string} [update.correctedValue] - Correct value (required for 'corrected')
+ * @param {string} [update.source] - Where the fact was checked
+ * @param {string} [update.notes] - Free-text notes
+ * @param {boolean} [update.critical] - Override the critical flag
+ * @param {string} [update.verifiedBy] - Who checked it
+ * @param {string} [sessionId] - Session the record must belong to
+ * @returns {Promise<Object>} - Result with the updated record
+ */
+const updateVerification = async (verificationId, { status, correctedValue, source, notes, critical, verifiedBy }, sessionId = null) => {
+  try {
+    if (status !== undefined && !STATUSES.includes(status)) {
+      return { success: false, error: `Invalid status. Must be one of: ${STATUSES.join(', ')}`, invalid: true };
+    }
+
+    if (status === 'corrected' && !(correctedValue && String(correctedValue).trim())) {
+      return { success: false, error: 'A corrected value is required when status is corrected', invalid: true };
+    }
+
+    let query = supabase
+      .from('fact_verifications')
+      .select('*')
+      .eq('id', verificationId);
+
+    if (sessionId) query = query.eq('session_id', sessionId);
+
+    const { data: current, error: fetchError } = await query.single();
+
+    if (fetchError) {
+      if (fetchError.code === 'PGRST116') {
+        return { success: false, error: 'Verification item not found', notFound: true };
+      }
+      throw fetchError;
+    }
+
+    const updateRecord = { updated_at: new Date().toISOString() };
+
+    if (status !== undefined) {
+      updateRecord.status = status;
+      updateRecord.corrected_value = status === 'corrected' ? String(correctedValue).trim() : null;
+      updateRecord.verified_by = status === 'unverified' ? null : (verifiedBy || null);
+      updateRecord.verified_at = status === 'unverified' ? null : new Date().toISOString();
+    }
+    if (source !== undefined) updateRecord.source = source;
+    if (notes !== undefined) updateRecord.notes = notes;
+    if (critical !== undefined) updateRecord.is_critical = Boolean(critical);
+
+    const { data, error } = await supabase
+      .from('fact_verifications')
+      .update(updateRecord)
+      .eq('id', current.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`🔎 Verification item ${current.id} (${current.category}: ${current.original_value}) -> ${data.status}`);
+
+    return { success: true, data };
+
+  } catch (error) {
+    console.error('❌ Error updating verification item:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Open critical items of a draft (the ones that block approval)
+ * Syncs the draft first so drafts created before verification tracking are covered.
+ * @param {Object} draft - Draft row
+ * @returns {Promise<Object>} - Result with records
+ */
+const getOpenCriticalItems = async (draft) => {
+  const syncResult = await syncDraft(draft);
+  if (!syncResult.success) return syncResult;
+
+  return getVerifications({ draftId: draft.id, status: 'open', criticalOnly: true });
+};
+
+module.exports = {
+  CATEGORIES,
+  STATUSES,
+  OPEN_STATUSES,
+  syncDraft,
+  getVerifications,
+  updateVerification,
+  getOpenCriticalItems
+};
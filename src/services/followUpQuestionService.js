@@ -0,0 +1,443 @@
+/**
+ * Follow-up Question Service
+ * Collects the followUps of every draft into a per-session question bank
+ * (follow_up_questions table) and builds interviewer guides from it.
+ */
+
+const supabase = require('../config/database');
+
+const STATUSES = ['suggested', 'accepted', 'dismissed', 'assigned', 'asked'];
+
+// Interview statuses that can still get questions assigned
+const UPCOMING_INTERVIEW_STATUSES = ['pending', 'scheduled'];
+
+const questionText = (item) => {
+  if (item && typeof item === 'object') {
+    return String(item.question || item.text || '').trim();
+  }
+  return String(item || '').trim();
+};
+
+// Same question regardless of punctuation, case or niqqud
+const normalizeQuestion = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[֑-ׇ]/g, '')
+  .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Fetch an interview with the fields the question bank needs
+ * @param {string} interviewId - Interview ID
+ * @returns {Promise<Object|null>} - Interview row or null
+ */
+const getInterview = async (interviewId) => {
+  const { data, error } = await supabase
+    .from('interviews')
+    .select('id, session_id, name, type, status, scheduled_date')
+    .eq('id', interviewId)
+    .single();
+
+  if (error || !data) return null;
+  return data;
+};
+
+/**
+ * Add the follow-ups of a draft to its session's question bank
+ * Questions already in the bank (from this or another draft) are not added twice;
+ * untouched suggestions the draft no longer contains (e.g. after a regeneration) are removed.
+ * @param {Object} draft - Draft row ({ id, session_id, content })
+ * @returns {Promise<Object>} - Result with { created, removed }
+ */
+const syncDraft = async (draft) => {
+  try {
+    const followUps = Array.isArray(draft.content?.followUps) ? draft.content.followUps : [];
+    const wanted = [];
+    followUps.map(questionText).filter(Boolean).forEach(text => {
+      if (!wanted.some(w => normalizeQuestion(w) === normalizeQuestion(text))) {
+        wanted.push(text);
+      }
+    });
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('follow_up_questions')
+      .select('id, source_draft_id, original_text, question, status, updated_by')
+      .eq('session_id', draft.session_id);
+
+    if (fetchError) throw fetchError;
+
+    const known = new Set();
+    (existing || []).forEach(record => {
+      known.add(normalizeQuestion(record.original_text));
+      known.add(normalizeQuestion(record.question));
+    });
+
+    const interviewId = draft.content?.interview_id ? String(draft.content.interview_id) : null;
+    const toCreate = wanted
+      .filter(text => !known.has(normalizeQuestion(text)))
+      .map(text => ({
+        session_id: draft.session_id,
+        source_draft_id: draft.id,
+        source_interview_id: interviewId,
+        original_text: text,
+        question: text,
+        status: 'suggested',
+        created_by: 'ai'
+      }));
+
+    const wantedKeys = new Set(wanted.map(normalizeQuestion));
+    const toRemove = (existing || [])
+      .filter(record => record.source_draft_id === draft.id &&
+        record.status === 'suggested' &&
+        !record.updated_by &&
+        !wantedKeys.has(normalizeQuestion(record.original_text)))
+      .map(record => record.id);
+
+    if (toCreate.length > 0) {
+      const { error } = await supabase.from('follow_up_questions').insert(toCreate);
+      if (error) throw error;
+    }
+
+    if (toRemove.length > 0) {
+      const { error } = await supabase.from('follow_up_questions').delete().in('id', toRemove);
+      if (error) throw error;
+    }
+
+    if (toCreate.length > 0 || toRemove.length > 0) {
+      console.log(`❓ Question bank for draft ${draft.id}: ${toCreate.length} added, ${toRemove.length} removed`);
+    }
+
+    return { success: true, data: { created: toCreate.length, removed: toRemove.length } };
+
+  } catch (error) {
+    console.error('❌ Error syncing follow-up questions:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * List the question bank of a session
+ * @param {Object} filters - Query filters
+ * @param {string} filters.sessionId - Session ID
+ * @param {string} [filters.status] - 'all', 'open' (everything but dismissed and asked) or one of STATUSES
+ * @param {string} [filters.interviewId] - Only questions assigned to this interview
+ * @returns {Promise<Object>} - Result with questions
+ */
+const getQuestions = async ({ sessionId, status = 'all', interviewId }) => {
+  try {
+    let query = supabase
+      .from('follow_up_questions')
+      .select('*')
+      .eq('session_id', sessionId);
+
+    if (interviewId) query = query.eq('assigned_interview_id', String(interviewId));
+
+    if (status === 'open') {
+      query = query.in('status', ['suggested', 'accepted', 'assigned']);
+    } else if (status && status !== 'all') {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query
+      .order('position', { ascending: true, nullsFirst: false })
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    return { success: true, data: data || [] };
+
+  } catch (error) {
+    console.error('❌ Error fetching follow-up questions:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Validate that an interview can receive questions of a session
+ * @param {string} interviewId - Interview ID
+ * @param {string} sessionId - Session ID
+ * @param {boolean} [requireUpcoming=true] - Planned questions need an interview that has not happened yet
+ * @returns {Promise<string|null>} - Error message, or null when valid
+ */
+const validateAssignment = async (interviewId, sessionId, requireUpcoming = true) => {
+  const interview = await getInterview(interviewId);
+  if (!interview || interview.session_id !== sessionId) {
+    return 'Interview not found in this session';
+  }
+  if (requireUpcoming && !UPCOMING_INTERVIEW_STATUSES.includes(interview.status)) {
+    return `Questions can only be assigned to ${UPCOMING_INTERVIEW_STATUSES.join(' or ')} interviews`;
+  }
+  return null;
+};
+
+/**
+ * Add a question to the bank by hand
+ * @param {Object} question - Question data
+ * @param {string} question.sessionId - Session ID
+ * @param {string} question.question - Question text
+ * @param {string} [question.assignedInterviewId] - Interview to assign it to
+ * @param {string} [question.notes] - Context for the interviewer
+ * @param {string} [question.answer] - Answer, when the question was already asked
+ * @param {boolean} [question.asked] - The question was already asked (also implied by an answer)
+ * @param {string} [question.createdBy] - Admin adding the question
+ * @returns {Promise<Object>} - Result with the question
+ */
+const createQuestion = async ({ sessionId, question, assignedInterviewId, notes, answer, asked = false, createdBy }) => {
+  try {
+    const text = questionText(question);
+    if (!text) {
+      return { success: false, error: 'Question text is required', invalid: true };
+    }
+
+    const hasAnswer = Boolean(answer && String(answer).trim());
+    const wasAsked = asked || hasAnswer;
+
+    if (assignedInterviewId) {
+      // A question asked during an interview is recorded even though the interview is under way
+      const assignmentError = await validateAssignment(assignedInterviewId, sessionId, !wasAsked);
+      if (assignmentError) return { success: false, error: assignmentError, invalid: true };
+    }
+
+    const { data, error } = await supabase
+      .from('follow_up_questions')
+      .insert({
+        session_id: sessionId,
+        question: text,
+        status: wasAsked ? 'asked' : (assignedInterviewId ? 'assigned' : 'accepted'),
+        assigned_interview_id: assignedInterviewId ? String(assignedInterviewId) : null,
+        notes: notes || null,
+        answer: hasAnswer ? String(answer).trim() : null,
+        asked_at: wasAsked ? new Date().toISOString() : null,
+        created_by: createdBy || null,
+        updated_by: createdBy || null
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { success: true, data };
+
+  } catch (error) {
+    console.error('❌ Error creating follow-up question:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Accept, edit, dismiss, assign or answer a question
+ * Assigning an interview sets the status to 'assigned'; unassigning (assignedInterviewId: null)
+ * moves an assigned question back to 'accepted'; an answer marks it 'asked'.
+ * @param {string} questionId - Question ID
+ * @param {Object} update - Changes
+ * @param {string} [update.status] - One of STATUSES
+ * @param {string} [update.question] - New wording
+ * @param {string|null} [update.assignedInterviewId] - Interview to assign to, or null to unassign
+ * @param {number} [update.position] - Order within the interviewer guide
+ * @param {string} [update.notes] - Context for the interviewer
+ * @param {string} [update.answer] - Answer given during the interview
+ * @param {string} [update.updatedBy] - Admin making the change
+ * @param {string} [sessionId] - When given, the question must belong to this session
+ * @returns {Promise<Object>} - Result with the updated question
+ */
+const updateQuestion = async (questionId, update, sessionId = null) => {
+  try {
+    const { status, question, assignedInterviewId, position, notes, answer, updatedBy } = update;
+
+    if (status !== undefined && !STATUSES.includes(status)) {
+      return { success: false, error: `Invalid status. Must be one of: ${STATUSES.join(', ')}`, invalid: true };
+    }
+
+    if (question !== undefined && !questionText(question)) {
+      return { success: false, error: 'Question text cannot be empty', invalid: true };
+    }
+
+    let query = supabase.from('follow_up_questions').select('*').eq('id', questionId);
+    if (sessionId) query = query.eq('session_id', sessionId);
+
+    const { data: current, error: fetchError } = await query.single();
+    if (fetchError) {
+      if (fetchError.code === 'PGRST116') {
+        return { success: false, error: 'Question not found', notFound: true };
+      }
+      throw fetchError;
+    }
+
+    const updateRecord = {
+      updated_by: updatedBy || null,
+      updated_at: new Date().toISOString()
+    };
+
+    if (question !== undefined) updateRecord.question = questionText(question);
+    if (notes !== undefined) updateRecord.notes = notes || null;
+    if (position !== undefined) updateRecord.position = Number.isInteger(position) ? position : null;
+
+    const hasAnswer = answer !== undefined && Boolean(String(answer || '').trim());
+
+    if (assignedInterviewId !== undefined) {
+      if (assignedInterviewId) {
+        const asking = status === 'asked' || hasAnswer;
+        const assignmentError = await validateAssignment(assignedInterviewId, current.session_id, !asking);
+        if (assignmentError) return { success: false, error: assignmentError, invalid: true };
+
+        updateRecord.assigned_interview_id = String(assignedInterviewId);
+        updateRecord.status = 'assigned';
+      } else {
+        updateRecord.assigned_interview_id = null;
+        if (current.status === 'assigned') updateRecord.status = 'accepted';
+      }
+    }
+
+    if (status !== undefined) {
+      if (status === 'assigned' && !(updateRecord.assigned_interview_id || current.assigned_interview_id)) {
+        return { success: false, error: 'Assign an interview (assignedInterviewId) to mark a question as assigned', invalid: true };
+      }
+      updateRecord.status = status;
+    }
+
+    if (hasAnswer) {
+      updateRecord.answer = String(answer).trim();
+      updateRecord.status = 'asked';
+    }
+
+    if (updateRecord.status === 'asked' && current.status !== 'asked') {
+      updateRecord.asked_at = new Date().toISOString();
+    }
+
+    const { data, error } = await supabase
+      .from('follow_up_questions')
+      .update(updateRecord)
+      .eq('id', questionId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { success: true, data };
+
+  } catch (error) {
+    console.error('❌ Error updating follow-up question:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Next interview of a session that has not happened yet, earliest scheduled first
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} - Interview row or null
+ */
+const getNextInterview = async (sessionId) => {
+  const { data, error } = await supabase
+    .from('interviews')
+    .select('id, session_id, name, type, status, scheduled_date')
+    .eq('session_id', sessionId)
+    .in('status', UPCOMING_INTERVIEW_STATUSES);
+
+  if (error || !data || data.length === 0) return null;
+
+  // Interviews without a date come after the scheduled ones
+  const time = (interview) => (interview.scheduled_date ? new Date(interview.scheduled_date).getTime() : Infinity);
+  return [...data].sort((a, b) => time(a) - time(b))[0];
+};
+
+const GUIDE_LABELS = {
+  he: {
+    title: 'מדריך למראיין',
+    client: 'מרואיין',
+    interview: 'ריאיון',
+    scheduled: 'מועד',
+    planned: 'שאלות לריאיון',
+    backlog: 'שאלות נוספות מהמאגר',
+    none: 'אין שאלות מתוכננות.'
+  },
+  en: {
+    title: 'Interviewer Guide',
+    client: 'Client',
+    interview: 'Interview',
+    scheduled: 'Scheduled',
+    planned: 'Questions for this interview',
+    backlog: 'More questions from the bank',
+    none: 'No questions planned.'
+  }
+};
+
+/**
+ * Build the interviewer guide for an interview of a session
+ * Lists the questions assigned to the interview, then accepted questions not yet
+ * assigned anywhere, with the interview each one came from.
+ * @param {string} sessionId - Session ID
+ * @param {string} [interviewId] - Interview to prepare; defaults to the next scheduled interview
+ * @returns {Promise<Object>} - Result with { interview, questions, additionalQuestions, markdown }
+ */
+const getInterviewerGuide = async (sessionId, interviewId = null) => {
+  try {
+    const interview = interviewId ? await getInterview(interviewId) : await getNextInterview(sessionId);
+    if (!interview || interview.session_id !== sessionId) {
+      return {
+        success: false,
+        error: interviewId ? 'Interview not found in this session' : 'No upcoming interview in this session',
+        notFound: true
+      };
+    }
+
+    const { data: session } = await supabase
+      .from('sessions')
+      .select('id, client_name, preferences')
+      .eq('id', sessionId)
+      .single();
+
+    const bank = await getQuestions({ sessionId, status: 'open' });
+    if (!bank.success) throw new Error(bank.error);
+
+    const questions = bank.data.filter(q => q.status === 'assigned' && q.assigned_interview_id === String(interview.id));
+    const additionalQuestions = bank.data.filter(q => q.status === 'accepted' && !q.assigned_interview_id);
+
+    const language = session?.preferences?.preferred_language === 'hebrew' ||
+      session?.preferences?.preferred_language === 'he' ? 'he' : 'en';
+    const labels = GUIDE_LABELS[language];
+
+    const formatQuestion = (q, index) => {
+      const lines = [`${index + 1}. ${q.question}`];
+      if (q.notes) lines.push(`   - ${q.notes}`);
+      return lines.join('\n');
+    };
+
+    const markdown = [
+      `# ${labels.title}`,
+      '',
+      `**${labels.client}:** ${session?.client_name || '-'}`,
+      `**${labels.interview}:** ${interview.name || interview.type || interview.id}`,
+      interview.scheduled_date ? `**${labels.scheduled}:** ${new Date(interview.scheduled_date).toISOString().slice(0, 16).replace('T', ' ')}` : null,
+      '',
+      `## ${labels.planned}`,
+      '',
+      questions.length ? questions.map(formatQuestion).join('\n') : labels.none,
+      additionalQuestions.length ? `\n## ${labels.backlog}\n\n${additionalQuestions.map(formatQuestion).join('\n')}` : null
+    ].filter(line => line !== null).join('\n');
+
+    return {
+      success: true,
+      data: {
+        interview,
+        clientName: session?.client_name || null,
+        questions,
+        additionalQuestions,
+        markdown
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Error building interviewer guide:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+module.exports = {
+  STATUSES,
+  syncDraft,
+  getQuestions,
+  createQuestion,
+  updateQuestion,
+  getInterview,
+  getInterviewerGuide
+};
@@ -0,0 +1,296 @@
+/**
+ * Friend Invite Service
+ * Scoped, expiring invite links that let a relative contribute a recording or
+ * written memories to one interview (friend_invites table).
+ */
+
+const crypto = require('crypto');
+const supabase = require('../config/database');
+const config = require('../config/config');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Shape an invite row for API responses (never includes the token hash)
+ * @param {Object} invite - Invite row
+ * @returns {Object} - Public invite data
+ */
+const toPublicInvite = (invite) => {
+  const { token_hash: tokenHash, ...rest } = invite;
+  return {
+    ...rest,
+    expired: new Date(invite.expires_at).getTime() < Date.now()
+  };
+};
+
+/**
+ * Create an invite for an interview
+ * @param {Object} invite - Invite data
+ * @param {string} invite.interviewId - Interview the relative contributes to
+ * @param {string} invite.sessionId - Session of the interview
+ * @param {string} invite.name - Relative's name
+ * @param {string} [invite.relationship] - Relation to the client
+ * @param {string} [invite.email] - Relative's email
+ * @param {string} [invite.phone] - Relative's phone
+ * @param {string} [invite.message] - Personal note shown on the invite page
+ * @param {number} [invite.expiresInDays] - Link lifetime
+ * @param {string} [invite.invitedBy] - Admin who sent the invite
+ * @returns {Promise<Object>} - Result with { invite, token, link }
+ */
+const createInvite = async ({ interviewId, sessionId, name, relationship, email, phone, message, expiresInDays, invitedBy }) => {
+  try {
+    const days = parseInt(expiresInDays, 10) > 0 ? parseInt(expiresInDays, 10) : config.friendInvites.expiryDays;
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    const { data, error } = await supabase
+      .from('friend_invites')
+      .insert({
+        interview_id: String(interviewId),
+        session_id: sessionId,
+        token_hash: hashToken(token),
+        invitee_name: name,
+        relationship: relationship || null,
+        email: email || null,
+        phone: phone || null,
+        message: message || null,
+        status: 'pending',
+        expires_at: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString(),
+        invited_by: invitedBy || null
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`💌 Friend invite ${data.id} created for interview ${interviewId} (${name})`);
+
+    return {
+      success: true,
+      data: {
+        invite: toPublicInvite(data),
+        token,
+        link: `${config.friendInvites.linkBaseUrl.replace(/\/$/, '')}/friend/${token}`
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Error creating friend invite:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Resolve a link token to a usable invite
+ * @param {string} token - Token from the invite link
+ * @returns {Promise<Object>} - Result with the invite row; `gone` is set for revoked, expired or used links
+ */
+const getInviteByToken = async (token) => {
+  try {
+    const { data, error } = await supabase
+      .from('friend_invites')
+      .select('*')
+      .eq('token_hash', hashToken(token))
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return { success: false, error: 'Invite not found', notFound: true };
+      }
+      throw error;
+    }
+
+    if (data.status === 'revoked') {
+      return { success: false, error: 'This invite has been cancelled', gone: true };
+    }
+
+    if (data.status === 'submitted') {
+      return { success: false, error: 'This invite has already been used', gone: true };
+    }
+
+    if (new Date(data.expires_at).getTime() < Date.now()) {
+      return { success: false, error: 'This invite has expired', gone: true };
+    }
+
+    return { success: true, data };
+
+  } catch (error) {
+    console.error('❌ Error resolving friend invite:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Record that the relative opened the invite page
+ * @param {Object} invite - Invite row
+ * @returns {Promise<Object>} - Result with the updated invite
+ */
+const markOpened = async (invite) => {
+  if (invite.status !== 'pending') {
+    return { success: true, data: invite };
+  }
+
+  const { data, error } = await supabase
+    .from('friend_invites')
+    .update({ status: 'opened', opened_at: new Date().toISOString() })
+    .eq('id', invite.id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Error marking friend invite as opened:', error);
+    return { success: false, error: error.message };
+  }
+
+  return { success: true, data };
+};
+
+/**
+ * Claim the invite for a submission; the link stops working afterwards
+ * Only a pending or opened, unexpired invite can be claimed, so of two concurrent
+ * submissions only one gets the invite back
+ * @param {string} inviteId - Invite ID
+ * @returns {Promise<Object>} - Result with the updated invite; `gone` when it was already used
+ */
+const markSubmitted = async (inviteId) => {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('friend_invites')
+    .update({
+      status: 'submitted',
+      submitted_at: now
+    })
+    .eq('id', inviteId)
+    .in('status', ['pending', 'opened'])
+    .gt('expires_at', now)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error('❌ Error marking friend invite as submitted:', error);
+    return { success: false, error: error.message };
+  }
+
+  if (!data) {
+    return { success: false, error: 'This invite has already been used', gone: true };
+  }
+
+  return { success: true, data: toPublicInvite(data) };
+};
+
+/**
+ * Keep what the relative submitted on their invite
+ * @param {string} inviteId - Invite ID
+ * @param {Object} submission - { type, fileMetadata?, text?, textLength?, jobId }
+ * @returns {Promise<Object>} - Result with the updated invite
+ */
+const saveSubmission = async (inviteId, submission) => {
+  const { data, error } = await supabase
+    .from('friend_invites')
+    .update({ submission })
+    .eq('id', inviteId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Error saving friend invite submission:', error);
+    return { success: false, error: error.message };
+  }
+
+  return { success: true, data: toPublicInvite(data) };
+};
+
+/**
+ * Give a claimed invite back when its submission could not be processed, so the relative can retry
+ * @param {string} inviteId - Invite ID
+ * @returns {Promise<void>}
+ */
+const releaseInvite = async (inviteId) => {
+  const { error } = await supabase
+    .from('friend_invites')
+    .update({ status: 'opened', submitted_at: null })
+    .eq('id', inviteId)
+    .eq('status', 'submitted')
+    .is('submission', null);
+
+  if (error) {
+    console.error('❌ Error releasing friend invite:', error);
+  }
+};
+
+/**
+ * List the invites of an interview
+ * @param {string} interviewId - Interview ID
+ * @returns {Promise<Object>} - Result with invites, newest first
+ */
+const getInvitesByInterview = async (interviewId) => {
+  try {
+    const { data, error } = await supabase
+      .from('friend_invites')
+      .select('*')
+      .eq('interview_id', String(interviewId))
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    return { success: true, data: (data || []).map(toPublicInvite) };
+
+  } catch (error) {
+    console.error('❌ Error fetching friend invites:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Cancel an invite that has not been used yet
+ * @param {string} interviewId - Interview the invite belongs to
+ * @param {string} inviteId - Invite ID
+ * @returns {Promise<Object>} - Result with the revoked invite
+ */
+const revokeInvite = async (interviewId, inviteId) => {
+  try {
+    const { data: invite, error: fetchError } = await supabase
+      .from('friend_invites')
+      .select('*')
+      .eq('id', inviteId)
+      .eq('interview_id', String(interviewId))
+      .single();
+
+    if (fetchError) {
+      if (fetchError.code === 'PGRST116') {
+        return { success: false, error: 'Invite not found', notFound: true };
+      }
+      throw fetchError;
+    }
+
+    if (invite.status === 'submitted') {
+      return { success: false, error: 'Invite has already been used', conflict: true };
+    }
+
+    const { data, error } = await supabase
+      .from('friend_invites')
+      .update({ status: 'revoked', revoked_at: new Date().toISOString() })
+      .eq('id', inviteId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { success: true, data: toPublicInvite(data) };
+
+  } catch (error) {
+    console.error('❌ Error revoking friend invite:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+module.exports = {
+  createInvite,
+  getInviteByToken,
+  markOpened,
+  markSubmitted,
+  saveSubmission,
+  releaseInvite,
+  getInvitesByInterview,
+  revokeInvite,
+  toPublicInvite
+};
@@ -137,7 +137,15 @@ const getFullLifeStoryById = async (storyId) => {
   try {
     const { data, error } = await supabase
       .from('full_life_stories')
-      .select('*')
+      .select(`
+        *,
+        sessions (
+          id,
+          client_name,
+          client_age,
+          status
+        )
+      `)
       .eq('id', storyId)
       .single();
 
@@ -375,6 +383,133 @@ const updateFullLifeStoryReviewNotes = async (storyId, reviewNotes, reviewedBy)
   }
 };
 
+/**
+ * Record that a full life story was exported in a given format
+ * Keeps one entry per format in export_formats, refreshed on each export
+ * @param {string} storyId - Full life story ID
+ * @param {string} format - Export format (pdf, docx, ...)
+ * @param {string} exportedBy - User email or ID who exported it
+ * @returns {Promise<Object>} - Result with success status and updated export formats
+ */
+const recordExportFormat = async (storyId, format, exportedBy) => {
+  try {
+    const { data: story, error: fetchError } = await supabase
+      .from('full_life_stories')
+      .select('export_formats')
+      .eq('id', storyId)
+      .single();
+
+    if (fetchError) {
+      console.error('❌ Error fetching export formats:', fetchError);
+      return {
+        success: false,
+        error: fetchError.message
+      };
+    }
+
+    const existing = Array.isArray(story.export_formats) ? story.export_formats : [];
+    const previous = existing.find(entry => (entry.format || entry) === format);
+    const entry = {
+      format,
+      last_exported_at: new Date().toISOString(),
+      last_exported_by: exportedBy || null,
+      export_count: (previous?.export_count || 0) + 1
+    };
+    const exportFormats = [
+      ...existing.filter(item => (item.format || item) !== format),
+      entry
+    ];
+
+    const { data, error } = await supabase
+      .from('full_life_stories')
+      .update({ export_formats: exportFormats })
+      .eq('id', storyId)
+      .select('id, export_formats')
+      .single();
+
+    if (error) {
+      console.error('❌ Error recording export format:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+
+    return {
+      success: true,
+      data
+    };
+
+  } catch (error) {
+    console.error('❌ Error in recordExportFormat:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Update the delivery status of one delivery channel (epub, html, print, ...)
+ * Other channels in delivery_status are left untouched
+ * @param {string} storyId - Full life story ID
+ * @param {string} channel - Delivery channel key
+ * @param {Object} status - Status details (status, generated_at, ...)
+ * @returns {Promise<Object>} - Result with success status and updated delivery status
+ */
+const updateDeliveryStatus = async (storyId, channel, status) => {
+  try {
+    const { data: story, error: fetchError } = await supabase
+      .from('full_life_stories')
+      .select('delivery_status')
+      .eq('id', storyId)
+      .single();
+
+    if (fetchError) {
+      console.error('❌ Error fetching delivery status:', fetchError);
+      return {
+        success: false,
+        error: fetchError.message
+      };
+    }
+
+    const deliveryStatus = {
+      ...(story.delivery_status || {}),
+      [channel]: {
+        ...status,
+        updated_at: new Date().toISOString()
+      }
+    };
+
+    const { data, error } = await supabase
+      .from('full_life_stories')
+      .update({ delivery_status: deliveryStatus })
+      .eq('id', storyId)
+      .select('id, delivery_status')
+      .single();
+
+    if (error) {
+      console.error('❌ Error updating delivery status:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+
+    return {
+      success: true,
+      data
+    };
+
+  } catch (error) {
+    console.error('❌ Error in updateDeliveryStatus:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
 /**
  * Delete full life story (soft delete by archiving)
  * @param {string} storyId - Story ID
@@ -550,6 +685,8 @@ module.exports = {
   getCurrentFullLifeStory,
   updateFullLifeStoryStatus,
   updateFullLifeStoryReviewNotes,
+  recordExportFormat,
+  updateDeliveryStatus,
   archiveFullLifeStory,
   getFullLifeStoriesStats
 };
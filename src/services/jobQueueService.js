@@ -0,0 +1,564 @@
+/**
+ * Job Queue Service
+ * Durable background job queue backed by the `jobs` table.
+ *
+ * Jobs survive restarts: a job is only removed from the queue once its
+ * handler succeeds, failed attempts are retried with exponential backoff,
+ * and jobs that exhaust their attempts are moved to the `dead` state
+ * (dead-letter) where an admin can inspect and re-queue them.
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const supabase = require('../config/database');
+const config = require('../config/config');
+
+// Unique per boot: a restarted container keeps its hostname and often its pid
+const WORKER_ID = `${os.hostname()}-${crypto.randomUUID()}`;
+
+// Registered job handlers: type -> { handle, onDead }
+const handlers = new Map();
+
+let activeJobs = 0;
+let pollTimer = null;
+let isStarted = false;
+let isPolling = false;
+
+/**
+ * Register the handler for a job type
+ * @param {string} type - Job type (e.g. 'interview.transcribe')
+ * @param {Object} handler - Handler definition
+ * @param {Function} handler.handle - async (payload, job) => result; throw to fail the attempt
+ * @param {Function} [handler.onDead] - async (payload, job, error) called once the job is dead-lettered
+ */
+const registerHandler = (type, handler) => {
+  if (!handler || typeof handler.handle !== 'function') {
+    throw new Error(`Job handler for ${type} must provide a handle function`);
+  }
+  handlers.set(type, handler);
+};
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Job type
+ * @param {Object} payload - JSON-serializable job data
+ * @param {Object} options - Job options
+ * @param {string} [options.referenceType] - Type of the entity the job works on
+ * @param {string} [options.referenceId] - ID of the entity the job works on
+ * @param {number} [options.maxAttempts] - Override the default attempt limit
+ * @param {string} [options.createdBy] - User email or ID who queued the job
+ * @returns {Promise<Object>} - Result with success status and the created job
+ */
+const enqueue = async (type, payload, options = {}) => {
+  try {
+    if (!handlers.has(type)) {
+      throw new Error(`No handler registered for job type: ${type}`);
+    }
+
+    const { data, error } = await supabase
+      .from('jobs')
+      .insert({
+        type,
+        payload: payload || {},
+        status: 'queued',
+        max_attempts: options.maxAttempts || config.jobs.maxAttempts,
+        run_at: new Date().toISOString(),
+        reference_type: options.referenceType || null,
+        reference_id: options.referenceId ? String(options.referenceId) : null,
+        created_by: options.createdBy || null
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Error enqueuing job:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+
+    console.log(`🔄 Queued job ${data.id} (${type})`);
+
+    // Don't wait for the next poll when there is free capacity
+    if (isStarted) {
+      setImmediate(processQueue);
+    }
+
+    return {
+      success: true,
+      data
+    };
+
+  } catch (error) {
+    console.error('❌ Error in enqueue:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Compute the backoff delay before the next attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay in milliseconds
+ */
+const getBackoffDelay = (attempts) => {
+  const delay = config.jobs.backoffBaseDelay * Math.pow(2, Math.max(attempts - 1, 0));
+  return Math.min(delay, config.jobs.backoffMaxDelay);
+};
+
+/**
+ * Claim a job for this worker
+ * The conditional update only succeeds while the job is still claimable,
+ * so two workers can never run the same job.
+ * @param {Object} job - Candidate job row
+ * @returns {Promise<Object|null>} - Claimed job or null when another worker won
+ */
+const claimJob = async (job) => {
+  const { data, error } = await supabase
+    .from('jobs')
+    .update({
+      status: 'running',
+      attempts: job.attempts + 1,
+      locked_by: WORKER_ID,
+      locked_at: new Date().toISOString()
+    })
+    .eq('id', job.id)
+    .eq('status', job.status)
+    .eq('attempts', job.attempts)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error(`❌ Error claiming job ${job.id}:`, error);
+    return null;
+  }
+
+  return data;
+};
+
+/**
+ * Run one claimed job and record the outcome
+ * @param {Object} job - Claimed job row
+ */
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+  console.log(`⏳ Starting job ${job.id} (${job.type}), attempt ${job.attempts}/${job.max_attempts}`);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type: ${job.type}`);
+    }
+
+    const result = await handler.handle(job.payload, job);
+
+    const { data: completed, error: completeError } = await supabase
+      .from('jobs')
+      .update({
+        status: 'completed',
+        result: result === undefined ? null : result,
+        last_error: null,
+        locked_by: null,
+        locked_at: null,
+        completed_at: new Date().toISOString()
+      })
+      .eq('id', job.id)
+      .eq('locked_by', WORKER_ID)
+      .select('id')
+      .maybeSingle();
+
+    if (completeError) throw completeError;
+    if (!completed) {
+      console.warn(`⚠️ Job ${job.id} (${job.type}) finished after its lock was recovered; outcome not recorded`);
+      return;
+    }
+
+    console.log(`✅ Completed job ${job.id} (${job.type})`);
+
+  } catch (error) {
+    const errorMessage = error?.message || String(error);
+    const errorHistory = [
+      ...(Array.isArray(job.error_history) ? job.error_history : []),
+      { attempt: job.attempts, error: errorMessage, failed_at: new Date().toISOString() }
+    ];
+    const isDead = job.attempts >= job.max_attempts || !handler;
+
+    const update = {
+      status: isDead ? 'dead' : 'retrying',
+      last_error: errorMessage,
+      error_history: errorHistory,
+      locked_by: null,
+      locked_at: null
+    };
+
+    if (!isDead) {
+      update.run_at = new Date(Date.now() + getBackoffDelay(job.attempts)).toISOString();
+    }
+
+    // Only the lock holder records the outcome; a recovered job belongs to whoever claimed it next
+    const { data: failed, error: failError } = await supabase
+      .from('jobs')
+      .update(update)
+      .eq('id', job.id)
+      .eq('locked_by', WORKER_ID)
+      .select('id')
+      .maybeSingle();
+
+    if (failError) {
+      console.error(`❌ Error recording failure of job ${job.id}:`, failError);
+      return;
+    }
+    if (!failed) {
+      console.warn(`⚠️ Job ${job.id} (${job.type}) failed after its lock was recovered; outcome not recorded:`, errorMessage);
+      return;
+    }
+
+    if (isDead) {
+      console.error(`💀 Job ${job.id} (${job.type}) moved to dead-letter after ${job.attempts} attempts:`, errorMessage);
+
+      if (handler?.onDead) {
+        try {
+          await handler.onDead(job.payload, job, error);
+        } catch (hookError) {
+          console.error(`❌ Dead-letter hook failed for job ${job.id}:`, hookError);
+        }
+      }
+    } else {
+      console.warn(`🔄 Job ${job.id} (${job.type}) failed attempt ${job.attempts}/${job.max_attempts}, retrying at ${update.run_at}:`, errorMessage);
+    }
+  }
+};
+
+/**
+ * Claim and start as many due jobs as there is free capacity for
+ */
+const processQueue = async () => {
+  if (!isStarted || isPolling) {
+    return;
+  }
+
+  isPolling = true;
+
+  try {
+    const freeSlots = config.jobs.maxConcurrent - activeJobs;
+    if (freeSlots <= 0) {
+      return;
+    }
+
+    const { data: candidates, error } = await supabase
+      .from('jobs')
+      .select('*')
+      .in('status', ['queued', 'retrying'])
+      .lte('run_at', new Date().toISOString())
+      .in('type', Array.from(handlers.keys()))
+      .order('run_at', { ascending: true })
+      .limit(freeSlots);
+
+    if (error) {
+      console.error('❌ Error fetching due jobs:', error);
+      return;
+    }
+
+    for (const candidate of candidates || []) {
+      const job = await claimJob(candidate);
+      if (!job) continue;
+
+      activeJobs++;
+      runJob(job).finally(() => {
+        activeJobs--;
+        setImmediate(processQueue);
+      });
+    }
+
+  } catch (error) {
+    console.error('❌ Error processing job queue:', error);
+  } finally {
+    isPolling = false;
+  }
+};
+
+/**
+ * Put jobs left in `running` by a stopped worker back in the queue
+ * A lock older than config.jobs.lockTimeout (or no lock at all) marks the job as
+ * abandoned; younger locks may belong to another live instance, e.g. during a
+ * rolling deploy, and are left alone.
+ * @returns {Promise<number>} - Number of recovered jobs
+ */
+const recoverJobs = async () => {
+  const staleBefore = new Date(Date.now() - config.jobs.lockTimeout).toISOString();
+
+  const { data: runningJobs, error } = await supabase
+    .from('jobs')
+    .select('id, type, attempts, max_attempts, locked_by, locked_at')
+    .eq('status', 'running')
+    .or(`locked_at.is.null,locked_at.lt."${staleBefore}"`);
+
+  if (error) {
+    console.error('❌ Error fetching in-flight jobs for recovery:', error);
+    return 0;
+  }
+
+  let recovered = 0;
+
+  for (const job of runningJobs || []) {
+    const exhausted = job.attempts >= job.max_attempts;
+    const { error: updateError } = await supabase
+      .from('jobs')
+      .update({
+        status: exhausted ? 'dead' : 'queued',
+        last_error: `Worker ${job.locked_by || 'unknown'} stopped while the job was running`,
+        locked_by: null,
+        locked_at: null,
+        run_at: new Date().toISOString()
+      })
+      .eq('id', job.id)
+      .eq('status', 'running');
+
+    if (!updateError) {
+      recovered++;
+      console.log(`♻️ Recovered in-flight job ${job.id} (${job.type}) -> ${exhausted ? 'dead' : 'queued'}`);
+    }
+  }
+
+  return recovered;
+};
+
+/**
+ * Start the worker: recover jobs interrupted by the last shutdown and begin polling
+ */
+const start = async () => {
+  if (isStarted) return;
+  isStarted = true;
+
+  try {
+    const recovered = await recoverJobs();
+    if (recovered > 0) {
+      console.log(`♻️ Recovered ${recovered} in-flight job(s) on boot`);
+    }
+  } catch (error) {
+    console.error('❌ Error recovering jobs on boot:', error);
+  }
+
+  pollTimer = setInterval(async () => {
+    await recoverJobs();
+    await processQueue();
+  }, config.jobs.pollInterval);
+
+  console.log(`🧵 Job queue worker ${WORKER_ID} started (max ${config.jobs.maxConcurrent} concurrent jobs)`);
+
+  processQueue();
+};
+
+/**
+ * Stop polling for new jobs (running jobs are allowed to finish)
+ */
+const stop = () => {
+  isStarted = false;
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
+
+/**
+ * Get queue status: job counts per state plus this worker's activity
+ * @returns {Promise<Object>} - Result with success status and status data
+ */
+const getQueueStatus = async () => {
+  try {
+    const states = ['queued', 'running', 'retrying', 'completed', 'dead'];
+
+    const counts = await Promise.all(states.map(async (status) => {
+      const { count, error } = await supabase
+        .from('jobs')
+        .select('id', { count: 'exact', head: true })
+        .eq('status', status);
+
+      if (error) throw error;
+      return [status, count || 0];
+    }));
+
+    const { data: nextJob } = await supabase
+      .from('jobs')
+      .select('run_at')
+      .in('status', ['queued', 'retrying'])
+      .order('run_at', { ascending: true })
+      .limit(1)
+      .maybeSingle();
+
+    return {
+      success: true,
+      data: {
+        counts: Object.fromEntries(counts),
+        nextRunAt: nextJob?.run_at || null,
+        worker: {
+          id: WORKER_ID,
+          running: isStarted,
+          activeJobs,
+          maxConcurrentJobs: config.jobs.maxConcurrent,
+          registeredTypes: Array.from(handlers.keys())
+        }
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Error in getQueueStatus:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * List jobs with optional filters
+ * @param {Object} filters - { status, type, referenceType, referenceId, limit, offset }
+ * @returns {Promise<Object>} - Result with success status and jobs
+ */
+const getJobs = async (filters = {}) => {
+  try {
+    const limit = Math.min(parseInt(filters.limit) || 50, 200);
+    const offset = parseInt(filters.offset) || 0;
+
+    let query = supabase
+      .from('jobs')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (filters.status) query = query.eq('status', filters.status);
+    if (filters.type) query = query.eq('type', filters.type);
+    if (filters.referenceType) query = query.eq('reference_type', filters.referenceType);
+    if (filters.referenceId) query = query.eq('reference_id', String(filters.referenceId));
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      console.error('❌ Error fetching jobs:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+
+    return {
+      success: true,
+      data,
+      pagination: {
+        total: count || 0,
+        limit,
+        offset
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Error in getJobs:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Get a single job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} - Result with success status and job
+ */
+const getJobById = async (jobId) => {
+  try {
+    const { data, error } = await supabase
+      .from('jobs')
+      .select('*')
+      .eq('id', jobId)
+      .single();
+
+    if (error) {
+      return {
+        success: false,
+        error: error.code === 'PGRST116' ? 'Job not found' : error.message
+      };
+    }
+
+    return {
+      success: true,
+      data
+    };
+
+  } catch (error) {
+    console.error('❌ Error in getJobById:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Re-queue a dead job with a fresh set of attempts
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} - Result with success status and updated job
+ */
+const retryJob = async (jobId) => {
+  try {
+    const { data, error } = await supabase
+      .from('jobs')
+      .update({
+        status: 'queued',
+        attempts: 0,
+        run_at: new Date().toISOString(),
+        locked_by: null,
+        locked_at: null
+      })
+      .eq('id', jobId)
+      .eq('status', 'dead')
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('❌ Error retrying job:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+
+    if (!data) {
+      return {
+        success: false,
+        error: 'Only dead jobs can be retried'
+      };
+    }
+
+    console.log(`🔄 Re-queued dead job ${jobId}`);
+
+    if (isStarted) {
+      setImmediate(processQueue);
+    }
+
+    return {
+      success: true,
+      data
+    };
+
+  } catch (error) {
+    console.error('❌ Error in retryJob:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  start,
+  stop,
+  getQueueStatus,
+  getJobs,
+  getJobById,
+  retryJob
+};
@@ -0,0 +1,446 @@
+/**
+ * Notification Service
+ * Renders templated messages, stores them in the notifications table and
+ * delivers them through the configured transport via the job queue, so failed
+ * deliveries are retried. Every delivery attempt is logged through loggingService.
+ */
+
+const supabase = require('../config/database');
+const config = require('../config/config');
+const jobQueueService = require('./jobQueueService');
+const loggingService = require('./loggingService');
+const staffDirectoryService = require('./staffDirectoryService');
+const { getTransport } = require('./notificationTransports');
+const { renderTemplate } = require('../utils/notificationTemplates');
+
+let reminderTimer = null;
+let reminderRunActive = false;
+
+/**
+ * Message language for a client from the session preferences
+ * @param {Object} session - Session row
+ * @returns {string} - 'he' or 'en'
+ */
+const clientLanguage = (session) => {
+  const preferred = String(session?.preferences?.preferred_language || '').toLowerCase();
+  if (preferred === 'english' || preferred === 'en') return 'en';
+  // Hebrew is the platform default, also for 'auto-detect'
+  return 'he';
+};
+
+const appLink = (pathname) => `${config.notifications.appUrl.replace(/\/$/, '')}${pathname}`;
+
+const getSession = async (sessionId) => {
+  const { data, error } = await supabase
+    .from('sessions')
+    .select('id, client_name, client_email, assigned_admin, preferences')
+    .eq('id', sessionId)
+    .single();
+
+  if (error || !data) return null;
+
+  // assigned_admin is a user id; messages go to the owner's email
+  const ownerEmails = await staffDirectoryService.getUserEmails([data.assigned_admin]);
+  return { ...data, owner_email: ownerEmails.get(data.assigned_admin) || null };
+};
+
+/**
+ * Store a notification and queue its delivery
+ * @param {Object} notification - Notification data
+ * @param {string} notification.template - Template name
+ * @param {string} notification.to - Recipient email
+ * @param {string} notification.language - 'he' or 'en'
+ * @param {Object} notification.data - Template data
+ * @param {string} [notification.dedupeKey] - A second notification with the same key is skipped
+ * @param {string} [notification.sessionId] - Related session
+ * @param {string} [notification.interviewId] - Related interview
+ * @param {string} [notification.draftId] - Related draft
+ * @returns {Promise<Object>} - Result with the notification; `skipped` when disabled or a duplicate
+ */
+const queueNotification = async ({ template, to, language, data, dedupeKey, sessionId, interviewId, draftId }) => {
+  try {
+    if (!config.notifications.enabled) {
+      return { success: true, skipped: true, reason: 'Notifications are disabled' };
+    }
+
+    if (!to) {
+      return { success: true, skipped: true, reason: 'No recipient' };
+    }
+
+    const rendered = renderTemplate(template, language, data);
+
+    const { data: notification, error } = await supabase
+      .from('notifications')
+      .insert({
+        template,
+        recipient: to,
+        language: rendered.language,
+        subject: rendered.subject,
+        body_text: rendered.text,
+        body_html: rendered.html,
+        status: 'queued',
+        dedupe_key: dedupeKey || null,
+        session_id: sessionId || null,
+        interview_id: interviewId ? String(interviewId) : null,
+        draft_id: draftId || null
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return { success: true, skipped: true, reason: 'Already sent' };
+      }
+      throw error;
+    }
+
+    const jobResult = await jobQueueService.enqueue('notification.send', { notificationId: notification.id }, {
+      referenceType: 'notification',
+      referenceId: notification.id,
+      createdBy: 'notifications'
+    });
+
+    if (!jobResult.success) {
+      throw new Error(`Failed to queue notification delivery: ${jobResult.error}`);
+    }
+
+    return { success: true, data: notification };
+
+  } catch (error) {
+    console.error('❌ Error queueing notification:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const logDelivery = (notification, eventAction, details, severity = 'info') => loggingService.logEvent({
+  eventType: 'notification',
+  eventAction,
+  userEmail: notification.recipient,
+  sessionId: notification.session_id,
+  interviewId: notification.interview_id,
+  resourceId: notification.id,
+  resourceType: 'notification',
+  eventData: {
+    template: notification.template,
+    transport: config.notifications.transport,
+    ...details
+  },
+  severity
+});
+
+/**
+ * Deliver a stored notification (notification.send job handler)
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<Object>} - { messageId }; throws to retry the delivery
+ */
+const deliverNotification = async (notificationId) => {
+  const { data: notification, error } = await supabase
+    .from('notifications')
+    .select('*')
+    .eq('id', notificationId)
+    .single();
+
+  if (error || !notification) {
+    throw new Error(`Notification ${notificationId} not found`);
+  }
+
+  if (notification.status === 'sent') {
+    return { messageId: notification.message_id, alreadySent: true };
+  }
+
+  const attempts = (notification.attempts || 0) + 1;
+
+  try {
+    const transport = getTransport();
+    const { messageId } = await transport.send({
+      from: config.notifications.from,
+      to: notification.recipient,
+      subject: notification.subject,
+      text: notification.body_text,
+      html: notification.body_html
+    });
+
+    await supabase
+      .from('notifications')
+      .update({
+        status: 'sent',
+        transport: transport.name,
+        message_id: messageId || null,
+        attempts,
+        last_error: null,
+        sent_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', notificationId);
+
+    await logDelivery(notification, 'notification_sent', { attempt: attempts, messageId });
+
+    return { messageId };
+
+  } catch (sendError) {
+    await supabase
+      .from('notifications')
+      .update({ attempts, last_error: sendError.message, updated_at: new Date().toISOString() })
+      .eq('id', notificationId);
+
+    await logDelivery(notification, 'notification_attempt_failed', { attempt: attempts, error: sendError.message }, 'warning');
+
+    throw sendError;
+  }
+};
+
+/**
+ * Tell the right people that a draft changed stage
+ *  - pending_approval: the configured reviewers
+ *  - approved / rejected: the staff member who owns the session
+ * @param {Object} change - Stage change
+ * @param {Object} change.draft - Draft row after the change
+ * @param {string} change.fromStage - Previous stage
+ * @param {string} change.toStage - New stage
+ * @param {string} [change.actor] - Who made the change (not notified about their own action)
+ * @param {string} [change.reason] - Rejection reason
+ * @returns {Promise<Object>} - Result with the number of queued notifications
+ */
+const notifyDraftStageChanged = async ({ draft, fromStage, toStage, actor, reason }) => {
+  try {
+    if (!draft || fromStage === toStage) {
+      return { success: true, data: { queued: 0 } };
+    }
+
+    const session = await getSession(draft.session_id);
+    if (!session) {
+      return { success: true, data: { queued: 0 } };
+    }
+
+    let template = null;
+    let recipients = [];
+
+    if (toStage === 'pending_approval') {
+      template = 'draft_pending_approval';
+      recipients = config.notifications.reviewerEmails;
+    } else if (toStage === 'approved' || toStage === 'rejected') {
+      template = 'draft_stage_changed';
+      recipients = session.owner_email ? [session.owner_email] : [];
+    }
+
+    recipients = [...new Set(recipients)].filter(email => email !== actor);
+    if (!template || recipients.length === 0) {
+      return { success: true, data: { queued: 0 } };
+    }
+
+    const data = {
+      clientName: session.client_name,
+      draftTitle: draft.title || draft.content?.title,
+      toStage,
+      actor,
+      reason,
+      url: appLink(`/admin/draft-review?sessionId=${draft.session_id}&draftId=${draft.id}`)
+    };
+
+    let queued = 0;
+    for (const recipient of recipients) {
+      const result = await queueNotification({
+        template,
+        to: recipient,
+        language: config.notifications.staffLanguage,
+        data,
+        dedupeKey: `draft_stage:${draft.id}:${toStage}:${draft.updated_at || ''}:${recipient}`,
+        sessionId: draft.session_id,
+        draftId: draft.id
+      });
+      if (result.success && !result.skipped) queued++;
+    }
+
+    return { success: true, data: { queued } };
+
+  } catch (error) {
+    console.error('❌ Error notifying draft stage change:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Tell the session owner that a full life story was generated
+ * @param {Object} story - Saved full life story row ({ id, session_id, title, version })
+ * @returns {Promise<Object>} - Result
+ */
+const notifyStoryCompleted = async (story) => {
+  try {
+    const session = await getSession(story.session_id);
+    if (!session?.owner_email) {
+      return { success: true, data: { queued: 0 } };
+    }
+
+    const result = await queueNotification({
+      template: 'story_completed',
+      to: session.owner_email,
+      language: config.notifications.staffLanguage,
+      data: {
+        clientName: session.client_name,
+        storyTitle: story.title,
+        version: story.version,
+        url: appLink(`/admin/full-life-stories?sessionId=${story.session_id}`)
+      },
+      dedupeKey: `story_completed:${story.id}:${session.owner_email}`,
+      sessionId: story.session_id
+    });
+
+    return { success: result.success, data: { queued: result.success && !result.skipped ? 1 : 0 }, error: result.error };
+
+  } catch (error) {
+    console.error('❌ Error notifying story completion:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Queue reminders for scheduled interviews starting within the reminder window
+ * Each client and interviewer is reminded once per interview date; moving an
+ * interview to a new date produces a new reminder.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} - Result with { interviews, queued }
+ */
+const sendInterviewReminders = async (now = new Date()) => {
+  try {
+    const windowEnd = new Date(now.getTime() + config.notifications.reminderHoursBefore * 60 * 60 * 1000);
+
+    const { data: interviews, error } = await supabase
+      .from('interviews')
+      .select('id, session_id, name, type, status, scheduled_date, duration, location, assigned_to')
+      .eq('status', 'scheduled')
+      .gte('scheduled_date', now.toISOString())
+      .lte('scheduled_date', windowEnd.toISOString());
+
+    if (error) throw error;
+
+    let queued = 0;
+    for (const interview of interviews || []) {
+      const session = await getSession(interview.session_id);
+      if (!session) continue;
+
+      const data = {
+        clientName: session.client_name,
+        interviewName: interview.name,
+        scheduledDate: interview.scheduled_date,
+        durationMinutes: interview.duration,
+        location: interview.location,
+        url: appLink(`/admin/sessions/${session.id}`)
+      };
+
+      const reminders = [
+        { template: 'interview_reminder_client', to: session.client_email, language: clientLanguage(session) },
+        { template: 'interview_reminder_staff', to: interview.assigned_to || session.owner_email, language: config.notifications.staffLanguage }
+      ];
+
+      for (const reminder of reminders) {
+        if (!reminder.to) continue;
+
+        const result = await queueNotification({
+          ...reminder,
+          data,
+          dedupeKey: `interview_reminder:${interview.id}:${new Date(interview.scheduled_date).toISOString()}:${reminder.to}`,
+          sessionId: session.id,
+          interviewId: interview.id
+        });
+        if (result.success && !result.skipped) queued++;
+      }
+    }
+
+    if (queued > 0) {
+      console.log(`⏰ Queued ${queued} interview reminder(s)`);
+    }
+
+    return { success: true, data: { interviews: (interviews || []).length, queued } };
+
+  } catch (error) {
+    console.error('❌ Error sending interview reminders:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * List notifications, newest first
+ * @param {Object} filters - { status?, sessionId?, limit? }
+ * @returns {Promise<Object>} - Result with notifications
+ */
+const getNotifications = async ({ status, sessionId, limit = 50 } = {}) => {
+  try {
+    let query = supabase
+      .from('notifications')
+      .select('id, template, recipient, language, subject, status, session_id, interview_id, draft_id, transport, attempts, last_error, sent_at, created_at');
+
+    if (status) query = query.eq('status', status);
+    if (sessionId) query = query.eq('session_id', sessionId);
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(Math.min(parseInt(limit, 10) || 50, 200));
+
+    if (error) throw error;
+
+    return { success: true, data: data || [] };
+
+  } catch (error) {
+    console.error('❌ Error fetching notifications:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Start checking for upcoming interviews periodically
+ */
+const startReminderScheduler = () => {
+  if (reminderTimer || !config.notifications.enabled) return;
+
+  const run = async () => {
+    if (reminderRunActive) return;
+    reminderRunActive = true;
+    try {
+      await sendInterviewReminders();
+    } finally {
+      reminderRunActive = false;
+    }
+  };
+
+  reminderTimer = setInterval(run, config.notifications.reminderCheckInterval);
+  run();
+
+  console.log(`⏰ Interview reminders: checking every ${Math.round(config.notifications.reminderCheckInterval / 60000)} min, ${config.notifications.reminderHoursBefore}h ahead (${config.notifications.transport} transport)`);
+};
+
+/**
+ * Stop the reminder checks
+ */
+const stopReminderScheduler = () => {
+  if (reminderTimer) {
+    clearInterval(reminderTimer);
+    reminderTimer = null;
+  }
+};
+
+jobQueueService.registerHandler('notification.send', {
+  handle: ({ notificationId }) => deliverNotification(notificationId),
+  onDead: async ({ notificationId }, job, error) => {
+    const { data: notification } = await supabase
+      .from('notifications')
+      .update({ status: 'failed', last_error: error?.message, updated_at: new Date().toISOString() })
+      .eq('id', notificationId)
+      .select()
+      .single();
+
+    if (notification) {
+      await logDelivery(notification, 'notification_failed', { attempts: job.attempts, error: error?.message }, 'error');
+    }
+  }
+});
+
+module.exports = {
+  queueNotification,
+  deliverNotification,
+  notifyDraftStageChanged,
+  notifyStoryCompleted,
+  sendInterviewReminders,
+  getNotifications,
+  startReminderScheduler,
+  stopReminderScheduler
+};
@@ -0,0 +1,103 @@
+/**
+ * Notification Transports
+ * Every transport implements `send({ from, to, subject, text, html })` and
+ * resolves with `{ messageId }`, or throws so the delivery job is retried.
+ *  - smtp:    real email through nodemailer
+ *  - file:    writes each message as an .eml file (development, staging)
+ *  - console: prints the message (default outside production)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config/config');
+
+const createSmtpTransport = () => {
+  const nodemailer = require('nodemailer');
+  const { host, port, secure, user, pass } = config.notifications.smtp;
+
+  if (!host) {
+    throw new Error('SMTP_HOST is required for the smtp notification transport');
+  }
+
+  const mailer = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await mailer.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+// RFC 2047 encoded-word, so Hebrew subjects survive any mail client
+const encodeHeader = (value) => `=?UTF-8?B?${Buffer.from(String(value), 'utf8').toString('base64')}?=`;
+
+const toEml = (message, messageId) => [
+  `Message-ID: ${messageId}`,
+  `Date: ${new Date().toUTCString()}`,
+  `From: ${message.from}`,
+  `To: ${message.to}`,
+  `Subject: ${encodeHeader(message.subject)}`,
+  'MIME-Version: 1.0',
+  'Content-Type: text/html; charset=UTF-8',
+  'Content-Transfer-Encoding: base64',
+  '',
+  Buffer.from(message.html || message.text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n')
+].join('\r\n');
+
+const createFileTransport = () => ({
+  name: 'file',
+  send: async (message) => {
+    const id = crypto.randomUUID();
+    const messageId = `<${id}@legamunity.local>`;
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${id}.eml`;
+
+    await fs.ensureDir(config.notifications.outboxDir);
+    await fs.writeFile(path.join(config.notifications.outboxDir, fileName), toEml(message, messageId));
+
+    return { messageId };
+  }
+});
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    const messageId = `<${crypto.randomUUID()}@legamunity.local>`;
+    console.log(`📧 [notification] To: ${message.to}\n   Subject: ${message.subject}\n   ${message.text.replace(/\n/g, '\n   ')}`);
+    return { messageId };
+  }
+});
+
+const FACTORIES = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+/**
+ * The configured transport (created on first use)
+ * @returns {Object} - Transport with name and send()
+ */
+const getTransport = () => {
+  if (!transport) {
+    const factory = FACTORIES[config.notifications.transport];
+    if (!factory) {
+      throw new Error(`Unknown notification transport: ${config.notifications.transport}. Use one of: ${Object.keys(FACTORIES).join(', ')}`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+module.exports = {
+  getTransport
+};
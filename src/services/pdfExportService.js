@@ -0,0 +1,277 @@
+/**
+ * PDF Export Service
+ * Renders story documents (see utils/storyDocument.js) to PDF buffers.
+ *
+ * pdfkit has no bidirectional text support, so lines are wrapped here in
+ * logical order and then reordered for display with the Unicode Bidi
+ * Algorithm before drawing. Hebrew runs are handed to pdfkit already in
+ * visual order (fontkit would otherwise reverse them a second time).
+ */
+
+const PDFDocument = require('pdfkit');
+const bidi = require('bidi-js')();
+const config = require('../config/config');
+
+const RTL_SCRIPT_CHAR = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+
+const STYLES = {
+  title: { font: 'bold', size: 28, lineGap: 8 },
+  subtitle: { font: 'regular', size: 16, lineGap: 6 },
+  chapterTitle: { font: 'bold', size: 20, lineGap: 6 },
+  heading: { font: 'bold', size: 14, lineGap: 4 },
+  paragraph: { font: 'regular', size: 12, lineGap: 5 },
+  list_item: { font: 'regular', size: 12, lineGap: 5 },
+  pageNumber: { font: 'regular', size: 10, lineGap: 0 }
+};
+
+const PAGE_MARGIN = 60;
+const LIST_INDENT = 18;
+
+class PdfExportService {
+  /**
+   * Render a document model to a PDF buffer
+   * @param {Object} document - Document model from storyDocument
+   * @returns {Promise<Buffer>} - PDF file contents
+   */
+  renderPdf(document) {
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({
+          size: config.exports.pdf.pageSize,
+          margin: PAGE_MARGIN,
+          bufferPages: true,
+          lang: document.language,
+          info: {
+            Title: document.title || 'Life Story',
+            Author: document.metadata?.clientName || 'Legamunity',
+            Creator: 'Legamunity'
+          }
+        });
+
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        doc.registerFont('regular', config.exports.pdf.fontRegular);
+        doc.registerFont('bold', config.exports.pdf.fontBold);
+
+        const direction = document.direction || 'ltr';
+
+        this._renderCover(doc, document, direction);
+
+        for (const chapter of document.chapters || []) {
+          doc.addPage();
+
+          if (chapter.title) {
+            this._renderParagraph(doc, chapter.title, STYLES.chapterTitle, direction);
+            doc.y += 12;
+          }
+
+          for (const block of chapter.blocks) {
+            // Photos are only embedded in the reader editions (EPUB/HTML)
+            if (block.type === 'image') continue;
+
+            const style = STYLES[block.type] || STYLES.paragraph;
+            if (block.type === 'heading') {
+              doc.y += 6;
+            }
+            this._renderParagraph(doc, block.text, style, direction, {
+              bullet: block.type === 'list_item'
+            });
+            doc.y += block.type === 'heading' ? 4 : 8;
+          }
+        }
+
+        this._renderPageNumbers(doc);
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Render the cover page (title, subtitle, client name)
+   * @private
+   */
+  _renderCover(doc, document, direction) {
+    doc.y = doc.page.height / 3;
+
+    this._renderParagraph(doc, document.title || '', STYLES.title, direction, { align: 'center' });
+
+    if (document.subtitle) {
+      doc.y += 10;
+      this._renderParagraph(doc, document.subtitle, STYLES.subtitle, direction, { align: 'center' });
+    }
+
+    if (document.metadata?.clientName && document.metadata.clientName !== document.title) {
+      doc.y += 24;
+      this._renderParagraph(doc, document.metadata.clientName, STYLES.subtitle, direction, { align: 'center' });
+    }
+  }
+
+  /**
+   * Stamp page numbers on every page except the cover
+   * @private
+   */
+  _renderPageNumbers(doc) {
+    const range = doc.bufferedPageRange();
+
+    for (let i = range.start + 1; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+
+      // Writing inside the bottom margin would otherwise trigger a new page
+      const bottomMargin = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+
+      const label = String(i - range.start);
+      doc.font(STYLES.pageNumber.font).fontSize(STYLES.pageNumber.size);
+      const width = doc.widthOfString(label);
+      doc.text(label, (doc.page.width - width) / 2, doc.page.height - bottomMargin / 2, {
+        lineBreak: false
+      });
+
+      doc.page.margins.bottom = bottomMargin;
+    }
+  }
+
+  /**
+   * Wrap and draw one paragraph, handling mixed-direction text
+   * @private
+   */
+  _renderParagraph(doc, text, style, baseDirection, options = {}) {
+    if (!text) return;
+
+    doc.font(style.font).fontSize(style.size);
+
+    const paragraphDirection = this._paragraphDirection(text, baseDirection);
+    const indent = options.bullet ? LIST_INDENT : 0;
+    const left = doc.page.margins.left;
+    const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const lineWidth = contentWidth - indent;
+    const lineHeight = doc.currentLineHeight(true) + style.lineGap;
+
+    const embedding = bidi.getEmbeddingLevels(text, paragraphDirection);
+    const lines = this._wrapLines(doc, text, lineWidth);
+
+    lines.forEach((line, lineIndex) => {
+      if (doc.y + lineHeight > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+        doc.font(style.font).fontSize(style.size);
+      }
+
+      const visualRuns = this._visualRuns(text, embedding, line.start, line.end);
+      const width = visualRuns.reduce((sum, run) => sum + doc.widthOfString(run), 0);
+
+      let x;
+      if (options.align === 'center') {
+        x = left + (contentWidth - width) / 2;
+      } else if (paragraphDirection === 'rtl') {
+        x = left + contentWidth - indent - width;
+      } else {
+        x = left + indent;
+      }
+
+      if (options.bullet && lineIndex === 0) {
+        const bulletX = paragraphDirection === 'rtl' ? left + contentWidth - indent / 2 : left + indent / 2 - 4;
+        doc.text('•', bulletX, doc.y, { lineBreak: false });
+      }
+
+      const y = doc.y;
+      for (const run of visualRuns) {
+        doc.text(run, x, y, { lineBreak: false, features: [] });
+        x += doc.widthOfString(run);
+      }
+
+      doc.x = left;
+      doc.y = y + lineHeight;
+    });
+  }
+
+  /**
+   * Determine paragraph direction from its first strong character
+   * @private
+   */
+  _paragraphDirection(text, fallback) {
+    const match = text.match(/[A-Za-z\u00C0-\u024F\u0590-\u08FF\uFB1D-\uFDFF]/);
+    if (!match) return fallback;
+    return RTL_SCRIPT_CHAR.test(match[0]) ? 'rtl' : 'ltr';
+  }
+
+  /**
+   * Greedy word wrap in logical order
+   * @private
+   * @returns {Array} - [{ start, end }] with end exclusive, trailing spaces trimmed
+   */
+  _wrapLines(doc, text, maxWidth) {
+    const lines = [];
+    const words = [];
+    const wordPattern = /\S+/g;
+    let match;
+    while ((match = wordPattern.exec(text)) !== null) {
+      words.push({ start: match.index, end: match.index + match[0].length });
+    }
+
+    let lineStart = null;
+    let lineEnd = null;
+
+    for (const word of words) {
+      if (lineStart === null) {
+        lineStart = word.start;
+        lineEnd = word.end;
+        continue;
+      }
+
+      const candidateWidth = doc.widthOfString(text.slice(lineStart, word.end));
+      if (candidateWidth > maxWidth) {
+        lines.push({ start: lineStart, end: lineEnd });
+        lineStart = word.start;
+      }
+      lineEnd = word.end;
+    }
+
+    if (lineStart !== null) {
+      lines.push({ start: lineStart, end: lineEnd });
+    }
+
+    return lines;
+  }
+
+  /**
+   * Reorder a line for display and split it into runs that can be drawn
+   * left to right. RTL-script runs are reversed back to logical order
+   * because fontkit reverses them itself during layout.
+   * @private
+   */
+  _visualRuns(text, embedding, start, end) {
+    // end is inclusive for bidi-js; characters outside the line stay in place
+    const visualText = bidi.getReorderedString(text, embedding, start, end - 1).slice(start, end);
+
+    const runs = [];
+    let current = '';
+    let currentIsRtl = null;
+
+    for (const char of visualText) {
+      const isRtl = RTL_SCRIPT_CHAR.test(char);
+      const joinsCurrent = currentIsRtl === null
+        || isRtl === currentIsRtl
+        || (char === ' ' && currentIsRtl);
+
+      if (joinsCurrent) {
+        current += char;
+        if (currentIsRtl === null) currentIsRtl = isRtl;
+      } else {
+        runs.push({ text: current, rtl: currentIsRtl });
+        current = char;
+        currentIsRtl = isRtl;
+      }
+    }
+    if (current) runs.push({ text: current, rtl: currentIsRtl });
+
+    return runs.map(run => (run.rtl ? Array.from(run.text).reverse().join('') : run.text));
+  }
+}
+
+module.exports = new PdfExportService();
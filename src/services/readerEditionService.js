@@ -0,0 +1,368 @@
+/**
+ * Reader Edition Service
+ * Builds the family-facing "reader edition" of a story: an EPUB 3 book for
+ * e-readers and a self-contained HTML file for phones. Both get a table of
+ * contents built from the chapters, the cover and photos embedded in the
+ * file, and direction/language metadata so Hebrew renders right-to-left.
+ */
+
+const axios = require('axios');
+const JSZip = require('jszip');
+const config = require('../config/config');
+const { getPublicBaseUrls } = require('./storageProviders');
+
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg'
+};
+
+const READER_CSS = `
+body { font-family: "Frank Ruehl CLM", "David", "Noto Serif Hebrew", Georgia, serif; line-height: 1.7; margin: 0 auto; max-width: 42em; padding: 1em 1.2em; }
+h1, h2, h3 { font-family: "Noto Sans Hebrew", Arial, sans-serif; line-height: 1.3; }
+h1.title { font-size: 2em; text-align: center; margin-top: 2em; }
+p.subtitle { font-size: 1.2em; text-align: center; }
+figure { margin: 1.5em 0; text-align: center; }
+figure img, img.cover { max-width: 100%; height: auto; }
+figcaption { font-size: 0.9em; color: #555; }
+nav.toc ol { padding-inline-start: 1.2em; }
+section.chapter { page-break-before: always; }
+`.trim();
+
+/**
+ * Whether an image URL points into one of our file stores
+ * Story content is editable, so anything else (internal hosts, cloud metadata
+ * endpoints) is never fetched by the server.
+ * @param {string} src - Image URL
+ * @returns {boolean}
+ */
+const isStoredFileUrl = (src) => {
+  let url;
+  try {
+    url = new URL(src);
+  } catch (error) {
+    return false;
+  }
+  if (!['http:', 'https:'].includes(url.protocol) || url.username || url.password) return false;
+
+  const target = `${url.origin}${url.pathname}`;
+  return getPublicBaseUrls().some(base => {
+    const allowed = new URL(base);
+    return target.startsWith(`${allowed.origin}${allowed.pathname}`);
+  });
+};
+
+/**
+ * Escape text for XML/HTML content and attributes
+ * @param {string} value - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+class ReaderEditionService {
+  /**
+   * Render a document model to an EPUB 3 buffer
+   * @param {Object} document - Document model from storyDocument
+   * @returns {Promise<Buffer>} - EPUB file contents
+   */
+  async renderEpub(document) {
+    const images = await this._loadImages(document);
+    const language = document.language || 'en';
+    const direction = document.direction || 'ltr';
+    const identifier = `urn:legamunity:${document.metadata?.sourceType || 'story'}:${document.metadata?.sourceId || Date.now()}`;
+    const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+    const chapters = (document.chapters || []).map((chapter, index) => ({
+      ...chapter,
+      fileName: `chapter-${index + 1}.xhtml`,
+      navTitle: chapter.title || `${index + 1}`
+    }));
+
+    const zip = new JSZip();
+
+    // The mimetype entry must come first and be stored uncompressed
+    zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+
+    zip.file('META-INF/container.xml', [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">',
+      '  <rootfiles>',
+      '    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>',
+      '  </rootfiles>',
+      '</container>'
+    ].join('\n'));
+
+    zip.file('OEBPS/style.css', READER_CSS);
+
+    const coverImage = document.cover ? images.get(document.cover.src) : null;
+    zip.file('OEBPS/cover.xhtml', this._xhtmlPage(document.title, language, direction, [
+      coverImage ? `<img class="cover" src="images/${coverImage.fileName}" alt="${escapeXml(document.title)}"/>` : '',
+      `<h1 class="title">${escapeXml(document.title)}</h1>`,
+      document.subtitle ? `<p class="subtitle">${escapeXml(document.subtitle)}</p>` : ''
+    ].join('\n')));
+
+    zip.file('OEBPS/nav.xhtml', this._xhtmlPage(document.title, language, direction, [
+      '<nav epub:type="toc" id="toc" class="toc">',
+      `  <h1>${escapeXml(this._tocLabel(language))}</h1>`,
+      '  <ol>',
+      ...chapters.map(chapter => `    <li><a href="${chapter.fileName}">${escapeXml(chapter.navTitle)}</a></li>`),
+      '  </ol>',
+      '</nav>'
+    ].join('\n')));
+
+    chapters.forEach(chapter => {
+      zip.file(`OEBPS/${chapter.fileName}`, this._xhtmlPage(
+        chapter.navTitle,
+        language,
+        direction,
+        this._chapterBody(chapter, src => {
+          const image = images.get(src);
+          return image ? `images/${image.fileName}` : null;
+        })
+      ));
+    });
+
+    for (const image of images.values()) {
+      zip.file(`OEBPS/images/${image.fileName}`, image.data);
+    }
+
+    const manifestItems = [
+      '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+      '<item id="cover" href="cover.xhtml" media-type="application/xhtml+xml"/>',
+      '<item id="css" href="style.css" media-type="text/css"/>',
+      ...chapters.map((chapter, index) =>
+        `<item id="chapter-${index + 1}" href="${chapter.fileName}" media-type="application/xhtml+xml"/>`),
+      ...Array.from(images.values()).map(image =>
+        `<item id="${image.id}" href="images/${image.fileName}" media-type="${image.mimeType}"${image === coverImage ? ' properties="cover-image"' : ''}/>`)
+    ];
+
+    zip.file('OEBPS/content.opf', [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${language}" dir="${direction}">`,
+      '  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">',
+      `    <dc:identifier id="book-id">${escapeXml(identifier)}</dc:identifier>`,
+      `    <dc:title>${escapeXml(document.title)}</dc:title>`,
+      `    <dc:language>${language}</dc:language>`,
+      document.metadata?.clientName ? `    <dc:creator>${escapeXml(document.metadata.clientName)}</dc:creator>` : '',
+      '    <dc:publisher>Legamunity</dc:publisher>',
+      `    <meta property="dcterms:modified">${modified}</meta>`,
+      '  </metadata>',
+      '  <manifest>',
+      ...manifestItems.map(item => `    ${item}`),
+      '  </manifest>',
+      `  <spine page-progression-direction="${direction}">`,
+      '    <itemref idref="cover"/>',
+      '    <itemref idref="nav"/>',
+      ...chapters.map((chapter, index) => `    <itemref idref="chapter-${index + 1}"/>`),
+      '  </spine>',
+      '</package>'
+    ].filter(Boolean).join('\n'));
+
+    return zip.generateAsync({
+      type: 'nodebuffer',
+      mimeType: 'application/epub+zip',
+      compression: 'DEFLATE'
+    });
+  }
+
+  /**
+   * Render a document model to a single self-contained HTML file
+   * Images are inlined as data URIs so the file works offline.
+   * @param {Object} document - Document model from storyDocument
+   * @returns {Promise<Buffer>} - HTML file contents
+   */
+  async renderHtml(document) {
+    const images = await this._loadImages(document);
+    const language = document.language || 'en';
+    const direction = document.direction || 'ltr';
+    const toDataUri = src => {
+      const image = images.get(src);
+      return image ? `data:${image.mimeType};base64,${image.data.toString('base64')}` : null;
+    };
+
+    const chapters = (document.chapters || []).map((chapter, index) => ({
+      ...chapter,
+      anchor: `chapter-${index + 1}`,
+      navTitle: chapter.title || `${index + 1}`
+    }));
+
+    const coverUri = document.cover ? toDataUri(document.cover.src) : null;
+
+    const html = [
+      '<!DOCTYPE html>',
+      `<html lang="${language}" dir="${direction}">`,
+      '<head>',
+      '<meta charset="utf-8">',
+      '<meta name="viewport" content="width=device-width, initial-scale=1">',
+      `<title>${escapeXml(document.title)}</title>`,
+      `<style>${READER_CSS}</style>`,
+      '</head>',
+      '<body>',
+      '<header>',
+      coverUri ? `<img class="cover" src="${coverUri}" alt="${escapeXml(document.title)}">` : '',
+      `<h1 class="title">${escapeXml(document.title)}</h1>`,
+      document.subtitle ? `<p class="subtitle">${escapeXml(document.subtitle)}</p>` : '',
+      '</header>',
+      '<nav class="toc">',
+      `<h2>${escapeXml(this._tocLabel(language))}</h2>`,
+      '<ol>',
+      ...chapters.map(chapter => `<li><a href="#${chapter.anchor}">${escapeXml(chapter.navTitle)}</a></li>`),
+      '</ol>',
+      '</nav>',
+      ...chapters.map(chapter =>
+        `<section class="chapter" id="${chapter.anchor}">\n${this._chapterBody(chapter, toDataUri)}\n</section>`),
+      '</body>',
+      '</html>'
+    ].filter(Boolean).join('\n');
+
+    return Buffer.from(html, 'utf8');
+  }
+
+  /**
+   * Build the XHTML/HTML body of a chapter
+   * @private
+   * @param {Object} chapter - Chapter from the document model
+   * @param {Function} resolveImage - Maps an image src to the embedded reference (or null to drop it)
+   */
+  _chapterBody(chapter, resolveImage) {
+    const parts = [];
+    let openList = false;
+
+    const closeList = () => {
+      if (openList) {
+        parts.push('</ul>');
+        openList = false;
+      }
+    };
+
+    if (chapter.title) {
+      parts.push(`<h2>${escapeXml(chapter.title)}</h2>`);
+    }
+
+    for (const block of chapter.blocks) {
+      if (block.type === 'list_item') {
+        if (!openList) {
+          parts.push('<ul>');
+          openList = true;
+        }
+        parts.push(`<li>${escapeXml(block.text)}</li>`);
+        continue;
+      }
+
+      closeList();
+
+      if (block.type === 'heading') {
+        parts.push(`<h3>${escapeXml(block.text)}</h3>`);
+      } else if (block.type === 'image') {
+        const src = resolveImage(block.src);
+        if (src) {
+          parts.push([
+            '<figure>',
+            `<img src="${src}" alt="${escapeXml(block.caption || '')}"/>`,
+            block.caption ? `<figcaption>${escapeXml(block.caption)}</figcaption>` : '',
+            '</figure>'
+          ].filter(Boolean).join(''));
+        }
+      } else {
+        parts.push(`<p>${escapeXml(block.text)}</p>`);
+      }
+    }
+
+    closeList();
+
+    return parts.join('\n');
+  }
+
+  /**
+   * Wrap a body in an EPUB XHTML page
+   * @private
+   */
+  _xhtmlPage(title, language, direction, body) {
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<!DOCTYPE html>',
+      `<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${language}" lang="${language}" dir="${direction}">`,
+      '<head>',
+      `<title>${escapeXml(title)}</title>`,
+      '<link rel="stylesheet" type="text/css" href="style.css"/>',
+      '</head>',
+      '<body>',
+      body,
+      '</body>',
+      '</html>'
+    ].join('\n');
+  }
+
+  /**
+   * Table of contents heading in the document language
+   * @private
+   */
+  _tocLabel(language) {
+    return language === 'he' ? 'תוכן העניינים' : 'Contents';
+  }
+
+  /**
+   * Download the cover and every image referenced by the document
+   * Only images in our file stores are fetched. Images that cannot be fetched
+   * are skipped so one broken link does not fail the whole export.
+   * @private
+   * @returns {Promise<Map>} - src -> { id, fileName, mimeType, data }
+   */
+  async _loadImages(document) {
+    const sources = new Set();
+    if (document.cover?.src) sources.add(document.cover.src);
+    for (const chapter of document.chapters || []) {
+      for (const block of chapter.blocks) {
+        if (block.type === 'image' && block.src) sources.add(block.src);
+      }
+    }
+
+    const images = new Map();
+    let index = 0;
+
+    for (const src of sources) {
+      if (!isStoredFileUrl(src)) {
+        console.warn('⚠️ Skipping image outside the file stores in reader edition:', src);
+        continue;
+      }
+
+      try {
+        const response = await axios.get(src, {
+          responseType: 'arraybuffer',
+          // A redirect could lead anywhere
+          maxRedirects: 0,
+          timeout: config.exports.reader.imageTimeout,
+          maxContentLength: config.exports.reader.maxImageBytes
+        });
+
+        const mimeType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        const extension = IMAGE_EXTENSIONS[mimeType];
+        if (!extension) {
+          console.warn(`⚠️ Skipping image with unsupported type ${mimeType}:`, src);
+          continue;
+        }
+
+        index += 1;
+        images.set(src, {
+          id: `image-${index}`,
+          fileName: `image-${index}.${extension}`,
+          mimeType,
+          data: Buffer.from(response.data)
+        });
+      } catch (error) {
+        console.warn('⚠️ Could not fetch image for reader edition:', src, error.message);
+      }
+    }
+
+    return images;
+  }
+}
+
+module.exports = new ReaderEditionService();
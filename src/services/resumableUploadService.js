@@ -0,0 +1,636 @@
+/**
+ * Resumable Upload Service
+ * Chunked uploads of long interview recordings (interview_uploads table).
+ * The client declares the file (size + sha256), sends numbered chunks with a
+ * per-chunk sha256, and asks to complete once every chunk is in. Chunks live on
+ * disk, so an interrupted upload resumes with the chunks that are missing.
+ * Progress is broadcast to the interview-${id} socket room.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const supabase = require('../config/database');
+const config = require('../config/config');
+
+// Same list processInterviewSubmission treats as audio
+const AUDIO_MIME_TYPES = ['audio/mpeg', 'audio/wav', 'audio/mp4', 'audio/x-m4a', 'audio/aac', 'audio/ogg', 'audio/webm', 'audio/flac', 'audio/m4a'];
+
+const SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+const uploadDir = (uploadId) => path.join(config.uploads.tempDir, uploadId);
+const chunkPath = (uploadId, index) => path.join(uploadDir(uploadId), `${index}.part`);
+const assembledPath = (upload) => path.join(uploadDir(upload.id), `assembled${path.extname(upload.file_name)}`);
+
+const expiresAt = () => new Date(Date.now() + config.uploads.expiryHours * 60 * 60 * 1000).toISOString();
+
+/**
+ * Expected byte size of a chunk
+ * @param {Object} upload - Upload row
+ * @param {number} index - Chunk index
+ * @returns {number} - Size in bytes
+ */
+const expectedChunkSize = (upload, index) => (index < upload.total_chunks - 1
+  ? upload.chunk_size
+  : upload.total_size - upload.chunk_size * (upload.total_chunks - 1));
+
+/**
+ * Indexes of the chunks stored on disk
+ * @param {Object} upload - Upload row
+ * @returns {Promise<number[]>} - Sorted chunk indexes
+ */
+const listReceivedChunks = async (upload) => {
+  const files = await fs.readdir(uploadDir(upload.id)).catch(() => []);
+  return files
+    .map(file => /^(\d+)\.part$/.exec(file))
+    .filter(Boolean)
+    .map(match => parseInt(match[1], 10))
+    .filter(index => index < upload.total_chunks)
+    .sort((a, b) => a - b);
+};
+
+/**
+ * Shape an upload row with its chunk progress for API responses
+ * @param {Object} upload - Upload row
+ * @param {number[]} receivedChunks - Chunk indexes on disk
+ * @returns {Object} - Upload with receivedChunks, missingChunks, receivedBytes and percent
+ */
+const withProgress = (upload, receivedChunks) => {
+  const received = new Set(receivedChunks);
+  const missingChunks = [];
+  for (let index = 0; index < upload.total_chunks; index++) {
+    if (!received.has(index)) missingChunks.push(index);
+  }
+  const receivedBytes = receivedChunks.reduce((sum, index) => sum + expectedChunkSize(upload, index), 0);
+
+  return {
+    ...upload,
+    receivedChunks,
+    missingChunks,
+    receivedBytes,
+    percent: upload.total_size > 0 ? Math.floor((receivedBytes / upload.total_size) * 100) : 0
+  };
+};
+
+/**
+ * Broadcast upload progress to the interview room
+ * @param {Object} upload - Upload with progress (see withProgress)
+ */
+const emitProgress = (upload) => {
+  if (!global.io) return;
+
+  global.io.to(`interview-${upload.interview_id}`).emit('upload-progress', {
+    interviewId: upload.interview_id,
+    uploadId: upload.id,
+    status: upload.status,
+    receivedChunks: upload.receivedChunks ? upload.receivedChunks.length : upload.received_chunks,
+    totalChunks: upload.total_chunks,
+    receivedBytes: upload.receivedBytes,
+    totalSize: upload.total_size,
+    percent: upload.status === 'completed' ? 100 : upload.percent,
+    error: upload.error_message || undefined,
+    timestamp: new Date().toISOString()
+  });
+};
+
+const setStatus = async (upload, status, extra = {}) => {
+  const { data, error } = await supabase
+    .from('interview_uploads')
+    .update({ status, ...extra, updated_at: new Date().toISOString() })
+    .eq('id', upload.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+// Like setStatus, but only while the upload is still in fromStatus; null when it moved on
+const transitionStatus = async (upload, fromStatus, status, extra = {}) => {
+  const { data, error } = await supabase
+    .from('interview_uploads')
+    .update({ status, ...extra, updated_at: new Date().toISOString() })
+    .eq('id', upload.id)
+    .eq('status', fromStatus)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const hashFile = async (filePath) => {
+  const hash = crypto.createHash('sha256');
+  for await (const data of fs.createReadStream(filePath)) {
+    hash.update(data);
+  }
+  return hash.digest('hex');
+};
+
+/**
+ * Load an upload of an interview
+ * @param {string} interviewId - Interview ID
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<Object|null>} - Upload row
+ */
+const findUpload = async (interviewId, uploadId) => {
+  const { data, error } = await supabase
+    .from('interview_uploads')
+    .select('*')
+    .eq('id', uploadId)
+    .eq('interview_id', String(interviewId))
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Recognise the container of an audio file from its first bytes
+ * @param {Buffer} header - First bytes of the file
+ * @returns {string|null} - Container name, or null when it is not a known audio format
+ */
+const detectAudioContainer = (header) => {
+  if (header.length < 12) return null;
+  const ascii = (start, end) => header.toString('latin1', start, end);
+
+  if (ascii(0, 3) === 'ID3') return 'mp3';
+  if (header[0] === 0xff && (header[1] & 0xe0) === 0xe0) {
+    // MPEG audio frame sync; layer bits 00 mean AAC in an ADTS stream
+    return (header[1] & 0x06) === 0 ? 'aac' : 'mp3';
+  }
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'wav';
+  if (ascii(0, 4) === 'OggS') return 'ogg';
+  if (ascii(0, 4) === 'fLaC') return 'flac';
+  if (ascii(4, 8) === 'ftyp') return 'mp4';
+  if (header.readUInt32BE(0) === 0x1a45dfa3) return 'webm';
+  return null;
+};
+
+/**
+ * Remove every chunk and assembled file of an upload
+ * @param {string} uploadId - Upload ID
+ */
+const removeFiles = async (uploadId) => {
+  await fs.remove(uploadDir(uploadId)).catch(error => {
+    console.error(`❌ Failed to remove files of upload ${uploadId}:`, error);
+  });
+};
+
+/**
+ * Discard uploads that stopped receiving chunks
+ * @returns {Promise<Object>} - Result with the number of expired uploads
+ */
+const cleanupExpiredUploads = async () => {
+  try {
+    const { data: expired, error } = await supabase
+      .from('interview_uploads')
+      .select('id')
+      .eq('status', 'uploading')
+      .lt('expires_at', new Date().toISOString());
+
+    if (error) throw error;
+
+    for (const upload of expired || []) {
+      await setStatus(upload, 'expired');
+      await removeFiles(upload.id);
+    }
+
+    if ((expired || []).length > 0) {
+      console.log(`🧹 Discarded ${expired.length} expired upload(s)`);
+    }
+
+    return { success: true, data: { expired: (expired || []).length } };
+
+  } catch (error) {
+    console.error('❌ Error cleaning up expired uploads:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Start (or resume) a resumable upload
+ * An unfinished upload of the same file (same size and checksum) to the same
+ * interview is returned instead of a new one, with the chunks it already has.
+ * @param {string} interviewId - Interview ID
+ * @param {Object} file - File declaration
+ * @param {string} file.fileName - Original file name
+ * @param {string} file.mimeType - Audio MIME type
+ * @param {number} file.totalSize - Size in bytes
+ * @param {string} file.checksum - sha256 (hex) of the whole file
+ * @param {Object} [file.sessionData] - Passed on to transcription
+ * @param {string} [file.createdBy] - Who started the upload
+ * @returns {Promise<Object>} - Result with the upload and its progress; `resumed` when continuing
+ */
+const createUpload = async (interviewId, { fileName, mimeType, totalSize, checksum, sessionData, createdBy }) => {
+  try {
+    const size = Number(totalSize);
+    const fileChecksum = String(checksum || '').toLowerCase();
+
+    if (!fileName || !String(fileName).trim()) {
+      return { success: false, invalid: true, error: 'fileName is required' };
+    }
+    if (!AUDIO_MIME_TYPES.includes(mimeType)) {
+      return { success: false, invalid: true, error: `Resumable uploads are for recordings; unsupported type: ${mimeType}` };
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+      return { success: false, invalid: true, error: 'totalSize must be a positive number of bytes' };
+    }
+    if (size > config.uploads.maxFileBytes) {
+      return { success: false, invalid: true, tooLarge: true, error: `File is larger than the ${Math.round(config.uploads.maxFileBytes / (1024 * 1024))}MB limit` };
+    }
+    if (!SHA256_PATTERN.test(fileChecksum)) {
+      return { success: false, invalid: true, error: 'checksum must be the sha256 of the file (hex)' };
+    }
+
+    const { data: interview, error: interviewError } = await supabase
+      .from('interviews')
+      .select('id')
+      .eq('id', interviewId)
+      .maybeSingle();
+
+    if (interviewError) throw interviewError;
+    if (!interview) {
+      return { success: false, notFound: true, error: 'Interview not found' };
+    }
+
+    await cleanupExpiredUploads();
+
+    const { data: existing, error: existingError } = await supabase
+      .from('interview_uploads')
+      .select('*')
+      .eq('interview_id', String(interviewId))
+      .eq('checksum', fileChecksum)
+      .eq('total_size', size)
+      .eq('status', 'uploading')
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (existingError) throw existingError;
+
+    if (existing && existing.length > 0) {
+      const upload = existing[0];
+      console.log(`⏯️ Resuming upload ${upload.id} for interview ${interviewId}`);
+      return { success: true, resumed: true, data: withProgress(upload, await listReceivedChunks(upload)) };
+    }
+
+    const chunkSize = config.uploads.chunkSizeBytes;
+
+    const { data: upload, error } = await supabase
+      .from('interview_uploads')
+      .insert({
+        interview_id: String(interviewId),
+        file_name: String(fileName).trim(),
+        mime_type: mimeType,
+        total_size: size,
+        chunk_size: chunkSize,
+        total_chunks: Math.ceil(size / chunkSize),
+        checksum: fileChecksum,
+        status: 'uploading',
+        session_data: sessionData || null,
+        created_by: createdBy || null,
+        expires_at: expiresAt()
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await fs.ensureDir(uploadDir(upload.id));
+
+    console.log(`📦 Upload ${upload.id} started for interview ${interviewId}: ${fileName} (${upload.total_chunks} chunks)`);
+
+    return { success: true, resumed: false, data: withProgress(upload, []) };
+
+  } catch (error) {
+    console.error('❌ Error creating resumable upload:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get an upload with its chunk progress
+ * @param {string} interviewId - Interview ID
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<Object>} - Result with the upload and its progress
+ */
+const getUpload = async (interviewId, uploadId) => {
+  try {
+    const upload = await findUpload(interviewId, uploadId);
+    if (!upload) {
+      return { success: false, notFound: true, error: 'Upload not found' };
+    }
+
+    return { success: true, data: withProgress(upload, await listReceivedChunks(upload)) };
+
+  } catch (error) {
+    console.error('❌ Error fetching upload:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Store one chunk, streamed from the request body
+ * The chunk is written to a temporary file and only kept when its size and
+ * sha256 match, so a dropped connection never leaves a partial chunk behind.
+ * Sending a chunk that is already stored is a no-op when its checksum matches.
+ * @param {string} interviewId - Interview ID
+ * @param {string} uploadId - Upload ID
+ * @param {number} index - Chunk index (0-based)
+ * @param {Readable} body - Chunk bytes
+ * @param {string} checksum - sha256 (hex) of the chunk
+ * @returns {Promise<Object>} - Result with the upload and its progress
+ */
+const receiveChunk = async (interviewId, uploadId, index, body, checksum) => {
+  try {
+    const upload = await findUpload(interviewId, uploadId);
+    if (!upload) {
+      return { success: false, notFound: true, error: 'Upload not found' };
+    }
+    if (upload.status !== 'uploading') {
+      return { success: false, conflict: true, error: `Upload is ${upload.status}` };
+    }
+
+    const chunkIndex = Number(index);
+    if (!Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= upload.total_chunks) {
+      return { success: false, invalid: true, error: `Chunk index must be between 0 and ${upload.total_chunks - 1}` };
+    }
+
+    const chunkChecksum = String(checksum || '').toLowerCase();
+    if (!SHA256_PATTERN.test(chunkChecksum)) {
+      return { success: false, invalid: true, error: 'X-Chunk-Checksum header must be the sha256 of the chunk (hex)' };
+    }
+
+    const target = chunkPath(upload.id, chunkIndex);
+
+    if (await fs.pathExists(target)) {
+      if ((await hashFile(target)) !== chunkChecksum) {
+        return { success: false, conflict: true, error: `Chunk ${chunkIndex} is already stored with a different checksum` };
+      }
+    } else {
+      const expectedSize = expectedChunkSize(upload, chunkIndex);
+      const tempFile = `${target}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      const hash = crypto.createHash('sha256');
+      let bytes = 0;
+
+      const meter = new Transform({
+        transform(data, encoding, callback) {
+          bytes += data.length;
+          if (bytes > expectedSize) {
+            callback(new Error('CHUNK_TOO_LARGE'));
+            return;
+          }
+          hash.update(data);
+          callback(null, data);
+        }
+      });
+
+      await fs.ensureDir(uploadDir(upload.id));
+
+      try {
+        await pipeline(body, meter, fs.createWriteStream(tempFile));
+      } catch (streamError) {
+        await fs.remove(tempFile);
+        if (streamError.message === 'CHUNK_TOO_LARGE') {
+          return { success: false, invalid: true, error: `Chunk ${chunkIndex} must be ${expectedSize} bytes` };
+        }
+        throw streamError;
+      }
+
+      if (bytes !== expectedSize) {
+        await fs.remove(tempFile);
+        return { success: false, invalid: true, error: `Chunk ${chunkIndex} must be ${expectedSize} bytes, received ${bytes}` };
+      }
+
+      if (hash.digest('hex') !== chunkChecksum) {
+        await fs.remove(tempFile);
+        return { success: false, invalid: true, error: `Checksum mismatch for chunk ${chunkIndex}` };
+      }
+
+      await fs.move(tempFile, target, { overwrite: true });
+    }
+
+    const receivedChunks = await listReceivedChunks(upload);
+    const updated = await transitionStatus(upload, 'uploading', 'uploading', {
+      received_chunks: receivedChunks.length,
+      expires_at: expiresAt()
+    });
+    if (!updated) {
+      return { success: false, conflict: true, error: 'Upload is no longer accepting chunks' };
+    }
+
+    const progress = withProgress(updated, receivedChunks);
+    emitProgress(progress);
+
+    return { success: true, data: progress };
+
+  } catch (error) {
+    console.error('❌ Error receiving upload chunk:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Concatenate the chunks of an upload into one file and check it
+ * @param {Object} upload - Upload row
+ * @returns {Promise<Object>} - { path } or { error } when the file does not match its declaration
+ */
+const assembleFile = async (upload) => {
+  const target = assembledPath(upload);
+  const hash = crypto.createHash('sha256');
+  const output = fs.createWriteStream(target);
+
+  try {
+    for (let index = 0; index < upload.total_chunks; index++) {
+      for await (const data of fs.createReadStream(chunkPath(upload.id, index))) {
+        hash.update(data);
+        if (!output.write(data)) {
+          await new Promise(resolve => output.once('drain', resolve));
+        }
+      }
+    }
+  } finally {
+    await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+  }
+
+  const { size } = await fs.stat(target);
+  if (size !== Number(upload.total_size)) {
+    return { error: `Assembled file is ${size} bytes, expected ${upload.total_size}` };
+  }
+
+  if (hash.digest('hex') !== upload.checksum) {
+    return { error: 'Assembled file does not match its checksum' };
+  }
+
+  const handle = await fs.open(target, 'r');
+  const header = Buffer.alloc(12);
+  try {
+    await fs.read(handle, header, 0, header.length, 0);
+  } finally {
+    await fs.close(handle);
+  }
+
+  if (!detectAudioContainer(header)) {
+    return { error: 'The uploaded file is not a recognised audio recording' };
+  }
+
+  return { path: target };
+};
+
+/**
+ * Assemble and validate a fully received upload
+ * A file that fails validation marks the upload failed (it has to be sent again).
+ * @param {string} interviewId - Interview ID
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<Object>} - Result with the upload; `missingChunks` when chunks are still missing
+ */
+const assembleUpload = async (interviewId, uploadId) => {
+  try {
+    let upload = await findUpload(interviewId, uploadId);
+    if (!upload) {
+      return { success: false, notFound: true, error: 'Upload not found' };
+    }
+    if (upload.status !== 'uploading') {
+      return { success: false, conflict: true, error: `Upload is ${upload.status}` };
+    }
+
+    const receivedChunks = await listReceivedChunks(upload);
+    if (receivedChunks.length < upload.total_chunks) {
+      const progress = withProgress(upload, receivedChunks);
+      return {
+        success: false,
+        incomplete: true,
+        error: `${progress.missingChunks.length} chunk(s) still missing`,
+        missingChunks: progress.missingChunks
+      };
+    }
+
+    // Only one request gets to assemble; a concurrent one sees the upload already moved on
+    const claimed = await transitionStatus(upload, 'uploading', 'assembling');
+    if (!claimed) {
+      return { success: false, conflict: true, error: 'Upload is already being assembled' };
+    }
+    upload = claimed;
+    emitProgress(withProgress(upload, receivedChunks));
+
+    const assembled = await assembleFile(upload);
+    if (assembled.error) {
+      upload = await setStatus(upload, 'failed', { error_message: assembled.error });
+      emitProgress(withProgress(upload, receivedChunks));
+      await removeFiles(upload.id);
+      return { success: false, invalid: true, error: assembled.error };
+    }
+
+    return { success: true, data: { ...withProgress(upload, receivedChunks), path: assembled.path } };
+
+  } catch (error) {
+    console.error('❌ Error assembling upload:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * The assembled file of an upload as a file object for processInterviewSubmission
+ * Re-assembles from the chunks when the assembled file is missing.
+ * @param {Object} upload - Upload row
+ * @returns {Promise<Object>} - { path, originalname, mimetype, size }
+ */
+const getAssembledFile = async (upload) => {
+  let filePath = assembledPath(upload);
+
+  if (!(await fs.pathExists(filePath))) {
+    const assembled = await assembleFile(upload);
+    if (assembled.error) throw new Error(assembled.error);
+    filePath = assembled.path;
+  }
+
+  return {
+    path: filePath,
+    originalname: upload.file_name,
+    mimetype: upload.mime_type,
+    size: Number(upload.total_size)
+  };
+};
+
+/**
+ * Record the job that hands the assembled file off to storage and transcription
+ * @param {Object} upload - Upload row
+ * @param {string} jobId - upload.finalize job ID
+ * @returns {Promise<Object>} - Updated upload
+ */
+const markProcessing = async (upload, jobId) => {
+  const updated = await setStatus(upload, 'processing', { job_id: jobId });
+  emitProgress({ ...updated, percent: 100, receivedBytes: updated.total_size });
+  return updated;
+};
+
+/**
+ * Mark an upload as handed off and remove its files
+ * @param {string} uploadId - Upload ID
+ * @param {Object} fileMetadata - Stored file metadata
+ */
+const markCompleted = async (uploadId, fileMetadata) => {
+  const upload = await setStatus({ id: uploadId }, 'completed', {
+    file_metadata: fileMetadata,
+    completed_at: new Date().toISOString()
+  });
+  await removeFiles(uploadId);
+  emitProgress({ ...upload, receivedBytes: upload.total_size });
+  console.log(`✅ Upload ${uploadId} handed off for interview ${upload.interview_id}`);
+};
+
+/**
+ * Mark an upload as failed and remove its files
+ * @param {string} uploadId - Upload ID
+ * @param {string} message - Error message
+ */
+const markFailed = async (uploadId, message) => {
+  const upload = await setStatus({ id: uploadId }, 'failed', { error_message: message });
+  await removeFiles(uploadId);
+  emitProgress({ ...upload, receivedBytes: 0, percent: 0 });
+};
+
+/**
+ * Cancel an unfinished upload and remove its chunks
+ * @param {string} interviewId - Interview ID
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<Object>} - Result with the upload
+ */
+const cancelUpload = async (interviewId, uploadId) => {
+  try {
+    const upload = await findUpload(interviewId, uploadId);
+    if (!upload) {
+      return { success: false, notFound: true, error: 'Upload not found' };
+    }
+    if (upload.status !== 'uploading') {
+      return { success: false, conflict: true, error: `Upload is ${upload.status}` };
+    }
+
+    const updated = await setStatus(upload, 'cancelled');
+    await removeFiles(upload.id);
+    emitProgress({ ...updated, receivedBytes: 0, percent: 0 });
+
+    return { success: true, data: updated };
+
+  } catch (error) {
+    console.error('❌ Error cancelling upload:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+module.exports = {
+  AUDIO_MIME_TYPES,
+  detectAudioContainer,
+  createUpload,
+  getUpload,
+  receiveChunk,
+  assembleUpload,
+  getAssembledFile,
+  markProcessing,
+  markCompleted,
+  markFailed,
+  cancelUpload,
+  cleanupExpiredUploads
+};
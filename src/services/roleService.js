@@ -0,0 +1,194 @@
+/**
+ * Role Service
+ * Staff roles, the permissions each role grants and role assignment. A user has
+ * one role, stored in users.role; admins hold every permission.
+ */
+
+const supabase = require('../config/database');
+const loggingService = require('./loggingService');
+
+const PERMISSIONS = {
+  'sessions.view': 'Open sessions, interviews, drafts and life stories',
+  'sessions.manage': 'Create and edit sessions, interviews, schedules and follow-up questions',
+  'interviews.upload': 'Upload interview recordings and files',
+  'transcripts.edit': 'Correct transcripts and rename speakers',
+  'drafts.edit': 'Edit drafts, add notes, resolve conflicts and move drafts between working stages',
+  'drafts.submit_for_approval': 'Move a reviewed draft to pending_approval',
+  'drafts.approve': 'Approve, reject and archive drafts',
+  'stories.generate': 'Generate, regenerate and manage full life stories',
+  'logs.view': 'View activity and error logs',
+  'roles.manage': 'Assign roles to users'
+};
+
+// Permissions granted by each role; clients and plain users have no back-office access
+const ROLE_PERMISSIONS = {
+  admin: Object.keys(PERMISSIONS),
+  senior_reviewer: [
+    'sessions.view',
+    'transcripts.edit',
+    'drafts.edit',
+    'drafts.submit_for_approval',
+    'drafts.approve',
+    'stories.generate',
+    'logs.view'
+  ],
+  editor: [
+    'sessions.view',
+    'transcripts.edit',
+    'drafts.edit',
+    'drafts.submit_for_approval',
+    'stories.generate'
+  ],
+  interviewer: [
+    'sessions.view',
+    'sessions.manage',
+    'interviews.upload',
+    'transcripts.edit'
+  ],
+  client: [],
+  user: []
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Whether a role grants a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission key
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+/**
+ * Permissions granted by a role
+ * @param {string} role - User role
+ * @returns {Array<string>} - Permission keys (empty for unknown roles)
+ */
+const getPermissions = (role) => [...(ROLE_PERMISSIONS[role] || [])];
+
+/**
+ * The role/permission matrix
+ * @returns {Object} - { roles: [{ role, permissions }], permissions: [{ permission, description }] }
+ */
+const getMatrix = () => ({
+  roles: ROLES.map(role => ({ role, permissions: getPermissions(role) })),
+  permissions: Object.entries(PERMISSIONS).map(([permission, description]) => ({ permission, description }))
+});
+
+/**
+ * List users with their roles
+ * @param {Object} [options]
+ * @param {string} [options.role] - Only users with this role
+ * @returns {Promise<Object>} - Result with [{ id, name, email, role, permissions }]
+ */
+const listAssignments = async ({ role } = {}) => {
+  try {
+    if (role && !ROLES.includes(role)) {
+      return { success: false, invalid: true, error: `Unknown role '${role}'. Use: ${ROLES.join(', ')}` };
+    }
+
+    let query = supabase
+      .from('users')
+      .select('id, name, email, role, updated_at')
+      .order('name', { ascending: true });
+
+    if (role) query = query.eq('role', role);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return {
+      success: true,
+      data: (data || []).map(user => ({ ...user, permissions: getPermissions(user.role) }))
+    };
+  } catch (error) {
+    console.error('❌ Error listing role assignments:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Assign a role to a user
+ * @param {string} userId - User to change
+ * @param {string} role - New role
+ * @param {Object} actor - { uid, email } of the admin making the change
+ * @param {string} [reason] - Why the role changed
+ * @returns {Promise<Object>} - Result with the updated user
+ */
+const assignRole = async (userId, role, actor = {}, reason = null) => {
+  try {
+    if (!ROLES.includes(role)) {
+      return { success: false, invalid: true, error: `Unknown role '${role}'. Use: ${ROLES.join(', ')}` };
+    }
+
+    // Admins cannot lock themselves out
+    if (actor.uid && actor.uid === userId && role !== 'admin') {
+      return { success: false, invalid: true, error: 'You cannot remove your own admin role' };
+    }
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('users')
+      .select('id, email, role')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!existing) {
+      return { success: false, notFound: true, error: 'User not found' };
+    }
+
+    if (existing.role === role) {
+      return { success: true, data: { ...existing, permissions: getPermissions(role) }, unchanged: true };
+    }
+
+    const { data: updated, error: updateError } = await supabase
+      .from('users')
+      .update({ role, updated_at: new Date().toISOString() })
+      .eq('id', userId)
+      .select('id, name, email, role, updated_at')
+      .single();
+
+    if (updateError) throw updateError;
+
+    // Keep the auth metadata in step; the users table stays authoritative
+    const { error: metadataError } = await supabase.auth.admin.updateUserById(userId, {
+      user_metadata: { role }
+    });
+    if (metadataError) {
+      console.warn('⚠️ Failed to update auth metadata role:', metadataError.message);
+    }
+
+    await loggingService.logEvent({
+      eventType: 'auth',
+      eventAction: 'role_changed',
+      userId: actor.uid,
+      userEmail: actor.email,
+      resourceId: userId,
+      resourceType: 'user',
+      eventData: {
+        userEmail: existing.email,
+        fromRole: existing.role,
+        toRole: role,
+        reason
+      },
+      severity: 'warning'
+    });
+
+    console.log(`🔐 Role of ${existing.email} changed from ${existing.role} to ${role}`);
+
+    return { success: true, data: { ...updated, permissions: getPermissions(role) } };
+  } catch (error) {
+    console.error('❌ Error assigning role:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  hasPermission,
+  getPermissions,
+  getMatrix,
+  listAssignments,
+  assignRole
+};
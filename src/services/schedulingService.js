@@ -0,0 +1,674 @@
+/**
+ * Scheduling Service
+ * Interview calendar: staff availability windows, clash detection per staff
+ * member, reschedule/cancel with reasons and token-protected ICS feeds.
+ */
+
+const crypto = require('crypto');
+const supabase = require('../config/database');
+const config = require('../config/config');
+const staffDirectoryService = require('./staffDirectoryService');
+const { buildCalendar } = require('../utils/icsCalendar');
+
+// Interviews that no longer take up calendar time
+const INACTIVE_STATUSES = ['cancelled'];
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Wall-clock weekday and minute of day of an instant in the scheduling timezone
+ * @param {Date|number} date - Instant
+ * @returns {Object} - { dayOfWeek, minutes, date: 'YYYY-MM-DD' }
+ */
+const zonedParts = (date) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: config.scheduling.timezone,
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(date)).map(part => [part.type, part.value]));
+
+  return {
+    dayOfWeek: WEEKDAYS.indexOf(parts.weekday),
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+    date: `${parts.year}-${parts.month}-${parts.day}`
+  };
+};
+
+const timeToMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+const durationOf = (interview) => parseInt(interview.duration, 10) > 0
+  ? parseInt(interview.duration, 10)
+  : config.scheduling.defaultDurationMinutes;
+
+/**
+ * Turn interview rows into calendar events with the staff member conducting them
+ * @param {Array<Object>} interviews - Interview rows with scheduled_date
+ * @returns {Promise<Array<Object>>} - Events sorted by start
+ */
+const toEvents = async (interviews) => {
+  const sessionIds = [...new Set(interviews.map(interview => interview.session_id).filter(Boolean))];
+  let sessions = [];
+
+  if (sessionIds.length > 0) {
+    const { data, error } = await supabase
+      .from('sessions')
+      .select('id, client_name, assigned_admin')
+      .in('id', sessionIds);
+
+    if (error) throw error;
+    sessions = data || [];
+  }
+
+  const sessionsById = new Map(sessions.map(session => [session.id, session]));
+  // assigned_admin is a user id; the calendar shows the owner's email
+  const ownerEmails = await staffDirectoryService.getUserEmails(sessions.map(session => session.assigned_admin));
+
+  return interviews
+    .map(interview => {
+      const session = sessionsById.get(interview.session_id) || {};
+      const start = new Date(interview.scheduled_date).getTime();
+      const durationMinutes = durationOf(interview);
+
+      return {
+        interviewId: interview.id,
+        sessionId: interview.session_id,
+        clientName: session.client_name || null,
+        name: interview.name || interview.type || null,
+        status: interview.status,
+        location: interview.location || null,
+        staffEmail: interview.assigned_to || ownerEmails.get(session.assigned_admin) || null,
+        start: new Date(start).toISOString(),
+        end: new Date(start + durationMinutes * MINUTE).toISOString(),
+        durationMinutes
+      };
+    })
+    .sort((a, b) => new Date(a.start) - new Date(b.start));
+};
+
+/**
+ * Scheduled interviews in a time range
+ * @param {Object} range - Filters
+ * @param {Date|string} range.from - Range start
+ * @param {Date|string} range.to - Range end
+ * @param {string} [range.staffEmail] - Only interviews conducted by this staff member
+ * @param {boolean} [range.includeCancelled=false] - Include cancelled interviews
+ * @returns {Promise<Array<Object>>} - Events
+ */
+const loadEvents = async ({ from, to, staffEmail, includeCancelled = false }) => {
+  // Interviews that start before the range can still run into it
+  const { data, error } = await supabase
+    .from('interviews')
+    .select('id, session_id, name, type, status, scheduled_date, duration, location, assigned_to')
+    .gte('scheduled_date', new Date(new Date(from).getTime() - DAY).toISOString())
+    .lte('scheduled_date', new Date(to).toISOString())
+    .order('scheduled_date', { ascending: true });
+
+  if (error) throw error;
+
+  const rows = (data || []).filter(interview =>
+    interview.scheduled_date && (includeCancelled || !INACTIVE_STATUSES.includes(interview.status)));
+
+  const fromTime = new Date(from).getTime();
+  return (await toEvents(rows)).filter(event =>
+    new Date(event.end).getTime() > fromTime && (!staffEmail || event.staffEmail === staffEmail));
+};
+
+/**
+ * Find overlapping interviews of the same staff member
+ * @param {Array<Object>} events - Events (cancelled ones are ignored)
+ * @returns {Array<Object>} - [{ staffEmail, interviewIds: [a, b], start, end, overlapMinutes }]
+ */
+const findClashes = (events) => {
+  const clashes = [];
+  const byStaff = new Map();
+
+  events
+    .filter(event => event.staffEmail && !INACTIVE_STATUSES.includes(event.status))
+    .forEach(event => {
+      if (!byStaff.has(event.staffEmail)) byStaff.set(event.staffEmail, []);
+      byStaff.get(event.staffEmail).push(event);
+    });
+
+  byStaff.forEach((staffEvents, staffEmail) => {
+    const sorted = [...staffEvents].sort((a, b) => new Date(a.start) - new Date(b.start));
+
+    sorted.forEach((event, index) => {
+      for (let j = index + 1; j < sorted.length; j++) {
+        const other = sorted[j];
+        if (new Date(other.start) >= new Date(event.end)) break;
+
+        const overlapEnd = Math.min(new Date(event.end).getTime(), new Date(other.end).getTime());
+        clashes.push({
+          staffEmail,
+          interviewIds: [event.interviewId, other.interviewId],
+          start: other.start,
+          end: new Date(overlapEnd).toISOString(),
+          overlapMinutes: Math.round((overlapEnd - new Date(other.start).getTime()) / MINUTE)
+        });
+      }
+    });
+  });
+
+  return clashes;
+};
+
+/**
+ * Calendar of a time range with clashes marked
+ * @param {Object} filters - { from, to, staffEmail?, includeCancelled? }
+ * @returns {Promise<Object>} - Result with { events, clashes }
+ */
+const getCalendar = async (filters) => {
+  try {
+    const events = await loadEvents(filters);
+    const clashes = findClashes(events);
+
+    const clashing = new Set(clashes.flatMap(clash => clash.interviewIds));
+    return {
+      success: true,
+      data: {
+        events: events.map(event => ({ ...event, hasClash: clashing.has(event.interviewId) })),
+        clashes
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Error loading interview calendar:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Availability windows of a staff member
+ * @param {string} staffEmail - Staff email
+ * @returns {Promise<Object>} - Result with windows
+ */
+const getAvailability = async (staffEmail) => {
+  try {
+    const { data, error } = await supabase
+      .from('staff_availability')
+      .select('*')
+      .eq('staff_email', staffEmail)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    return { success: true, data: data || [] };
+
+  } catch (error) {
+    console.error('❌ Error fetching staff availability:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Add an availability window
+ * Weekly windows take dayOfWeek (0 = Sunday) with startTime/endTime ('HH:MM');
+ * one-off windows take startsAt/endsAt.
+ * @param {Object} window - Window data
+ * @param {string} window.staffEmail - Staff email
+ * @param {string} [window.kind] - 'available' (default) or 'unavailable'
+ * @param {string} [window.createdBy] - Admin adding the window
+ * @returns {Promise<Object>} - Result with the window
+ */
+const addAvailability = async ({ staffEmail, kind = 'available', dayOfWeek, startTime, endTime, startsAt, endsAt, note, createdBy }) => {
+  try {
+    if (!['available', 'unavailable'].includes(kind)) {
+      return { success: false, error: 'kind must be available or unavailable', invalid: true };
+    }
+
+    const record = {
+      staff_email: staffEmail,
+      kind,
+      note: note || null,
+      created_by: createdBy || null
+    };
+
+    if (dayOfWeek !== undefined && dayOfWeek !== null) {
+      const day = parseInt(dayOfWeek, 10);
+      if (!(day >= 0 && day <= 6)) {
+        return { success: false, error: 'dayOfWeek must be 0 (Sunday) to 6 (Saturday)', invalid: true };
+      }
+      if (!TIME_PATTERN.test(startTime || '') || !TIME_PATTERN.test(endTime || '') || timeToMinutes(startTime) >= timeToMinutes(endTime)) {
+        return { success: false, error: 'startTime and endTime must be HH:MM with startTime before endTime', invalid: true };
+      }
+      Object.assign(record, { day_of_week: day, start_time: startTime, end_time: endTime });
+    } else {
+      const start = new Date(startsAt);
+      const end = new Date(endsAt);
+      if (isNaN(start.getTime()) || isNaN(end.getTime()) || start >= end) {
+        return { success: false, error: 'Give dayOfWeek with startTime/endTime, or valid startsAt before endsAt', invalid: true };
+      }
+      Object.assign(record, { starts_at: start.toISOString(), ends_at: end.toISOString() });
+    }
+
+    const { data, error } = await supabase
+      .from('staff_availability')
+      .insert(record)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { success: true, data };
+
+  } catch (error) {
+    console.error('❌ Error adding availability window:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Remove an availability window
+ * @param {string} windowId - Window ID
+ * @param {string} staffEmail - Owner of the window
+ * @returns {Promise<Object>} - Result
+ */
+const deleteAvailability = async (windowId, staffEmail) => {
+  try {
+    const { data, error } = await supabase
+      .from('staff_availability')
+      .select('id')
+      .eq('id', windowId)
+      .eq('staff_email', staffEmail)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return { success: false, error: 'Availability window not found', notFound: true };
+
+    const { error: deleteError } = await supabase.from('staff_availability').delete().eq('id', windowId);
+    if (deleteError) throw deleteError;
+
+    return { success: true };
+
+  } catch (error) {
+    console.error('❌ Error deleting availability window:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Whether a time slot falls inside a staff member's availability
+ * Staff without any windows are treated as available; 'unavailable' windows always win.
+ * @param {Array<Object>} windows - Availability windows of the staff member
+ * @param {Date|string} start - Slot start
+ * @param {Date|string} end - Slot end
+ * @returns {Object} - { available, reason }
+ */
+const checkAvailability = (windows, start, end) => {
+  const startTime = new Date(start).getTime();
+  const endTime = new Date(end).getTime();
+  const startLocal = zonedParts(startTime);
+  const endLocal = zonedParts(endTime - 1);
+  const sameDay = startLocal.date === endLocal.date;
+
+  const overlapsWeekly = (w) => startLocal.dayOfWeek === w.day_of_week &&
+    startLocal.minutes < timeToMinutes(w.end_time) &&
+    (sameDay ? endLocal.minutes + 1 : 24 * 60) > timeToMinutes(w.start_time);
+  const coversWeekly = (w) => sameDay && startLocal.dayOfWeek === w.day_of_week &&
+    startLocal.minutes >= timeToMinutes(w.start_time) &&
+    endLocal.minutes + 1 <= timeToMinutes(w.end_time);
+  const isWeekly = (w) => w.day_of_week !== null && w.day_of_week !== undefined;
+
+  const blocked = windows.find(w => w.kind === 'unavailable' && (isWeekly(w)
+    ? overlapsWeekly(w)
+    : new Date(w.starts_at).getTime() < endTime && new Date(w.ends_at).getTime() > startTime));
+  if (blocked) {
+    return { available: false, reason: `Marked unavailable${blocked.note ? `: ${blocked.note}` : ''}` };
+  }
+
+  const availableWindows = windows.filter(w => w.kind === 'available');
+  if (availableWindows.length === 0) {
+    return { available: true, reason: windows.length === 0 ? 'No availability set' : null };
+  }
+
+  const covered = availableWindows.some(w => isWeekly(w)
+    ? coversWeekly(w)
+    : new Date(w.starts_at).getTime() <= startTime && new Date(w.ends_at).getTime() >= endTime);
+
+  return covered
+    ? { available: true, reason: null }
+    : { available: false, reason: 'Outside availability windows' };
+};
+
+const getInterview = async (interviewId) => {
+  const { data, error } = await supabase
+    .from('interviews')
+    .select('id, session_id, name, type, status, scheduled_date, duration, location, assigned_to')
+    .eq('id', interviewId)
+    .single();
+
+  if (error || !data) return null;
+  return data;
+};
+
+const recordChange = async (change) => {
+  const { error } = await supabase.from('interview_schedule_changes').insert(change);
+  if (error) {
+    console.error('⚠️ Failed to record schedule change:', error.message);
+  }
+};
+
+/**
+ * Move an interview to a new time
+ * Clashes with the staff member's other interviews and slots outside their availability
+ * are rejected unless `force` is set; forced overrides are kept in the change log.
+ * @param {string} interviewId - Interview ID
+ * @param {Object} change - Reschedule data
+ * @param {string} change.scheduledDate - New start (ISO date-time)
+ * @param {number} [change.durationMinutes] - New duration
+ * @param {string} change.reason - Why the interview moves
+ * @param {boolean} [change.force] - Schedule despite clashes or availability
+ * @param {string} [change.changedBy] - Admin making the change
+ * @returns {Promise<Object>} - Result with the interview; `conflict` carries { clashes, availability }
+ */
+const rescheduleInterview = async (interviewId, { scheduledDate, durationMinutes, reason, force = false, changedBy }) => {
+  try {
+    if (!reason || !String(reason).trim()) {
+      return { success: false, error: 'A reason is required', invalid: true };
+    }
+
+    const start = new Date(scheduledDate);
+    if (!scheduledDate || isNaN(start.getTime())) {
+      return { success: false, error: 'scheduledDate must be a valid date-time', invalid: true };
+    }
+
+    if (durationMinutes !== undefined && !(parseInt(durationMinutes, 10) > 0)) {
+      return { success: false, error: 'durationMinutes must be a positive number', invalid: true };
+    }
+
+    const interview = await getInterview(interviewId);
+    if (!interview) {
+      return { success: false, error: 'Interview not found', notFound: true };
+    }
+
+    if (interview.status === 'completed') {
+      return { success: false, error: 'Completed interviews cannot be rescheduled', invalid: true };
+    }
+
+    const moved = {
+      ...interview,
+      scheduled_date: start.toISOString(),
+      duration: durationMinutes !== undefined ? parseInt(durationMinutes, 10) : interview.duration,
+      status: 'scheduled'
+    };
+    const [event] = await toEvents([moved]);
+
+    const others = event.staffEmail
+      ? (await loadEvents({ from: event.start, to: event.end, staffEmail: event.staffEmail }))
+        .filter(other => other.interviewId !== interview.id)
+      : [];
+    const clashes = findClashes([event, ...others]);
+
+    let availability = { available: true, reason: null };
+    if (event.staffEmail) {
+      const windows = await getAvailability(event.staffEmail);
+      if (!windows.success) throw new Error(windows.error);
+      availability = checkAvailability(windows.data, event.start, event.end);
+    }
+
+    if (!force && (clashes.length > 0 || !availability.available)) {
+      return {
+        success: false,
+        error: clashes.length > 0
+          ? `${event.staffEmail} already has an interview at that time`
+          : `${event.staffEmail} is not available at that time (${availability.reason})`,
+        conflict: { clashes, availability }
+      };
+    }
+
+    const { data, error } = await supabase
+      .from('interviews')
+      .update({
+        scheduled_date: moved.scheduled_date,
+        duration: moved.duration,
+        status: ['pending', 'cancelled'].includes(interview.status) ? 'scheduled' : interview.status,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', interviewId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordChange({
+      interview_id: String(interviewId),
+      session_id: interview.session_id,
+      action: 'rescheduled',
+      previous_date: interview.scheduled_date || null,
+      new_date: moved.scheduled_date,
+      previous_status: interview.status,
+      reason: String(reason).trim(),
+      clashes: clashes.length > 0 || !availability.available ? { clashes, availability } : null,
+      changed_by: changedBy || null
+    });
+
+    console.log(`📅 Interview ${interviewId} rescheduled to ${moved.scheduled_date}${force && clashes.length ? ' (clash overridden)' : ''}`);
+
+    return { success: true, data, warnings: { clashes, availability } };
+
+  } catch (error) {
+    console.error('❌ Error rescheduling interview:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Cancel an interview
+ * @param {string} interviewId - Interview ID
+ * @param {Object} change - { reason, changedBy }
+ * @returns {Promise<Object>} - Result with the interview
+ */
+const cancelInterview = async (interviewId, { reason, changedBy }) => {
+  try {
+    if (!reason || !String(reason).trim()) {
+      return { success: false, error: 'A reason is required', invalid: true };
+    }
+
+    const interview = await getInterview(interviewId);
+    if (!interview) {
+      return { success: false, error: 'Interview not found', notFound: true };
+    }
+
+    if (interview.status === 'completed' || interview.status === 'cancelled') {
+      return { success: false, error: `Interview is already ${interview.status}`, invalid: true };
+    }
+
+    const { data, error } = await supabase
+      .from('interviews')
+      .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+      .eq('id', interviewId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordChange({
+      interview_id: String(interviewId),
+      session_id: interview.session_id,
+      action: 'cancelled',
+      previous_date: interview.scheduled_date || null,
+      previous_status: interview.status,
+      reason: String(reason).trim(),
+      changed_by: changedBy || null
+    });
+
+    console.log(`📅 Interview ${interviewId} cancelled`);
+
+    return { success: true, data };
+
+  } catch (error) {
+    console.error('❌ Error cancelling interview:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Reschedule/cancel log of an interview
+ * @param {string} interviewId - Interview ID
+ * @returns {Promise<Object>} - Result with changes, newest first
+ */
+const getScheduleChanges = async (interviewId) => {
+  try {
+    const { data, error } = await supabase
+      .from('interview_schedule_changes')
+      .select('*')
+      .eq('interview_id', String(interviewId))
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    return { success: true, data: data || [] };
+
+  } catch (error) {
+    console.error('❌ Error fetching schedule changes:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Clashes involving the interviews of one session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Array<Object>>} - Clashes (empty when they cannot be computed)
+ */
+const getSessionClashes = async (sessionId) => {
+  try {
+    const { data, error } = await supabase
+      .from('interviews')
+      .select('id, scheduled_date, duration')
+      .eq('session_id', sessionId);
+
+    if (error) throw error;
+
+    const dated = (data || []).filter(interview => interview.scheduled_date);
+    if (dated.length === 0) return [];
+
+    const starts = dated.map(interview => new Date(interview.scheduled_date).getTime());
+    const ids = new Set(dated.map(interview => interview.id));
+    const events = await loadEvents({
+      from: new Date(Math.min(...starts)),
+      to: new Date(Math.max(...starts) + DAY)
+    });
+
+    return findClashes(events).filter(clash => clash.interviewIds.some(id => ids.has(id)));
+
+  } catch (error) {
+    console.error('❌ Error checking session clashes:', error);
+    return [];
+  }
+};
+
+/**
+ * Create a calendar feed link for a staff member; earlier links stop working
+ * @param {string} staffEmail - Staff email
+ * @returns {Promise<Object>} - Result with { url }
+ */
+const createFeedToken = async (staffEmail) => {
+  try {
+    const now = new Date().toISOString();
+    const { error: revokeError } = await supabase
+      .from('calendar_feed_tokens')
+      .update({ revoked_at: now })
+      .eq('staff_email', staffEmail)
+      .is('revoked_at', null);
+
+    if (revokeError) throw revokeError;
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const { error } = await supabase
+      .from('calendar_feed_tokens')
+      .insert({ staff_email: staffEmail, token_hash: hashToken(token) });
+
+    if (error) throw error;
+
+    return {
+      success: true,
+      data: { url: `${config.scheduling.feedBaseUrl.replace(/\/$/, '')}/api/schedule/feed/${token}.ics` }
+    };
+
+  } catch (error) {
+    console.error('❌ Error creating calendar feed token:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * ICS feed of a staff member's interviews, resolved from a feed token
+ * @param {string} token - Token from the feed URL
+ * @returns {Promise<Object>} - Result with the ICS document
+ */
+const getFeed = async (token) => {
+  try {
+    const { data: feedToken, error } = await supabase
+      .from('calendar_feed_tokens')
+      .select('*')
+      .eq('token_hash', hashToken(token))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!feedToken || feedToken.revoked_at) {
+      return { success: false, error: 'Calendar feed not found', notFound: true };
+    }
+
+    await supabase
+      .from('calendar_feed_tokens')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', feedToken.id);
+
+    const events = await loadEvents({
+      from: new Date(Date.now() - config.scheduling.feedPastDays * DAY),
+      to: new Date(Date.now() + 365 * DAY),
+      staffEmail: feedToken.staff_email,
+      includeCancelled: true
+    });
+
+    const frontendUrl = (config.friendInvites.linkBaseUrl || '').replace(/\/$/, '');
+    const ics = buildCalendar({
+      name: `Legamunity interviews - ${feedToken.staff_email}`,
+      events: events.map(event => ({
+        uid: `interview-${event.interviewId}@legamunity`,
+        start: event.start,
+        end: event.end,
+        summary: [event.clientName, event.name].filter(Boolean).join(' - ') || 'Interview',
+        description: `Session ${event.sessionId}`,
+        location: event.location,
+        status: INACTIVE_STATUSES.includes(event.status) ? 'CANCELLED' : 'CONFIRMED',
+        url: frontendUrl ? `${frontendUrl}/admin/sessions/${event.sessionId}` : null
+      }))
+    });
+
+    return { success: true, data: ics };
+
+  } catch (error) {
+    console.error('❌ Error building calendar feed:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+module.exports = {
+  getCalendar,
+  findClashes,
+  getAvailability,
+  addAvailability,
+  deleteAvailability,
+  checkAvailability,
+  rescheduleInterview,
+  cancelInterview,
+  getScheduleChanges,
+  getSessionClashes,
+  createFeedToken,
+  getFeed
+};
@@ -0,0 +1,340 @@
+/**
+ * Search Service
+ * Full-text search over interview transcriptions, the latest version of each
+ * draft (fullMarkdown or sections) and current full life stories. The database
+ * narrows each type to the documents that can match (search_candidates, see
+ * database/search-schema.sql); words are then matched and ranked with the
+ * Hebrew-aware rules in utils/hebrewSearch.
+ */
+
+const supabase = require('../config/database');
+const config = require('../config/config');
+const { buildDraftDocument, buildStoryDocument } = require('../utils/storyDocument');
+const { tokenize, parseQuery, findMatches, scoreMatches, buildSnippet } = require('../utils/hebrewSearch');
+
+const TYPES = ['transcript', 'draft', 'life_story'];
+
+const MAX_LIMIT = 100;
+
+// Sections of a document-model chapter list as plain text
+const chapterSections = (document) => [
+  { title: null, text: document.title || '' },
+  ...document.chapters.map(chapter => ({
+    title: chapter.title,
+    text: chapter.blocks.map(block => block.text || block.caption || '').filter(Boolean).join('\n')
+  }))
+].filter(section => section.text.trim());
+
+// PostgREST returns at most this many rows per request, RPC results included
+const MAX_ROWS_PER_REQUEST = 1000;
+
+// Rows fetched per request when loading candidates by ID
+const LOAD_BATCH_SIZE = 100;
+
+// Documents matched between yields to the event loop
+const MATCH_BATCH_SIZE = 20;
+
+const maxCandidates = () => Math.min(config.search.maxDocumentsPerType, MAX_ROWS_PER_REQUEST);
+
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Regex matching any word form of the query in search_normalize()d text
+ * @param {Array<Object>} terms - Parsed query terms
+ * @returns {string} - Alternation of the terms' forms
+ */
+const candidatePattern = (terms) => [...new Set(terms.flatMap(term => term.forms))].map(escapeRegExp).join('|');
+
+/**
+ * IDs of the newest documents of a type that can match the query
+ * @param {string} type - One of TYPES
+ * @param {string} pattern - Result of candidatePattern
+ * @param {Object} filters - { sessionIds, dateFrom, dateTo }
+ * @returns {Promise<Object>} - { ids, truncated }
+ */
+const findCandidates = async (type, pattern, { sessionIds, dateFrom, dateTo }) => {
+  const limit = maxCandidates();
+  const { data, error } = await supabase.rpc('search_candidates', {
+    document_type: type,
+    pattern,
+    session_ids: sessionIds,
+    date_from: dateFrom || null,
+    date_to: dateTo || null,
+    max_documents: limit
+  });
+
+  if (error) throw error;
+
+  return { ids: (data || []).map(row => row.id), truncated: (data || []).length >= limit };
+};
+
+/**
+ * Load rows by ID in batches
+ * @param {string} table - Table name
+ * @param {string} columns - Columns to select
+ * @param {Array<string>} ids - Row IDs
+ * @returns {Promise<Array<Object>>} - Rows
+ */
+const loadByIds = async (table, columns, ids) => {
+  const rows = [];
+  for (let i = 0; i < ids.length; i += LOAD_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(columns)
+      .in('id', ids.slice(i, i + LOAD_BATCH_SIZE));
+
+    if (error) throw error;
+    rows.push(...(data || []));
+  }
+  return rows;
+};
+
+const loadTranscripts = async (ids) => {
+  const data = await loadByIds('interviews', 'id, session_id, name, type, created_at, transcription:content->>transcription', ids);
+
+  return data
+    .filter(interview => typeof interview.transcription === 'string' && interview.transcription.trim())
+    .map(interview => ({
+      type: 'transcript',
+      id: interview.id,
+      sessionId: interview.session_id,
+      interviewId: interview.id,
+      title: interview.name || interview.type || 'Interview',
+      date: interview.created_at,
+      sections: [{ title: null, text: interview.transcription }]
+    }));
+};
+
+const loadDrafts = async (ids) => {
+  const data = await loadByIds('drafts', 'id, session_id, version, stage, content, created_at', ids);
+
+  return data.map(draft => {
+    const document = buildDraftDocument(draft);
+    return {
+      type: 'draft',
+      id: draft.id,
+      sessionId: draft.session_id,
+      interviewId: draft.content?.interview_id ? String(draft.content.interview_id) : null,
+      draftId: draft.id,
+      title: document.title,
+      stage: draft.stage,
+      version: draft.version,
+      date: draft.created_at,
+      sections: chapterSections(document)
+    };
+  });
+};
+
+const loadLifeStories = async (ids) => {
+  const data = await loadByIds('full_life_stories', 'id, session_id, version, title, subtitle, content, created_at', ids);
+
+  return data.map(story => {
+    const document = buildStoryDocument(story);
+    return {
+      type: 'life_story',
+      id: story.id,
+      sessionId: story.session_id,
+      storyId: story.id,
+      title: document.title,
+      version: story.version,
+      date: story.created_at,
+      sections: chapterSections(document)
+    };
+  });
+};
+
+/**
+ * Match every section of the documents, yielding between batches so long searches don't block requests
+ * @param {Array<Object>} documents - Loaded documents
+ * @param {Array<Object>} terms - Parsed query terms
+ * @returns {Promise<Array<Object>>} - [{ document, sections, termsFound }] for documents with a match
+ */
+const matchDocuments = async (documents, terms) => {
+  const matched = [];
+
+  for (let i = 0; i < documents.length; i++) {
+    if (i > 0 && i % MATCH_BATCH_SIZE === 0) await yieldToEventLoop();
+
+    const document = documents[i];
+    const sections = document.sections.map(section => {
+      const tokens = tokenize(section.text);
+      return { ...section, tokens, matches: findMatches(tokens, terms) };
+    });
+    const termsFound = new Set(sections.flatMap(section => section.matches.map(match => match.term)));
+
+    if (termsFound.size > 0) matched.push({ document, sections, termsFound });
+  }
+
+  return matched;
+};
+
+const LOADERS = {
+  transcript: loadTranscripts,
+  draft: loadDrafts,
+  life_story: loadLifeStories
+};
+
+// Paths of the admin pages a result opens
+const resultLinks = (document) => {
+  const links = { session: `/admin/sessions/${document.sessionId}` };
+  if (document.interviewId) links.interview = `/admin/sessions/${document.sessionId}?interviewId=${document.interviewId}`;
+  if (document.draftId) links.draft = `/admin/draft-review?sessionId=${document.sessionId}&draftId=${document.draftId}`;
+  if (document.storyId) links.lifeStory = `/admin/full-life-stories?sessionId=${document.sessionId}`;
+  return links;
+};
+
+/**
+ * Search transcripts, drafts and life stories
+ * @param {Object} options - Search options
+ * @param {string} options.query - Search text
+ * @param {Array<string>} [options.types] - Any of transcript, draft, life_story (default all)
+ * @param {string} [options.sessionId] - Only this session
+ * @param {string} [options.assignedAdmin] - Only sessions assigned to this admin
+ * @param {string} [options.dateFrom] - Documents created at or after this date
+ * @param {string} [options.dateTo] - Documents created at or before this date
+ * @param {number} [options.limit] - Results per page (default 20, max 100)
+ * @param {number} [options.offset] - Results to skip
+ * @returns {Promise<Object>} - Result with { query, terms, total, truncated, results }
+ */
+const search = async ({ query, types, sessionId, assignedAdmin, dateFrom, dateTo, limit = 20, offset = 0 } = {}) => {
+  try {
+    const terms = parseQuery(query);
+    if (terms.length === 0) {
+      return { success: false, invalid: true, error: 'Search query must contain at least one word' };
+    }
+
+    const searchTypes = types && types.length > 0 ? types : TYPES;
+    const unknownTypes = searchTypes.filter(type => !TYPES.includes(type));
+    if (unknownTypes.length > 0) {
+      return { success: false, invalid: true, error: `Unknown types: ${unknownTypes.join(', ')}. Use: ${TYPES.join(', ')}` };
+    }
+
+    for (const [name, value] of [['dateFrom', dateFrom], ['dateTo', dateTo]]) {
+      if (value && Number.isNaN(new Date(value).getTime())) {
+        return { success: false, invalid: true, error: `${name} must be a valid date` };
+      }
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_LIMIT);
+    const skip = Math.max(parseInt(offset, 10) || 0, 0);
+
+    // Session filters are resolved to session IDs first
+    let sessionIds = sessionId ? [sessionId] : null;
+    if (assignedAdmin) {
+      let sessionQuery = supabase.from('sessions').select('id').eq('assigned_admin', assignedAdmin);
+      if (sessionId) sessionQuery = sessionQuery.eq('id', sessionId);
+      const { data: sessions, error } = await sessionQuery;
+      if (error) throw error;
+      sessionIds = (sessions || []).map(session => session.id);
+    }
+
+    if (sessionIds && sessionIds.length === 0) {
+      return {
+        success: true,
+        data: { query, terms: terms.map(term => term.text), total: 0, limit: pageSize, offset: skip, truncated: false, results: [] }
+      };
+    }
+
+    const filters = { sessionIds, dateFrom, dateTo };
+    const pattern = candidatePattern(terms);
+    const candidates = await Promise.all(searchTypes.map(type => findCandidates(type, pattern, filters)));
+    const truncated = candidates.some(result => result.truncated);
+
+    const documents = [];
+    for (const [index, type] of searchTypes.entries()) {
+      if (candidates[index].ids.length > 0) documents.push(...await LOADERS[type](candidates[index].ids));
+    }
+
+    const matched = await matchDocuments(documents, terms);
+
+    // Weight rare terms above common ones (BM25-style idf) among the documents that can match the query
+    const termWeights = terms.map((term, index) => {
+      const documentFrequency = matched.filter(entry => entry.termsFound.has(index)).length;
+      return Math.log(1 + (documents.length - documentFrequency + 0.5) / (documentFrequency + 0.5));
+    });
+
+    const ranked = matched
+      .map(({ document, sections }) => {
+        // Sections are scored as one text; the snippet comes from the best section
+        let offsetIndex = 0;
+        const allMatches = sections.flatMap(section => {
+          const shifted = section.matches.map(match => ({ ...match, index: match.index + offsetIndex }));
+          offsetIndex += section.tokens.length + 1;
+          return shifted;
+        });
+
+        const bestSection = sections
+          .filter(section => section.matches.length > 0)
+          .map(section => ({ section, score: scoreMatches(section.matches, terms.length, termWeights) }))
+          .sort((a, b) => b.score - a.score)[0].section;
+
+        return {
+          document,
+          score: scoreMatches(allMatches, terms.length, termWeights),
+          bestSection
+        };
+      })
+      .sort((a, b) => b.score - a.score || new Date(b.document.date) - new Date(a.document.date));
+
+    // Snippets only for the page being returned
+    const page = ranked.slice(skip, skip + pageSize).map(({ document, score, bestSection }) => ({
+      document,
+      score,
+      section: bestSection.title,
+      snippet: buildSnippet(bestSection.text, bestSection.tokens, bestSection.matches, config.search.snippetWords).snippet
+    }));
+
+    const pageSessionIds = [...new Set(page.map(result => result.document.sessionId))];
+    const clientNames = {};
+    if (pageSessionIds.length > 0) {
+      const { data: sessions, error } = await supabase
+        .from('sessions')
+        .select('id, client_name')
+        .in('id', pageSessionIds);
+      if (error) throw error;
+      (sessions || []).forEach(session => { clientNames[session.id] = session.client_name; });
+    }
+
+    const results = page.map(({ document, score, section, snippet }) => ({
+      type: document.type,
+      id: document.id,
+      score: Math.round(score * 1000) / 1000,
+      title: document.title,
+      section,
+      snippet,
+      sessionId: document.sessionId,
+      clientName: clientNames[document.sessionId] || null,
+      interviewId: document.interviewId || null,
+      draftId: document.draftId || null,
+      storyId: document.storyId || null,
+      ...(document.stage && { stage: document.stage }),
+      ...(document.version && { version: document.version }),
+      date: document.date,
+      links: resultLinks(document)
+    }));
+
+    return {
+      success: true,
+      data: {
+        query,
+        terms: terms.map(term => term.text),
+        total: ranked.length,
+        limit: pageSize,
+        offset: skip,
+        // More documents than maxDocumentsPerType (at most 1000) could match; older ones were not searched
+        truncated,
+        results
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error searching:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+module.exports = {
+  TYPES,
+  search
+};
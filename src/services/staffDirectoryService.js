@@ -0,0 +1,29 @@
+/**
+ * Staff Directory Service
+ * Looks up staff users referenced by id. Sessions store their owner as a user id
+ * (sessions.assigned_admin); calendars and emails need the owner's address.
+ */
+
+const supabase = require('../config/database');
+
+/**
+ * Emails of users by id
+ * @param {Array<string>} userIds - User ids (falsy values are ignored)
+ * @returns {Promise<Map<string, string>>} - id -> email
+ */
+const getUserEmails = async (userIds) => {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  if (ids.length === 0) return new Map();
+
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, email')
+    .in('id', ids);
+
+  if (error) throw error;
+  return new Map((data || []).map(user => [user.id, user.email]));
+};
+
+module.exports = {
+  getUserEmails
+};
@@ -1,4 +1,6 @@
 const { v4: uuidv4 } = require('uuid');
+const roleService = require('./roleService');
+const factVerificationService = require('./factVerificationService');
 
 /**
  * Stage Validation Service - Handles draft stage transitions and validation
@@ -24,6 +26,82 @@ class StageValidationService {
     
     // Define automatic stage transitions (system-triggered)
     this.automaticStages = ['first_draft', 'in_progress', 'pending_review'];
+    
+    // Permission needed to move a draft into each stage (see roleService); other stages need drafts.edit
+    this.stagePermissions = {
+      'pending_approval': 'drafts.submit_for_approval',
+      'approved': 'drafts.approve',
+      'rejected': 'drafts.approve',
+      'archived': 'drafts.approve'
+    };
+  }
+  
+  /**
+   * Check that a user's role may move a draft into a stage
+   * @param {string} targetStage - Desired target stage
+   * @param {Object} user - User with a role
+   * @returns {Object} Permission result
+   */
+  validateStagePermission(targetStage, user = {}) {
+    const requiredPermission = this.stagePermissions[targetStage] || 'drafts.edit';
+    const allowed = roleService.hasPermission(user.role, requiredPermission);
+    
+    return {
+      allowed,
+      requiredPermission,
+      reason: allowed
+        ? 'Permission granted'
+        : `Moving a draft to '${targetStage}' requires the ${requiredPermission} permission`
+    };
+  }
+  
+  /**
+   * Check that a user's role may move a draft from its current stage to a target stage.
+   * Approved and rejected drafts are decisions, so only roles that can make them
+   * (drafts.approve) may move a draft out of those stages again.
+   * @param {string} currentStage - Stage the draft is in now
+   * @param {string} targetStage - Desired target stage
+   * @param {Object} context - { user } acting user with a role
+   * @returns {Object} Validation result
+   */
+  validateStageTransition(currentStage, targetStage, { user = {} } = {}) {
+    if (currentStage === targetStage) {
+      return {
+        valid: false,
+        reason: `Draft is already in stage '${targetStage}'`
+      };
+    }
+    
+    if (currentStage === 'archived') {
+      return {
+        valid: false,
+        reason: 'Archived drafts cannot change stage'
+      };
+    }
+    
+    if (['approved', 'rejected'].includes(currentStage) && !roleService.hasPermission(user.role, 'drafts.approve')) {
+      return {
+        valid: false,
+        reason: `Moving a draft out of '${currentStage}' requires the drafts.approve permission`,
+        requiredPermission: 'drafts.approve',
+        forbidden: true
+      };
+    }
+    
+    const permission = this.validateStagePermission(targetStage, user);
+    if (!permission.allowed) {
+      return {
+        valid: false,
+        reason: permission.reason,
+        requiredPermission: permission.requiredPermission,
+        forbidden: true
+      };
+    }
+    
+    return {
+      valid: true,
+      message: `Transition from '${currentStage}' to '${targetStage}' is allowed for role '${user.role}'`
+    };
   }
   
   /**
@@ -65,8 +143,13 @@ class StageValidationService {
         };
       }
       
-      // Check admin permission requirements
-      if (this.adminOnlyStages.includes(targetStage) && !context.isAdminAction) {
+      // Check the acting user's role when known, otherwise the admin flag
+      if (context.user) {
+        const permission = this.validateStageTransition(currentStage, targetStage, { user: context.user });
+        if (!permission.valid) {
+          return permission;
+        }
+      } else if (this.adminOnlyStages.includes(targetStage) && !context.isAdminAction) {
         return {
           valid: false,
           reason: `Stage '${targetStage}' requires admin action`,
@@ -105,8 +188,13 @@ class StageValidationService {
   validateBusinessRules(currentStage, targetStage, context) {
     const { draftData, sessionData, adminUser } = context;
     
-    // Rule 1: Can't approve without minimum interview completion
+    // Rule 1: Can't approve while critical facts are open or without minimum interview completion
     if (targetStage === 'approved') {
+      const verificationValidation = this.validateFactVerification(context.openCriticalVerifications);
+      if (!verificationValidation.valid) {
+        return verificationValidation;
+      }
+
       if (!draftData || !sessionData) {
         return {
           valid: false,
@@ -183,6 +271,56 @@ class StageValidationService {
     return { valid: true };
   }
   
+  /**
+   * Validate that no critical fact of the draft is still unverified or disputed
+   * Fails closed: records that were never loaded do not count as none open.
+   * @param {Array} openCriticalVerifications - Open critical fact_verifications records
+   * @returns {Object} Validation result
+   */
+  validateFactVerification(openCriticalVerifications) {
+    if (!Array.isArray(openCriticalVerifications)) {
+      return {
+        valid: false,
+        reason: 'Open critical fact verifications must be loaded before approval'
+      };
+    }
+
+    const openItems = openCriticalVerifications;
+
+    if (openItems.length > 0) {
+      return {
+        valid: false,
+        reason: `Cannot approve draft while ${openItems.length} critical fact(s) are unverified or disputed`,
+        openCriticalVerifications: openItems.map(item => ({
+          id: item.id,
+          category: item.category,
+          value: item.original_value,
+          status: item.status
+        }))
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Load a draft's open critical fact verifications and validate them for approval
+   * @param {Object} draft - Draft row
+   * @returns {Promise<Object>} Validation result
+   */
+  async checkFactVerification(draft) {
+    const openItemsResult = await factVerificationService.getOpenCriticalItems(draft);
+    if (!openItemsResult.success) {
+      return {
+        valid: false,
+        reason: `Could not check fact verification before approval: ${openItemsResult.error}`,
+        error: openItemsResult.error
+      };
+    }
+
+    return this.validateFactVerification(openItemsResult.data);
+  }
+  
   /**
    * Get next possible stages for a draft
    * @param {string} currentStage 
@@ -321,21 +459,24 @@ class StageValidationService {
    */
   validateUserPermission(stage, action, user = {}) {
     const stageMetadata = this.getStageMetadata(stage);
-    const isAdmin = user.role === 'admin' || user.isAdmin;
+    const role = user.isAdmin ? 'admin' : user.role;
+    const can = (permission) => roleService.hasPermission(role, permission);
+    const inReview = ['pending_review', 'under_review', 'pending_approval'].includes(stage);
     
     const permissions = {
-      view: true, // Everyone can view
-      edit: stageMetadata.allowEdit && (isAdmin || ['first_draft', 'in_progress', 'rejected'].includes(stage)),
-      delete: stageMetadata.allowDelete && isAdmin,
-      approve: isAdmin && ['pending_review', 'under_review', 'pending_approval'].includes(stage),
-      reject: isAdmin && ['pending_review', 'under_review', 'pending_approval'].includes(stage),
-      archive: isAdmin && stage === 'approved'
+      view: can('sessions.view'),
+      edit: stageMetadata.allowEdit && can('drafts.edit'),
+      delete: stageMetadata.allowDelete && role === 'admin',
+      submit_for_approval: can('drafts.submit_for_approval') && (this.stageTransitions[stage] || []).includes('pending_approval'),
+      approve: can('drafts.approve') && inReview,
+      reject: can('drafts.approve') && inReview,
+      archive: can('drafts.approve') && stage === 'approved'
     };
     
     return {
       allowed: permissions[action] || false,
       reason: permissions[action] ? 'Permission granted' : `Action '${action}' not allowed for stage '${stage}' and user role`,
-      userRole: isAdmin ? 'admin' : 'user',
+      userRole: role || 'user',
       stagePermissions: permissions
     };
   }
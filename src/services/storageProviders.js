@@ -0,0 +1,222 @@
+/**
+ * Storage Providers
+ * Every provider implements:
+ *  - put({ key, file })        stores a file ({ buffer } or { path }, plus mimetype and size),
+ *                              resolves with { key, url }
+ *  - remove({ key, mimeType }) deletes a stored object
+ *  - openReadStream({ key, url }) readable stream of a stored object (used by migrations)
+ *
+ *  - cloudinary: Cloudinary (the original store)
+ *  - local:      this server's disk, served from /api/files
+ *  - s3:         AWS S3 or any S3-compatible store (MinIO)
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const axios = require('axios');
+const config = require('../config/config');
+
+const stripExtension = (key) => key.replace(/\.[^/.]+$/, '');
+
+const encodeKey = (key) => key.split('/').map(encodeURIComponent).join('/');
+
+// Base URL every S3 object URL starts with
+const s3BaseUrl = () => {
+  const { bucket, region, endpoint, publicUrl } = config.storage.s3;
+  if (publicUrl) return publicUrl.replace(/\/$/, '');
+  if (endpoint) return `${endpoint.replace(/\/$/, '')}/${bucket}`;
+  return `https://${bucket}.s3.${region}.amazonaws.com`;
+};
+
+/**
+ * Determine the Cloudinary resource type based on MIME type
+ * @param {string} mimeType - The MIME type of the file
+ * @returns {string} - Cloudinary resource type
+ */
+const getResourceType = (mimeType = '') => {
+  if (mimeType.startsWith('audio/')) return 'video'; // Cloudinary uses 'video' for audio files
+  if (mimeType.startsWith('video/')) return 'video';
+  if (mimeType.startsWith('image/')) return 'image';
+  return 'raw'; // For text files, PDFs, etc.
+};
+
+const createCloudinaryProvider = () => {
+  const cloudinary = require('cloudinary').v2;
+  const { cloudName, apiKey, apiSecret } = config.storage.cloudinary;
+
+  cloudinary.config({
+    cloud_name: cloudName,
+    api_key: apiKey,
+    api_secret: apiSecret
+  });
+
+  return {
+    name: 'cloudinary',
+
+    put: async ({ key, file }) => {
+      // Cloudinary adds the format itself, so public IDs have no extension
+      const publicId = stripExtension(key);
+      const uploadOptions = {
+        resource_type: getResourceType(file.mimetype),
+        public_id: publicId,
+        folder: path.posix.dirname(publicId),
+        overwrite: true,
+        use_filename: true
+      };
+
+      const result = await new Promise((resolve, reject) => {
+        const callback = (error, uploadResult) => {
+          if (error) reject(error);
+          else resolve(uploadResult);
+        };
+
+        if (file.path && !file.buffer) {
+          // Files on disk (assembled resumable uploads) can exceed the single
+          // request limit, so they go up in chunks
+          cloudinary.uploader.upload_large(file.path, callback, uploadOptions);
+        } else {
+          cloudinary.uploader.upload_stream(uploadOptions, callback).end(file.buffer);
+        }
+      });
+
+      return { key: result.public_id, url: result.secure_url };
+    },
+
+    remove: async ({ key, mimeType }) => {
+      await cloudinary.uploader.destroy(key, { resource_type: getResourceType(mimeType) });
+    },
+
+    openReadStream: async ({ url }) => {
+      const response = await axios.get(url, { responseType: 'stream' });
+      return response.data;
+    }
+  };
+};
+
+const createLocalProvider = () => {
+  const { dir, baseUrl } = config.storage.local;
+  const root = path.resolve(dir);
+
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    put: async ({ key, file }) => {
+      const filePath = resolveKey(key);
+      await fs.ensureDir(path.dirname(filePath));
+
+      if (file.buffer) {
+        await fs.writeFile(filePath, file.buffer);
+      } else {
+        await fs.copy(file.path, filePath);
+      }
+
+      return { key, url: `${baseUrl.replace(/\/$/, '')}/${encodeKey(key)}` };
+    },
+
+    remove: async ({ key }) => {
+      await fs.remove(resolveKey(key));
+    },
+
+    openReadStream: async ({ key }) => fs.createReadStream(resolveKey(key))
+  };
+};
+
+const createS3Provider = () => {
+  const { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+  const { bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey } = config.storage.s3;
+
+  if (!bucket) {
+    throw new Error('STORAGE_S3_BUCKET is required for the s3 storage provider');
+  }
+
+  const client = new S3Client({
+    region,
+    ...(endpoint && { endpoint }),
+    forcePathStyle,
+    ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } }),
+    // Not every S3-compatible store accepts the SDK's default streaming checksums
+    ...(endpoint && { requestChecksumCalculation: 'WHEN_REQUIRED', responseChecksumValidation: 'WHEN_REQUIRED' })
+  });
+
+  const objectUrl = (key) => `${s3BaseUrl()}/${encodeKey(key)}`;
+
+  return {
+    name: 's3',
+
+    put: async ({ key, file }) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: file.buffer || fs.createReadStream(file.path),
+        ContentType: file.mimetype,
+        ContentLength: file.size
+      }));
+
+      return { key, url: objectUrl(key) };
+    },
+
+    remove: async ({ key }) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    openReadStream: async ({ key }) => {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return response.Body;
+    }
+  };
+};
+
+const FACTORIES = {
+  cloudinary: createCloudinaryProvider,
+  local: createLocalProvider,
+  s3: createS3Provider
+};
+
+const providers = new Map();
+
+/**
+ * A storage provider by name (created on first use)
+ * @param {string} [name] - Provider name; defaults to config.storage.provider
+ * @returns {Object} - Provider with name, put(), remove() and openReadStream()
+ */
+const getProvider = (name = config.storage.provider) => {
+  if (!providers.has(name)) {
+    const factory = FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown storage provider: ${name}. Use one of: ${Object.keys(FACTORIES).join(', ')}`);
+    }
+    providers.set(name, factory());
+  }
+  return providers.get(name);
+};
+
+/**
+ * Base URLs of the files in every configured store
+ * Files moved by a migration keep their old URLs, so every store with settings
+ * counts, not only the current provider.
+ * @returns {Array<string>} - Base URLs ending in '/'
+ */
+const getPublicBaseUrls = () => {
+  const { cloudinary, local, s3 } = config.storage;
+  const bases = [];
+
+  if (cloudinary.cloudName) bases.push(`https://res.cloudinary.com/${cloudinary.cloudName}`);
+  if (local.baseUrl) bases.push(local.baseUrl.replace(/\/$/, ''));
+  if (s3.bucket) bases.push(s3BaseUrl());
+
+  return bases.map(base => `${base}/`);
+};
+
+module.exports = {
+  PROVIDERS: Object.keys(FACTORIES),
+  getProvider,
+  getPublicBaseUrls
+};
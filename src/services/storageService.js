@@ -0,0 +1,318 @@
+/**
+ * Storage Service
+ * Stores uploaded interview files with the configured provider (see
+ * storageProviders) and tracks them in the file_urls table. Each row records
+ * its provider, so files stay reachable after the configured provider changes,
+ * and migrateFiles moves existing files between providers.
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const config = require('../config/config');
+const loggingService = require('./loggingService');
+const { getProvider, PROVIDERS } = require('./storageProviders');
+const { extractAudioMetadata } = require('../utils/audioMetadata');
+
+// Stored keys take their extension from the validated MIME type, never from the
+// client's filename, so an upload cannot be served back as HTML or script
+const EXTENSIONS_BY_MIME_TYPE = {
+  'audio/mpeg': '.mp3',
+  'audio/mp3': '.mp3',
+  'audio/wav': '.wav',
+  'audio/mp4': '.m4a',
+  'audio/m4a': '.m4a',
+  'audio/x-m4a': '.m4a',
+  'audio/aac': '.aac',
+  'audio/ogg': '.ogg',
+  'audio/webm': '.webm',
+  'audio/flac': '.flac',
+  'text/plain': '.txt',
+  'text/markdown': '.md',
+  'application/pdf': '.pdf',
+  'application/msword': '.doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx'
+};
+
+/**
+ * File extension for a MIME type
+ * @param {string} mimeType - Validated MIME type
+ * @returns {string} - Extension with leading dot, or '' for unknown types
+ */
+const extensionFor = (mimeType) => EXTENSIONS_BY_MIME_TYPE[(mimeType || '').toLowerCase()] || '';
+
+/**
+ * Columns describing where a file is stored
+ * @param {string} provider - Provider name
+ * @param {Object} stored - { key, url } from the provider
+ * @returns {Object} - file_urls columns
+ */
+const storageColumns = (provider, stored) => ({
+  storage_provider: provider,
+  storage_key: stored.key,
+  storage_url: stored.url,
+  // Kept for Cloudinary rows so older readers keep working
+  cloudinary_public_id: provider === 'cloudinary' ? stored.key : null,
+  cloudinary_url: provider === 'cloudinary' ? stored.url : null
+});
+
+/**
+ * Upload a file for an interview
+ * @param {Object} file - The file object from multer ({ buffer } or { path }, originalname, mimetype, size)
+ * @param {string} interviewId - The interview ID
+ * @param {string} fileType - Type of file (audio, text)
+ * @returns {Promise<Object>} - Upload result with file URL and metadata
+ */
+const uploadFile = async (file, interviewId, fileType) => {
+  try {
+    const provider = getProvider();
+
+    // Generate a unique key to avoid conflicts
+    const key = `interviews/${interviewId}/${fileType}_${uuidv4()}${extensionFor(file.mimetype)}`;
+    const stored = await provider.put({ key, file });
+
+    const audioMetadata = fileType === 'audio' ? await extractAudioMetadata(file) : null;
+
+    // Save file URL to database
+    const fileData = {
+      interview_id: interviewId,
+      file_type: fileType,
+      original_filename: file.originalname,
+      ...storageColumns(provider.name, stored),
+      mime_type: file.mimetype,
+      file_size: file.size,
+      duration_seconds: audioMetadata?.durationSeconds ?? null,
+      bitrate: audioMetadata?.bitrate ?? null,
+      sample_rate: audioMetadata?.sampleRate ?? null,
+      channels: audioMetadata?.channels ?? null,
+      codec: audioMetadata?.codec ?? null,
+      container: audioMetadata?.container ?? null
+    };
+
+    // Insert into file_urls table
+    const { data, error } = await db
+      .from('file_urls')
+      .upsert(fileData, { onConflict: ['interview_id', 'file_type'] })
+      .select();
+
+    if (error) throw new Error(`Database error: ${error.message}`);
+
+    return {
+      success: true,
+      data: {
+        ...fileData,
+        audio_metadata: audioMetadata,
+        id: data[0]?.id
+      }
+    };
+  } catch (error) {
+    console.error(`Error uploading file to ${config.storage.provider} storage:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a stored file
+ * @param {Object} fileRecord - file_urls row (storage_provider, storage_key, mime_type)
+ * @returns {Promise<Object>} - Deletion result
+ */
+const deleteFile = async (fileRecord) => {
+  try {
+    await getProvider(fileRecord.storage_provider).remove({
+      key: fileRecord.storage_key,
+      mimeType: fileRecord.mime_type
+    });
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting stored file:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get file URLs for an interview
+ * @param {string} interviewId - The interview ID
+ * @returns {Promise<Array>} - Array of file URLs
+ */
+const getFileUrls = async (interviewId) => {
+  try {
+    const { data, error } = await db
+      .from('file_urls')
+      .select('*')
+      .eq('interview_id', interviewId);
+
+    if (error) throw new Error(`Database error: ${error.message}`);
+
+    return { success: true, data };
+  } catch (error) {
+    console.error('Error getting file URLs:', error);
+    throw error;
+  }
+};
+
+/**
+ * Point the interview's file_upload metadata at the file's new location
+ * @param {Object} fileRecord - file_urls row before the move
+ * @param {Object} columns - New storage columns
+ */
+const rewriteInterviewFileUpload = async (fileRecord, columns) => {
+  const { data: interview, error } = await db
+    .from('interviews')
+    .select('id, content')
+    .eq('id', fileRecord.interview_id)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  const fileUpload = interview?.content?.file_upload;
+  if (!fileUpload || fileUpload.storageUrl !== fileRecord.storage_url) return;
+
+  const { error: updateError } = await db
+    .from('interviews')
+    .update({
+      content: {
+        ...interview.content,
+        file_upload: {
+          ...fileUpload,
+          fileName: columns.storage_key,
+          storageUrl: columns.storage_url,
+          storageProvider: columns.storage_provider
+        }
+      }
+    })
+    .eq('id', interview.id);
+
+  if (updateError) throw updateError;
+};
+
+/**
+ * Copy one stored file to another provider and rewrite its URLs
+ * @param {Object} fileRecord - file_urls row
+ * @param {Object} target - Target provider
+ * @param {boolean} deleteSource - Remove the original once copied
+ * @returns {Promise<Object>} - New storage columns
+ */
+const moveFile = async (fileRecord, target, deleteSource) => {
+  const source = getProvider(fileRecord.storage_provider);
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'legamunity-storage-'));
+
+  try {
+    // Cloudinary public IDs have no extension; local and S3 keys carry the one for their MIME type
+    const extension = extensionFor(fileRecord.mime_type);
+    const key = path.extname(fileRecord.storage_key) ? fileRecord.storage_key : `${fileRecord.storage_key}${extension}`;
+
+    const tempFile = path.join(tempDir, `file${extension}`);
+    await pipeline(
+      await source.openReadStream({ key: fileRecord.storage_key, url: fileRecord.storage_url }),
+      fs.createWriteStream(tempFile)
+    );
+
+    const { size } = await fs.stat(tempFile);
+    const stored = await target.put({
+      key,
+      file: {
+        path: tempFile,
+        originalname: fileRecord.original_filename,
+        mimetype: fileRecord.mime_type,
+        size
+      }
+    });
+
+    const columns = storageColumns(target.name, stored);
+
+    const { error } = await db
+      .from('file_urls')
+      .update(columns)
+      .eq('id', fileRecord.id);
+
+    if (error) throw new Error(`Database error: ${error.message}`);
+
+    await rewriteInterviewFileUpload(fileRecord, columns);
+
+    if (deleteSource) {
+      await source.remove({ key: fileRecord.storage_key, mimeType: fileRecord.mime_type });
+    }
+
+    return columns;
+  } finally {
+    await fs.remove(tempDir);
+  }
+};
+
+/**
+ * Move stored files from one provider to another
+ * Files are copied one at a time; a failed file is reported and left where it was.
+ * @param {Object} options - Migration options
+ * @param {string} options.from - Source provider
+ * @param {string} options.to - Target provider
+ * @param {boolean} [options.dryRun] - Only list the files that would move
+ * @param {boolean} [options.deleteSource] - Remove originals once copied
+ * @param {number} [options.limit] - Move at most this many files
+ * @param {Function} [options.onProgress] - Called with (fileRecord, result) after each file
+ * @returns {Promise<Object>} - Result with { total, migrated, failed[] }
+ */
+const migrateFiles = async ({ from, to, dryRun = false, deleteSource = false, limit, onProgress } = {}) => {
+  try {
+    if (!PROVIDERS.includes(from) || !PROVIDERS.includes(to)) {
+      return { success: false, invalid: true, error: `from and to must be one of: ${PROVIDERS.join(', ')}` };
+    }
+    if (from === to) {
+      return { success: false, invalid: true, error: 'from and to must be different providers' };
+    }
+
+    let query = db
+      .from('file_urls')
+      .select('*')
+      .eq('storage_provider', from)
+      .order('created_at', { ascending: true });
+
+    if (limit) query = query.limit(parseInt(limit, 10));
+
+    const { data: files, error } = await query;
+    if (error) throw new Error(`Database error: ${error.message}`);
+
+    const summary = { from, to, dryRun, total: (files || []).length, migrated: 0, failed: [] };
+
+    if (dryRun) {
+      return { success: true, data: { ...summary, files: (files || []).map(file => ({ id: file.id, interviewId: file.interview_id, key: file.storage_key })) } };
+    }
+
+    const target = getProvider(to);
+
+    for (const file of files || []) {
+      try {
+        const columns = await moveFile(file, target, deleteSource);
+        summary.migrated++;
+        if (onProgress) onProgress(file, { success: true, url: columns.storage_url });
+      } catch (fileError) {
+        summary.failed.push({ id: file.id, interviewId: file.interview_id, error: fileError.message });
+        if (onProgress) onProgress(file, { success: false, error: fileError.message });
+      }
+    }
+
+    await loggingService.logSystemEvent('storage_migrated', {
+      from,
+      to,
+      total: summary.total,
+      migrated: summary.migrated,
+      failed: summary.failed.length,
+      deleteSource
+    }, summary.failed.length > 0 ? 'warning' : 'info');
+
+    return { success: true, data: summary };
+
+  } catch (error) {
+    console.error('❌ Error migrating stored files:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+module.exports = {
+  uploadFile,
+  deleteFile,
+  getFileUrls,
+  migrateFiles
+};
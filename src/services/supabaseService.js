@@ -1,5 +1,94 @@
 const supabase = require('../config/database');
 const loggingService = require('./loggingService');
+const draftHistoryService = require('./draftHistoryService');
+const draftVersionService = require('./draftVersionService');
+const factVerificationService = require('./factVerificationService');
+const followUpQuestionService = require('./followUpQuestionService');
+const notificationService = require('./notificationService');
+const stageValidationService = require('./stageValidationService');
+const { SORT_FIELDS, encodeCursor, decodeCursor, afterCursorFilter } = require('../utils/sessionListQuery');
+
+// Interview columns of the lightweight sessions list
+const LIST_INTERVIEW_COLUMNS = 'id, session_id, name, type, status, scheduled_date, completed_date, duration, location, created_at, updated_at';
+
+// Draft columns of the lightweight sessions list: no content, only what links a draft to its interview
+const LIST_DRAFT_COLUMNS = 'id, session_id, version, stage, created_at, updated_at, '
+  + 'interview_id:content->>interview_id, source_interview:content->metadata->>sourceInterview, metadata_id:content->metadata->>id';
+
+const MAX_SESSIONS_PAGE = 100;
+
+// Date range filters of the sessions list and the column each applies to
+const DATE_RANGE_FILTERS = [
+  ['createdFrom', 'created_at', 'gte'],
+  ['createdTo', 'created_at', 'lte'],
+  ['nextInterviewFrom', 'next_interview_date', 'gte'],
+  ['nextInterviewTo', 'next_interview_date', 'lte'],
+  ['lastActivityFrom', 'last_activity_at', 'gte'],
+  ['lastActivityTo', 'last_activity_at', 'lte']
+];
+
+// Interview IDs a draft may be linked by (full rows or LIST_DRAFT_COLUMNS rows)
+const draftInterviewIds = (draft) => [
+  draft.content?.metadata?.sourceInterview ?? draft.source_interview,
+  draft.content?.interview_id ?? draft.interview_id,
+  draft.content?.metadata?.id ?? draft.metadata_id
+].filter(Boolean).map(String);
+
+/**
+ * Attach drafts to their interviews and add the session metrics the sessions list shows
+ * @param {Object} session - Session row
+ * @param {Array} interviews - The session's interviews
+ * @param {Array} drafts - The session's drafts
+ * @returns {Object} - Session with interviews (each with drafts and ai_draft), drafts and metrics
+ */
+const withSessionMetrics = (session, interviews, drafts) => {
+  // Sort interviews by creation time to maintain consistent order
+  const sortedInterviews = [...interviews].sort((a, b) => {
+    return new Date(a.created_at) - new Date(b.created_at);
+  });
+
+  // Associate drafts with interviews using metadata
+  const interviewsWithDrafts = sortedInterviews.map(interview => {
+    // Check multiple possible ways the draft might be linked to the interview
+    const interviewDrafts = drafts.filter(draft => draftInterviewIds(draft).includes(String(interview.id)));
+
+    // Sort drafts by version (highest first) to get the latest
+    interviewDrafts.sort((a, b) => (b.version || 0) - (a.version || 0));
+
+    // Set ai_draft property for frontend compatibility
+    const latestDraft = interviewDrafts.length > 0 ? interviewDrafts[0] : null;
+
+    return {
+      ...interview,
+      drafts: interviewDrafts,
+      ai_draft: latestDraft // Frontend expects this property to show "Draft Generated" button
+    };
+  });
+
+  // Calculate total duration
+  const totalDuration = interviews.reduce((sum, interview) => {
+    return sum + (interview.duration || 60); // Default 60 minutes if not set
+  }, 0);
+
+  // Calculate completion percentage
+  const completedInterviews = interviews.filter(interview =>
+    interview.status === 'completed'
+  ).length;
+  const totalInterviews = interviews.length;
+  const completionPercentage = totalInterviews > 0
+    ? Math.round((completedInterviews / totalInterviews) * 100)
+    : 0;
+
+  return {
+    ...session,
+    interviews: interviewsWithDrafts,
+    drafts, // All drafts for the session
+    totalDuration,
+    completionPercentage,
+    completedInterviews,
+    totalInterviews
+  };
+};
 
 class SupabaseService {
   constructor() {
@@ -141,63 +230,11 @@ class SupabaseService {
       }
 
       // Calculate session metrics and associate drafts
-      const sessionsWithMetrics = data.map(session => {
-        const interviews = session.interviews || [];
-        
-        // Get drafts for this session
-        const sessionDrafts = draftsData.filter(draft => draft.session_id === session.id);
-        
-        // Sort interviews by creation time to maintain consistent order
-        const sortedInterviews = interviews.sort((a, b) => {
-          return new Date(a.created_at) - new Date(b.created_at);
-        });
-        
-        // Associate drafts with interviews using metadata
-        const interviewsWithDrafts = sortedInterviews.map(interview => {
-          const interviewDrafts = sessionDrafts.filter(draft => {
-            // Check multiple possible ways the draft might be linked to the interview
-            return draft.content?.metadata?.sourceInterview === interview.id ||
-                   draft.content?.interview_id === interview.id ||
-                   draft.content?.metadata?.id === interview.id;
-          });
-          
-          // Sort drafts by version (highest first) to get the latest
-          interviewDrafts.sort((a, b) => (b.version || 0) - (a.version || 0));
-          
-          // Set ai_draft property for frontend compatibility
-          const latestDraft = interviewDrafts.length > 0 ? interviewDrafts[0] : null;
-          
-          return {
-            ...interview,
-            drafts: interviewDrafts,
-            ai_draft: latestDraft // Frontend expects this property to show "Draft Generated" button
-          };
-        });
-        
-        // Calculate total duration
-        const totalDuration = interviews.reduce((sum, interview) => {
-          return sum + (interview.duration || 60); // Default 60 minutes if not set
-        }, 0);
-
-        // Calculate completion percentage
-        const completedInterviews = interviews.filter(interview => 
-          interview.status === 'completed'
-        ).length;
-        const totalInterviews = interviews.length;
-        const completionPercentage = totalInterviews > 0 
-          ? Math.round((completedInterviews / totalInterviews) * 100) 
-          : 0;
-
-        return {
-          ...session,
-          interviews: interviewsWithDrafts,
-          drafts: sessionDrafts, // All drafts for the session
-          totalDuration,
-          completionPercentage,
-          completedInterviews,
-          totalInterviews
-        };
-      });
+      const sessionsWithMetrics = data.map(session => withSessionMetrics(
+        session,
+        session.interviews || [],
+        draftsData.filter(draft => draft.session_id === session.id)
+      ));
 
       return { success: true, data: sessionsWithMetrics };
     } catch (error) {
@@ -206,6 +243,155 @@ class SupabaseService {
     }
   }
 
+  /**
+   * Get one page of the sessions list
+   * Sorting, filtering and pagination run in the database on the session summary
+   * columns (database/session-list-summary.sql); only the page's interviews and drafts are loaded.
+   * @param {Object} options - List options
+   * @param {number} [options.limit] - Sessions per page (default 20, max 100)
+   * @param {string} [options.cursor] - nextCursor of the previous page
+   * @param {number} [options.page] - Page number, when not paging by cursor
+   * @param {string} [options.sortBy] - created_at, client_name, next_interview_date or last_activity_at
+   * @param {string} [options.sortOrder] - asc or desc
+   * @param {string} [options.view] - 'full' (interviews and drafts with content) or 'list' (no content or draft bodies)
+   * @param {string} [options.search] - Part of the client name
+   * @param {Object} [options.filters] - status, assignedAdmin, assignedTo ({ userId, email }: sessions the staff member
+   *   owns or conducts an interview of), priority_level, session_type, preferred_language,
+   *   latestDraftStage (one or more stages), hasPendingReview, createdFrom/To, nextInterviewFrom/To, lastActivityFrom/To
+   * @returns {Promise<Object>} - Result with data and pagination { limit, sortBy, sortOrder, total or remaining, hasMore, nextCursor }
+   */
+  async listSessions({ limit = 20, cursor, page, sortBy = 'created_at', sortOrder = 'desc', view = 'full', search, filters = {} } = {}) {
+    try {
+      const sortColumn = SORT_FIELDS[sortBy];
+      if (!sortColumn) {
+        return { success: false, invalid: true, error: `Invalid sort_by. Use one of: ${Object.keys(SORT_FIELDS).join(', ')}` };
+      }
+      if (!['asc', 'desc'].includes(sortOrder)) {
+        return { success: false, invalid: true, error: 'sort_order must be asc or desc' };
+      }
+      if (!['full', 'list'].includes(view)) {
+        return { success: false, invalid: true, error: 'view must be full or list' };
+      }
+
+      const ascending = sortOrder === 'asc';
+      const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_SESSIONS_PAGE);
+
+      let position = null;
+      if (cursor) {
+        position = decodeCursor(cursor, sortColumn);
+        if (!position) {
+          return { success: false, invalid: true, error: 'Invalid cursor for this sort order' };
+        }
+      }
+
+      let query = supabase
+        .from('sessions')
+        .select('*', { count: 'exact' });
+
+      // Apply filters
+      if (filters.status) query = query.eq('status', filters.status);
+      if (filters.assignedAdmin) query = query.eq('assigned_admin', filters.assignedAdmin);
+      if (filters.assignedTo) {
+        const { data: assignedInterviews, error: assignedError } = await supabase
+          .from('interviews')
+          .select('session_id')
+          .eq('assigned_to', filters.assignedTo.email);
+
+        if (assignedError) throw assignedError;
+
+        const interviewSessionIds = [...new Set((assignedInterviews || []).map(interview => interview.session_id))];
+        query = query.or([
+          `assigned_admin.eq.${filters.assignedTo.userId}`,
+          ...(interviewSessionIds.length > 0 ? [`id.in.(${interviewSessionIds.join(',')})`] : [])
+        ].join(','));
+      }
+      if (filters.priority_level) query = query.eq('preferences->>priority_level', filters.priority_level);
+      if (filters.session_type) query = query.eq('preferences->>session_type', filters.session_type);
+      if (filters.preferred_language) query = query.eq('preferences->>preferred_language', filters.preferred_language);
+      if (filters.latestDraftStage && filters.latestDraftStage.length > 0) {
+        query = query.in('latest_draft_stage', [].concat(filters.latestDraftStage));
+      }
+      if (filters.hasPendingReview === true) query = query.gt('pending_review_count', 0);
+      if (filters.hasPendingReview === false) query = query.eq('pending_review_count', 0);
+      if (search) query = query.ilike('client_name', `%${search.replace(/[%_\\]/g, '\\$&')}%`);
+
+      for (const [name, column, operator] of DATE_RANGE_FILTERS) {
+        if (!filters[name]) continue;
+        if (Number.isNaN(new Date(filters[name]).getTime())) {
+          return { success: false, invalid: true, error: `${name} must be a valid date` };
+        }
+        query = operator === 'gte' ? query.gte(column, filters[name]) : query.lte(column, filters[name]);
+      }
+
+      if (position) {
+        query = query.or(afterCursorFilter(sortColumn, ascending, position));
+      }
+
+      // One extra row tells whether there is another page
+      const offset = !position && page > 1 ? (page - 1) * pageSize : 0;
+      const { data, error, count } = await query
+        .order(sortColumn, { ascending, nullsFirst: false })
+        .order('id', { ascending })
+        .range(offset, offset + pageSize);
+
+      if (error) throw error;
+
+      const hasMore = data.length > pageSize;
+      const sessions = data.slice(0, pageSize);
+      const sessionIds = sessions.map(session => session.id);
+
+      let interviewsData = [];
+      let draftsData = [];
+
+      if (sessionIds.length > 0) {
+        const [interviewsResult, draftsResult] = await Promise.all([
+          supabase
+            .from('interviews')
+            .select(view === 'list' ? LIST_INTERVIEW_COLUMNS : 'id, session_id, type, status, scheduled_date, completed_date, duration, location, notes, content, created_at')
+            .in('session_id', sessionIds),
+          supabase
+            .from('drafts')
+            .select(view === 'list' ? LIST_DRAFT_COLUMNS : '*')
+            .in('session_id', sessionIds)
+            .order('version', { ascending: false })
+        ]);
+
+        if (interviewsResult.error) throw interviewsResult.error;
+        interviewsData = interviewsResult.data || [];
+
+        if (draftsResult.error) {
+          console.warn('Warning: Could not fetch drafts:', draftsResult.error.message);
+        } else {
+          draftsData = draftsResult.data || [];
+        }
+      }
+
+      const sessionsWithMetrics = sessions.map(session => withSessionMetrics(
+        session,
+        interviewsData.filter(interview => interview.session_id === session.id),
+        draftsData.filter(draft => draft.session_id === session.id)
+      ));
+
+      return {
+        success: true,
+        data: sessionsWithMetrics,
+        pagination: {
+          limit: pageSize,
+          ...(!position && { page: page > 1 ? page : 1 }),
+          sortBy: sortColumn,
+          sortOrder,
+          // With a cursor the count covers only the sessions after it
+          ...(position ? { remaining: count ?? null } : { total: count ?? null }),
+          hasMore,
+          nextCursor: hasMore ? encodeCursor(sessions[sessions.length - 1], sortColumn) : null
+        }
+      };
+    } catch (error) {
+      console.error('Error listing sessions:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Update a session
    */
@@ -858,99 +1044,80 @@ class SupabaseService {
 
   /**
    * Get session statistics for dashboard
+   * Runs a fixed number of aggregate queries however many sessions there are.
    */
   async getSessionStats() {
     try {
       console.log('🔍 Fetching session statistics...');
       
-      // Get total sessions count with retry logic
-      const { count: totalSessions, error: countError } = await this.retrySupabaseOperation(
-        () => supabase
-          .from('sessions')
-          .select('*', { count: 'exact', head: true })
-      );
-
-      if (countError) throw countError;
-
-      // Get active sessions count (status = 'active' or 'in_progress')
-      const { count: activeSessions, error: activeError } = await supabase
-        .from('sessions')
-        .select('*', { count: 'exact', head: true })
-        .in('status', ['active', 'in_progress', 'scheduled']);
-
-      if (activeError) throw activeError;
-
-      // Get completed sessions - sessions where ALL interviews are completed
-      const { data: allSessions, error: sessionsError } = await supabase
-        .from('sessions')
-        .select('id');
-
-      if (sessionsError) throw sessionsError;
-
-      let completedSessions = 0;
-      if (allSessions && allSessions.length > 0) {
-        for (const session of allSessions) {
-          // Get all interviews for this session
-          const { data: interviews, error: interviewsError } = await supabase
-            .from('interviews')
-            .select('status')
-            .eq('session_id', session.id);
-
-          if (!interviewsError && interviews && interviews.length > 0) {
-            // Check if all interviews are completed
-            const allCompleted = interviews.every(interview => interview.status === 'completed');
-            if (allCompleted) {
-              completedSessions++;
-            }
-          }
-        }
-      }
-
-      // Get drafts awaiting approval
-      const { count: draftsAwaitingApproval, error: draftsError } = await supabase
-        .from('drafts')
-        .select('*', { count: 'exact', head: true })
-        .eq('stage', 'pending_review');
-
-      if (draftsError) throw draftsError;
-
-      // Get total drafts count
-      const { count: totalDrafts, error: totalDraftsError } = await supabase
-        .from('drafts')
-        .select('*', { count: 'exact', head: true });
-
-      if (totalDraftsError) throw totalDraftsError;
-
-      // Get approved drafts count
-      const { count: approvedDrafts, error: approvedDraftsError } = await supabase
-        .from('drafts')
-        .select('*', { count: 'exact', head: true })
-        .eq('stage', 'approved');
-
-      if (approvedDraftsError) throw approvedDraftsError;
-
-      // Get rejected drafts count
-      const { count: rejectedDrafts, error: rejectedDraftsError } = await supabase
-        .from('drafts')
-        .select('*', { count: 'exact', head: true })
-        .eq('stage', 'rejected');
-
-      if (rejectedDraftsError) throw rejectedDraftsError;
-
-      // Get total interviews count
-      const { count: totalInterviews, error: totalInterviewsError } = await supabase
-        .from('interviews')
-        .select('*', { count: 'exact', head: true });
+      const sevenDaysAgo = new Date();
+      sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
 
-      if (totalInterviewsError) throw totalInterviewsError;
+      const count = (table, applyFilters = query => query) => applyFilters(
+        supabase.from(table).select('*', { count: 'exact', head: true })
+      );
 
-      // Get completed interviews count
-      const { count: completedInterviews, error: completedInterviewsError } = await supabase
-        .from('interviews')
-        .select('*', { count: 'exact', head: true })
-        .eq('status', 'completed');
+      const draftStages = Object.keys(stageValidationService.stageTransitions);
+
+      // Counts come from aggregate queries run side by side; completed sessions use the
+      // interviews_completed summary column (database/session-list-summary.sql)
+      const [
+        totalSessionsResult,
+        activeSessionsResult,
+        completedSessionsResult,
+        totalDraftsResult,
+        totalInterviewsResult,
+        completedInterviewsResult,
+        awaitingTranscriptionResult,
+        oldestAwaitingResult,
+        recentInterviewsResult,
+        recentDraftsResult,
+        ...draftStageResults
+      ] = await Promise.all([
+        this.retrySupabaseOperation(() => count('sessions')),
+        count('sessions', query => query.in('status', ['active', 'in_progress', 'scheduled'])),
+        count('sessions', query => query.eq('interviews_completed', true)),
+        count('drafts'),
+        count('interviews'),
+        count('interviews', query => query.eq('status', 'completed')),
+        count('interviews', query => query.eq('status', 'transcribing')),
+        supabase
+          .from('interviews')
+          .select('updated_at')
+          .eq('status', 'transcribing')
+          .order('updated_at', { ascending: true })
+          .limit(1),
+        count('interviews', query => query.gte('updated_at', sevenDaysAgo.toISOString())),
+        count('drafts', query => query.gte('updated_at', sevenDaysAgo.toISOString())),
+        ...draftStages.map(stage => count('drafts', query => query.eq('stage', stage)))
+      ]);
+
+      const failed = [
+        totalSessionsResult, activeSessionsResult, completedSessionsResult, totalDraftsResult,
+        totalInterviewsResult, completedInterviewsResult, awaitingTranscriptionResult, oldestAwaitingResult,
+        recentInterviewsResult, recentDraftsResult, ...draftStageResults
+      ].find(result => result.error);
+      if (failed) throw failed.error;
+
+      const totalSessions = totalSessionsResult.count;
+      const activeSessions = activeSessionsResult.count;
+      const completedSessions = completedSessionsResult.count;
+      const totalDrafts = totalDraftsResult.count;
+      const totalInterviews = totalInterviewsResult.count;
+      const completedInterviews = completedInterviewsResult.count;
+      const interviewsAwaitingTranscription = awaitingTranscriptionResult.count;
+      const oldestAwaitingTranscriptionSince = oldestAwaitingResult.data?.[0]?.updated_at || null;
+      const recentInterviews = recentInterviewsResult.count;
+      const recentDrafts = recentDraftsResult.count;
+
+      const draftsByStage = {};
+      draftStages.forEach((stage, index) => {
+        draftsByStage[stage] = draftStageResults[index].count || 0;
+      });
 
-      if (completedInterviewsError) throw completedInterviewsError;
+      const draftsAwaitingApproval = draftsByStage.pending_review;
+      const approvedDrafts = draftsByStage.approved;
+      const rejectedDrafts = draftsByStage.rejected;
 
       // Calculate interview completion rate
       const interviewCompletionRate = totalInterviews > 0 
@@ -962,23 +1129,14 @@ class SupabaseService {
         ? Math.round((approvedDrafts / totalDrafts) * 100)
         : 0;
 
-      // Get recent activity (last 7 days)
-      const sevenDaysAgo = new Date();
-      sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-
-      const { count: recentInterviews, error: recentInterviewsError } = await supabase
-        .from('interviews')
-        .select('*', { count: 'exact', head: true })
-        .gte('updated_at', sevenDaysAgo.toISOString());
-
-      if (recentInterviewsError) throw recentInterviewsError;
-
-      const { count: recentDrafts, error: recentDraftsError } = await supabase
-        .from('drafts')
-        .select('*', { count: 'exact', head: true })
-        .gte('updated_at', sevenDaysAgo.toISOString());
-
-      if (recentDraftsError) throw recentDraftsError;
+      // Time in stage over the last 90 days of draft history
+      const ninetyDaysAgo = new Date();
+      ninetyDaysAgo.setDate(ninetyDaysAgo.getDate() - 90);
+      const stageDurationsResult = await draftHistoryService.getStageDurations({ since: ninetyDaysAgo.toISOString() });
+      if (!stageDurationsResult.success) {
+        console.warn('⚠️ Could not compute time in stage:', stageDurationsResult.error);
+      }
+      const averageTimeInStage = stageDurationsResult.success ? stageDurationsResult.data : [];
       
       // Get recent activity logs (last 7 days, limit to 10 most recent)
       // Filter out login activities and focus on more meaningful events
@@ -1100,11 +1258,15 @@ class SupabaseService {
           approvedDrafts,
           rejectedDrafts,
           draftApprovalRate,
+          draftsByStage,
+          averageTimeInStage,
           
           // Interview metrics
           totalInterviews,
           completedInterviews,
           interviewCompletionRate,
+          interviewsAwaitingTranscription,
+          oldestAwaitingTranscriptionSince,
           
           // Life story metrics
           totalLifeStories: totalLifeStories || 0,
@@ -1166,6 +1328,16 @@ class SupabaseService {
         null, // IP address not available in service layer
         null  // User agent not available in service layer
       );
+
+      await draftHistoryService.recordChange({
+        draftId: data.id,
+        action: 'created',
+        actor: draftData.created_by,
+        after: data
+      });
+
+      await factVerificationService.syncDraft(data);
+      await followUpQuestionService.syncDraft(data);
       
       return { success: true, data };
     } catch (error) {
@@ -1311,9 +1483,27 @@ class SupabaseService {
 
   /**
    * Update a draft
+   * @param {string} draftId - Draft ID
+   * @param {Object} updateData - Columns to update
+   * @param {string} [actor] - Who made the change (recorded in draft history)
+   * @param {string} [reason] - Why the change was made (recorded in draft history)
    */
-  async updateDraft(draftId, updateData) {
+  async updateDraft(draftId, updateData, actor = null, reason = null) {
     try {
+      const { data: currentDraft, error: fetchError } = await supabase
+        .from('drafts')
+        .select('*')
+        .eq('id', draftId)
+        .single();
+
+      if (fetchError) throw fetchError;
+
+      // Edits are versions too; keep the content they replace diffable
+      const versioned = updateData.content && currentDraft.content?.interview_id;
+      if (versioned) {
+        await draftVersionService.ensureSnapshot(currentDraft);
+      }
+
       const updateRecord = {
         ...updateData,
         updated_at: new Date().toISOString()
@@ -1327,6 +1517,36 @@ class SupabaseService {
         .single();
 
       if (error) throw error;
+
+      if (versioned && JSON.stringify(data.content) !== JSON.stringify(currentDraft.content)) {
+        await draftVersionService.recordVersion({
+          interviewId: data.content?.interview_id || currentDraft.content.interview_id,
+          sessionId: data.session_id,
+          draftId,
+          content: data.content,
+          reason: 'edited'
+        });
+      }
+
+      await draftHistoryService.recordChange({
+        draftId,
+        action: updateData.stage && updateData.stage !== currentDraft.stage && !updateData.content ? 'stage_changed' : 'content_updated',
+        actor,
+        before: currentDraft,
+        after: data,
+        reason
+      });
+
+      if (updateData.stage && updateData.stage !== currentDraft.stage) {
+        await notificationService.notifyDraftStageChanged({
+          draft: data,
+          fromStage: currentDraft.stage,
+          toStage: data.stage,
+          actor,
+          reason
+        });
+      }
+
       return { success: true, data };
     } catch (error) {
       console.error('Error updating draft:', error);
@@ -1409,7 +1629,7 @@ class SupabaseService {
       // First, get the current draft to access existing content
       const { data: currentDraft, error: fetchError } = await supabase
         .from('drafts')
-        .select('content')
+        .select('*')
         .eq('id', draftId)
         .single();
 
@@ -1446,6 +1666,16 @@ class SupabaseService {
         .single();
 
       if (error) throw error;
+
+      await draftHistoryService.recordChange({
+        draftId,
+        action: 'note_added',
+        actor: newNote.author,
+        before: currentDraft,
+        after: data,
+        changes: { noteId: newNote.id }
+      });
+
       return { success: true, data, note: newNote };
     } catch (error) {
       console.error('Error adding note to draft:', error);
@@ -1455,17 +1685,51 @@ class SupabaseService {
 
   /**
    * Update draft stage (for approval/rejection)
+   * When stageData.user is given, the move from the current stage is checked against the user's role;
+   * approval also requires every critical fact to be verified
    */
   async updateDraftStage(draftId, stageData) {
     try {
       // First get the current draft to preserve existing content
       const { data: currentDraft, error: fetchError } = await supabase
         .from('drafts')
-        .select('content')
+        .select('*')
         .eq('id', draftId)
-        .single();
+        .maybeSingle();
 
       if (fetchError) throw fetchError;
+      if (!currentDraft) {
+        return { success: false, notFound: true, error: 'Draft not found' };
+      }
+
+      if (stageData.user) {
+        const transition = stageValidationService.validateStageTransition(currentDraft.stage, stageData.stage, {
+          user: stageData.user
+        });
+        if (!transition.valid) {
+          return {
+            success: false,
+            invalid: !transition.forbidden,
+            forbidden: !!transition.forbidden,
+            requiredPermission: transition.requiredPermission,
+            error: transition.reason
+          };
+        }
+      }
+
+      // Approval is blocked while critical facts are open, whoever asks for it
+      if (stageData.stage === 'approved') {
+        const verification = await stageValidationService.checkFactVerification(currentDraft);
+        if (!verification.valid) {
+          if (verification.error) throw new Error(verification.reason);
+          return {
+            success: false,
+            conflict: true,
+            error: verification.reason,
+            openCriticalVerifications: verification.openCriticalVerifications
+          };
+        }
+      }
 
       // Prepare the content with approval/rejection metadata
       const updatedContent = { ...currentDraft.content };
@@ -1494,14 +1758,37 @@ class SupabaseService {
         updated_at: new Date().toISOString()
       };
 
+      // Only apply the change if nobody moved the draft since it was read
       const { data, error } = await supabase
         .from('drafts')
         .update(updateRecord)
         .eq('id', draftId)
+        .eq('stage', currentDraft.stage)
         .select()
-        .single();
+        .maybeSingle();
 
       if (error) throw error;
+      if (!data) {
+        return { success: false, conflict: true, error: 'Draft stage changed while updating; reload and try again' };
+      }
+
+      await draftHistoryService.recordChange({
+        draftId,
+        action: 'stage_changed',
+        actor: stageData.changedBy || stageData.approvedBy || stageData.rejectedBy,
+        before: currentDraft,
+        after: data,
+        reason: stageData.stage === 'rejected' ? stageData.rejectionReason : null
+      });
+
+      await notificationService.notifyDraftStageChanged({
+        draft: data,
+        fromStage: currentDraft.stage,
+        toStage: data.stage,
+        actor: stageData.changedBy || stageData.approvedBy || stageData.rejectedBy,
+        reason: stageData.stage === 'rejected' ? stageData.rejectionReason : null
+      });
+
       return { success: true, data };
     } catch (error) {
       console.error('Error updating draft stage:', error);
@@ -0,0 +1,319 @@
+/**
+ * Transcript Service
+ * Stores segment-level transcripts (transcript_segments) with their speakers
+ * (transcript_speakers), lets admins rename speakers and correct segments, and
+ * regenerates interviews.content.transcription from the segments.
+ */
+
+const supabase = require('../config/database');
+const loggingService = require('./loggingService');
+const { normalizeSegments, buildFlatTranscription } = require('../utils/transcriptSegments');
+
+const speakerNameMap = (speakers) => (speakers || []).reduce((names, speaker) => {
+  if (speaker.display_name) names[speaker.speaker_key] = speaker.display_name;
+  return names;
+}, {});
+
+const fetchSegments = async (interviewId) => {
+  const { data, error } = await supabase
+    .from('transcript_segments')
+    .select('*')
+    .eq('interview_id', interviewId)
+    .order('position', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+};
+
+const fetchSpeakers = async (interviewId) => {
+  const { data, error } = await supabase
+    .from('transcript_speakers')
+    .select('*')
+    .eq('interview_id', interviewId)
+    .order('speaker_key', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Add speaker rows for keys the interview does not have yet
+ * Existing rows keep their display names, so a re-transcription does not lose renames.
+ * @param {string} interviewId - Interview ID
+ * @param {Array<string>} speakerKeys - Speaker keys in use
+ */
+const ensureSpeakers = async (interviewId, speakerKeys) => {
+  const existing = new Set((await fetchSpeakers(interviewId)).map(speaker => speaker.speaker_key));
+  const missing = [...new Set(speakerKeys.filter(Boolean))].filter(key => !existing.has(key));
+
+  if (missing.length === 0) return;
+
+  const { error } = await supabase
+    .from('transcript_speakers')
+    .insert(missing.map(speakerKey => ({ interview_id: interviewId, speaker_key: speakerKey })));
+
+  if (error) throw error;
+};
+
+/**
+ * Store the segments of a transcription, replacing any earlier ones
+ * @param {string} interviewId - Interview ID
+ * @param {Array} rawSegments - Segments from the transcription callback
+ * @returns {Promise<Object>} - Result with { segments, speakers }
+ */
+const saveSegments = async (interviewId, rawSegments) => {
+  try {
+    const segments = normalizeSegments(rawSegments);
+    if (segments.length === 0) {
+      return { success: false, invalid: true, error: 'No segments with text' };
+    }
+
+    const { error: deleteError } = await supabase
+      .from('transcript_segments')
+      .delete()
+      .eq('interview_id', interviewId);
+
+    if (deleteError) throw deleteError;
+
+    const { error: insertError } = await supabase
+      .from('transcript_segments')
+      .insert(segments.map(segment => ({
+        interview_id: interviewId,
+        position: segment.position,
+        start_time: segment.startTime,
+        end_time: segment.endTime,
+        speaker_key: segment.speakerKey,
+        text: segment.text
+      })));
+
+    if (insertError) throw insertError;
+
+    await ensureSpeakers(interviewId, segments.map(segment => segment.speakerKey));
+
+    const speakers = [...new Set(segments.map(segment => segment.speakerKey).filter(Boolean))];
+    console.log(`📝 Stored ${segments.length} transcript segments (${speakers.length} speakers) for interview ${interviewId}`);
+
+    return { success: true, data: { segments: segments.length, speakers } };
+  } catch (error) {
+    console.error('❌ Error saving transcript segments:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get the segmented transcript of an interview
+ * @param {string} interviewId - Interview ID
+ * @returns {Promise<Object>} - Result with { segments, speakers, transcription }
+ */
+const getTranscript = async (interviewId) => {
+  try {
+    const [segments, speakers] = await Promise.all([fetchSegments(interviewId), fetchSpeakers(interviewId)]);
+    const names = speakerNameMap(speakers);
+
+    return {
+      success: true,
+      data: {
+        interviewId,
+        segments: segments.map(segment => ({
+          ...segment,
+          speaker_name: segment.speaker_key ? (names[segment.speaker_key] || segment.speaker_key) : null
+        })),
+        speakers: speakers.map(speaker => ({
+          ...speaker,
+          segment_count: segments.filter(segment => segment.speaker_key === speaker.speaker_key).length
+        })),
+        // What regenerating would write to content.transcription
+        transcription: buildFlatTranscription(segments, names)
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error fetching transcript:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Give a speaker a display name ("Interviewer", "Grandma Rachel")
+ * @param {string} interviewId - Interview ID
+ * @param {string} speakerKey - Speaker key from the transcriber
+ * @param {string|null} displayName - New name; empty resets to the speaker key
+ * @param {string} updatedBy - Admin making the change
+ * @returns {Promise<Object>} - Result with the updated speaker
+ */
+const renameSpeaker = async (interviewId, speakerKey, displayName, updatedBy) => {
+  try {
+    if (displayName !== null && displayName !== undefined && typeof displayName !== 'string') {
+      return { success: false, invalid: true, error: 'displayName must be a string' };
+    }
+    const name = String(displayName || '').trim();
+    if (name.length > 255) {
+      return { success: false, invalid: true, error: 'displayName must be at most 255 characters' };
+    }
+
+    const { data, error } = await supabase
+      .from('transcript_speakers')
+      .update({
+        display_name: name || null,
+        updated_by: updatedBy || null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('interview_id', interviewId)
+      .eq('speaker_key', speakerKey)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      return { success: false, notFound: true, error: `Speaker ${speakerKey} not found in this transcript` };
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    console.error('❌ Error renaming transcript speaker:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Correct the text or speaker of a segment
+ * The transcribed text is kept in original_text on the first edit.
+ * @param {string} interviewId - Interview ID
+ * @param {string} segmentId - Segment ID
+ * @param {Object} updates - { text, speakerKey }
+ * @param {string} editedBy - Admin making the change
+ * @returns {Promise<Object>} - Result with the updated segment
+ */
+const updateSegment = async (interviewId, segmentId, { text, speakerKey } = {}, editedBy) => {
+  try {
+    if (text === undefined && speakerKey === undefined) {
+      return { success: false, invalid: true, error: 'Provide text or speakerKey' };
+    }
+    if (text !== undefined && (typeof text !== 'string' || !text.trim())) {
+      return { success: false, invalid: true, error: 'text must be a non-empty string' };
+    }
+    if (speakerKey !== undefined && speakerKey !== null && (typeof speakerKey !== 'string' || !speakerKey.trim())) {
+      return { success: false, invalid: true, error: 'speakerKey must be a non-empty string or null' };
+    }
+
+    const { data: segment, error: fetchError } = await supabase
+      .from('transcript_segments')
+      .select('*')
+      .eq('id', segmentId)
+      .eq('interview_id', interviewId)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!segment) {
+      return { success: false, notFound: true, error: 'Transcript segment not found' };
+    }
+
+    const updateData = {
+      edited_by: editedBy || null,
+      edited_at: new Date().toISOString()
+    };
+
+    if (text !== undefined) {
+      updateData.text = text.replace(/\s+/g, ' ').trim();
+      if (segment.original_text === null || segment.original_text === undefined) {
+        updateData.original_text = segment.text;
+      }
+    }
+
+    if (speakerKey !== undefined) {
+      updateData.speaker_key = speakerKey ? speakerKey.trim() : null;
+      if (updateData.speaker_key) {
+        await ensureSpeakers(interviewId, [updateData.speaker_key]);
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('transcript_segments')
+      .update(updateData)
+      .eq('id', segmentId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { success: true, data };
+  } catch (error) {
+    console.error('❌ Error updating transcript segment:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Rewrite interviews.content.transcription from the segments and speaker names
+ * The first regeneration keeps the transcriber's text in content.original_transcription.
+ * @param {string} interviewId - Interview ID
+ * @param {Object} actor - { userId, userEmail } of the admin
+ * @returns {Promise<Object>} - Result with { transcription, segments }
+ */
+const regenerateTranscription = async (interviewId, actor = {}) => {
+  try {
+    const { data: interview, error: fetchError } = await supabase
+      .from('interviews')
+      .select('id, session_id, content')
+      .eq('id', interviewId)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!interview) {
+      return { success: false, notFound: true, error: 'Interview not found' };
+    }
+
+    const [segments, speakers] = await Promise.all([fetchSegments(interviewId), fetchSpeakers(interviewId)]);
+    if (segments.length === 0) {
+      return { success: false, invalid: true, error: 'This interview has no transcript segments' };
+    }
+
+    const content = interview.content || {};
+    const transcription = buildFlatTranscription(segments, speakerNameMap(speakers));
+    const regeneratedAt = new Date().toISOString();
+
+    const { error: updateError } = await supabase
+      .from('interviews')
+      .update({
+        content: {
+          ...content,
+          transcription,
+          original_transcription: content.original_transcription ?? content.transcription ?? null,
+          transcription_regenerated_at: regeneratedAt
+        },
+        updated_at: regeneratedAt
+      })
+      .eq('id', interviewId);
+
+    if (updateError) throw updateError;
+
+    await loggingService.logEvent({
+      eventType: 'interview',
+      eventAction: 'transcription_regenerated',
+      userId: actor.userId,
+      userEmail: actor.userEmail,
+      sessionId: interview.session_id,
+      interviewId,
+      resourceId: interviewId,
+      resourceType: 'interview',
+      eventData: {
+        segments: segments.length,
+        editedSegments: segments.filter(segment => segment.edited_at).length,
+        characters: transcription.length
+      },
+      severity: 'info'
+    });
+
+    return { success: true, data: { transcription, segments: segments.length, regeneratedAt } };
+  } catch (error) {
+    console.error('❌ Error regenerating transcription:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+module.exports = {
+  saveSegments,
+  getTranscript,
+  renameSpeaker,
+  updateSegment,
+  regenerateTranscription
+};
@@ -0,0 +1,265 @@
+/**
+ * Webhook Inbox Service
+ * Persists inbound AI callbacks so processing is idempotent and auditable.
+ */
+
+const crypto = require('crypto');
+const supabase = require('../config/database');
+
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Determine the idempotency key of a delivery
+ * aiService sends a deliveryId in the metadata of every n8n call and the workflow
+ * echoes it back, so retries of one callback share it. Without an ID every
+ * delivery gets a key of its own: an identical body can be a legitimate re-run.
+ * @param {Object} req - Express request object
+ * @returns {string} - Delivery ID
+ */
+const getDeliveryId = (req) => {
+  let metadata = req.body?.metadata;
+
+  // Legacy life story workflows forward the request metadata as a JSON string
+  if (typeof metadata === 'string') {
+    try {
+      metadata = JSON.parse(metadata);
+    } catch (parseError) {
+      metadata = null;
+    }
+  }
+
+  const explicitId = req.get('x-delivery-id') ||
+    req.body?.deliveryId ||
+    metadata?.deliveryId;
+
+  if (explicitId) {
+    return String(explicitId).slice(0, 255);
+  }
+
+  return `unkeyed:${crypto.randomUUID()}`;
+};
+
+/**
+ * Store a delivery, or detect that it was already received
+ * @param {Object} delivery - Delivery data
+ * @param {string} delivery.webhookType - 'transcription' | 'draft' | 'life_story'
+ * @param {string} delivery.deliveryId - Idempotency key
+ * @param {Object} delivery.payload - Request body
+ * @param {string} [delivery.referenceId] - Interview or session ID
+ * @param {number} [delivery.signatureTimestamp] - Verified signature timestamp
+ * @param {string} [delivery.schemaVersion] - Payload schema version (draft and life story callbacks)
+ * @param {Array<string>} [delivery.validationWarnings] - Guesses made while adapting a legacy payload
+ * @returns {Promise<Object>} - Result with { delivery, duplicate }
+ */
+const recordDelivery = async ({ webhookType, deliveryId, payload, referenceId, signatureTimestamp, schemaVersion, validationWarnings }) => {
+  try {
+    const { data, error } = await supabase
+      .from('webhook_deliveries')
+      .insert({
+        webhook_type: webhookType,
+        delivery_id: deliveryId,
+        payload: payload || {},
+        reference_id: referenceId ? String(referenceId) : null,
+        signature_timestamp: signatureTimestamp || null,
+        schema_version: schemaVersion || null,
+        validation_warnings: validationWarnings || [],
+        status: 'received'
+      })
+      .select()
+      .single();
+
+    if (!error) {
+      return {
+        success: true,
+        data: { delivery: data, duplicate: false }
+      };
+    }
+
+    if (error.code !== UNIQUE_VIOLATION) {
+      console.error('❌ Error storing webhook delivery:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+
+    // Already received - count the retry and leave processing alone
+    const { data: existing, error: fetchError } = await supabase
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('webhook_type', webhookType)
+      .eq('delivery_id', deliveryId)
+      .single();
+
+    if (fetchError) {
+      console.error('❌ Error fetching duplicate webhook delivery:', fetchError);
+      return {
+        success: false,
+        error: fetchError.message
+      };
+    }
+
+    await supabase
+      .from('webhook_deliveries')
+      .update({
+        duplicate_count: (existing.duplicate_count || 0) + 1,
+        last_duplicate_at: new Date().toISOString()
+      })
+      .eq('id', existing.id);
+
+    return {
+      success: true,
+      data: { delivery: existing, duplicate: true }
+    };
+
+  } catch (error) {
+    console.error('❌ Error in recordDelivery:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Mark a delivery as being processed
+ * @param {Object} delivery - Delivery row
+ * @param {string} [reprocessedBy] - Admin re-running the delivery
+ * @returns {Promise<Object>} - Result with updated delivery
+ */
+const markProcessing = async (delivery, reprocessedBy = null) => {
+  const update = {
+    status: 'processing',
+    attempts: (delivery.attempts || 0) + 1,
+    processing_started_at: new Date().toISOString()
+  };
+
+  if (reprocessedBy) {
+    update.reprocessed_by = reprocessedBy;
+  }
+
+  const { data, error } = await supabase
+    .from('webhook_deliveries')
+    .update(update)
+    .eq('id', delivery.id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Error marking webhook delivery as processing:', error);
+    return { success: false, error: error.message };
+  }
+
+  return { success: true, data };
+};
+
+/**
+ * Record the outcome of processing a delivery
+ * @param {string} deliveryId - Delivery row ID
+ * @param {Error|null} processingError - Error thrown by the processor, or null on success
+ * @returns {Promise<Object>} - Result with updated delivery
+ */
+const recordOutcome = async (deliveryId, processingError) => {
+  const update = processingError
+    ? {
+      status: 'failed',
+      last_error: processingError.message || String(processingError),
+      error_stack: processingError.stack || null
+    }
+    : {
+      status: 'processed',
+      last_error: null,
+      error_stack: null,
+      processed_at: new Date().toISOString()
+    };
+
+  const { data, error } = await supabase
+    .from('webhook_deliveries')
+    .update(update)
+    .eq('id', deliveryId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Error recording webhook delivery outcome:', error);
+    return { success: false, error: error.message };
+  }
+
+  return { success: true, data };
+};
+
+/**
+ * List deliveries, newest first
+ * @param {Object} filters - { status, webhookType, referenceId, limit, offset }
+ * @returns {Promise<Object>} - Result with deliveries (payload omitted) and pagination
+ */
+const getDeliveries = async (filters = {}) => {
+  try {
+    const limit = Math.min(parseInt(filters.limit) || 50, 200);
+    const offset = parseInt(filters.offset) || 0;
+
+    let query = supabase
+      .from('webhook_deliveries')
+      .select('id, webhook_type, delivery_id, reference_id, schema_version, validation_warnings, status, attempts, last_error, duplicate_count, received_at, processed_at, reprocessed_by', { count: 'exact' })
+      .order('received_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (filters.status) query = query.eq('status', filters.status);
+    if (filters.webhookType) query = query.eq('webhook_type', filters.webhookType);
+    if (filters.referenceId) query = query.eq('reference_id', String(filters.referenceId));
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      console.error('❌ Error fetching webhook deliveries:', error);
+      return { success: false, error: error.message };
+    }
+
+    return {
+      success: true,
+      data,
+      pagination: { total: count || 0, limit, offset }
+    };
+
+  } catch (error) {
+    console.error('❌ Error in getDeliveries:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get one delivery including its payload
+ * @param {string} id - Delivery row ID
+ * @returns {Promise<Object>} - Result with delivery
+ */
+const getDeliveryById = async (id) => {
+  try {
+    const { data, error } = await supabase
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      return {
+        success: false,
+        error: error.code === 'PGRST116' ? 'Webhook delivery not found' : error.message
+      };
+    }
+
+    return { success: true, data };
+
+  } catch (error) {
+    console.error('❌ Error in getDeliveryById:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+module.exports = {
+  getDeliveryId,
+  recordDelivery,
+  markProcessing,
+  recordOutcome,
+  getDeliveries,
+  getDeliveryById
+};
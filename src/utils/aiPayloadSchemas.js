@@ -0,0 +1,647 @@
+/**
+ * AI Payload Schemas
+ * Versioned schemas for the draft and full life story callbacks sent by the
+ * n8n AI workflows, with adapters that turn every supported version into one
+ * canonical shape.
+ *
+ * Versions:
+ *   draft.v2 / life_story.v2 - explicit schema, validated strictly
+ *   draft.v1 / life_story.v1 - legacy, unversioned shapes (```json-wrapped
+ *                              strings, { output } wrappers, capitalized keys),
+ *                              parsed by adapters that report every guess as a warning
+ *
+ * Payloads without a schemaVersion are treated as v1.
+ *
+ * draft.v2 body:
+ *   {
+ *     schemaVersion: 'draft.v2',
+ *     status: 'completed' | 'failed',
+ *     error?: string,                      // when failed
+ *     metadata: { id: string, ... },       // id = interview ID
+ *     draft: {                             // required when completed
+ *       title: string,
+ *       summary_markdown: string,
+ *       keywords: string[],
+ *       follow_ups: string[],
+ *       to_verify: { people: string[], places: string[], organizations: string[], dates: string[] },
+ *       model?: string,
+ *       confidence?: number                // 0-1
+ *     }
+ *   }
+ *
+ * life_story.v2 body:
+ *   {
+ *     schemaVersion: 'life_story.v2',
+ *     status: 'completed' | 'failed',
+ *     error?: string,
+ *     metadata: { sessionId: string, approvedDrafts?: [], user?: {}, ... },
+ *     story: {
+ *       title: string,
+ *       subtitle?: string,
+ *       markdown: string,
+ *       chapters?: [{ title: string, content: string }],
+ *       themes?: string[],
+ *       timeline?: [],
+ *       keyMoments?: [],
+ *       model?: string
+ *     }
+ *   }
+ */
+
+const SCHEMA_VERSIONS = {
+  draft: ['draft.v1', 'draft.v2'],
+  life_story: ['life_story.v1', 'life_story.v2']
+};
+
+const CURRENT_SCHEMA_VERSIONS = {
+  draft: 'draft.v2',
+  life_story: 'life_story.v2'
+};
+
+const VERIFY_CATEGORIES = ['people', 'places', 'organizations', 'dates'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+const isId = (value) => isNonEmptyString(value) || (typeof value === 'number' && Number.isFinite(value));
+
+/**
+ * Resolve the schema version of a payload
+ * @param {string} kind - 'draft' | 'life_story'
+ * @param {Object} body - Request body
+ * @param {Array<Object>} errors - Collected validation errors
+ * @returns {string|null} - Schema version, or null when unsupported
+ */
+const resolveVersion = (kind, body, errors) => {
+  const declared = body?.schemaVersion;
+
+  if (declared === undefined || declared === null) {
+    return SCHEMA_VERSIONS[kind][0];
+  }
+
+  if (!SCHEMA_VERSIONS[kind].includes(declared)) {
+    errors.push({
+      path: 'schemaVersion',
+      message: `unsupported version '${declared}' (supported: ${SCHEMA_VERSIONS[kind].join(', ')})`
+    });
+    return null;
+  }
+
+  return declared;
+};
+
+/**
+ * Validate the shared status / error envelope of a v2 payload
+ * @param {Object} body - Request body
+ * @param {Array<Object>} errors - Collected validation errors
+ * @returns {boolean} - True when the payload reports a failed AI step
+ */
+const validateStatus = (body, errors) => {
+  if (!['completed', 'failed'].includes(body.status)) {
+    errors.push({ path: 'status', message: "must be 'completed' or 'failed'" });
+    return false;
+  }
+
+  if (body.error !== undefined && typeof body.error !== 'string') {
+    errors.push({ path: 'error', message: 'must be a string' });
+  }
+
+  return body.status === 'failed';
+};
+
+/**
+ * Read a legacy field that may appear under several keys
+ * @param {Object} source - Legacy object
+ * @param {string} canonicalKey - Preferred key
+ * @param {Array<string>} aliases - Other keys seen in the wild, in priority order
+ * @param {Array<string>} warnings - Collected warnings
+ * @param {Function} [accept] - Predicate a value must satisfy to be used
+ * @returns {*} - Found value, or undefined
+ */
+const readAlias = (source, canonicalKey, aliases, warnings, accept = value => value !== undefined && value !== null) => {
+  if (accept(source[canonicalKey])) {
+    return source[canonicalKey];
+  }
+
+  for (const alias of aliases) {
+    if (accept(source[alias])) {
+      warnings.push(`${canonicalKey} read from legacy key '${alias}'`);
+      return source[alias];
+    }
+  }
+
+  return undefined;
+};
+
+/**
+ * Coerce a legacy list into an array of strings
+ * @param {*} value - Legacy list value
+ * @returns {Array<string>} - String list
+ */
+const toStringList = (value) => {
+  if (!Array.isArray(value)) return [];
+
+  return value
+    .map(item => {
+      if (typeof item === 'string') return item;
+      if (isPlainObject(item)) return item.name || item.text || item.question || item.value || JSON.stringify(item);
+      return item === null || item === undefined ? '' : String(item);
+    })
+    .filter(item => item.trim().length > 0);
+};
+
+/**
+ * Extract a JSON object from a messy draft string
+ * Handles ```json code blocks, text prefixes ("''json {...}") and plain JSON.
+ * @param {string} text - Draft string
+ * @returns {Object} - { data, shape } where data is null when no JSON was found
+ */
+const extractJsonFromString = (text) => {
+  const trimmed = text.trim();
+  let jsonContent = null;
+  let shape = null;
+
+  if (trimmed.includes('```json')) {
+    const jsonMatch = trimmed.match(/```json\s*([\s\S]*?)\s*```/);
+    if (jsonMatch && jsonMatch[1]) {
+      jsonContent = jsonMatch[1].trim();
+      shape = 'a ```json code block';
+    }
+  } else if (trimmed.startsWith('{')) {
+    jsonContent = trimmed;
+    shape = 'a JSON string';
+  } else if (trimmed.includes('json') && trimmed.includes('{')) {
+    jsonContent = trimmed.substring(trimmed.indexOf('{'));
+    shape = 'a JSON string with a text prefix';
+  }
+
+  if (!jsonContent) {
+    return { data: null, shape: null };
+  }
+
+  try {
+    const data = JSON.parse(jsonContent);
+    return isPlainObject(data) ? { data, shape } : { data: null, shape: null };
+  } catch (parseError) {
+    return { data: null, shape: null, parseError: parseError.message };
+  }
+};
+
+/**
+ * Validate a draft.v2 payload
+ * @param {Object} body - Request body
+ * @param {Array<Object>} errors - Collected validation errors
+ * @returns {Object} - Canonical draft fields
+ */
+const adaptDraftV2 = (body, errors) => {
+  const failed = validateStatus(body, errors);
+  const result = { failed, failureReason: failed ? body.error || null : null, draft: null };
+
+  if (failed) return result;
+
+  const draft = body.draft;
+  if (!isPlainObject(draft)) {
+    errors.push({ path: 'draft', message: "is required when status is 'completed'" });
+    return result;
+  }
+
+  if (!isNonEmptyString(draft.title)) errors.push({ path: 'draft.title', message: 'must be a non-empty string' });
+  if (!isNonEmptyString(draft.summary_markdown)) errors.push({ path: 'draft.summary_markdown', message: 'must be a non-empty string' });
+  if (!isStringArray(draft.keywords)) errors.push({ path: 'draft.keywords', message: 'must be an array of strings' });
+  if (!isStringArray(draft.follow_ups)) errors.push({ path: 'draft.follow_ups', message: 'must be an array of strings' });
+
+  if (!isPlainObject(draft.to_verify)) {
+    errors.push({ path: 'draft.to_verify', message: `must be an object with ${VERIFY_CATEGORIES.join(', ')}` });
+  } else {
+    VERIFY_CATEGORIES.forEach(category => {
+      if (!isStringArray(draft.to_verify[category])) {
+        errors.push({ path: `draft.to_verify.${category}`, message: 'must be an array of strings' });
+      }
+    });
+  }
+
+  if (draft.model !== undefined && typeof draft.model !== 'string') {
+    errors.push({ path: 'draft.model', message: 'must be a string' });
+  }
+  if (draft.confidence !== undefined && draft.confidence !== null &&
+    (typeof draft.confidence !== 'number' || draft.confidence < 0 || draft.confidence > 1)) {
+    errors.push({ path: 'draft.confidence', message: 'must be a number between 0 and 1' });
+  }
+
+  if (errors.length > 0) return result;
+
+  result.draft = {
+    title: draft.title.trim(),
+    markdown: draft.summary_markdown,
+    keywords: draft.keywords,
+    followUps: draft.follow_ups,
+    toVerify: VERIFY_CATEGORIES.reduce((acc, category) => ({ ...acc, [category]: draft.to_verify[category] }), {}),
+    model: draft.model || null,
+    confidence: draft.confidence ?? null
+  };
+
+  return result;
+};
+
+/**
+ * Adapt a legacy (unversioned) draft payload
+ * @param {Object} body - Request body
+ * @param {Array<Object>} errors - Collected validation errors
+ * @param {Array<string>} warnings - Collected warnings
+ * @returns {Object} - Canonical draft fields
+ */
+const adaptDraftV1 = (body, errors, warnings) => {
+  const draft = body.draft;
+
+  // Legacy payloads signal a failed AI step by omitting the draft
+  if (!draft) {
+    return { failed: true, failureReason: body.error || null, draft: null };
+  }
+
+  let structured = null;
+  let rawText = '';
+
+  if (typeof draft === 'string') {
+    const extracted = extractJsonFromString(draft);
+    if (extracted.data) {
+      structured = extracted.data;
+      warnings.push(`draft sent as ${extracted.shape} instead of an object`);
+    } else {
+      rawText = draft.trim();
+      if (extracted.parseError) {
+        warnings.push(`draft JSON could not be parsed (${extracted.parseError})`);
+      }
+    }
+  } else if (isPlainObject(draft) && (draft.summary_markdown || draft.title || draft.keywords)) {
+    structured = draft;
+  } else if (isPlainObject(draft) && draft.output) {
+    // Only object outputs were ever read: processDraftData stopped at unescaping a
+    // string output, so it never produced a draft and is reported as missing content
+    if (isPlainObject(draft.output)) {
+      structured = draft.output;
+      warnings.push('draft wrapped in { output }');
+    } else {
+      warnings.push('draft wrapped in { output } as a string, which is not read');
+    }
+  } else if (isPlainObject(draft)) {
+    rawText = String(draft.message?.content || draft.content || draft.text || '').trim();
+    if (rawText) {
+      warnings.push('draft text read from message.content / content / text');
+    }
+  }
+
+  const model = isPlainObject(draft) && typeof draft.model === 'string' ? draft.model : null;
+  const confidence = isPlainObject(draft) && typeof draft.confidence === 'number' ? draft.confidence : null;
+
+  if (structured) {
+    const title = readAlias(structured, 'title', ['story_title'], warnings, isNonEmptyString);
+    const markdown = readAlias(structured, 'summary_markdown', ['story_text', 'content', 'text'], warnings, isNonEmptyString);
+
+    if (!markdown) {
+      errors.push({ path: 'draft.summary_markdown', message: 'no story text found (summary_markdown, story_text, content or text)' });
+      return { failed: false, failureReason: null, draft: null };
+    }
+
+    const keywords = readAlias(structured, 'keywords', ['Keywords', 'key-themes', 'keyThemes', 'key_themes', 'themes'], warnings, Array.isArray);
+    const followUps = readAlias(structured, 'follow_ups', ['Follow-ups', 'followups', 'followup_questions', 'questions'], warnings, Array.isArray);
+    const toVerifySource = readAlias(structured, 'to_verify', ['To-Verify', 'toVerify'], warnings, isPlainObject);
+
+    if (!title) warnings.push('title missing');
+    if (!keywords) warnings.push('keywords missing');
+    if (!followUps) warnings.push('follow_ups missing - no follow-up questions were stored');
+    if (!toVerifySource) warnings.push('to_verify missing - no verification list was stored');
+
+    const toVerify = {};
+    VERIFY_CATEGORIES.forEach(category => {
+      const capitalized = category.charAt(0).toUpperCase() + category.slice(1);
+      toVerify[category] = toStringList(toVerifySource ? toVerifySource[category] || toVerifySource[capitalized] : []);
+    });
+
+    return {
+      failed: false,
+      failureReason: null,
+      draft: {
+        title: title ? title.trim() : '',
+        markdown,
+        keywords: toStringList(keywords),
+        followUps: toStringList(followUps),
+        toVerify,
+        model,
+        confidence
+      }
+    };
+  }
+
+  if (!rawText) {
+    errors.push({ path: 'draft', message: 'no draft content found' });
+    return { failed: false, failureReason: null, draft: null };
+  }
+
+  warnings.push('draft is not structured JSON; stored as raw text - keywords, follow-ups and verification lists are missing');
+
+  const firstLine = rawText.split('\n').find(line => line.trim().length > 0) || '';
+
+  return {
+    failed: false,
+    failureReason: null,
+    draft: {
+      title: firstLine.replace(/^#\s+/, '').trim(),
+      markdown: rawText,
+      keywords: [],
+      followUps: [],
+      toVerify: { people: [], places: [], organizations: [], dates: [] },
+      model,
+      confidence
+    }
+  };
+};
+
+/**
+ * Validate a draft callback and adapt it to the canonical shape
+ * @param {Object} body - Request body
+ * @returns {Object} - {
+ *   valid, schemaVersion, errors: [{ path, message }], warnings: [string],
+ *   interviewId, metadata, failed, failureReason,
+ *   draft: { title, markdown, keywords, followUps, toVerify, model, confidence } | null
+ * }
+ */
+const normalizeDraftPayload = (body) => {
+  const errors = [];
+  const warnings = [];
+
+  if (!isPlainObject(body)) {
+    return { valid: false, schemaVersion: null, errors: [{ path: '', message: 'body must be a JSON object' }], warnings };
+  }
+
+  const schemaVersion = resolveVersion('draft', body, errors);
+  const metadata = isPlainObject(body.metadata) ? body.metadata : null;
+
+  if (!metadata) {
+    errors.push({ path: 'metadata', message: 'must be an object' });
+  } else if (!isId(metadata.id)) {
+    errors.push({ path: 'metadata.id', message: 'interview ID is required' });
+  }
+
+  if (!schemaVersion || errors.length > 0) {
+    return { valid: false, schemaVersion, errors, warnings };
+  }
+
+  if (schemaVersion === 'draft.v1') {
+    warnings.push(`no schemaVersion - parsed with the legacy draft.v1 adapter (current: ${CURRENT_SCHEMA_VERSIONS.draft})`);
+  }
+
+  const adapted = schemaVersion === 'draft.v2'
+    ? adaptDraftV2(body, errors)
+    : adaptDraftV1(body, errors, warnings);
+
+  return {
+    valid: errors.length === 0,
+    schemaVersion,
+    errors,
+    warnings,
+    interviewId: metadata.id,
+    metadata,
+    ...adapted
+  };
+};
+
+/**
+ * Validate a life_story.v2 payload
+ * @param {Object} body - Request body
+ * @param {Array<Object>} errors - Collected validation errors
+ * @returns {Object} - Canonical story fields
+ */
+const adaptLifeStoryV2 = (body, errors) => {
+  const failed = validateStatus(body, errors);
+  const result = { failed, failureReason: failed ? body.error || null : null, story: null };
+
+  if (failed) return result;
+
+  const story = body.story;
+  if (!isPlainObject(story)) {
+    errors.push({ path: 'story', message: "is required when status is 'completed'" });
+    return result;
+  }
+
+  if (!isNonEmptyString(story.title)) errors.push({ path: 'story.title', message: 'must be a non-empty string' });
+  if (!isNonEmptyString(story.markdown)) errors.push({ path: 'story.markdown', message: 'must be a non-empty string' });
+  if (story.subtitle !== undefined && story.subtitle !== null && typeof story.subtitle !== 'string') {
+    errors.push({ path: 'story.subtitle', message: 'must be a string' });
+  }
+
+  if (story.chapters !== undefined) {
+    if (!Array.isArray(story.chapters)) {
+      errors.push({ path: 'story.chapters', message: 'must be an array' });
+    } else {
+      story.chapters.forEach((chapter, index) => {
+        if (!isPlainObject(chapter) || !isNonEmptyString(chapter.title) || typeof chapter.content !== 'string') {
+          errors.push({ path: `story.chapters[${index}]`, message: 'must be { title: string, content: string }' });
+        }
+      });
+    }
+  }
+
+  if (story.themes !== undefined && !isStringArray(story.themes)) {
+    errors.push({ path: 'story.themes', message: 'must be an array of strings' });
+  }
+  ['timeline', 'keyMoments'].forEach(field => {
+    if (story[field] !== undefined && !Array.isArray(story[field])) {
+      errors.push({ path: `story.${field}`, message: 'must be an array' });
+    }
+  });
+
+  if (errors.length > 0) return result;
+
+  result.story = {
+    title: story.title.trim(),
+    subtitle: story.subtitle || null,
+    content: story.markdown,
+    chapters: story.chapters || null,
+    themes: story.themes || null,
+    timeline: story.timeline || [],
+    keyMoments: story.keyMoments || [],
+    aiModel: story.model || null
+  };
+
+  return result;
+};
+
+/**
+ * Adapt a legacy (unversioned) life story payload
+ * @param {*} rawStory - body.story
+ * @param {Array<Object>} errors - Collected validation errors
+ * @param {Array<string>} warnings - Collected warnings
+ * @returns {Object} - Canonical story fields
+ */
+const adaptLifeStoryV1 = (rawStory, errors, warnings) => {
+  if (!rawStory) {
+    return { failed: true, failureReason: null, story: null };
+  }
+
+  // The story itself may arrive as a JSON string
+  let story = rawStory;
+  if (typeof rawStory === 'string') {
+    try {
+      story = JSON.parse(rawStory);
+      warnings.push('story sent as a JSON string');
+    } catch (parseError) {
+      // Plain markdown
+    }
+  }
+
+  let aiContent = story;
+
+  if (Array.isArray(story) && story.length > 0 && story[0]?.output) {
+    // One item per LLM call - combine all outputs
+    aiContent = story
+      .filter(item => item && item.output)
+      .map(item => item.output)
+      .join('\n\n');
+    warnings.push('story sent as an array of { output } items');
+  } else if (Array.isArray(story) && story.length > 0 && story[0]?.data) {
+    try {
+      const parsedData = JSON.parse(story[0].data);
+      if (Array.isArray(parsedData) && parsedData.length > 0) {
+        aiContent = parsedData
+          .filter(item => item && item.output)
+          .map(item => item.output)
+          .join('\n\n');
+      }
+      warnings.push('story sent as [{ data: "<JSON array of { output }>" }]');
+    } catch (parseError) {
+      errors.push({ path: 'story[0].data', message: `is not valid JSON (${parseError.message})` });
+      return { failed: false, failureReason: null, story: null };
+    }
+  } else if (isPlainObject(story) && story.output) {
+    aiContent = story.output;
+    warnings.push('story wrapped in { output }');
+  } else if (isPlainObject(story) && story.result) {
+    aiContent = story.result.message?.content || story.result.output || story.result.content || story.result;
+    warnings.push('story wrapped in { result }');
+  }
+
+  // If content is wrapped in markdown code blocks, extract it
+  if (typeof aiContent === 'string' && aiContent.includes('```json')) {
+    const extracted = extractJsonFromString(aiContent);
+    if (extracted.data) {
+      aiContent = extracted.data;
+      warnings.push('story JSON wrapped in a ```json code block');
+    }
+  }
+
+  if (typeof aiContent === 'string') {
+    if (!aiContent.trim()) {
+      errors.push({ path: 'story', message: 'no story content found' });
+      return { failed: false, failureReason: null, story: null };
+    }
+
+    return {
+      failed: false,
+      failureReason: null,
+      story: {
+        title: isPlainObject(story) && isNonEmptyString(story.title) ? story.title : null,
+        subtitle: null,
+        content: aiContent,
+        chapters: null,
+        themes: null,
+        timeline: [],
+        keyMoments: [],
+        aiModel: null
+      }
+    };
+  }
+
+  if (!isPlainObject(aiContent)) {
+    errors.push({ path: 'story', message: 'no story content found' });
+    return { failed: false, failureReason: null, story: null };
+  }
+
+  const title = readAlias(aiContent, 'title', ['storyTitle'], warnings, isNonEmptyString);
+  const themes = readAlias(aiContent, 'themes', ['keyThemes'], warnings, Array.isArray);
+  const keyMoments = readAlias(aiContent, 'keyMoments', ['highlights'], warnings, Array.isArray);
+
+  return {
+    failed: false,
+    failureReason: null,
+    story: {
+      title: title || null,
+      subtitle: typeof aiContent.subtitle === 'string' ? aiContent.subtitle : null,
+      content: aiContent.content || aiContent.story || aiContent,
+      chapters: Array.isArray(aiContent.chapters) ? aiContent.chapters : null,
+      themes: themes ? toStringList(themes) : null,
+      timeline: Array.isArray(aiContent.timeline) ? aiContent.timeline : [],
+      keyMoments: keyMoments || [],
+      aiModel: aiContent.metadata?.aiModel || null
+    }
+  };
+};
+
+/**
+ * Validate a full life story callback and adapt it to the canonical shape
+ * @param {Object} body - Request body
+ * @returns {Object} - {
+ *   valid, schemaVersion, errors, warnings, sessionId, metadata, failed, failureReason,
+ *   story: { title, subtitle, content, chapters, themes, timeline, keyMoments, aiModel } | null
+ * }
+ */
+const normalizeLifeStoryPayload = (body) => {
+  const errors = [];
+  const warnings = [];
+
+  if (!isPlainObject(body)) {
+    return { valid: false, schemaVersion: null, errors: [{ path: '', message: 'body must be a JSON object' }], warnings };
+  }
+
+  const schemaVersion = resolveVersion('life_story', body, errors);
+  let metadata = body.metadata;
+
+  // Legacy workflows forward the request metadata as a JSON string
+  if (schemaVersion === 'life_story.v1' && typeof metadata === 'string') {
+    try {
+      metadata = JSON.parse(metadata);
+      warnings.push('metadata sent as a JSON string');
+    } catch (parseError) {
+      errors.push({ path: 'metadata', message: `is not valid JSON (${parseError.message})` });
+    }
+  }
+
+  if (errors.length === 0) {
+    if (!isPlainObject(metadata)) {
+      errors.push({ path: 'metadata', message: 'must be an object' });
+    } else if (!isId(metadata.sessionId)) {
+      errors.push({ path: 'metadata.sessionId', message: 'session ID is required' });
+    }
+  }
+
+  if (!schemaVersion || errors.length > 0) {
+    return { valid: false, schemaVersion, errors, warnings };
+  }
+
+  if (schemaVersion === 'life_story.v1') {
+    warnings.push(`no schemaVersion - parsed with the legacy life_story.v1 adapter (current: ${CURRENT_SCHEMA_VERSIONS.life_story})`);
+  }
+
+  const adapted = schemaVersion === 'life_story.v2'
+    ? adaptLifeStoryV2(body, errors)
+    : adaptLifeStoryV1(body.story, errors, warnings);
+
+  return {
+    valid: errors.length === 0,
+    schemaVersion,
+    errors,
+    warnings,
+    sessionId: metadata.sessionId,
+    metadata,
+    ...adapted
+  };
+};
+
+module.exports = {
+  SCHEMA_VERSIONS,
+  CURRENT_SCHEMA_VERSIONS,
+  normalizeDraftPayload,
+  normalizeLifeStoryPayload
+};
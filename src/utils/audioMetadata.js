@@ -0,0 +1,54 @@
+/**
+ * Audio Metadata
+ * Reads duration, bitrate, sample rate and channels from the container of an
+ * uploaded recording (MP3, WAV, M4A/AAC, OGG/Opus, WebM, FLAC).
+ */
+
+const mm = require('music-metadata');
+
+/**
+ * Extract metadata from an uploaded recording
+ * @param {Object} file - Multer-style file: { buffer } in memory or { path } on disk, plus mimetype and size
+ * @returns {Promise<Object|null>} - { durationSeconds, bitrate, sampleRate, channels, codec, container, lossless },
+ *   or null when the container cannot be read
+ */
+const extractAudioMetadata = async (file) => {
+  try {
+    // duration: true scans VBR files without a duration header instead of guessing
+    const options = { duration: true, skipCovers: true };
+    const { format } = file.buffer
+      ? await mm.parseBuffer(file.buffer, { mimeType: file.mimetype, size: file.size }, options)
+      : await mm.parseFile(file.path, options);
+
+    if (!format.duration && !format.sampleRate) {
+      return null;
+    }
+
+    return {
+      durationSeconds: format.duration ? Math.round(format.duration * 100) / 100 : null,
+      bitrate: format.bitrate ? Math.round(format.bitrate) : null,
+      sampleRate: format.sampleRate || null,
+      channels: format.numberOfChannels || null,
+      codec: format.codec || null,
+      container: format.container || null,
+      lossless: typeof format.lossless === 'boolean' ? format.lossless : null
+    };
+  } catch (error) {
+    console.warn(`⚠️ Could not read audio metadata of ${file.originalname || file.path}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Duration of a recording in whole minutes (interviews.duration)
+ * @param {Object|null} audioMetadata - Result of extractAudioMetadata
+ * @returns {number|null} - Minutes (at least 1), or null when unknown
+ */
+const durationMinutes = (audioMetadata) => (audioMetadata?.durationSeconds
+  ? Math.max(1, Math.round(audioMetadata.durationSeconds / 60))
+  : null);
+
+module.exports = {
+  extractAudioMetadata,
+  durationMinutes
+};
@@ -0,0 +1,311 @@
+/**
+ * Conflict Detection Utility
+ * Finds contradictions between the drafts of one session using their toVerify
+ * entities and the sentences that mention them:
+ *  - date_mismatch:     the same life event placed in different years
+ *  - place_mismatch:    the same life event placed in different places
+ *  - spelling_variant:  near-identical names of a person, place or organization
+ * Event keywords match whole words (Hebrew prefixes stripped), every fact is
+ * attributed to whom it is about, and only values from different drafts can
+ * contradict each other.
+ */
+
+const { tokenize, prefixStems } = require('./hebrewSearch');
+
+const ENTITY_CATEGORIES = ['people', 'places', 'organizations'];
+
+// Events that happen once in a life, so two different years or places contradict each other
+const LIFE_EVENTS = {
+  birth: ['born', 'birth', 'נולד', 'נולדה', 'נולדתי', 'לידה', 'לידתו', 'לידתה'],
+  marriage: ['married', 'wedding', 'התחתן', 'התחתנה', 'התחתנו', 'התחתנתי', 'חתונה', 'נישא', 'נישאה'],
+  immigration: ['immigrated', 'emigrated', 'aliyah', 'עלה', 'עלתה', 'עלו', 'עלינו', 'עליתי', 'עלייה'],
+  death: ['died', 'passed away', 'death', 'נפטר', 'נפטרה', 'מת', 'מתה', 'פטירה'],
+  graduation: ['graduated', 'graduation', 'סיים את לימודיו', 'סיימה את לימודיה', 'סיימתי את לימודיי', 'הסמכה'],
+  retirement: ['retired', 'retirement', 'פרש', 'פרשה', 'פרשתי', 'פרישה', 'גמלאות']
+};
+
+// Relatives a fact can be about; facts with none of these (or a named person) are about the storyteller
+const RELATIONS = {
+  mother: ['mother', 'mom', 'אמא', 'אמי', 'אמו', 'אמה'],
+  father: ['father', 'dad', 'אבא', 'אבי', 'אביו', 'אביה'],
+  parents: ['parents', 'הורי', 'הוריי', 'הוריו', 'הוריה'],
+  spouse: ['wife', 'husband', 'אשתי', 'אשתו', 'בעלי', 'בעלה'],
+  son: ['son', 'בני', 'בנו', 'בנה'],
+  daughter: ['daughter', 'בתי', 'בתו', 'בתה'],
+  brother: ['brother', 'אחי', 'אחיו', 'אחיה'],
+  sister: ['sister', 'אחותי', 'אחותו', 'אחותה'],
+  grandfather: ['grandfather', 'grandpa', 'סבא', 'סבי'],
+  grandmother: ['grandmother', 'grandma', 'סבתא', 'סבתי']
+};
+
+const STORYTELLER = 'storyteller';
+
+const YEAR_PATTERN = /(?<!\d)(1[89]\d\d|20\d\d)(?!\d)/g;
+const HEBREW_FINAL_LETTERS = { 'ך': 'כ', 'ם': 'מ', 'ן': 'נ', 'ף': 'פ', 'ץ': 'צ' };
+
+/**
+ * Normalize a name for comparison: case, Hebrew niqqud and final letters, punctuation
+ * @param {string} value - Name
+ * @returns {string} - Normalized name
+ */
+const normalizeName = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/[֑-ׇ]/g, '')
+  .replace(/[ךםןףץ]/g, letter => HEBREW_FINAL_LETTERS[letter])
+  .replace(/["'`׳״.,()\-–]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const levenshtein = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Whether two names are probably the same name spelled differently
+ * @param {string} a - Normalized name
+ * @param {string} b - Normalized name
+ * @returns {boolean}
+ */
+const isSpellingVariant = (a, b) => {
+  if (!a || !b || a === b) return false;
+  if (Math.min(a.length, b.length) < 4) return false;
+
+  const distance = levenshtein(a, b);
+  return distance <= 2 && distance / Math.max(a.length, b.length) <= 0.25;
+};
+
+/**
+ * Split markdown into sentences
+ * @param {string} text - Draft text
+ * @returns {Array<string>} - Sentences
+ */
+const splitSentences = (text) => String(text || '')
+  .replace(/^#+\s+/gm, '')
+  .split(/(?<=[.!?])\s+|\n+/)
+  .map(sentence => sentence.trim())
+  .filter(Boolean);
+
+// Keywords as sequences of normalized words, so phrases ("passed away") match too
+const toWordLists = (keywordsByKey) => Object.entries(keywordsByKey).map(([key, keywords]) => ({
+  key,
+  phrases: keywords.map(keyword => tokenize(keyword).map(token => token.word))
+}));
+
+const EVENT_PHRASES = toWordLists(LIFE_EVENTS);
+const RELATION_PHRASES = toWordLists(RELATIONS);
+
+/**
+ * Whether a phrase occurs in a sentence as whole words; the first word may carry Hebrew prefixes
+ * @param {Array<Object>} tokens - Tokens of the sentence (see hebrewSearch.tokenize)
+ * @param {Array<string>} phrase - Normalized words
+ * @returns {boolean}
+ */
+const containsPhrase = (tokens, phrase) => phrase.length > 0 && tokens.some((token, index) =>
+  (token.word === phrase[0] || prefixStems(token.word).includes(phrase[0])) &&
+  phrase.slice(1).every((word, offset) => tokens[index + offset + 1]?.word === word));
+
+const findEvents = (tokens) => EVENT_PHRASES
+  .filter(({ phrases }) => phrases.some(phrase => containsPhrase(tokens, phrase)))
+  .map(({ key }) => key);
+
+/**
+ * Whom a sentence is about: a relative, a named person or the storyteller
+ * @param {Array<Object>} tokens - Tokens of the sentence
+ * @param {Array<string>} people - Names of the draft's people
+ * @returns {string|null} - Subject, or null when the sentence mentions several
+ */
+const findSubject = (tokens, people) => {
+  const relations = RELATION_PHRASES
+    .filter(({ phrases }) => phrases.some(phrase => containsPhrase(tokens, phrase)))
+    .map(({ key }) => key);
+  if (relations.length > 0) return relations.length === 1 ? relations[0] : null;
+
+  const named = [...new Set(people
+    .filter(person => containsPhrase(tokens, tokenize(person).map(token => token.word)))
+    .map(person => normalizeName(person)))];
+  if (named.length > 0) return named.length === 1 ? named[0] : null;
+
+  return STORYTELLER;
+};
+
+/**
+ * Collect what one draft says: entity names and the years and places of life events
+ * @param {Object} draft - { draftId, interviewId, content }
+ * @param {Function} [resolveValue] - Maps (category, value) to a corrected value
+ * @returns {Object} - { entities: { people: [...] }, facts: [{ event, subject, key, value, evidence }] }
+ */
+const extractFacts = (draft, resolveValue = (category, value) => value) => {
+  const toVerify = draft.content?.toVerify || {};
+  const entities = {};
+
+  ENTITY_CATEGORIES.forEach(category => {
+    const items = Array.isArray(toVerify[category]) ? toVerify[category] : [];
+    entities[category] = items
+      .map(item => resolveValue(category, typeof item === 'string' ? item.trim() : String(item?.name || item?.value || '')))
+      .filter(Boolean);
+  });
+
+  const listedYears = new Set();
+  (Array.isArray(toVerify.dates) ? toVerify.dates : []).forEach(item => {
+    const value = resolveValue('dates', String(item));
+    (value.match(YEAR_PATTERN) || []).forEach(year => listedYears.add(year));
+  });
+
+  const facts = [];
+
+  // The toVerify date entries themselves ("1950 - born in Haifa") and every sentence of the draft
+  const sentences = [
+    ...(Array.isArray(toVerify.dates) ? toVerify.dates.map(item => resolveValue('dates', String(item))) : []),
+    ...splitSentences(draft.content?.fullMarkdown)
+  ];
+
+  sentences.forEach(sentence => {
+    const tokens = tokenize(sentence);
+    const sentenceEvents = findEvents(tokens);
+    // One event and one subject per sentence; otherwise it is too ambiguous to attribute facts
+    if (sentenceEvents.length !== 1) return;
+    const subject = findSubject(tokens, entities.people);
+    if (!subject) return;
+    const [event] = sentenceEvents;
+
+    const years = (sentence.match(YEAR_PATTERN) || []).filter(year => listedYears.size === 0 || listedYears.has(year));
+    const places = entities.places.filter(place => normalizeName(sentence).includes(normalizeName(place)));
+    const evidence = sentence.slice(0, 300);
+
+    if (years.length === 1) facts.push({ event, subject, key: 'years', value: years[0], evidence });
+    if (places.length === 1) facts.push({ event, subject, key: 'places', value: places[0], evidence });
+  });
+
+  return { entities, facts };
+};
+
+const fingerprintOf = (...parts) => parts.map(part => String(part)).join('|');
+
+/**
+ * Whether two reported values contradict each other: different values from different drafts
+ * @param {Object} a - { value, draftId }
+ * @param {Object} b - { value, draftId }
+ * @param {Function} [isSameValue] - (normalizedA, normalizedB) => true when the values count as equal
+ * @returns {boolean}
+ */
+const disagree = (a, b, isSameValue = (x, y) => x === y) =>
+  a.draftId !== b.draftId && !isSameValue(normalizeName(a.value), normalizeName(b.value));
+
+const hasDisagreement = (values, isSameValue) =>
+  values.some((a, i) => values.slice(i + 1).some(b => disagree(a, b, isSameValue)));
+
+/**
+ * Detect contradictions between drafts
+ * @param {Array<Object>} drafts - [{ draftId, interviewId, content }]
+ * @param {Function} [resolveValue] - (draftId, category, value) => corrected value
+ * @returns {Array<Object>} - Conflicts [{ fingerprint, conflictType, category, event, subject, description, values }]
+ */
+const detectConflicts = (drafts, resolveValue = (draftId, category, value) => value) => {
+  const extracted = drafts.map(draft => ({
+    draft,
+    ...extractFacts(draft, (category, value) => resolveValue(draft.draftId, category, value))
+  }));
+
+  const conflicts = [];
+  const source = (draft, value, extra = {}) => ({
+    value,
+    draftId: draft.draftId,
+    interviewId: draft.interviewId,
+    ...extra
+  });
+
+  // Same life event of the same person, different years or places
+  const groups = new Map();
+  extracted.forEach(({ draft, facts }) => {
+    facts.forEach(fact => {
+      const groupKey = fingerprintOf(fact.event, fact.subject, fact.key);
+      if (!groups.has(groupKey)) groups.set(groupKey, { ...fact, values: [] });
+      groups.get(groupKey).values.push(source(draft, fact.value, { subject: fact.subject, evidence: fact.evidence }));
+    });
+  });
+
+  groups.forEach(({ event, subject, key, values }) => {
+    const conflictType = key === 'years' ? 'date_mismatch' : 'place_mismatch';
+    const category = key === 'years' ? 'dates' : 'places';
+    // Spelling variants of one place are reported as spelling_variant instead
+    const isSameValue = key === 'places'
+      ? (a, b) => a === b || isSpellingVariant(a, b)
+      : undefined;
+
+    if (!hasDisagreement(values, isSameValue)) return;
+
+    const distinct = [...new Set(values.map(v => normalizeName(v.value)))];
+    const about = subject === STORYTELLER ? event : `${event} (${subject})`;
+
+    conflicts.push({
+      // Storyteller facts keep the fingerprint they had before subjects were tracked
+      fingerprint: subject === STORYTELLER
+        ? fingerprintOf(conflictType, event, ...distinct.sort())
+        : fingerprintOf(conflictType, event, subject, ...distinct.sort()),
+      conflictType,
+      category,
+      event,
+      subject,
+      description: `Drafts disagree on the ${key === 'years' ? 'year' : 'place'} of ${about}: ${[...new Set(values.map(v => v.value))].join(' / ')}`,
+      values
+    });
+  });
+
+  // Near-identical names across drafts
+  ENTITY_CATEGORIES.forEach(category => {
+    const names = [];
+    extracted.forEach(({ draft, entities }) => {
+      entities[category].forEach(name => names.push(source(draft, name)));
+    });
+
+    const nameGroups = [];
+    names.forEach(name => {
+      const normalized = normalizeName(name.value);
+      const group = nameGroups.find(g => g.some(member => isSpellingVariant(normalizeName(member.value), normalized) || normalizeName(member.value) === normalized));
+      if (group) {
+        group.push(name);
+      } else {
+        nameGroups.push([name]);
+      }
+    });
+
+    nameGroups.forEach(group => {
+      if (!hasDisagreement(group)) return;
+      const distinct = [...new Set(group.map(member => normalizeName(member.value)))];
+
+      conflicts.push({
+        fingerprint: fingerprintOf('spelling_variant', category, ...distinct.sort()),
+        conflictType: 'spelling_variant',
+        category,
+        event: null,
+        subject: null,
+        description: `Different spellings of the same ${category === 'people' ? 'person' : category.replace(/s$/, '')}: ${[...new Set(group.map(member => member.value))].join(' / ')}`,
+        values: group
+      });
+    });
+  });
+
+  return conflicts;
+};
+
+module.exports = {
+  LIFE_EVENTS,
+  detectConflicts,
+  normalizeName
+};
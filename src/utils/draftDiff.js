@@ -0,0 +1,308 @@
+/**
+ * Draft Diff Utility
+ * Section-aware, word-level comparison of two draft contents
+ * (content JSONB of the drafts table: title, sections, keyThemes, followUps, toVerify)
+ */
+
+const TO_VERIFY_CATEGORIES = ['people', 'places', 'organizations', 'dates'];
+
+// Beyond this many edits a section is reported as fully replaced (bounds memory on rewrites)
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Split text into words, keeping punctuation attached (works for Hebrew and English)
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Words
+ */
+const tokenize = (text) => String(text || '').split(/\s+/).filter(word => word.length > 0);
+
+/**
+ * Myers O(ND) diff of two token arrays
+ * @param {Array<string>} a - Old tokens
+ * @param {Array<string>} b - New tokens
+ * @returns {Array<Object>} - Operations [{ type: 'equal'|'removed'|'added', token }]
+ */
+const diffTokens = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Array(2 * max + 3).fill(0);
+  const trace = [];
+
+  let done = false;
+  for (let d = 0; d <= max && !done; d++) {
+    if (d > MAX_EDIT_DISTANCE) {
+      return [
+        ...a.map(token => ({ type: 'removed', token })),
+        ...b.map(token => ({ type: 'added', token }))
+      ];
+    }
+
+    // Only diagonals -d-1..d+1 are read when backtracking from this step
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        done = true;
+        break;
+      }
+    }
+  }
+
+  // Walk the trace backwards to recover the edit script
+  const ops = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const vd = trace[d];
+    const base = d + 1;
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && vd[base + k - 1] < vd[base + k + 1])) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : vd[base + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', token: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'added', token: b[y - 1] });
+      } else {
+        ops.push({ type: 'removed', token: a[x - 1] });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+};
+
+/**
+ * Word-level diff of two texts, merged into chunks for side-by-side rendering
+ * @param {string} fromText - Old text
+ * @param {string} toText - New text
+ * @returns {Object} - { chunks: [{ type, text }], wordsAdded, wordsRemoved }
+ */
+const diffText = (fromText, toText) => {
+  const ops = diffTokens(tokenize(fromText), tokenize(toText));
+  const chunks = [];
+  let wordsAdded = 0;
+  let wordsRemoved = 0;
+
+  ops.forEach(op => {
+    if (op.type === 'added') wordsAdded++;
+    if (op.type === 'removed') wordsRemoved++;
+
+    const last = chunks[chunks.length - 1];
+    if (last && last.type === op.type) {
+      last.text += ` ${op.token}`;
+    } else {
+      chunks.push({ type: op.type, text: op.token });
+    }
+  });
+
+  return { chunks, wordsAdded, wordsRemoved };
+};
+
+const normalizeKey = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Ordered list of sections from the stored sections object ({ section_1: { title, content } })
+ * @param {Object} content - Draft content
+ * @returns {Array<Object>} - [{ key, title, content }]
+ */
+const getSections = (content) => {
+  const sections = content?.sections;
+
+  if (!sections || typeof sections !== 'object' || Object.keys(sections).length === 0) {
+    return content?.fullMarkdown
+      ? [{ key: 'section_1', title: content.title || 'Main Content', content: content.fullMarkdown }]
+      : [];
+  }
+
+  return Object.entries(sections)
+    .map(([key, section]) => ({
+      key,
+      title: section?.title || key,
+      content: typeof section === 'string' ? section : (section?.content || '')
+    }))
+    .sort((a, b) => (parseInt(a.key.replace(/\D/g, ''), 10) || 0) - (parseInt(b.key.replace(/\D/g, ''), 10) || 0));
+};
+
+/**
+ * Pair up sections of two versions: by title first, then by position for renamed sections
+ * @param {Array<Object>} fromSections - Old sections
+ * @param {Array<Object>} toSections - New sections
+ * @returns {Array<Object>} - [{ from, to }] where either side may be null
+ */
+const matchSections = (fromSections, toSections) => {
+  const pairs = [];
+  const unmatchedFrom = new Set(fromSections.map((_, index) => index));
+
+  const toMatches = toSections.map(section => {
+    const index = fromSections.findIndex((candidate, i) =>
+      unmatchedFrom.has(i) && normalizeKey(candidate.title) === normalizeKey(section.title));
+    if (index !== -1) unmatchedFrom.delete(index);
+    return index;
+  });
+
+  // A retitled section keeps its position, so pair leftovers that share a key
+  toSections.forEach((section, toIndex) => {
+    if (toMatches[toIndex] !== -1) return;
+    const index = fromSections.findIndex((candidate, i) => unmatchedFrom.has(i) && candidate.key === section.key);
+    if (index !== -1) {
+      unmatchedFrom.delete(index);
+      toMatches[toIndex] = index;
+    }
+  });
+
+  toSections.forEach((section, toIndex) => {
+    const fromIndex = toMatches[toIndex];
+    pairs.push({ from: fromIndex === -1 ? null : fromSections[fromIndex], to: section, fromIndex, toIndex });
+  });
+
+  [...unmatchedFrom].forEach(fromIndex => {
+    pairs.push({ from: fromSections[fromIndex], to: null, fromIndex, toIndex: -1 });
+  });
+
+  return pairs;
+};
+
+/**
+ * Section-by-section word diff
+ * @param {Object} fromContent - Old draft content
+ * @param {Object} toContent - New draft content
+ * @returns {Array<Object>} - Section diffs
+ */
+const diffSections = (fromContent, toContent) => {
+  return matchSections(getSections(fromContent), getSections(toContent)).map(({ from, to, fromIndex, toIndex }) => {
+    const diff = diffText(from?.content, to?.content);
+    let status = 'unchanged';
+
+    if (!from) {
+      status = 'added';
+    } else if (!to) {
+      status = 'removed';
+    } else if (diff.wordsAdded > 0 || diff.wordsRemoved > 0 || from.title !== to.title) {
+      status = 'modified';
+    } else if (fromIndex !== toIndex) {
+      status = 'moved';
+    }
+
+    return {
+      status,
+      fromKey: from?.key || null,
+      toKey: to?.key || null,
+      fromTitle: from?.title || null,
+      toTitle: to?.title || null,
+      titleChanged: Boolean(from && to && from.title !== to.title),
+      wordsAdded: diff.wordsAdded,
+      wordsRemoved: diff.wordsRemoved,
+      chunks: diff.chunks
+    };
+  });
+};
+
+const listItemText = (item) => {
+  if (item && typeof item === 'object') {
+    return item.question || item.text || item.name || item.value || JSON.stringify(item);
+  }
+  return String(item);
+};
+
+/**
+ * Compare two lists as sets (case and whitespace insensitive)
+ * @param {Array} fromList - Old items
+ * @param {Array} toList - New items
+ * @returns {Object} - { added, removed, unchanged }
+ */
+const diffList = (fromList, toList) => {
+  const from = Array.isArray(fromList) ? fromList : [];
+  const to = Array.isArray(toList) ? toList : [];
+  const fromKeys = new Set(from.map(item => normalizeKey(listItemText(item))));
+  const toKeys = new Set(to.map(item => normalizeKey(listItemText(item))));
+
+  return {
+    added: to.filter(item => !fromKeys.has(normalizeKey(listItemText(item)))),
+    removed: from.filter(item => !toKeys.has(normalizeKey(listItemText(item)))),
+    unchanged: to.filter(item => fromKeys.has(normalizeKey(listItemText(item))))
+  };
+};
+
+/**
+ * Diff the toVerify object category by category
+ * @param {Object} fromToVerify - Old toVerify
+ * @param {Object} toToVerify - New toVerify
+ * @returns {Object} - { people: { added, removed, unchanged }, ... }
+ */
+const diffToVerify = (fromToVerify, toToVerify) => {
+  const categories = new Set([
+    ...TO_VERIFY_CATEGORIES,
+    ...Object.keys(fromToVerify || {}),
+    ...Object.keys(toToVerify || {})
+  ]);
+
+  const result = {};
+  categories.forEach(category => {
+    result[category] = diffList(fromToVerify?.[category], toToVerify?.[category]);
+  });
+  return result;
+};
+
+const countListChanges = (diff) => diff.added.length + diff.removed.length;
+
+/**
+ * Compare two draft contents
+ * @param {Object} fromContent - Old draft content
+ * @param {Object} toContent - New draft content
+ * @returns {Object} - Diff with title, sections, keyThemes, followUps, toVerify and summary
+ */
+const diffDrafts = (fromContent, toContent) => {
+  const sections = diffSections(fromContent || {}, toContent || {});
+  const keyThemes = diffList(fromContent?.keyThemes, toContent?.keyThemes);
+  const followUps = diffList(fromContent?.followUps, toContent?.followUps);
+  const toVerify = diffToVerify(fromContent?.toVerify, toContent?.toVerify);
+
+  const fromTitle = fromContent?.title || null;
+  const toTitle = toContent?.title || null;
+
+  return {
+    title: { from: fromTitle, to: toTitle, changed: fromTitle !== toTitle },
+    sections,
+    keyThemes,
+    followUps,
+    toVerify,
+    summary: {
+      wordsAdded: sections.reduce((sum, section) => sum + section.wordsAdded, 0),
+      wordsRemoved: sections.reduce((sum, section) => sum + section.wordsRemoved, 0),
+      sectionsAdded: sections.filter(section => section.status === 'added').length,
+      sectionsRemoved: sections.filter(section => section.status === 'removed').length,
+      sectionsModified: sections.filter(section => section.status === 'modified').length,
+      keyThemesChanged: countListChanges(keyThemes),
+      followUpsChanged: countListChanges(followUps),
+      toVerifyChanged: Object.values(toVerify).reduce((sum, diff) => sum + countListChanges(diff), 0)
+    }
+  };
+};
+
+module.exports = {
+  diffDrafts,
+  diffText
+};
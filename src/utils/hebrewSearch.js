@@ -0,0 +1,219 @@
+/**
+ * Hebrew-aware Text Search
+ * Tokenizing, normalizing, scoring and snippet highlighting for the search
+ * endpoint. Hebrew words are matched without niqqud, final-letter forms or
+ * attached prefixes (ו, ה, ב, כ, ל, מ, ש and their combinations), so a search
+ * for "טכניון" also finds "בטכניון" and "וְהַטֶּכְנִיּוֹן".
+ */
+
+const HEBREW_LETTER = /[א-ת]/;
+
+const FINAL_LETTERS = { 'ך': 'כ', 'ם': 'מ', 'ן': 'נ', 'ף': 'פ', 'ץ': 'צ' };
+
+// Single-letter prefixes that attach to the next word; up to three can stack (ומה, שב, וכש)
+const PREFIX_LETTERS = 'והבכלמש';
+const MAX_PREFIX_LENGTH = 3;
+const MIN_STEM_LENGTH = 2;
+
+// Words that say nothing about which story is meant
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of', 'on', 'or', 'the', 'to', 'was', 'with',
+  'של', 'את', 'על', 'עם', 'גם', 'זה', 'זו', 'זאת', 'הוא', 'היא', 'הם', 'הן', 'אני', 'אנחנו', 'או', 'כי', 'אם', 'לא', 'כן', 'יש', 'אין', 'מה', 'מי'
+]);
+
+// Letters, digits, marks (niqqud) and word-internal apostrophes/gershayim
+const TOKEN_PATTERN = /[\p{L}\p{N}][\p{L}\p{M}\p{N}'"׳״]*/gu;
+
+/**
+ * Normalize one word: lowercase, no niqqud/accents, no quote marks, no final letter forms
+ * @param {string} word - Word as written
+ * @returns {string} - Normalized word
+ */
+const normalizeWord = (word) => String(word || '')
+  .normalize('NFKD')
+  .replace(/\p{M}/gu, '')
+  .replace(/['"׳״]/g, '')
+  .toLowerCase()
+  .replace(/[ךםןףץ]/g, letter => FINAL_LETTERS[letter]);
+
+/**
+ * Forms of a normalized word with its Hebrew prefixes removed
+ * @param {string} word - Normalized word
+ * @returns {Array<string>} - Stems, shortest prefix first (not including the word itself)
+ */
+const prefixStems = (word) => {
+  const stems = [];
+  if (!HEBREW_LETTER.test(word[0] || '')) return stems;
+
+  for (let length = 1; length <= MAX_PREFIX_LENGTH; length++) {
+    if (!PREFIX_LETTERS.includes(word[length - 1]) || word.length - length < MIN_STEM_LENGTH) break;
+    stems.push(word.slice(length));
+  }
+  return stems;
+};
+
+/**
+ * Split text into words with their positions in the original text
+ * @param {string} text - Any text
+ * @returns {Array<Object>} - [{ word, text, start, end }] where word is normalized and text as written
+ */
+const tokenize = (text) => {
+  const tokens = [];
+  for (const match of String(text || '').matchAll(TOKEN_PATTERN)) {
+    const word = normalizeWord(match[0]);
+    if (word) tokens.push({ word, text: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+};
+
+/**
+ * Parse a search query into terms
+ * @param {string} query - Query as typed
+ * @returns {Array<Object>} - [{ word, text, forms }] where forms are the word and its prefix stems
+ */
+const parseQuery = (query) => {
+  const tokens = tokenize(query);
+  const meaningful = tokens.filter(token => !STOPWORDS.has(token.word));
+  const terms = [];
+
+  (meaningful.length > 0 ? meaningful : tokens).forEach(token => {
+    if (!terms.some(term => term.word === token.word)) {
+      terms.push({ word: token.word, text: token.text, forms: [token.word, ...prefixStems(token.word)] });
+    }
+  });
+
+  return terms;
+};
+
+/**
+ * How well a document word matches a query term
+ * @param {string} word - Normalized document word
+ * @param {Array<string>} stems - prefixStems of the word
+ * @param {Object} term - Parsed query term
+ * @returns {number} - 1 for the same word, 0.7 when equal once prefixes are removed, else 0
+ */
+const matchWeight = (word, stems, term) => {
+  if (word === term.word) return 1;
+  if (term.forms.some(form => form === word || stems.includes(form))) return 0.7;
+  return 0;
+};
+
+/**
+ * Find the words of a text that match the query terms
+ * @param {Array<Object>} tokens - Tokens of the text
+ * @param {Array<Object>} terms - Parsed query terms
+ * @returns {Array<Object>} - [{ index, term, weight }] per matching token
+ */
+const findMatches = (tokens, terms) => {
+  const matches = [];
+  tokens.forEach((token, index) => {
+    const stems = prefixStems(token.word);
+    let best = null;
+    terms.forEach((term, termIndex) => {
+      const weight = matchWeight(token.word, stems, term);
+      if (weight > 0 && (!best || weight > best.weight)) best = { index, term: termIndex, weight };
+    });
+    if (best) matches.push(best);
+  });
+  return matches;
+};
+
+/**
+ * Score a text against the query
+ * Term frequency is saturated so long transcripts do not win by length alone; documents
+ * matching only some terms are scaled down, and terms appearing next to each other in
+ * query order get a phrase bonus.
+ * @param {Array<Object>} matches - Result of findMatches
+ * @param {number} termCount - Number of query terms
+ * @param {Array<number>} termWeights - Rarity weight of each term across the searched documents
+ * @returns {number} - Score (0 when nothing matched)
+ */
+const scoreMatches = (matches, termCount, termWeights) => {
+  if (matches.length === 0) return 0;
+
+  const perTerm = new Array(termCount).fill(0);
+  matches.forEach(match => { perTerm[match.term] += match.weight; });
+
+  const termScore = perTerm.reduce((sum, frequency, term) => sum + (frequency / (frequency + 1.2)) * 2.2 * termWeights[term], 0);
+  const coverage = perTerm.filter(frequency => frequency > 0).length / termCount;
+
+  let phraseBonus = 0;
+  for (let i = 1; i < matches.length; i++) {
+    if (matches[i].index === matches[i - 1].index + 1 && matches[i].term === matches[i - 1].term + 1) {
+      phraseBonus += 0.5;
+    }
+  }
+
+  return (termScore + Math.min(phraseBonus, 3)) * coverage * coverage;
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Build a highlighted snippet around the densest group of matches
+ * @param {string} text - Original text
+ * @param {Array<Object>} tokens - Tokens of the text
+ * @param {Array<Object>} matches - Result of findMatches
+ * @param {number} [windowWords] - Snippet length in words
+ * @returns {Object|null} - { snippet, matchedTerms } with matches wrapped in <mark> (other text HTML-escaped)
+ */
+const buildSnippet = (text, tokens, matches, windowWords = 30) => {
+  if (matches.length === 0) return null;
+
+  // Window start that covers the most distinct terms, then the most matches (sliding window over the sorted matches)
+  let best = { start: matches[0].index, terms: 0, count: 0 };
+  const termCounts = new Map();
+  let end = 0;
+  matches.forEach((match, i) => {
+    while (end < matches.length && matches[end].index < match.index + windowWords) {
+      termCounts.set(matches[end].term, (termCounts.get(matches[end].term) || 0) + 1);
+      end++;
+    }
+
+    const count = end - i;
+    if (termCounts.size > best.terms || (termCounts.size === best.terms && count > best.count)) {
+      best = { start: match.index, terms: termCounts.size, count };
+    }
+
+    const remaining = termCounts.get(match.term) - 1;
+    if (remaining === 0) termCounts.delete(match.term);
+    else termCounts.set(match.term, remaining);
+  });
+
+  // Give the first match some leading context
+  const firstToken = Math.max(0, best.start - Math.floor(windowWords / 4));
+  const lastToken = Math.min(tokens.length - 1, firstToken + windowWords - 1);
+  const highlighted = new Set(matches.filter(m => m.index >= firstToken && m.index <= lastToken).map(m => m.index));
+
+  let snippet = '';
+  let cursor = tokens[firstToken].start;
+  for (let i = firstToken; i <= lastToken; i++) {
+    const token = tokens[i];
+    snippet += escapeHtml(text.slice(cursor, token.start));
+    const word = escapeHtml(text.slice(token.start, token.end));
+    snippet += highlighted.has(i) ? `<mark>${word}</mark>` : word;
+    cursor = token.end;
+  }
+
+  const prefix = firstToken > 0 ? '… ' : '';
+  const suffix = lastToken < tokens.length - 1 ? ' …' : '';
+
+  return {
+    snippet: `${prefix}${snippet.replace(/\s+/g, ' ').trim()}${suffix}`,
+    matchedTerms: best.terms
+  };
+};
+
+module.exports = {
+  normalizeWord,
+  prefixStems,
+  tokenize,
+  parseQuery,
+  findMatches,
+  scoreMatches,
+  buildSnippet
+};
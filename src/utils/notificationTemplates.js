@@ -0,0 +1,170 @@
+/**
+ * Notification Templates
+ * Hebrew and English messages; each template yields a subject and paragraphs,
+ * rendered as plain text and as simple (RTL-aware) HTML.
+ */
+
+const config = require('../config/config');
+
+const LANGUAGES = ['he', 'en'];
+
+/**
+ * Format a date-time for a message in the scheduling timezone
+ * @param {string|Date} date - Date-time
+ * @param {string} language - 'he' or 'en'
+ * @returns {string} - Formatted date-time
+ */
+const formatDateTime = (date, language) => new Intl.DateTimeFormat(language === 'he' ? 'he-IL' : 'en-GB', {
+  dateStyle: 'full',
+  timeStyle: 'short',
+  timeZone: config.scheduling.timezone
+}).format(new Date(date));
+
+const STAGE_NAMES = {
+  he: {
+    first_draft: 'טיוטה ראשונה',
+    under_review: 'בבדיקה',
+    pending_approval: 'ממתינה לאישור',
+    approved: 'אושרה',
+    rejected: 'נדחתה'
+  },
+  en: {
+    first_draft: 'first draft',
+    under_review: 'under review',
+    pending_approval: 'pending approval',
+    approved: 'approved',
+    rejected: 'rejected'
+  }
+};
+
+const TEMPLATES = {
+  interview_reminder_client: {
+    he: (d) => ({
+      subject: `תזכורת: הריאיון שלך ב${formatDateTime(d.scheduledDate, 'he')}`,
+      paragraphs: [
+        `שלום ${d.clientName || ''},`,
+        `רצינו להזכיר שהריאיון${d.interviewName ? ` "${d.interviewName}"` : ''} מתוכנן ל${formatDateTime(d.scheduledDate, 'he')}${d.location ? `, ב${d.location}` : ''}.`,
+        d.durationMinutes ? `משך משוער: ${d.durationMinutes} דקות.` : null,
+        'אם צריך לשנות את המועד, פשוט השיבו למייל הזה.',
+        'צוות לגמיוניטי'
+      ]
+    }),
+    en: (d) => ({
+      subject: `Reminder: your interview on ${formatDateTime(d.scheduledDate, 'en')}`,
+      paragraphs: [
+        `Hello ${d.clientName || ''},`,
+        `This is a reminder that your interview${d.interviewName ? ` "${d.interviewName}"` : ''} is scheduled for ${formatDateTime(d.scheduledDate, 'en')}${d.location ? ` (${d.location})` : ''}.`,
+        d.durationMinutes ? `It should take about ${d.durationMinutes} minutes.` : null,
+        'If you need to change the time, just reply to this email.',
+        'The Legamunity team'
+      ]
+    })
+  },
+
+  interview_reminder_staff: {
+    he: (d) => ({
+      subject: `ריאיון עם ${d.clientName} ב${formatDateTime(d.scheduledDate, 'he')}`,
+      paragraphs: [
+        `יש לך ריאיון${d.interviewName ? ` "${d.interviewName}"` : ''} עם ${d.clientName} ב${formatDateTime(d.scheduledDate, 'he')}${d.location ? `, ב${d.location}` : ''}.`,
+        d.url ? `מדריך המראיין ושאלות ההמשך: ${d.url}` : null
+      ]
+    }),
+    en: (d) => ({
+      subject: `Interview with ${d.clientName} on ${formatDateTime(d.scheduledDate, 'en')}`,
+      paragraphs: [
+        `You have an interview${d.interviewName ? ` "${d.interviewName}"` : ''} with ${d.clientName} on ${formatDateTime(d.scheduledDate, 'en')}${d.location ? ` (${d.location})` : ''}.`,
+        d.url ? `Interviewer guide and follow-up questions: ${d.url}` : null
+      ]
+    })
+  },
+
+  draft_pending_approval: {
+    he: (d) => ({
+      subject: `טיוטה ממתינה לאישור: ${d.draftTitle || d.clientName}`,
+      paragraphs: [
+        `הטיוטה "${d.draftTitle || ''}" של ${d.clientName} הועברה לאישור${d.actor ? ` על ידי ${d.actor}` : ''}.`,
+        d.url ? `לצפייה בטיוטה: ${d.url}` : null
+      ]
+    }),
+    en: (d) => ({
+      subject: `Draft waiting for approval: ${d.draftTitle || d.clientName}`,
+      paragraphs: [
+        `The draft "${d.draftTitle || ''}" for ${d.clientName} was sent for approval${d.actor ? ` by ${d.actor}` : ''}.`,
+        d.url ? `Review it here: ${d.url}` : null
+      ]
+    })
+  },
+
+  draft_stage_changed: {
+    he: (d) => ({
+      subject: `הטיוטה של ${d.clientName} ${STAGE_NAMES.he[d.toStage] || d.toStage}`,
+      paragraphs: [
+        `הטיוטה "${d.draftTitle || ''}" של ${d.clientName} עברה לשלב: ${STAGE_NAMES.he[d.toStage] || d.toStage}${d.actor ? ` (${d.actor})` : ''}.`,
+        d.reason ? `סיבה: ${d.reason}` : null,
+        d.url ? `לצפייה בטיוטה: ${d.url}` : null
+      ]
+    }),
+    en: (d) => ({
+      subject: `Draft for ${d.clientName} ${STAGE_NAMES.en[d.toStage] || d.toStage}`,
+      paragraphs: [
+        `The draft "${d.draftTitle || ''}" for ${d.clientName} is now ${STAGE_NAMES.en[d.toStage] || d.toStage}${d.actor ? ` (${d.actor})` : ''}.`,
+        d.reason ? `Reason: ${d.reason}` : null,
+        d.url ? `Open the draft: ${d.url}` : null
+      ]
+    })
+  },
+
+  story_completed: {
+    he: (d) => ({
+      subject: `סיפור החיים של ${d.clientName} מוכן`,
+      paragraphs: [
+        `סיפור החיים המלא של ${d.clientName}${d.storyTitle ? ` ("${d.storyTitle}")` : ''} נוצר${d.version ? ` (גרסה ${d.version})` : ''}.`,
+        d.url ? `לצפייה: ${d.url}` : null
+      ]
+    }),
+    en: (d) => ({
+      subject: `The life story of ${d.clientName} is ready`,
+      paragraphs: [
+        `The full life story of ${d.clientName}${d.storyTitle ? ` ("${d.storyTitle}")` : ''} has been generated${d.version ? ` (version ${d.version})` : ''}.`,
+        d.url ? `Open it here: ${d.url}` : null
+      ]
+    })
+  }
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Render a template
+ * @param {string} template - Template name
+ * @param {string} language - 'he' or 'en' (anything else falls back to English)
+ * @param {Object} data - Template data
+ * @returns {Object} - { subject, text, html, language }
+ */
+const renderTemplate = (template, language, data = {}) => {
+  const definition = TEMPLATES[template];
+  if (!definition) {
+    throw new Error(`Unknown notification template: ${template}`);
+  }
+
+  const lang = LANGUAGES.includes(language) ? language : 'en';
+  const { subject, paragraphs } = definition[lang](data);
+  const lines = paragraphs.filter(Boolean);
+  const dir = lang === 'he' ? 'rtl' : 'ltr';
+
+  return {
+    subject,
+    text: lines.join('\n\n'),
+    html: `<div dir="${dir}" lang="${lang}" style="font-family: Arial, sans-serif; text-align: ${dir === 'rtl' ? 'right' : 'left'};">${lines.map(line => `<p>${escapeHtml(line)}</p>`).join('')}</div>`,
+    language: lang
+  };
+};
+
+module.exports = {
+  TEMPLATES: Object.keys(TEMPLATES),
+  renderTemplate
+};
@@ -0,0 +1,75 @@
+/**
+ * Session List Query
+ * Sort fields and keyset (cursor) pagination for the sessions list. A cursor
+ * holds the sort value and id of the last session of a page; the next page
+ * continues after it, so pages stay stable while sessions are added.
+ */
+
+// Accepted sort_by values and the sessions column each sorts on
+const SORT_FIELDS = {
+  created_at: 'created_at',
+  created: 'created_at',
+  client_name: 'client_name',
+  next_interview_date: 'next_interview_date',
+  next_interview: 'next_interview_date',
+  last_activity_at: 'last_activity_at',
+  last_activity: 'last_activity_at'
+};
+
+/**
+ * Encode the position after a session
+ * @param {Object} session - Last session of the page
+ * @param {string} column - Sort column
+ * @returns {string} - Opaque cursor
+ */
+const encodeCursor = (session, column) => Buffer
+  .from(JSON.stringify({ c: column, v: session[column] ?? null, id: session.id }))
+  .toString('base64url');
+
+/**
+ * Decode a cursor made by encodeCursor for the same sort column
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} column - Sort column of this request
+ * @returns {Object|null} - { value, id }, or null when the cursor is invalid
+ */
+const decodeCursor = (cursor, column) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!decoded || decoded.c !== column || !decoded.id) return null;
+    return { value: decoded.v ?? null, id: decoded.id };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Quote a value for a PostgREST or() filter (commas, parentheses and dots are otherwise syntax)
+const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/**
+ * PostgREST or() filter selecting the rows after the cursor
+ * Rows are ordered by (column, id) with NULL sort values last in both directions.
+ * @param {string} column - Sort column
+ * @param {boolean} ascending - Sort direction
+ * @param {Object} cursor - Decoded cursor { value, id }
+ * @returns {string} - Filter for query.or()
+ */
+const afterCursorFilter = (column, ascending, { value, id }) => {
+  const op = ascending ? 'gt' : 'lt';
+
+  if (value === null) {
+    return `and(${column}.is.null,id.${op}.${quote(id)})`;
+  }
+
+  return [
+    `${column}.${op}.${quote(value)}`,
+    `and(${column}.eq.${quote(value)},id.${op}.${quote(id)})`,
+    `${column}.is.null`
+  ].join(',');
+};
+
+module.exports = {
+  SORT_FIELDS,
+  encodeCursor,
+  decodeCursor,
+  afterCursorFilter
+};
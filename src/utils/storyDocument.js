@@ -0,0 +1,361 @@
+/**
+ * Story Document Builder
+ * Normalizes full life stories and drafts into a single document model
+ * that the export renderers (PDF, etc.) can lay out without knowing
+ * which AI payload shape the content came from.
+ *
+ * Document model:
+ * {
+ *   title, subtitle, direction: 'rtl' | 'ltr', language: 'he' | 'en',
+ *   chapters: [{ title, blocks: [{ type: 'heading' | 'paragraph' | 'list_item', text } | { type: 'image', src, caption }] }],
+ *   cover: { src, caption } | null,
+ *   metadata: {}
+ * }
+ */
+
+const HEBREW_CHARS = /[\u0590-\u05FF\uFB1D-\uFB4F]/g;
+const LATIN_CHARS = /[A-Za-z]/g;
+
+/**
+ * Strip inline markdown formatting, keeping the readable text
+ * @param {string} text - Markdown text
+ * @returns {string} - Plain text
+ */
+const stripInlineMarkdown = (text) => {
+  return String(text || '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1') // images
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // links
+    .replace(/(\*\*|__)(.+?)\1/g, '$2') // bold
+    .replace(/(\*|_)(\S(?:.*?\S)?)\1/g, '$2') // italic
+    .replace(/`([^`]+)`/g, '$1') // inline code
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Detect the dominant writing direction of a text
+ * @param {string} text - Any text
+ * @returns {string} - 'rtl' when Hebrew characters dominate, otherwise 'ltr'
+ */
+const detectDirection = (text) => {
+  const hebrewCount = (String(text || '').match(HEBREW_CHARS) || []).length;
+  const latinCount = (String(text || '').match(LATIN_CHARS) || []).length;
+  return hebrewCount > latinCount ? 'rtl' : 'ltr';
+};
+
+/**
+ * Parse markdown into chapters split on "## " headers
+ * Text before the first chapter header goes into an untitled chapter.
+ * @param {string} markdown - Markdown content
+ * @returns {Object} - { title, chapters }
+ */
+const parseMarkdown = (markdown) => {
+  const lines = String(markdown || '').replace(/\r\n/g, '\n').split('\n');
+  const chapters = [];
+  let title = null;
+  let currentChapter = { title: null, blocks: [] };
+  let paragraphLines = [];
+
+  const flushParagraph = () => {
+    const text = stripInlineMarkdown(paragraphLines.join(' '));
+    if (text) {
+      currentChapter.blocks.push({ type: 'paragraph', text });
+    }
+    paragraphLines = [];
+  };
+
+  const flushChapter = () => {
+    flushParagraph();
+    if (currentChapter.title || currentChapter.blocks.length > 0) {
+      chapters.push(currentChapter);
+    }
+  };
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+
+    if (!line) {
+      flushParagraph();
+      continue;
+    }
+
+    // "# Title" - document title (first one only, later ones become chapters)
+    const titleMatch = line.match(/^#\s+(.+)$/);
+    if (titleMatch && !title && chapters.length === 0 && currentChapter.blocks.length === 0) {
+      title = stripInlineMarkdown(titleMatch[1]);
+      continue;
+    }
+
+    const chapterMatch = line.match(/^#{1,2}\s+(.+)$/);
+    if (chapterMatch) {
+      flushChapter();
+      currentChapter = { title: stripInlineMarkdown(chapterMatch[1]), blocks: [] };
+      continue;
+    }
+
+    const headingMatch = line.match(/^#{3,6}\s+(.+)$/);
+    if (headingMatch) {
+      flushParagraph();
+      currentChapter.blocks.push({ type: 'heading', text: stripInlineMarkdown(headingMatch[1]) });
+      continue;
+    }
+
+    // A line holding only an image becomes an image block
+    const imageMatch = line.match(/^!\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)$/);
+    if (imageMatch) {
+      flushParagraph();
+      currentChapter.blocks.push({ type: 'image', src: imageMatch[2], caption: stripInlineMarkdown(imageMatch[1]) || null });
+      continue;
+    }
+
+    const listMatch = line.match(/^(?:[-*+•]|\d+[.)])\s+(.+)$/);
+    if (listMatch) {
+      flushParagraph();
+      currentChapter.blocks.push({ type: 'list_item', text: stripInlineMarkdown(listMatch[1]) });
+      continue;
+    }
+
+    // Horizontal rules only separate paragraphs
+    if (/^(-{3,}|\*{3,}|_{3,})$/.test(line)) {
+      flushParagraph();
+      continue;
+    }
+
+    paragraphLines.push(line);
+  }
+
+  flushChapter();
+
+  return { title, chapters };
+};
+
+/**
+ * Turn a chapter-like value ({ title, content } or a string) into a chapter
+ * @param {string} fallbackTitle - Title to use when the value has none
+ * @param {Object|string} value - Chapter value
+ * @returns {Object|null} - Normalized chapter
+ */
+const toChapter = (fallbackTitle, value) => {
+  if (!value) return null;
+
+  const chapterTitle = typeof value === 'object' ? (value.title || fallbackTitle) : fallbackTitle;
+  const chapterText = typeof value === 'object'
+    ? (value.content || value.text || value.fullText || '')
+    : value;
+
+  const parsed = parseMarkdown(typeof chapterText === 'string' ? chapterText : JSON.stringify(chapterText));
+  const blocks = parsed.chapters.flatMap(chapter => [
+    ...(chapter.title ? [{ type: 'heading', text: chapter.title }] : []),
+    ...chapter.blocks
+  ]);
+
+  if (!chapterTitle && blocks.length === 0) return null;
+
+  return {
+    title: chapterTitle ? stripInlineMarkdown(chapterTitle) : null,
+    blocks
+  };
+};
+
+/**
+ * Turn arbitrary structured content ({ section: { field: value } }) into
+ * chapters, one per top-level key. Used for drafts without markdown.
+ * @param {Object} content - Structured content
+ * @returns {Array} - Chapters
+ */
+const structuredToChapters = (content) => {
+  const toBlocks = (value, label = null) => {
+    if (value === null || value === undefined || value === '') return [];
+    if (Array.isArray(value)) {
+      const items = value.map(item => ({
+        type: 'list_item',
+        text: stripInlineMarkdown(typeof item === 'object' ? Object.values(item).join(' - ') : item)
+      }));
+      return label ? [{ type: 'heading', text: label }, ...items] : items;
+    }
+    if (typeof value === 'object') {
+      return Object.entries(value).flatMap(([key, nested]) => toBlocks(nested, key));
+    }
+    const text = stripInlineMarkdown(value);
+    return [{ type: 'paragraph', text: label ? `${label}: ${text}` : text }];
+  };
+
+  return Object.entries(content)
+    .filter(([key]) => key !== 'title')
+    .map(([key, value]) => ({ title: key, blocks: toBlocks(value) }))
+    .filter(chapter => chapter.blocks.length > 0);
+};
+
+/**
+ * Extract chapters from full life story content in any of its stored shapes
+ * (markdown string, { fullMarkdown }, { chapters: [] }, { fullText })
+ * @param {Object|string} content - Story content
+ * @returns {Object} - { title, chapters }
+ */
+const extractStoryChapters = (content) => {
+  if (!content) {
+    return { title: null, chapters: [] };
+  }
+
+  if (typeof content === 'string') {
+    return parseMarkdown(content);
+  }
+
+  if (typeof content.fullMarkdown === 'string' && content.fullMarkdown.trim()) {
+    return parseMarkdown(content.fullMarkdown);
+  }
+
+  if (Array.isArray(content.chapters) && content.chapters.length > 0) {
+    const chapters = [];
+
+    if (content.introduction) {
+      const introText = typeof content.introduction === 'string'
+        ? content.introduction
+        : Object.values(content.introduction).filter(v => typeof v === 'string').join('\n\n');
+      const intro = toChapter(null, introText);
+      if (intro) chapters.push(intro);
+    }
+
+    content.chapters.forEach((chapter, index) => {
+      const normalized = toChapter(`${index + 1}`, chapter);
+      if (normalized) chapters.push(normalized);
+    });
+
+    return { title: null, chapters };
+  }
+
+  if (typeof content.fullText === 'string') {
+    return parseMarkdown(content.fullText);
+  }
+
+  if (typeof content.content === 'string') {
+    return parseMarkdown(content.content);
+  }
+
+  return { title: null, chapters: [] };
+};
+
+/**
+ * Normalize an image reference ("url" or { url, caption })
+ * @param {Object|string} image - Image reference
+ * @returns {Object|null} - { src, caption }
+ */
+const toImage = (image) => {
+  if (!image) return null;
+  if (typeof image === 'string') return { src: image, caption: null };
+  const src = image.url || image.src || image.secure_url;
+  return src ? { src, caption: image.caption || image.alt || null } : null;
+};
+
+/**
+ * Build the document model for a full life story record
+ * @param {Object} story - Row from full_life_stories (optionally with sessions join)
+ * @returns {Object} - Document model
+ */
+const buildStoryDocument = (story) => {
+  const { title: markdownTitle, chapters } = extractStoryChapters(story.content);
+  const title = stripInlineMarkdown(story.title || markdownTitle || '');
+  const subtitle = story.subtitle ? stripInlineMarkdown(story.subtitle) : null;
+
+  const allText = [title, subtitle, ...chapters.flatMap(c => [c.title, ...c.blocks.map(b => b.text || b.caption)])]
+    .filter(Boolean)
+    .join(' ');
+  const direction = detectDirection(allText);
+
+  // Photos attached to the story (content.photos) are collected into a closing gallery chapter
+  const content = story.content && typeof story.content === 'object' ? story.content : {};
+  const photos = (Array.isArray(content.photos) ? content.photos : []).map(toImage).filter(Boolean);
+  if (photos.length > 0) {
+    chapters.push({
+      title: direction === 'rtl' ? 'תמונות' : 'Photos',
+      blocks: photos.map(photo => ({ type: 'image', ...photo }))
+    });
+  }
+
+  return {
+    title,
+    subtitle,
+    direction,
+    language: direction === 'rtl' ? 'he' : 'en',
+    chapters,
+    cover: toImage(content.coverImage || content.cover_image),
+    metadata: {
+      sourceType: 'full_life_story',
+      sourceId: story.id,
+      sessionId: story.session_id,
+      version: story.version,
+      clientName: story.sessions?.client_name || null,
+      generatedAt: story.generated_at || story.created_at || null
+    }
+  };
+};
+
+/**
+ * Build the document model for a draft record
+ * Uses fullMarkdown when present, otherwise the parsed sections
+ * @param {Object} draft - Row from drafts
+ * @returns {Object} - Document model
+ */
+const buildDraftDocument = (draft) => {
+  const content = draft.content || {};
+  let markdownTitle = null;
+  let chapters = [];
+
+  if (typeof content.fullMarkdown === 'string' && content.fullMarkdown.trim()) {
+    ({ title: markdownTitle, chapters } = parseMarkdown(content.fullMarkdown));
+  } else if (content.sections && typeof content.sections === 'object') {
+    chapters = Object.entries(content.sections)
+      .map(([key, value]) => toChapter(key.startsWith('section_') ? null : key, value))
+      .filter(Boolean);
+  } else if (typeof content.summary === 'string') {
+    ({ title: markdownTitle, chapters } = parseMarkdown(content.summary));
+  } else {
+    chapters = structuredToChapters(content);
+  }
+
+  const title = stripInlineMarkdown(content.title || draft.title || markdownTitle || `Draft v${draft.version || 1}`);
+
+  const allText = [title, ...chapters.flatMap(c => [c.title, ...c.blocks.map(b => b.text || b.caption)])]
+    .filter(Boolean)
+    .join(' ');
+  const direction = detectDirection(allText);
+
+  return {
+    title,
+    subtitle: null,
+    direction,
+    language: direction === 'rtl' ? 'he' : 'en',
+    chapters,
+    cover: null,
+    metadata: {
+      sourceType: 'draft',
+      sourceId: draft.id,
+      sessionId: draft.session_id || draft.sessionId,
+      version: draft.version,
+      stage: draft.stage,
+      generatedAt: draft.created_at || draft.createdAt || null
+    }
+  };
+};
+
+/**
+ * Build a safe ASCII file name for an exported document
+ * @param {Object} document - Document model
+ * @param {string} extension - File extension without the dot
+ * @returns {string} - File name
+ */
+const buildExportFileName = (document, extension) => {
+  const { sourceType, sourceId, version } = document.metadata;
+  const prefix = sourceType === 'draft' ? 'draft' : 'life-story';
+  const versionSuffix = version ? `-v${version}` : '';
+  return `${prefix}-${sourceId}${versionSuffix}.${extension}`;
+};
+
+module.exports = {
+  buildStoryDocument,
+  buildDraftDocument,
+  buildExportFileName,
+  parseMarkdown,
+  detectDirection,
+  stripInlineMarkdown
+};
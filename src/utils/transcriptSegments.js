@@ -0,0 +1,74 @@
+/**
+ * Transcript Segments
+ * Normalizes segment-level transcripts from the transcription workflow and
+ * rebuilds the flat transcription text from them.
+ */
+
+const toSeconds = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds >= 0 ? Math.round(seconds * 100) / 100 : null;
+};
+
+/**
+ * Normalize the segments of a transcription callback
+ * Accepts the field names of the common transcribers (start/start_time/startTime,
+ * end/end_time/endTime, speaker/speaker_label/speakerLabel, text/transcript).
+ * @param {Array} raw - Segments as received
+ * @returns {Array} - [{ position, startTime, endTime, speakerKey, text }] in time order, empty segments dropped
+ */
+const normalizeSegments = (raw) => {
+  if (!Array.isArray(raw)) return [];
+
+  return raw
+    .filter(segment => segment && typeof segment === 'object')
+    .map((segment, index) => {
+      const speaker = segment.speaker ?? segment.speaker_label ?? segment.speakerLabel ?? null;
+      return {
+        index,
+        startTime: toSeconds(segment.start ?? segment.start_time ?? segment.startTime),
+        endTime: toSeconds(segment.end ?? segment.end_time ?? segment.endTime),
+        speakerKey: speaker === null || speaker === '' ? null : String(speaker).trim(),
+        text: String(segment.text ?? segment.transcript ?? '').replace(/\s+/g, ' ').trim()
+      };
+    })
+    .filter(segment => segment.text)
+    // Segments without a start time keep their received order
+    .sort((a, b) => (a.startTime ?? 0) - (b.startTime ?? 0) || a.index - b.index)
+    .map(({ index, ...segment }, position) => ({ ...segment, position }));
+};
+
+/**
+ * Build the flat transcription from segments
+ * Consecutive segments of the same speaker are joined into one "Speaker: text" line.
+ * @param {Array} segments - [{ speakerKey, text }] in order
+ * @param {Object} [speakerNames] - Display names by speaker key
+ * @returns {string} - Transcription text; no speaker prefixes when the segments have no speakers
+ */
+const buildFlatTranscription = (segments, speakerNames = {}) => {
+  const lines = [];
+  let current = null;
+
+  (segments || []).forEach(segment => {
+    const speakerKey = segment.speakerKey ?? segment.speaker_key ?? null;
+    if (current && current.speakerKey === speakerKey) {
+      current.text.push(segment.text);
+    } else {
+      current = { speakerKey, text: [segment.text] };
+      lines.push(current);
+    }
+  });
+
+  return lines
+    .map(({ speakerKey, text }) => {
+      const body = text.join(' ');
+      if (!speakerKey) return body;
+      return `${speakerNames[speakerKey] || speakerKey}: ${body}`;
+    })
+    .join('\n');
+};
+
+module.exports = {
+  normalizeSegments,
+  buildFlatTranscription
+};
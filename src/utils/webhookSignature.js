@@ -0,0 +1,112 @@
+/**
+ * Webhook Signature Utilities
+ * Signs and verifies AI callback payloads with a timestamped HMAC.
+ *
+ * Header format (X-Legamunity-Signature):
+ *   t=<unix seconds>,v1=<hex hmac>[,v1=<hex hmac>]
+ *
+ * The HMAC is SHA-256 over "<t>.<raw request body>". Senders may include
+ * one v1 entry per secret while keys are being rotated.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-legamunity-signature';
+const SIGNATURE_VERSION = 'v1';
+
+/**
+ * Compute the HMAC for a payload
+ * @param {string|Buffer} rawBody - Exact request body bytes
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} secret - Shared secret
+ * @returns {string} - Hex digest
+ */
+const computeSignature = (rawBody, timestamp, secret) => {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(String(rawBody), 'utf8'))
+    .digest('hex');
+};
+
+/**
+ * Build a signature header value for outgoing callbacks
+ * @param {string|Buffer} rawBody - Exact body that will be sent
+ * @param {Array<string>|string} secrets - Secret(s) to sign with
+ * @param {number} [timestamp] - Unix timestamp in seconds (defaults to now)
+ * @returns {string} - Header value
+ */
+const buildSignatureHeader = (rawBody, secrets, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signatures = [].concat(secrets)
+    .filter(Boolean)
+    .map(secret => `${SIGNATURE_VERSION}=${computeSignature(rawBody, timestamp, secret)}`);
+
+  return [`t=${timestamp}`, ...signatures].join(',');
+};
+
+/**
+ * Parse a signature header
+ * @param {string} header - Header value
+ * @returns {Object|null} - { timestamp, signatures } or null when malformed
+ */
+const parseSignatureHeader = (header) => {
+  if (!header || typeof header !== 'string') return null;
+
+  let timestamp = null;
+  const signatures = [];
+
+  for (const part of header.split(',')) {
+    const [key, value] = part.trim().split('=');
+    if (key === 't' && /^\d+$/.test(value || '')) {
+      timestamp = parseInt(value, 10);
+    } else if (key === SIGNATURE_VERSION && /^[0-9a-f]{64}$/i.test(value || '')) {
+      signatures.push(value.toLowerCase());
+    }
+  }
+
+  if (timestamp === null || signatures.length === 0) return null;
+
+  return { timestamp, signatures };
+};
+
+/**
+ * Verify a signature header against the active secrets
+ * @param {Object} params
+ * @param {string} params.header - Signature header value
+ * @param {string|Buffer} params.rawBody - Exact request body bytes
+ * @param {Array<string>} params.secrets - Active secrets (current and previous)
+ * @param {number} params.toleranceSeconds - Accepted clock difference / replay window
+ * @param {number} [params.now] - Current unix time in seconds (for testing)
+ * @returns {Object} - { valid, reason, keyIndex }
+ */
+const verifySignature = ({ header, rawBody, secrets, toleranceSeconds, now = Math.floor(Date.now() / 1000) }) => {
+  const parsed = parseSignatureHeader(header);
+  if (!parsed) {
+    return { valid: false, reason: 'missing_or_malformed_signature' };
+  }
+
+  if (Math.abs(now - parsed.timestamp) > toleranceSeconds) {
+    return { valid: false, reason: 'timestamp_outside_window' };
+  }
+
+  for (let keyIndex = 0; keyIndex < secrets.length; keyIndex++) {
+    const expected = Buffer.from(computeSignature(rawBody, parsed.timestamp, secrets[keyIndex]), 'hex');
+
+    for (const signature of parsed.signatures) {
+      const received = Buffer.from(signature, 'hex');
+      if (received.length === expected.length && crypto.timingSafeEqual(received, expected)) {
+        return { valid: true, keyIndex, timestamp: parsed.timestamp };
+      }
+    }
+  }
+
+  return { valid: false, reason: 'signature_mismatch' };
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  computeSignature,
+  buildSignatureHeader,
+  parseSignatureHeader,
+  verifySignature
+};